@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+
+/**
+ * Offline stand-ins for Supabase and OpenAI used by the retrieval eval.
+ *
+ * Embeddings are deterministic hashed bag-of-words vectors, so the same text always
+ * embeds the same way and texts that share terms land close together. The fixture
+ * client mirrors the match_* RPCs from the migrations closely enough to exercise
+ * semanticSearch's boosting, fusion and chunk selection without a network.
+ */
+
+const DIMENSIONS = 1536;
+
+// Model name recorded on fixture vectors and passed to semanticSearch
+export const HASHED_EMBEDDING_MODEL = 'fixture-hashed-bow';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
+  'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'do',
+  'does', 'did', 'will', 'would', 'could', 'should', 'can', 'this', 'that', 'these',
+  'those', 'it', 'its', 'our', 'their', 'what', 'which', 'who', 'how', 'when', 'where',
+  'why', 'about', 'we', 'you', 'they', 'me', 'my', 'your', 'i', 'all', 'any', 'so',
+]);
+
+/**
+ * Lowercased, stop-word-free terms with a light suffix strip (a rough stand-in
+ * for the english stemmer used by to_tsvector).
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(t => t.length > 1 && !STOP_WORDS.has(t))
+    .map(t => t.replace(/(ing|ed|es|s)$/, '') || t);
+}
+
+function hashToInt(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32LE(0);
+}
+
+/**
+ * Deterministic hashed embedding: each term (and adjacent term pair) adds ±1 to a
+ * hashed dimension; the result is L2-normalised.
+ */
+export async function hashedEmbedding(text) {
+  const vector = new Array(DIMENSIONS).fill(0);
+  const terms = tokenize(text);
+  const features = [...terms, ...terms.slice(1).map((t, i) => `${terms[i]} ${t}`)];
+
+  for (const feature of features) {
+    const h = hashToInt(feature);
+    vector[h % DIMENSIONS] += (h >>> 31) === 0 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map(v => v / norm);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Build an in-memory fixture client from a corpus definition.
+ *
+ * Corpus shape: { documents: [{ id, client_id, title, file_name, summary, keywords,
+ * chunks: [string], ...other documents columns }] }
+ */
+export async function createFixtureClient(corpus) {
+  const documents = [];
+  const chunks = [];
+
+  for (const doc of corpus.documents) {
+    const { chunks: chunkTexts = [], ...columns } = doc;
+    documents.push({
+      file_type: 'text/plain',
+      tags: [],
+      keywords: [],
+      is_global: false,
+      processed: true,
+      source_date: null,
+      ...columns,
+      chunk_count: chunkTexts.length,
+      embedding_model: HASHED_EMBEDDING_MODEL,
+      embedding: await hashedEmbedding(`${doc.title} ${doc.summary || ''} ${(doc.keywords || []).join(' ')}`)
+    });
+
+    let offset = 0;
+    for (let i = 0; i < chunkTexts.length; i++) {
+      const content = chunkTexts[i];
+      chunks.push({
+        id: `${doc.id}#${i}`,
+        document_id: doc.id,
+        chunk_index: i,
+        content,
+        start_index: offset,
+        end_index: offset + content.length,
+        embedding: await hashedEmbedding(content),
+        embedding_model: HASHED_EMBEDDING_MODEL,
+        terms: tokenize(content)
+      });
+      offset += content.length;
+    }
+  }
+
+  const docsById = new Map(documents.map(d => [d.id, d]));
+
+  const inClientScope = (docId, clientId) => {
+    const doc = docsById.get(docId);
+    return doc && doc.processed && !doc.deleted_at && (doc.client_id === clientId || doc.is_global);
+  };
+
+  const withoutVectors = ({ embedding, terms, ...rest }) => rest;
+
+  // Same rule as the RPCs: vectors from another model score 0 and never rank as nearest
+  const similarity = (row, queryEmbedding, model) =>
+    (!model || row.embedding_model === model ? cosine(row.embedding, queryEmbedding) : 0);
+
+  const nearestChunks = (candidates, queryEmbedding, model, count, includeIds) => {
+    const scored = candidates.map(c => ({ ...withoutVectors(c), similarity: similarity(c, queryEmbedding, model) }));
+    const nearest = scored
+      .filter(c => !model || c.embedding_model === model)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, count);
+    const ids = new Set(nearest.map(c => c.id));
+    const extra = scored.filter(c => includeIds.includes(c.id) && !ids.has(c.id));
+    return [...nearest, ...extra];
+  };
+
+  const rpcs = {
+    match_documents({ query_embedding, match_client_id, match_count = 40, title_terms = [], include_document_ids = [], match_model = null }) {
+      const scoped = documents.filter(d => inClientScope(d.id, match_client_id));
+      const nearest = scoped
+        .filter(d => !match_model || d.embedding_model === match_model)
+        .sort((a, b) => cosine(b.embedding, query_embedding) - cosine(a.embedding, query_embedding))
+        .slice(0, match_count)
+        .map(d => d.id);
+      const titled = scoped
+        .filter(d => title_terms.some(term => {
+          const t = term.toLowerCase();
+          return (d.title || '').toLowerCase().includes(t) || (d.file_name || '').toLowerCase().includes(t);
+        }))
+        .slice(0, match_count)
+        .map(d => d.id);
+      const ids = new Set([...nearest, ...titled, ...include_document_ids]);
+      return scoped
+        .filter(d => ids.has(d.id))
+        .map(d => ({ id: d.id, similarity: similarity(d, query_embedding, match_model) }));
+    },
+
+    match_document_chunks({ query_embedding, match_document_ids, match_count = 30, include_chunk_ids = [], match_model = null }) {
+      const candidates = chunks.filter(c => match_document_ids.includes(c.document_id));
+      return nearestChunks(candidates, query_embedding, match_model, match_count, include_chunk_ids);
+    },
+
+    match_client_chunks({ query_embedding, match_client_id, match_count = 60, include_chunk_ids = [], match_model = null }) {
+      const candidates = chunks.filter(c => inClientScope(c.document_id, match_client_id));
+      return nearestChunks(candidates, query_embedding, match_model, match_count, include_chunk_ids);
+    },
+
+    // OR-ed term match ranked by term frequency, normalised to rank/(rank+1) like ts_rank_cd(..., 32).
+    // Quoted phrases must appear verbatim.
+    match_chunks_lexical({ search_query, match_client_id, match_count = 30 }) {
+      const phrases = [...search_query.matchAll(/"([^"]+)"/g)].map(m => m[1].toLowerCase());
+      const queryTerms = new Set(tokenize(search_query));
+      if (queryTerms.size === 0) return [];
+
+      return chunks
+        .filter(c => inClientScope(c.document_id, match_client_id))
+        .filter(c => phrases.every(p => c.content.toLowerCase().includes(p)))
+        .map(c => {
+          // ts_rank_cd over an OR query: ~0.1 per term occurrence, normalized by rank / (rank + 1)
+          const raw = 0.1 * c.terms.filter(t => queryTerms.has(t)).length;
+          const matchesAll = [...queryTerms].every(t => c.terms.includes(t));
+          return { ...withoutVectors(c), rank: raw / (raw + 1), matches_all: matchesAll };
+        })
+        .filter(c => c.rank > 0)
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, match_count);
+    },
+  };
+
+  return {
+    async rpc(name, params) {
+      const handler = rpcs[name];
+      if (!handler) {
+        return { data: null, error: { message: `Fixture client has no RPC named ${name}` } };
+      }
+      return { data: handler(params), error: null };
+    },
+
+    from(table) {
+      if (table !== 'documents') {
+        throw new Error(`Fixture client only serves the documents table (got ${table})`);
+      }
+      // Minimal thenable query builder for the filters semanticSearch uses
+      const filters = [];
+      let rowLimit = Infinity;
+      let offset = 0;
+      let orderBy = null;
+      const query = {
+        select() { return query; },
+        in(column, values) { filters.push(d => values.includes(d[column])); return query; },
+        eq(column, value) { filters.push(d => d[column] === value); return query; },
+        neq(column, value) { filters.push(d => d[column] != null && d[column] !== value); return query; },
+        is(column, value) { filters.push(d => (d[column] ?? null) === value); return query; },
+        limit(count) { rowLimit = count; return query; },
+        order(column) { orderBy = column; return query; },
+        range(from, to) { offset = from; rowLimit = to - from + 1; return query; },
+        then(resolve, reject) {
+          const matching = documents.filter(d => filters.every(f => f(d)));
+          if (orderBy) matching.sort((a, b) => String(a[orderBy]).localeCompare(String(b[orderBy])));
+          const rows = matching
+            .slice(offset, offset + rowLimit)
+            .map(withoutVectors);
+          return Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+        }
+      };
+      return query;
+    }
+  };
+}
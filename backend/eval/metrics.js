@@ -0,0 +1,79 @@
+/**
+ * Ranking metrics for the retrieval eval.
+ *
+ * Every metric takes `relevance`: an array of 0/1 flags for the ranked results
+ * (best first), and `totalRelevant`: how many relevant items the golden set expects.
+ */
+
+/**
+ * Fraction of the expected items found in the top k results.
+ */
+export function recallAtK(relevance, totalRelevant, k) {
+  if (totalRelevant === 0) return 1;
+  const found = relevance.slice(0, k).reduce((sum, rel) => sum + rel, 0);
+  return Math.min(found / totalRelevant, 1);
+}
+
+/**
+ * Reciprocal rank of the first relevant result (0 when none is retrieved).
+ */
+export function reciprocalRank(relevance) {
+  const idx = relevance.findIndex(rel => rel > 0);
+  return idx === -1 ? 0 : 1 / (idx + 1);
+}
+
+/**
+ * Normalised discounted cumulative gain at k with binary gains.
+ */
+export function ndcgAtK(relevance, totalRelevant, k) {
+  if (totalRelevant === 0) return 1;
+  const dcg = relevance
+    .slice(0, k)
+    .reduce((sum, rel, idx) => sum + rel / Math.log2(idx + 2), 0);
+
+  let idcg = 0;
+  for (let idx = 0; idx < Math.min(totalRelevant, k); idx++) {
+    idcg += 1 / Math.log2(idx + 2);
+  }
+  return idcg === 0 ? 0 : dcg / idcg;
+}
+
+/**
+ * Relevance flags for a ranked document list against expected document IDs.
+ */
+export function documentRelevance(documents, expectedIds) {
+  const expected = new Set(expectedIds);
+  return documents.map(doc => (expected.has(doc.id) ? 1 : 0));
+}
+
+/**
+ * Relevance flags for a ranked chunk list against expected text snippets.
+ * A chunk is relevant when it contains a snippet (case-insensitive) that no
+ * higher-ranked chunk already matched, so each snippet is credited once.
+ */
+export function chunkTextRelevance(chunks, expectedSnippets) {
+  const remaining = expectedSnippets.map(s => s.toLowerCase());
+  return chunks.map(chunk => {
+    const content = (chunk.content || '').toLowerCase();
+    const idx = remaining.findIndex(snippet => content.includes(snippet));
+    if (idx === -1) return 0;
+    remaining.splice(idx, 1);
+    return 1;
+  });
+}
+
+/**
+ * Mean of each metric across a list of per-question results.
+ */
+export function averageMetrics(results) {
+  if (results.length === 0) return { recall: 0, mrr: 0, ndcg: 0 };
+  const sum = results.reduce(
+    (acc, r) => ({ recall: acc.recall + r.recall, mrr: acc.mrr + r.mrr, ndcg: acc.ndcg + r.ndcg }),
+    { recall: 0, mrr: 0, ndcg: 0 }
+  );
+  return {
+    recall: sum.recall / results.length,
+    mrr: sum.mrr / results.length,
+    ndcg: sum.ndcg / results.length
+  };
+}
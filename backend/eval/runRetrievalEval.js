@@ -0,0 +1,219 @@
+/**
+ * Offline retrieval evaluation for semanticSearch.
+ *
+ * Runs every question in the golden sets against the seeded fixture corpus and
+ * reports recall@k, MRR and nDCG at document and chunk level. Embeddings are
+ * deterministic hashed vectors and storage is in memory, so no network or API
+ * keys are needed. Exits non-zero when a golden set misses its thresholds.
+ *
+ * Usage:
+ *   node eval/runRetrievalEval.js [--golden <file|dir>] [--corpus <file>]
+ *                                 [--mode documents|chunks|all] [--k <n>] [--json]
+ *
+ * Golden set format (one JSON file per client):
+ *   {
+ *     "clientId": "client-northwind",
+ *     "k": 5,
+ *     "thresholds": {
+ *       "documents": { "recall": 0.8, "mrr": 0.7 },
+ *       "chunks": { "recall": 0.8, "mrr": 0.7 }
+ *     },
+ *     "questions": [
+ *       { "id": "q1-roas", "question": "...", "mode": "chunks",
+ *         "expected": { "documentIds": ["..."], "chunkText": ["..."] } }
+ *     ]
+ *   }
+ * Thresholds apply to the document- and chunk-level averages of every mode
+ * that ran. A question's own `mode` is used unless --mode is given.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFixtureClient, hashedEmbedding, HASHED_EMBEDDING_MODEL } from './fixtureStore.js';
+import {
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  documentRelevance,
+  chunkTextRelevance,
+  averageMetrics
+} from './metrics.js';
+
+const EVAL_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// semanticSearch's imports build the Supabase and OpenAI clients at load time.
+// Placeholders keep them from throwing; neither service is called during the eval.
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SECRET_KEY ||= 'offline-eval';
+process.env.OPENAI_API_KEY ||= 'offline-eval';
+process.env.ANTHROPIC_API_KEY ||= 'offline-eval';
+
+function parseArgs(argv) {
+  const args = {
+    golden: path.join(EVAL_DIR, 'golden'),
+    corpus: path.join(EVAL_DIR, 'fixtures', 'corpus.json'),
+    mode: null,
+    k: null,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--golden') args.golden = path.resolve(argv[++i]);
+    else if (arg === '--corpus') args.corpus = path.resolve(argv[++i]);
+    else if (arg === '--mode') args.mode = argv[++i];
+    else if (arg === '--k') args.k = parseInt(argv[++i]);
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (args.mode && !['documents', 'chunks', 'all'].includes(args.mode)) {
+    throw new Error(`--mode must be documents, chunks or all (got ${args.mode})`);
+  }
+  if (args.k !== null && !(args.k > 0)) {
+    throw new Error('--k must be a positive number');
+  }
+  return args;
+}
+
+async function loadGoldenSets(target) {
+  const stat = await fs.stat(target);
+  const files = stat.isDirectory()
+    ? (await fs.readdir(target)).filter(f => f.endsWith('.json')).sort().map(f => path.join(target, f))
+    : [target];
+
+  const sets = [];
+  for (const file of files) {
+    const golden = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (!golden.clientId || !Array.isArray(golden.questions)) {
+      throw new Error(`${path.basename(file)}: golden set needs clientId and questions`);
+    }
+    sets.push({ ...golden, name: path.basename(file, '.json') });
+  }
+  return sets;
+}
+
+/**
+ * Score one retrieval result against its expectations. A level with no
+ * expectations is reported as null and left out of the averages.
+ */
+function scoreResult(result, expected, k) {
+  const expectedDocs = expected.documentIds || [];
+  const expectedText = expected.chunkText || [];
+
+  const docRelevance = documentRelevance(result.documents, expectedDocs);
+  const chunkRelevance = chunkTextRelevance(result.chunks, expectedText);
+
+  return {
+    documents: expectedDocs.length === 0 ? null : {
+      recall: recallAtK(docRelevance, expectedDocs.length, k),
+      mrr: reciprocalRank(docRelevance),
+      ndcg: ndcgAtK(docRelevance, expectedDocs.length, k)
+    },
+    chunks: expectedText.length === 0 ? null : {
+      recall: recallAtK(chunkRelevance, expectedText.length, k),
+      mrr: reciprocalRank(chunkRelevance),
+      ndcg: ndcgAtK(chunkRelevance, expectedText.length, k)
+    }
+  };
+}
+
+async function evaluateSet(golden, semanticSearch, args) {
+  const k = args.k || golden.k || 5;
+  const questions = [];
+
+  for (const q of golden.questions) {
+    const modes = args.mode === 'all'
+      ? ['documents', 'chunks']
+      : [args.mode || q.mode || 'documents'];
+
+    for (const mode of modes) {
+      const result = await semanticSearch(golden.clientId, q.question, k, { mode });
+      questions.push({
+        id: q.id,
+        mode,
+        question: q.question,
+        retrieved: result.documents.map(d => d.id),
+        ...scoreResult(result, q.expected || {}, k)
+      });
+    }
+  }
+
+  // A level no question has expectations for is null, so its thresholds don't apply
+  const average = (scores) => (scores.length > 0 ? averageMetrics(scores) : null);
+  const summary = {};
+  for (const mode of [...new Set(questions.map(q => q.mode))]) {
+    const ofMode = questions.filter(q => q.mode === mode);
+    summary[mode] = {
+      documents: average(ofMode.map(q => q.documents).filter(Boolean)),
+      chunks: average(ofMode.map(q => q.chunks).filter(Boolean))
+    };
+  }
+
+  const thresholds = golden.thresholds || {};
+  const failures = [];
+  for (const [mode, levels] of Object.entries(summary)) {
+    for (const [level, minimums] of Object.entries(thresholds)) {
+      for (const [metric, min] of Object.entries(minimums)) {
+        const value = levels[level]?.[metric];
+        if (value !== undefined && value < min) {
+          failures.push(`${mode} mode, ${level} ${metric} ${value.toFixed(3)} < ${min}`);
+        }
+      }
+    }
+  }
+
+  return { name: golden.name, clientId: golden.clientId, k, questions, summary, failures };
+}
+
+function formatMetrics(m) {
+  if (!m) return '   -      -      -  ';
+  return [m.recall, m.mrr, m.ndcg].map(v => v.toFixed(3).padStart(6)).join(' ');
+}
+
+function printReport(reports) {
+  for (const report of reports) {
+    console.log(`\n${report.name} (${report.clientId}), k=${report.k}`);
+    console.log(`  ${'question'.padEnd(26)} ${'mode'.padEnd(10)} docs: R@k    MRR   nDCG | chunks: R@k  MRR   nDCG`);
+    for (const q of report.questions) {
+      console.log(`  ${q.id.padEnd(26)} ${q.mode.padEnd(10)} ${formatMetrics(q.documents)} | ${formatMetrics(q.chunks)}`);
+    }
+    for (const [mode, levels] of Object.entries(report.summary)) {
+      console.log(`  ${'MEAN'.padEnd(26)} ${mode.padEnd(10)} ${formatMetrics(levels.documents)} | ${formatMetrics(levels.chunks)}`);
+    }
+    if (report.failures.length > 0) {
+      console.log(`  FAILED thresholds: ${report.failures.join('; ')}`);
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const { semanticSearch, setSearchBackends } = await import('../services/semanticSearch.js');
+  const corpus = JSON.parse(await fs.readFile(args.corpus, 'utf8'));
+  setSearchBackends({ client: await createFixtureClient(corpus), embed: hashedEmbedding, model: HASHED_EMBEDDING_MODEL });
+
+  const goldenSets = await loadGoldenSets(args.golden);
+  const reports = [];
+  for (const golden of goldenSets) {
+    reports.push(await evaluateSet(golden, semanticSearch, args));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    printReport(reports);
+  }
+
+  const failed = reports.filter(r => r.failures.length > 0);
+  if (failed.length > 0) {
+    console.error(`\nRetrieval eval failed for: ${failed.map(r => r.name).join(', ')}`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('Retrieval eval error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,25 @@
+-- Migration: Agency-level search access
+-- Run this in your Supabase SQL editor
+--
+-- Agency search and chat (routes/agency.js) answer across many clients at once.
+-- Team members only get results from the clients this table allows: every client,
+-- or the clients in their pods. Users without a row can't use agency search;
+-- requests made with the API key search every client.
+
+CREATE TABLE IF NOT EXISTS team_access (
+  email TEXT PRIMARY KEY,
+  all_clients BOOLEAN NOT NULL DEFAULT false,
+  pod_numbers INTEGER[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Example: leadership sees everything, a pod lead sees pods 1 and 2
+-- INSERT INTO team_access (email, all_clients) VALUES ('ceo@dodekadigital.com', true);
+-- INSERT INTO team_access (email, pod_numbers) VALUES ('lead@dodekadigital.com', '{1,2}');
+
+-- Comments
+COMMENT ON TABLE team_access IS 'Which clients each team member can search at agency level';
+COMMENT ON COLUMN team_access.email IS 'Team member email (lowercase), as in Supabase Auth';
+COMMENT ON COLUMN team_access.all_clients IS 'Can search every client';
+COMMENT ON COLUMN team_access.pod_numbers IS 'Pods (clients.pod_number) the member can search when all_clients is false';
@@ -0,0 +1,12 @@
+-- Migration: Grounding check results for chat answers
+-- Run this in your Supabase SQL editor
+--
+-- After an answer is generated, each sentence is checked against the chunks it
+-- was generated from (services/grounding.js). The per-sentence verdicts are
+-- stored with the message so the chat UI can keep marking unsupported sentences
+-- when a conversation is reopened. NULL when the check was skipped.
+
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS grounding JSONB;
+
+-- Comments
+COMMENT ON COLUMN chat_messages.grounding IS 'Per-sentence support verdicts and groundedness score (0-1) for assistant answers';
@@ -0,0 +1,123 @@
+-- Migration: Chunk locations for page- and section-level citations
+-- Requires add_embedding_model.sql and add_chunk_sections.sql.
+-- Run this in your Supabase SQL editor
+--
+-- Google Docs chunks record the ID of the heading they sit under so a citation
+-- can open docs.google.com/.../edit#heading=h.xxxx. The chunk search RPCs now
+-- also return each chunk's section, pages and heading so chat answers can cite
+-- and deep-link a specific passage instead of a whole document.
+
+ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS heading_id TEXT;
+
+-- The return type changes, so the functions have to be dropped first
+DROP FUNCTION IF EXISTS match_document_chunks(vector, UUID[], INT, UUID[], TEXT);
+
+CREATE OR REPLACE FUNCTION match_document_chunks(
+  query_embedding vector(1536),
+  match_document_ids UUID[],
+  match_count INT DEFAULT 30,
+  include_chunk_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  section_path TEXT,
+  page_start INT,
+  page_end INT,
+  heading_id TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  (
+    SELECT
+      c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+      c.section_path, c.page_start, c.page_end, c.heading_id,
+      1 - (c.embedding <=> query_embedding) AS similarity
+    FROM document_chunks c
+    WHERE c.document_id = ANY(match_document_ids)
+      AND c.embedding IS NOT NULL
+      AND (match_model IS NULL OR c.embedding_model = match_model)
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+    c.section_path, c.page_start, c.page_end, c.heading_id,
+    CASE
+      WHEN match_model IS NULL OR c.embedding_model = match_model
+        THEN COALESCE(1 - (c.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM document_chunks c
+  WHERE c.id = ANY(include_chunk_ids)
+    AND c.document_id = ANY(match_document_ids);
+$$;
+
+DROP FUNCTION IF EXISTS match_client_chunks(vector, UUID, INT, UUID[], TEXT);
+
+CREATE OR REPLACE FUNCTION match_client_chunks(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 60,
+  include_chunk_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  section_path TEXT,
+  page_start INT,
+  page_end INT,
+  heading_id TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT c.*
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  )
+  (
+    SELECT
+      s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+      s.section_path, s.page_start, s.page_end, s.heading_id,
+      1 - (s.embedding <=> query_embedding) AS similarity
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+      AND (match_model IS NULL OR s.embedding_model = match_model)
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+    s.section_path, s.page_start, s.page_end, s.heading_id,
+    CASE
+      WHEN match_model IS NULL OR s.embedding_model = match_model
+        THEN COALESCE(1 - (s.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM scoped s
+  WHERE s.id = ANY(include_chunk_ids);
+$$;
+
+-- Comments
+COMMENT ON COLUMN document_chunks.heading_id IS 'Google Docs heading ID (h.xxxx) of the section this chunk belongs to, for #heading= links';
+COMMENT ON FUNCTION match_document_chunks IS 'Nearest chunks by cosine similarity within the given documents (same model only), with section/page/heading location';
+COMMENT ON FUNCTION match_client_chunks IS 'Nearest chunks across a client corpus plus global sources (chunk-first retrieval, same model only), with section/page/heading location';
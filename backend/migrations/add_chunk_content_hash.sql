@@ -0,0 +1,91 @@
+-- Migration: Incremental chunk re-indexing on Google source sync
+-- Requires add_chunk_sections.sql, add_chunk_citations.sql and add_embedding_model.sql.
+-- Run this in your Supabase SQL editor
+--
+-- Each chunk stores a SHA-256 hash of its text. When a synced Google source
+-- changes, the new chunk set is diffed against the stored one by hash: unchanged
+-- chunks keep their embeddings, only new chunks are embedded, and removed chunks
+-- are deleted. apply_chunk_diff() makes the swap in one transaction so search
+-- never sees a half-synced document. Existing chunks have no hash yet, so their
+-- document is fully re-indexed on its next sync.
+
+ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_hash ON document_chunks(document_id, content_hash);
+
+-- Replace a document's chunk set in one transaction:
+--   delete_ids: chunks that are no longer in the document
+--   kept:       [{ id, chunk_index, start_index, end_index, section_path, heading_id, page_start, page_end }]
+--               unchanged chunks, renumbered to their new positions
+--   added:      [{ chunk_index, content, content_hash, start_index, end_index, section_path,
+--                  heading_id, page_start, page_end, embedding, embedding_model, embedding_dimensions }]
+-- Returns the document's chunk count afterwards.
+CREATE OR REPLACE FUNCTION apply_chunk_diff(
+  p_document_id UUID,
+  delete_ids UUID[] DEFAULT '{}',
+  kept JSONB DEFAULT '[]',
+  added JSONB DEFAULT '[]'
+)
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  remaining INT;
+BEGIN
+  DELETE FROM document_chunks
+  WHERE document_id = p_document_id
+    AND id = ANY(delete_ids);
+
+  UPDATE document_chunks c
+  SET chunk_index = k.chunk_index,
+      start_index = k.start_index,
+      end_index = k.end_index,
+      section_path = k.section_path,
+      heading_id = k.heading_id,
+      page_start = k.page_start,
+      page_end = k.page_end
+  FROM jsonb_to_recordset(kept) AS k(
+    id UUID,
+    chunk_index INT,
+    start_index INT,
+    end_index INT,
+    section_path TEXT,
+    heading_id TEXT,
+    page_start INT,
+    page_end INT
+  )
+  WHERE c.id = k.id
+    AND c.document_id = p_document_id;
+
+  INSERT INTO document_chunks (
+    document_id, chunk_index, content, content_hash, start_index, end_index,
+    section_path, heading_id, page_start, page_end,
+    embedding, embedding_model, embedding_dimensions
+  )
+  SELECT
+    p_document_id, a.chunk_index, a.content, a.content_hash, a.start_index, a.end_index,
+    a.section_path, a.heading_id, a.page_start, a.page_end,
+    a.embedding::vector, a.embedding_model, a.embedding_dimensions
+  FROM jsonb_to_recordset(added) AS a(
+    chunk_index INT,
+    content TEXT,
+    content_hash TEXT,
+    start_index INT,
+    end_index INT,
+    section_path TEXT,
+    heading_id TEXT,
+    page_start INT,
+    page_end INT,
+    embedding TEXT,
+    embedding_model TEXT,
+    embedding_dimensions INT
+  );
+
+  SELECT COUNT(*) INTO remaining FROM document_chunks WHERE document_id = p_document_id;
+  RETURN remaining;
+END;
+$$;
+
+-- Comments
+COMMENT ON COLUMN document_chunks.content_hash IS 'SHA-256 of the chunk text, used to reuse embeddings when a synced source changes';
+COMMENT ON FUNCTION apply_chunk_diff IS 'Atomically delete, renumber and insert chunks for one document during incremental sync';
@@ -0,0 +1,155 @@
+-- Migration: Full-text search on document chunks for hybrid (lexical + vector) retrieval
+-- Requires add_vector_search.sql. Run this in your Supabase SQL editor
+
+-- 1. Generated tsvector column + GIN index on chunk content
+ALTER TABLE document_chunks
+ADD COLUMN IF NOT EXISTS content_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_content_tsv ON document_chunks USING gin (content_tsv);
+
+-- 2. Lexical chunk search across a client's corpus (plus global sources).
+-- Quoted phrases use websearch syntax ("exact phrase"); otherwise the terms are OR-ed so a
+-- natural-language question still matches chunks that contain only some of its words.
+CREATE OR REPLACE FUNCTION match_chunks_lexical(
+  search_query TEXT,
+  match_client_id UUID,
+  match_count INT DEFAULT 30
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  rank FLOAT
+)
+LANGUAGE plpgsql STABLE
+AS $$
+DECLARE
+  q tsquery;
+BEGIN
+  IF position('"' in search_query) > 0 THEN
+    q := websearch_to_tsquery('english', search_query);
+  ELSE
+    q := replace(plainto_tsquery('english', search_query)::text, ' & ', ' | ')::tsquery;
+  END IF;
+
+  IF q IS NULL OR numnode(q) = 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.document_id,
+    c.chunk_index,
+    c.content,
+    c.start_index,
+    c.end_index,
+    ts_rank_cd(c.content_tsv, q, 32)::FLOAT AS rank
+  FROM document_chunks c
+  JOIN documents d ON d.id = c.document_id
+  WHERE (d.client_id = match_client_id OR d.is_global = true)
+    AND d.processed = true
+    AND c.content_tsv @@ q
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- 3. Let the vector RPCs also score documents/chunks found lexically, so every fused
+-- candidate carries a real cosine similarity.
+DROP FUNCTION IF EXISTS match_documents(vector, UUID, INT, TEXT[]);
+
+CREATE OR REPLACE FUNCTION match_documents(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 40,
+  title_terms TEXT[] DEFAULT '{}',
+  include_document_ids UUID[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id UUID,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT d.id, d.embedding, d.title, d.file_name
+    FROM documents d
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  ),
+  nearest AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  titled AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE EXISTS (
+      SELECT 1 FROM unnest(title_terms) AS t(term)
+      WHERE s.title ILIKE '%' || t.term || '%'
+         OR s.file_name ILIKE '%' || t.term || '%'
+    )
+    LIMIT match_count
+  )
+  SELECT
+    s.id,
+    COALESCE(1 - (s.embedding <=> query_embedding), 0) AS similarity
+  FROM scoped s
+  WHERE s.id IN (
+    SELECT nearest.id FROM nearest
+    UNION SELECT titled.id FROM titled
+    UNION SELECT unnest(include_document_ids)
+  );
+$$;
+
+DROP FUNCTION IF EXISTS match_document_chunks(vector, UUID[], INT);
+
+CREATE OR REPLACE FUNCTION match_document_chunks(
+  query_embedding vector(1536),
+  match_document_ids UUID[],
+  match_count INT DEFAULT 30,
+  include_chunk_ids UUID[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  (
+    SELECT
+      c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+      1 - (c.embedding <=> query_embedding) AS similarity
+    FROM document_chunks c
+    WHERE c.document_id = ANY(match_document_ids)
+      AND c.embedding IS NOT NULL
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+    COALESCE(1 - (c.embedding <=> query_embedding), 0) AS similarity
+  FROM document_chunks c
+  WHERE c.id = ANY(include_chunk_ids)
+    AND c.document_id = ANY(match_document_ids);
+$$;
+
+-- Comments
+COMMENT ON COLUMN document_chunks.content_tsv IS 'English full-text vector of the chunk content for lexical retrieval';
+COMMENT ON FUNCTION match_chunks_lexical IS 'Lexical chunk search (ts_rank_cd) scoped to a client plus global sources';
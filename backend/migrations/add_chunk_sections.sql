@@ -0,0 +1,17 @@
+-- Migration: Section and page metadata on document chunks
+-- Run this in your Supabase SQL editor
+--
+-- DOCX and PDF sources are now extracted as markdown (headings, pipe tables,
+-- page markers) and chunked along section boundaries. Each chunk records the
+-- heading path it sits under and the PDF pages it spans, so answers can cite
+-- "Pricing > Enterprise tier, p.4" instead of just the document title.
+-- Existing chunks keep NULLs until their document is re-processed.
+
+ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS section_path TEXT;
+ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS page_start INTEGER;
+ALTER TABLE document_chunks ADD COLUMN IF NOT EXISTS page_end INTEGER;
+
+-- Comments
+COMMENT ON COLUMN document_chunks.section_path IS 'Heading path of the section this chunk belongs to, e.g. "Pricing > Enterprise tier"';
+COMMENT ON COLUMN document_chunks.page_start IS 'First PDF page the chunk covers (NULL for non-paged sources)';
+COMMENT ON COLUMN document_chunks.page_end IS 'Last PDF page the chunk covers';
@@ -0,0 +1,50 @@
+-- Migration: Chunk-first retrieval across a client's whole corpus
+-- Requires add_vector_search.sql. Run this in your Supabase SQL editor
+
+-- Nearest chunks for a client (plus global sources), regardless of how the parent
+-- document's summary ranks. include_chunk_ids adds lexical hits so they get a real
+-- cosine similarity alongside the vector neighbours.
+CREATE OR REPLACE FUNCTION match_client_chunks(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 60,
+  include_chunk_ids UUID[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT c.*
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  )
+  (
+    SELECT
+      s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+      1 - (s.embedding <=> query_embedding) AS similarity
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+    COALESCE(1 - (s.embedding <=> query_embedding), 0) AS similarity
+  FROM scoped s
+  WHERE s.id = ANY(include_chunk_ids);
+$$;
+
+COMMENT ON FUNCTION match_client_chunks IS 'Nearest chunks across a client corpus plus global sources (chunk-first retrieval)';
@@ -0,0 +1,29 @@
+-- Migration: Client memory facts learned from chats
+-- Run this in your Supabase SQL editor
+--
+-- Durable facts about a client ("never use the word 'cheap'", "fiscal year starts
+-- in April") are proposed by the model from chat messages or added by the team
+-- with "remember this" (services/clientMemory.js). Approved facts are included in
+-- chat, agent and ad generation prompts. Each fact records where it came from.
+
+CREATE TABLE IF NOT EXISTS client_memories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  fact TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'approved')),
+  source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('user', 'model')),
+  conversation_id UUID,
+  message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_memories_client_status ON client_memories(client_id, status);
+
+-- Comments
+COMMENT ON TABLE client_memories IS 'Facts about a client remembered across conversations; only approved facts reach prompts';
+COMMENT ON COLUMN client_memories.status IS 'proposed (waiting for review) or approved';
+COMMENT ON COLUMN client_memories.source IS 'user (added with "remember this") or model (proposed from a chat message)';
+COMMENT ON COLUMN client_memories.conversation_id IS 'Conversation the fact came from';
+COMMENT ON COLUMN client_memories.message_id IS 'Chat message the fact came from';
@@ -0,0 +1,27 @@
+-- Migration: Rolling conversation summaries
+-- Run this in your Supabase SQL editor
+--
+-- Chat sends only the most recent messages to the model. Every few turns the
+-- older part of a conversation is folded into a running summary
+-- (services/conversationSummary.js) that is added to the system prompt and used
+-- to enrich retrieval for follow-up questions. Users can view and edit it from
+-- the chat history panel.
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  conversation_id UUID PRIMARY KEY,
+  client_id UUID NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  summarized_until TIMESTAMPTZ,
+  message_count INTEGER DEFAULT 0,
+  edited_by_user BOOLEAN DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_summaries_client ON conversation_summaries(client_id);
+
+-- Comments
+COMMENT ON TABLE conversation_summaries IS 'Running summary of each chat conversation, refreshed every CHAT_SUMMARY_TURNS user turns';
+COMMENT ON COLUMN conversation_summaries.summarized_until IS 'created_at of the last chat message folded into the summary';
+COMMENT ON COLUMN conversation_summaries.message_count IS 'Number of chat messages the summary covers';
+COMMENT ON COLUMN conversation_summaries.edited_by_user IS 'True when the summary text was last written by a user rather than generated';
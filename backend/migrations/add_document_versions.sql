@@ -0,0 +1,35 @@
+-- Migration: Document version history
+-- Run this in your Supabase SQL editor
+--
+-- Every time a document is indexed with new content (first ingest, or a sync
+-- that changed it), the text is kept as a numbered version with its SHA-256
+-- fingerprint, title and timestamp (see services/documentVersions.js). Versions
+-- can be diffed from the Sources panel, and chat answers store the version of
+-- each source they were grounded in. The oldest versions past
+-- DOCUMENT_VERSION_LIMIT (default 50) are pruned.
+--
+-- documents.content_hash switches from a 32-bit hash to SHA-256 at the same
+-- time. Existing hashes are upgraded on the next sync without re-indexing when
+-- the content is unchanged. Documents indexed before this migration get their
+-- first version the next time they are processed.
+
+CREATE TABLE IF NOT EXISTS document_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+  version_number INTEGER NOT NULL,
+  content_hash VARCHAR(64) NOT NULL,
+  title TEXT,
+  content TEXT NOT NULL,
+  content_length INTEGER NOT NULL DEFAULT 0,
+  source_modified_time TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (document_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_document ON document_versions(document_id, version_number DESC);
+
+-- Comments
+COMMENT ON TABLE document_versions IS 'Text snapshot of each distinct content a document has been indexed with';
+COMMENT ON COLUMN document_versions.content_hash IS 'SHA-256 (hex) of content';
+COMMENT ON COLUMN document_versions.source_modified_time IS 'Drive modifiedTime of the source when this version was indexed, if known';
+COMMENT ON COLUMN documents.content_hash IS 'SHA-256 (hex) of the fetched content for Google sources, Drive md5Checksum for PDFs and DOCX files from Drive folders';
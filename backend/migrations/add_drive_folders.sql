@@ -0,0 +1,231 @@
+-- Migration: Google Drive folder sources
+-- Requires add_chunk_citations.sql and add_chunk_fulltext_search.sql.
+-- Run this in your Supabase SQL editor
+--
+-- A Drive folder can be added as one source. Its Docs, Sheets, Slides, PDFs and
+-- DOCX files (in subfolders too) are ingested as child documents in the folder's
+-- group, and every sync of the folder (manual or scheduled, see
+-- services/googleSync.js) adds new files, re-syncs changed ones and tombstones
+-- files that left the folder. Tombstoned documents keep their chunks but are
+-- hidden from the sources list and search; they come back if the file returns.
+
+-- 1. Folder sources
+CREATE TABLE IF NOT EXISTS drive_folders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  folder_id VARCHAR(255) NOT NULL,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  custom_group TEXT NOT NULL,
+  is_global BOOLEAN NOT NULL DEFAULT FALSE,
+  sync_interval_minutes INTEGER,
+  last_sync_check TIMESTAMP WITH TIME ZONE,
+  last_synced TIMESTAMP WITH TIME ZONE,
+  file_count INTEGER NOT NULL DEFAULT 0,
+  owner_client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  UNIQUE (client_id, folder_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drive_folders_client ON drive_folders(client_id);
+
+-- Global folders have no client_id, and NULLs never conflict in the UNIQUE above
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_folders_global_folder ON drive_folders(folder_id) WHERE client_id IS NULL;
+
+-- 2. Child documents
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS drive_folder_id UUID REFERENCES drive_folders(id) ON DELETE CASCADE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS drive_path TEXT;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_documents_drive_folder ON documents(drive_folder_id) WHERE drive_folder_id IS NOT NULL;
+
+-- 3. Folder totals in the sync history
+ALTER TABLE google_sync_runs ADD COLUMN IF NOT EXISTS added INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE google_sync_runs ADD COLUMN IF NOT EXISTS removed INTEGER NOT NULL DEFAULT 0;
+
+-- 4. Keep tombstoned documents out of search even if a processing job that was
+-- already running marks one processed. Same definitions as in
+-- add_embedding_model.sql, add_chunk_citations.sql and
+-- add_chunk_fulltext_search.sql, plus the deleted_at filter.
+CREATE OR REPLACE FUNCTION match_documents(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 40,
+  title_terms TEXT[] DEFAULT '{}',
+  include_document_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT d.id, d.embedding, d.embedding_model, d.title, d.file_name
+    FROM documents d
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+      AND d.deleted_at IS NULL
+  ),
+  nearest AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+      AND (match_model IS NULL OR s.embedding_model = match_model)
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  titled AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE EXISTS (
+      SELECT 1 FROM unnest(title_terms) AS t(term)
+      WHERE s.title ILIKE '%' || t.term || '%'
+         OR s.file_name ILIKE '%' || t.term || '%'
+    )
+    LIMIT match_count
+  )
+  SELECT
+    s.id,
+    CASE
+      WHEN match_model IS NULL OR s.embedding_model = match_model
+        THEN COALESCE(1 - (s.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM scoped s
+  WHERE s.id IN (
+    SELECT nearest.id FROM nearest
+    UNION SELECT titled.id FROM titled
+    UNION SELECT unnest(include_document_ids)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION match_client_chunks(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 60,
+  include_chunk_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  section_path TEXT,
+  page_start INT,
+  page_end INT,
+  heading_id TEXT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT c.*
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+      AND d.deleted_at IS NULL
+  )
+  (
+    SELECT
+      s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+      s.section_path, s.page_start, s.page_end, s.heading_id,
+      1 - (s.embedding <=> query_embedding) AS similarity
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+      AND (match_model IS NULL OR s.embedding_model = match_model)
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+    s.section_path, s.page_start, s.page_end, s.heading_id,
+    CASE
+      WHEN match_model IS NULL OR s.embedding_model = match_model
+        THEN COALESCE(1 - (s.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM scoped s
+  WHERE s.id = ANY(include_chunk_ids);
+$$;
+
+-- matches_all is true when the chunk has every query term (or the quoted
+-- phrase); only those hits are kept below the vector similarity cutoff.
+DROP FUNCTION IF EXISTS match_chunks_lexical(TEXT, UUID, INT);
+
+CREATE OR REPLACE FUNCTION match_chunks_lexical(
+  search_query TEXT,
+  match_client_id UUID,
+  match_count INT DEFAULT 30
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  rank FLOAT,
+  matches_all BOOLEAN
+)
+LANGUAGE plpgsql STABLE
+AS $$
+DECLARE
+  q tsquery;
+  all_terms tsquery;
+BEGIN
+  IF position('"' in search_query) > 0 THEN
+    q := websearch_to_tsquery('english', search_query);
+    all_terms := q;
+  ELSE
+    all_terms := plainto_tsquery('english', search_query);
+    q := replace(all_terms::text, ' & ', ' | ')::tsquery;
+  END IF;
+
+  IF q IS NULL OR numnode(q) = 0 THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    c.id,
+    c.document_id,
+    c.chunk_index,
+    c.content,
+    c.start_index,
+    c.end_index,
+    ts_rank_cd(c.content_tsv, q, 32)::FLOAT AS rank,
+    c.content_tsv @@ all_terms AS matches_all
+  FROM document_chunks c
+  JOIN documents d ON d.id = c.document_id
+  WHERE (d.client_id = match_client_id OR d.is_global = true)
+    AND d.processed = true
+    AND d.deleted_at IS NULL
+    AND c.content_tsv @@ q
+  ORDER BY rank DESC
+  LIMIT match_count;
+END;
+$$;
+
+-- Comments
+COMMENT ON TABLE drive_folders IS 'Google Drive folders watched as sources; their files are ingested as documents with drive_folder_id set';
+COMMENT ON COLUMN drive_folders.folder_id IS 'Drive folder ID from the folder URL';
+COMMENT ON COLUMN drive_folders.custom_group IS 'Group given to the folder''s documents (defaults to the folder name)';
+COMMENT ON COLUMN drive_folders.owner_client_id IS 'Client that added a global folder; it is synced on that client''s schedule';
+COMMENT ON COLUMN drive_folders.file_count IS 'Supported files found in the folder tree at the last sync';
+COMMENT ON COLUMN documents.drive_folder_id IS 'Drive folder source this document was found in (NULL for standalone sources)';
+COMMENT ON COLUMN documents.drive_path IS 'Subfolder path inside the Drive folder source, e.g. "Reports/2024" (NULL at the top level)';
+COMMENT ON COLUMN documents.deleted_at IS 'When the file was last missing from its Drive folder (tombstone); NULL while it is present';
+COMMENT ON COLUMN google_sync_runs.added IS 'Files found in watched Drive folders for the first time (or again) during the run';
+COMMENT ON COLUMN google_sync_runs.removed IS 'Files tombstoned because they left their Drive folder during the run';
+COMMENT ON FUNCTION match_chunks_lexical IS 'Lexical chunk search (ts_rank_cd) scoped to a client plus global sources; matches_all marks chunks with every query term or the quoted phrase';
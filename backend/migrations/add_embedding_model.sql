@@ -0,0 +1,192 @@
+-- Migration: Record which embedding model produced each vector
+-- Requires add_vector_search.sql, add_chunk_fulltext_search.sql and add_client_chunk_search.sql.
+-- Run this in your Supabase SQL editor
+--
+-- Vectors from different models live in different spaces, so the match_* RPCs now take
+-- match_model and only compare vectors produced by that model. Smaller models are stored
+-- zero-padded to 1536 dimensions (see services/embeddingProvider.js); embedding_dimensions
+-- keeps the model's native size.
+
+-- 1. Model + native dimension columns
+ALTER TABLE documents
+ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+ADD COLUMN IF NOT EXISTS embedding_dimensions INT;
+
+ALTER TABLE document_chunks
+ADD COLUMN IF NOT EXISTS embedding_model TEXT,
+ADD COLUMN IF NOT EXISTS embedding_dimensions INT;
+
+-- 2. Everything embedded so far came from OpenAI text-embedding-3-small
+UPDATE documents
+SET embedding_model = 'text-embedding-3-small', embedding_dimensions = 1536
+WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+UPDATE document_chunks
+SET embedding_model = 'text-embedding-3-small', embedding_dimensions = 1536
+WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+-- Used by the re-embed job to find rows from other models
+CREATE INDEX IF NOT EXISTS idx_documents_embedding_model ON documents(embedding_model);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding_model ON document_chunks(embedding_model);
+
+-- 3. Model-aware search RPCs. A NULL match_model compares every vector (old behaviour).
+DROP FUNCTION IF EXISTS match_documents(vector, UUID, INT, TEXT[], UUID[]);
+
+CREATE OR REPLACE FUNCTION match_documents(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 40,
+  title_terms TEXT[] DEFAULT '{}',
+  include_document_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT d.id, d.embedding, d.embedding_model, d.title, d.file_name
+    FROM documents d
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  ),
+  nearest AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+      AND (match_model IS NULL OR s.embedding_model = match_model)
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  titled AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE EXISTS (
+      SELECT 1 FROM unnest(title_terms) AS t(term)
+      WHERE s.title ILIKE '%' || t.term || '%'
+         OR s.file_name ILIKE '%' || t.term || '%'
+    )
+    LIMIT match_count
+  )
+  SELECT
+    s.id,
+    CASE
+      WHEN match_model IS NULL OR s.embedding_model = match_model
+        THEN COALESCE(1 - (s.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM scoped s
+  WHERE s.id IN (
+    SELECT nearest.id FROM nearest
+    UNION SELECT titled.id FROM titled
+    UNION SELECT unnest(include_document_ids)
+  );
+$$;
+
+DROP FUNCTION IF EXISTS match_document_chunks(vector, UUID[], INT, UUID[]);
+
+CREATE OR REPLACE FUNCTION match_document_chunks(
+  query_embedding vector(1536),
+  match_document_ids UUID[],
+  match_count INT DEFAULT 30,
+  include_chunk_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  (
+    SELECT
+      c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+      1 - (c.embedding <=> query_embedding) AS similarity
+    FROM document_chunks c
+    WHERE c.document_id = ANY(match_document_ids)
+      AND c.embedding IS NOT NULL
+      AND (match_model IS NULL OR c.embedding_model = match_model)
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    c.id, c.document_id, c.chunk_index, c.content, c.start_index, c.end_index,
+    CASE
+      WHEN match_model IS NULL OR c.embedding_model = match_model
+        THEN COALESCE(1 - (c.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM document_chunks c
+  WHERE c.id = ANY(include_chunk_ids)
+    AND c.document_id = ANY(match_document_ids);
+$$;
+
+DROP FUNCTION IF EXISTS match_client_chunks(vector, UUID, INT, UUID[]);
+
+CREATE OR REPLACE FUNCTION match_client_chunks(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 60,
+  include_chunk_ids UUID[] DEFAULT '{}',
+  match_model TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT c.*
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  )
+  (
+    SELECT
+      s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+      1 - (s.embedding <=> query_embedding) AS similarity
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+      AND (match_model IS NULL OR s.embedding_model = match_model)
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  )
+  UNION
+  SELECT
+    s.id, s.document_id, s.chunk_index, s.content, s.start_index, s.end_index,
+    CASE
+      WHEN match_model IS NULL OR s.embedding_model = match_model
+        THEN COALESCE(1 - (s.embedding <=> query_embedding), 0)
+      ELSE 0
+    END AS similarity
+  FROM scoped s
+  WHERE s.id = ANY(include_chunk_ids);
+$$;
+
+-- Comments
+COMMENT ON COLUMN documents.embedding_model IS 'Embedding model that produced documents.embedding (e.g. text-embedding-3-small)';
+COMMENT ON COLUMN documents.embedding_dimensions IS 'Native dimension of the model; shorter vectors are zero-padded to 1536';
+COMMENT ON COLUMN document_chunks.embedding_model IS 'Embedding model that produced document_chunks.embedding';
+COMMENT ON COLUMN document_chunks.embedding_dimensions IS 'Native dimension of the model; shorter vectors are zero-padded to 1536';
+COMMENT ON FUNCTION match_documents IS 'Candidate documents for semantic search: nearest by embedding (same model only) plus title and lexical matches';
+COMMENT ON FUNCTION match_document_chunks IS 'Nearest chunks by cosine similarity within the given documents (same model only)';
+COMMENT ON FUNCTION match_client_chunks IS 'Nearest chunks across a client corpus plus global sources (chunk-first retrieval, same model only)';
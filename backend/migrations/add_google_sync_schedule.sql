@@ -0,0 +1,47 @@
+-- Migration: Scheduled sync of Google sources
+-- Run this in your Supabase SQL editor
+--
+-- The server checks Google Docs and Sheets for changes on a schedule (see
+-- services/googleSync.js) instead of only when someone presses Sync. Each source
+-- is checked every sync_interval_minutes, falling back to its client's
+-- google_sync_interval_minutes and then GOOGLE_SYNC_INTERVAL_MINUTES; 0 turns
+-- automatic sync off. When Drive metadata is readable, an unchanged modifiedTime
+-- skips downloading the content. Every manual or scheduled run is recorded in
+-- google_sync_runs for the sync history in the Sources panel. A global source
+-- is checked on the schedule of the client that added it (owner_client_id);
+-- runs of global sources added before that have no client and are listed in
+-- every client's history.
+
+-- 1. Per-source schedule and change tracking
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS sync_interval_minutes INTEGER;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS last_sync_check TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS google_modified_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS owner_client_id UUID REFERENCES clients(id) ON DELETE SET NULL;
+
+-- 2. Per-client default
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS google_sync_interval_minutes INTEGER;
+
+-- 3. Sync history
+CREATE TABLE IF NOT EXISTS google_sync_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  trigger VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (trigger IN ('manual', 'scheduled')),
+  checked INTEGER NOT NULL DEFAULT 0,
+  changed INTEGER NOT NULL DEFAULT 0,
+  unchanged INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]', -- [{ "docId": "...", "fileName": "...", "error": "..." }]
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE,
+  duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_google_sync_runs_client ON google_sync_runs(client_id, started_at DESC);
+
+-- Comments
+COMMENT ON COLUMN documents.sync_interval_minutes IS 'Minutes between automatic sync checks for this Google source (NULL = client default, 0 = off)';
+COMMENT ON COLUMN documents.last_sync_check IS 'When the source was last checked for changes, whether or not it had changed';
+COMMENT ON COLUMN documents.google_modified_time IS 'Drive modifiedTime at the last check, used to skip unchanged sources without downloading them';
+COMMENT ON COLUMN documents.owner_client_id IS 'Client that added a global source; its scheduled checks use that client''s interval and appear in its sync history';
+COMMENT ON COLUMN clients.google_sync_interval_minutes IS 'Default minutes between automatic sync checks for this client''s Google sources (NULL = server default, 0 = off)';
+COMMENT ON TABLE google_sync_runs IS 'History of manual and scheduled Google source sync runs per client';
@@ -0,0 +1,18 @@
+-- Migration: OCR confidence for image and scanned-PDF sources
+-- Run this in your Supabase SQL editor
+--
+-- Text for images and PDFs without a usable text layer now comes from OCR
+-- (services/ocr.js). These columns record how confident the OCR engine was so
+-- poorly recognized documents can be reviewed. They stay NULL/false for
+-- documents whose text was extracted directly.
+
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_confidence REAL; -- mean page confidence, 0-100
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_pages JSONB; -- [{ "page": 1, "confidence": 87 }, ...]
+ALTER TABLE documents ADD COLUMN IF NOT EXISTS ocr_low_confidence BOOLEAN DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_documents_ocr_low_confidence ON documents(ocr_low_confidence) WHERE ocr_low_confidence = true;
+
+-- Comments
+COMMENT ON COLUMN documents.ocr_confidence IS 'Mean OCR confidence (0-100) across recognized pages; NULL when text was not OCR''d';
+COMMENT ON COLUMN documents.ocr_pages IS 'Per-page OCR confidence';
+COMMENT ON COLUMN documents.ocr_low_confidence IS 'True when OCR confidence fell below OCR_LOW_CONFIDENCE and the text may be unreliable';
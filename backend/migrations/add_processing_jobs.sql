@@ -0,0 +1,66 @@
+-- Migration: Durable background job queue for document processing
+-- Run this in your Supabase SQL editor
+--
+-- Uploads and Google syncs enqueue a job here instead of processing in-process.
+-- The worker loop in services/jobQueue.js claims jobs with claim_processing_job(),
+-- so a container restart mid-processing leaves a job that is picked up again.
+
+CREATE TABLE IF NOT EXISTS processing_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+  document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+  job_type VARCHAR(50) NOT NULL, -- 'process_file', 'process_google'
+  payload JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- not before; pushed back on retry
+  locked_at TIMESTAMP WITH TIME ZONE, -- heartbeat while running
+  locked_by TEXT,
+  last_error TEXT,
+  progress JSONB, -- e.g. { "stage": "embedding", "done": 64, "total": 200 }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- A cancel on a running job is a request the worker acts on at the job's next
+-- progress report (see cancelJob)
+ALTER TABLE processing_jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_claim ON processing_jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_client ON processing_jobs(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_processing_jobs_document ON processing_jobs(document_id);
+
+-- Claim the next runnable job for a worker. Also reclaims jobs whose worker stopped
+-- heartbeating (e.g. the container restarted mid-job). SKIP LOCKED lets several
+-- workers poll without claiming the same job.
+CREATE OR REPLACE FUNCTION claim_processing_job(
+  worker_id TEXT,
+  stale_after INTERVAL DEFAULT INTERVAL '10 minutes'
+)
+RETURNS SETOF processing_jobs
+LANGUAGE sql
+AS $$
+  UPDATE processing_jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      locked_at = NOW(),
+      locked_by = worker_id,
+      updated_at = NOW()
+  WHERE id = (
+    SELECT id FROM processing_jobs
+    WHERE (status = 'queued' AND run_at <= NOW())
+       OR (status = 'running' AND locked_at < NOW() - stale_after)
+    ORDER BY run_at
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+$$;
+
+-- Comments
+COMMENT ON TABLE processing_jobs IS 'Durable queue of document processing jobs (uploads, Google adds and syncs)';
+COMMENT ON COLUMN processing_jobs.cancel_requested IS 'Cancel requested while running; the worker marks the job cancelled at its next progress report';
+COMMENT ON FUNCTION claim_processing_job IS 'Atomically claim the next queued (or stale running) processing job for a worker';
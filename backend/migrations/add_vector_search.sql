@@ -0,0 +1,128 @@
+-- Migration: Native pgvector embeddings + nearest-neighbour search RPCs
+-- Converts the JSON-stringified TEXT embeddings on documents and document_chunks
+-- to vector(1536) columns and adds the match_* functions used by services/semanticSearch.js
+-- Run this in your Supabase SQL editor
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- 1. Backfill: convert existing JSON-string embeddings in place.
+-- pgvector parses the '[0.1,0.2,...]' text that JSON.stringify produces, so a plain cast works.
+-- Empty or wrongly-sized vectors are cleared first so the cast can't fail; those rows simply
+-- drop out of search until they are re-synced.
+DO $$
+BEGIN
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'documents' AND column_name = 'embedding') = 'text' THEN
+    UPDATE documents SET embedding = NULL
+    WHERE embedding IS NOT NULL
+      AND (embedding IN ('', '[]') OR json_array_length(embedding::json) <> 1536);
+
+    ALTER TABLE documents
+      ALTER COLUMN embedding TYPE vector(1536) USING embedding::vector(1536);
+  END IF;
+
+  IF (SELECT data_type FROM information_schema.columns
+      WHERE table_name = 'document_chunks' AND column_name = 'embedding') = 'text' THEN
+    UPDATE document_chunks SET embedding = NULL
+    WHERE embedding IS NOT NULL
+      AND (embedding IN ('', '[]') OR json_array_length(embedding::json) <> 1536);
+
+    ALTER TABLE document_chunks
+      ALTER COLUMN embedding TYPE vector(1536) USING embedding::vector(1536);
+  END IF;
+END $$;
+
+-- 2. HNSW indexes for cosine distance
+CREATE INDEX IF NOT EXISTS idx_documents_embedding ON documents
+  USING hnsw (embedding vector_cosine_ops)
+  WITH (m = 16, ef_construction = 64);
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_embedding ON document_chunks
+  USING hnsw (embedding vector_cosine_ops)
+  WITH (m = 16, ef_construction = 64);
+
+-- 3. Candidate documents for a client (plus global sources).
+-- Returns the nearest documents by summary embedding, plus any document whose title or
+-- file name contains one of title_terms, so an exact title reference is never lost just
+-- because its summary embedding ranks low. Boosts are applied in Node on this candidate set.
+CREATE OR REPLACE FUNCTION match_documents(
+  query_embedding vector(1536),
+  match_client_id UUID,
+  match_count INT DEFAULT 40,
+  title_terms TEXT[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id UUID,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+-- The client filter is applied after the HNSW scan, so widen the scan to keep enough rows
+SET hnsw.ef_search = 200
+AS $$
+  WITH scoped AS (
+    SELECT d.id, d.embedding, d.title, d.file_name
+    FROM documents d
+    WHERE (d.client_id = match_client_id OR d.is_global = true)
+      AND d.processed = true
+  ),
+  nearest AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE s.embedding IS NOT NULL
+    ORDER BY s.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  titled AS (
+    SELECT s.id
+    FROM scoped s
+    WHERE EXISTS (
+      SELECT 1 FROM unnest(title_terms) AS t(term)
+      WHERE s.title ILIKE '%' || t.term || '%'
+         OR s.file_name ILIKE '%' || t.term || '%'
+    )
+    LIMIT match_count
+  )
+  SELECT
+    s.id,
+    COALESCE(1 - (s.embedding <=> query_embedding), 0) AS similarity
+  FROM scoped s
+  WHERE s.id IN (SELECT nearest.id FROM nearest UNION SELECT titled.id FROM titled);
+$$;
+
+-- 4. Nearest chunks within a set of documents
+CREATE OR REPLACE FUNCTION match_document_chunks(
+  query_embedding vector(1536),
+  match_document_ids UUID[],
+  match_count INT DEFAULT 30
+)
+RETURNS TABLE (
+  id UUID,
+  document_id UUID,
+  chunk_index INT,
+  content TEXT,
+  start_index INT,
+  end_index INT,
+  similarity FLOAT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    c.id,
+    c.document_id,
+    c.chunk_index,
+    c.content,
+    c.start_index,
+    c.end_index,
+    1 - (c.embedding <=> query_embedding) AS similarity
+  FROM document_chunks c
+  WHERE c.document_id = ANY(match_document_ids)
+    AND c.embedding IS NOT NULL
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT match_count;
+$$;
+
+-- Comments
+COMMENT ON COLUMN documents.embedding IS 'pgvector embedding of title + summary + keywords (1536 dimensions)';
+COMMENT ON COLUMN document_chunks.embedding IS 'pgvector embedding of the chunk content (1536 dimensions)';
+COMMENT ON FUNCTION match_documents IS 'Candidate documents for semantic search: nearest by embedding plus title matches';
+COMMENT ON FUNCTION match_document_chunks IS 'Nearest chunks by cosine similarity within the given documents';
@@ -10,12 +10,16 @@ import { AD_FORMATS } from '../constants/adFormats.js';
 import { getDefaultStyleConfig } from '../constants/adStyleConfig.js';
 import { readEntireSheet, writeSheetRange } from '../services/googleSheets.js';
 import { supabase } from '../config/supabase.js';
-import Anthropic from '@anthropic-ai/sdk';
+import { getApprovedFacts } from '../services/clientMemory.js';
+import { getAnthropicClient } from '../services/claudeService.js';
 
 const AD_COPY_SHEET_ID = '1pWA99dxzx-8FyhulLBg00Or5tlwUJMLDlUknSaQUk4c';
 
 const router = express.Router();
-const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+
+// Retrieval fusion weights for ad generation: briefs are thematic, so lexical
+// matches only nudge the semantic ranking.
+const ADGEN_FUSION = { vector: 1.0, lexical: 0.4 };
 
 const adUpload = multer({
   dest: os.tmpdir(),
@@ -71,7 +75,7 @@ function buildSearchQuery(text, url, platform) {
 function buildSourceRefs(searchResults) {
   if (!searchResults?.documents) return [];
   return searchResults.documents
-    .filter(d => d.similarity_score > 0.3)
+    .filter(d => d.similarity_score > 0.3 || d.lexical_score > 0)
     .map(d => ({
       id: d.id,
       title: d.title || d.file_name || 'Untitled',
@@ -195,7 +199,7 @@ ${emojiRule}
 /**
  * Build the structured prompt for ad generation.
  */
-function buildAdPrompt({ text, urlContent, imageAnalysis, searchResults, formatSpec, platform, variationCount, styleConfig, positiveWords, negativeWords, customPrompt, copyPreferences }) {
+function buildAdPrompt({ text, urlContent, imageAnalysis, searchResults, formatSpec, platform, variationCount, styleConfig, positiveWords, negativeWords, customPrompt, copyPreferences, clientFacts }) {
   // Build source context from top chunks
   let sourceContext = '';
   if (searchResults?.chunks?.length > 0) {
@@ -255,6 +259,12 @@ function buildAdPrompt({ text, urlContent, imageAnalysis, searchResults, formatS
     copyGuide = `\n## Client Copy Preferences (soft guidance from past feedback):\nThese are preferences from real client/team feedback on copy that has been tested. Incorporate where it feels natural, but don't force them — the output should still feel creative and varied:\n${parts.join('\n\n')}\n`;
   }
 
+  // Facts about the client approved in client memory (standing rules, not suggestions)
+  let clientMemory = '';
+  if (clientFacts && clientFacts.length > 0) {
+    clientMemory = `\n## Client Facts (confirmed by the team - always respect these):\n${clientFacts.map(f => `- ${f}`).join('\n')}\n`;
+  }
+
   const system = `You are an expert advertising copywriter specializing in ${formatSpec.name}. Generate compelling ad copy that converts.
 
 ## Source Documents (PRIORITIZE these for messaging, tone, and strategy):
@@ -264,7 +274,7 @@ ${sourceContext || 'No source documents available - use your expertise and the p
 ${formatDesc}
 
 ${styleInstructions}
-${wordGuidelines}${copyGuide}${customPrompt ? `\n## Creative Direction (USER'S CUSTOM INSTRUCTIONS - FOLLOW CLOSELY):\n${customPrompt}\n` : ''}
+${wordGuidelines}${copyGuide}${clientMemory}${customPrompt ? `\n## Creative Direction (USER'S CUSTOM INSTRUCTIONS - FOLLOW CLOSELY):\n${customPrompt}\n` : ''}
 ## Instructions:
 1. Generate exactly ${variationCount} complete ad variations as JSON
 2. Each variation must fill ALL required fields
@@ -321,7 +331,7 @@ router.post('/:clientId', adUpload.array('images', 5), async (req, res) => {
   const tempFilePaths = [];
   try {
     const { clientId } = req.params;
-    const { text, url, platform = 'google', variationCount = 2, positiveWords, negativeWords, customPrompt } = req.body;
+    const { text, url, platform = 'google', variationCount = 2, positiveWords, negativeWords, customPrompt, rerank } = req.body;
     let styleConfig = null;
     try { styleConfig = req.body.styleConfig ? JSON.parse(req.body.styleConfig) : null; } catch {}
     const imageFiles = req.files || [];
@@ -339,11 +349,16 @@ router.post('/:clientId', adUpload.array('images', 5), async (req, res) => {
     }
 
     // Gather context from all input sources in parallel
-    const [urlContent, imageAnalysis, searchResults, clientData] = await Promise.all([
+    const [urlContent, imageAnalysis, searchResults, clientData, clientFacts] = await Promise.all([
       url ? scrapeUrl(url) : null,
       processImages(imageFiles),
-      semanticSearch(clientId, buildSearchQuery(text, url, platform), 8, { boostGlobal: true }),
+      semanticSearch(clientId, buildSearchQuery(text, url, platform), 8, {
+        boostGlobal: true,
+        fusion: ADGEN_FUSION,
+        rerank: rerank === 'true' || rerank === true
+      }),
       supabase.from('clients').select('copy_preferences').eq('id', clientId).single().then(r => r.data),
+      getApprovedFacts(clientId),
     ]);
 
     // Build the structured prompt
@@ -360,10 +375,11 @@ router.post('/:clientId', adUpload.array('images', 5), async (req, res) => {
       negativeWords: negativeWords || null,
       customPrompt: customPrompt?.trim() || null,
       copyPreferences: clientData?.copy_preferences || [],
+      clientFacts,
     });
 
     // Call Claude
-    const response = await anthropic.messages.create({
+    const response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       system: prompt.system,
       messages: [
@@ -396,6 +412,7 @@ router.post('/:clientId', adUpload.array('images', 5), async (req, res) => {
           hadImages: imageFiles.length > 0,
           urlTitle: urlContent?.title || null,
         },
+        rerank: searchResults.rerank || undefined,
       },
     });
   } catch (error) {
@@ -476,7 +493,7 @@ router.post('/:clientId/regenerate', async (req, res) => {
       styleGuide += `\nTone: ${shortToneMap[sc.tone] || 'conversational'}. Write close to the character limit.`;
     }
 
-    const response = await anthropic.messages.create({
+    const response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       system: styleGuide,
       messages: [
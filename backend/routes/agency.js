@@ -0,0 +1,213 @@
+import express from 'express';
+import { enhancedChatWithContext } from '../services/claudeService.js';
+import { normalizeSearchFilters } from '../services/semanticSearch.js';
+import { AgencyAccessError, listAccessibleClients, searchAcrossClients } from '../services/agencySearch.js';
+import { assignCitationKeys, buildCitations, chunkLocation, parseCitationMarkers, renderCitationMarkers } from '../services/citations.js';
+import { GROUNDING_ENABLED, checkGrounding } from '../services/grounding.js';
+
+const router = express.Router();
+
+// Clients whose excerpts go into an agency chat answer, best match first
+const MAX_CLIENTS_IN_ANSWER = 8;
+
+/**
+ * Validate the shared fields of agency requests (podNumber, clientIds, filters,
+ * and conversationHistory for chat).
+ * Returns { podNumber, clientIds, filters, conversationHistory } or { error }.
+ */
+function parseScope({ podNumber, clientIds, filters, conversationHistory }) {
+  let pod = null;
+  if (podNumber !== undefined && podNumber !== null && podNumber !== '') {
+    pod = parseInt(podNumber);
+    if (isNaN(pod) || pod < 1 || pod > 4) {
+      return { error: 'podNumber must be between 1 and 4' };
+    }
+  }
+
+  if (clientIds !== undefined && (!Array.isArray(clientIds) || clientIds.some(id => typeof id !== 'string'))) {
+    return { error: 'clientIds must be an array of client IDs' };
+  }
+
+  if (conversationHistory !== undefined && conversationHistory !== null && !Array.isArray(conversationHistory)) {
+    return { error: 'conversationHistory must be an array of { role, content } messages' };
+  }
+
+  try {
+    return {
+      podNumber: pod,
+      clientIds: clientIds || null,
+      filters: normalizeSearchFilters(filters),
+      conversationHistory: conversationHistory || []
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function sendError(res, error, context) {
+  if (error instanceof AgencyAccessError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  console.error(`Error in ${context}:`, error);
+  res.status(500).json({ success: false, error: error.message });
+}
+
+const clientSummary = client => ({ id: client.id, name: client.name, podNumber: client.pod_number });
+
+/**
+ * GET /api/agency/clients
+ * Clients the caller can search at agency level (?podNumber=2 for one pod)
+ */
+router.get('/clients', async (req, res) => {
+  try {
+    const scope = parseScope({ podNumber: req.query.podNumber });
+    if (scope.error) {
+      return res.status(400).json({ success: false, error: scope.error });
+    }
+
+    const clients = await listAccessibleClients(req, { podNumber: scope.podNumber });
+
+    res.json({
+      success: true,
+      data: clients.map(clientSummary)
+    });
+  } catch (error) {
+    sendError(res, error, 'agency clients');
+  }
+});
+
+/**
+ * POST /api/agency/search
+ * Search every client the caller can see (or one pod / a list of clients) and
+ * return the matches grouped by client.
+ *
+ * Body: { query, podNumber?, clientIds?, limit? (documents per client, default 3), filters? }
+ */
+router.post('/search', async (req, res) => {
+  try {
+    const { query, limit = 3 } = req.body;
+
+    if (!query || !query.trim()) {
+      return res.status(400).json({ success: false, error: 'Search query is required' });
+    }
+
+    const scope = parseScope(req.body);
+    if (scope.error) {
+      return res.status(400).json({ success: false, error: scope.error });
+    }
+
+    const clients = await listAccessibleClients(req, scope);
+    const results = await searchAcrossClients(clients, query, {
+      limit: Math.min(parseInt(limit) || 3, 10),
+      filters: scope.filters
+    });
+
+    res.json({
+      success: true,
+      data: {
+        clients: results.clients.map(({ client, documents, chunks }) => ({
+          client: clientSummary(client),
+          documents,
+          chunks
+        })),
+        searchedClients: results.searchedClients,
+        failedClients: results.failedClients
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'agency search');
+  }
+});
+
+/**
+ * POST /api/agency/chat
+ * Answer a question across clients. The answer is organised by client and each
+ * client's citations are returned with it. Agency chats are not saved; send
+ * earlier turns as conversationHistory ([{ role, content }]) for follow-ups.
+ *
+ * Body: { message, podNumber?, clientIds?, filters?, conversationHistory? }
+ */
+router.post('/chat', async (req, res) => {
+  try {
+    const { message } = req.body;
+
+    if (!message || !message.trim()) {
+      return res.status(400).json({ success: false, error: 'Message is required' });
+    }
+
+    const scope = parseScope(req.body);
+    if (scope.error) {
+      return res.status(400).json({ success: false, error: scope.error });
+    }
+
+    const clients = await listAccessibleClients(req, scope);
+    const results = await searchAcrossClients(clients, message, { filters: scope.filters });
+    const answering = results.clients.slice(0, MAX_CLIENTS_IN_ANSWER);
+
+    // Excerpts are labelled with their client so the model can't mix clients up
+    const relevantChunks = answering.flatMap(({ client, chunks }) =>
+      chunks.map(chunk => ({ ...chunk, clientId: client.id, clientName: client.name }))
+    );
+    const citationKeys = assignCitationKeys(relevantChunks);
+    const keyByChunkId = new Map([...citationKeys].map(([key, chunk]) => [chunk.id, key]));
+
+    const docsById = new Map(answering.flatMap(({ documents }) => documents.map(d => [d.id, d])));
+    const formattedChunks = relevantChunks.map(chunk => ({
+      documentTitle: `${chunk.clientName} — ${chunk.documentTitle}`,
+      documentId: chunk.documentId,
+      text: chunk.content,
+      similarity: chunk.similarity_score,
+      sourceDate: docsById.get(chunk.document_id)?.source_date || null,
+      position: chunk.position || 'middle',
+      location: chunkLocation(chunk),
+      citationKey: keyByChunkId.get(chunk.id)
+    }));
+
+    const searchedNames = clients.length <= 30 ? `: ${clients.map(c => c.name).join(', ')}` : '';
+    const result = await enhancedChatWithContext(
+      message,
+      [],
+      [],
+      scope.conversationHistory.filter(m => ['user', 'assistant'].includes(m?.role) && typeof m.content === 'string').slice(-10),
+      formattedChunks,
+      {
+        extraGuidelines: [
+          `The excerpts come from several clients of the agency (each title starts with the client name). ${results.searchedClients} clients were searched${searchedNames}`,
+          'Organise the answer by client, with a heading per client, and never attribute one client\'s information to another',
+          'Clients with no excerpts had nothing relevant; mention that briefly if the question asks about every client'
+        ]
+      }
+    );
+
+    const { cited, dropped: droppedCitations } = parseCitationMarkers(result.response, citationKeys);
+    if (droppedCitations.length > 0) {
+      console.warn(`Agency chat: dropped ${droppedCitations.length} citation(s) to chunks not in context`);
+    }
+    const sourceLabel = chunk => `[Source: ${chunk.clientName} — ${chunk.documentTitle}]`;
+    const response = renderCitationMarkers(result.response, citationKeys, sourceLabel);
+
+    const grounding = GROUNDING_ENABLED
+      ? await checkGrounding(response, relevantChunks, { labelFor: sourceLabel })
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        response,
+        clients: answering.map(({ client, documents, chunks }) => ({
+          client: clientSummary(client),
+          citations: buildCitations(chunks, documents, response, cited),
+          sources: documents.map(d => ({ id: d.id, title: d.title || d.file_name || 'Untitled', similarity: d.similarity_score }))
+        })),
+        searchedClients: results.searchedClients,
+        failedClients: results.failedClients,
+        droppedCitations,
+        grounding
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'agency chat');
+  }
+});
+
+export default router;
@@ -1,76 +1,19 @@
 import express from 'express';
 import { supabase } from '../config/supabase.js';
 import { enhancedChatWithContext } from '../services/claudeService.js';
-import { generateEmbedding, cosineSimilarity } from '../services/openaiService.js';
+import { missingSourcesContextDoc, searchWithPlan } from '../services/queryPlanner.js';
+import { normalizeSearchFilters } from '../services/semanticSearch.js';
+import { assignCitationKeys, chunkLocation, parseCitationMarkers, renderCitationMarkers } from '../services/citations.js';
+import { GROUNDING_ENABLED, checkGrounding } from '../services/grounding.js';
+import { getConversationSummary, refreshConversationSummary } from '../services/conversationSummary.js';
+import { clientMemoryContextDoc, getApprovedFacts, proposeMemoriesFromMessage } from '../services/clientMemory.js';
 
 const router = express.Router();
 
-/**
- * Perform semantic search to find relevant documents and chunks
- */
-async function semanticSearch(clientId, query, limit = 5) {
-  const queryEmbedding = await generateEmbedding(query);
-
-  const { data: documents, error: docError } = await supabase
-    .from('documents')
-    .select('*')
-    .eq('client_id', clientId)
-    .eq('processed', true);
-
-  if (docError) throw docError;
-
-  if (!documents || documents.length === 0) {
-    return { documents: [], chunks: [] };
-  }
-
-  const scoredDocs = documents.map(doc => {
-    let embedding;
-    try {
-      embedding = JSON.parse(doc.embedding || '[]');
-    } catch {
-      embedding = [];
-    }
-    const similarity = cosineSimilarity(queryEmbedding, embedding);
-    return { ...doc, similarity_score: similarity };
-  });
-
-  const topDocs = scoredDocs
-    .sort((a, b) => b.similarity_score - a.similarity_score)
-    .slice(0, limit);
-
-  const docIds = topDocs.map(d => d.id);
-  const { data: chunks, error: chunkError } = await supabase
-    .from('document_chunks')
-    .select('*')
-    .in('document_id', docIds);
-
-  let relevantChunks = [];
-  if (!chunkError && chunks && chunks.length > 0) {
-    const scoredChunks = chunks.map(chunk => {
-      let embedding;
-      try {
-        embedding = JSON.parse(chunk.embedding || '[]');
-      } catch {
-        embedding = [];
-      }
-      const similarity = cosineSimilarity(queryEmbedding, embedding);
-      const parentDoc = topDocs.find(d => d.id === chunk.document_id);
-      return {
-        ...chunk,
-        similarity_score: similarity,
-        documentTitle: parentDoc?.title || parentDoc?.file_name || 'Unknown',
-        documentId: chunk.document_id
-      };
-    });
-
-    relevantChunks = scoredChunks
-      .filter(c => c.similarity_score > 0.3)
-      .sort((a, b) => b.similarity_score - a.similarity_score)
-      .slice(0, 8);
-  }
-
-  return { documents: topDocs, chunks: relevantChunks };
-}
+// The agent answers from the client's own documents unless the request's
+// filters ask for global sources, with a looser cutoff and more chunks than chat
+const AGENT_MIN_SIMILARITY = 0.3;
+const AGENT_CHUNK_LIMIT = 8;
 
 /**
  * POST /api/agent/query
@@ -81,10 +24,18 @@ async function semanticSearch(clientId, query, limit = 5) {
  *   - clientId: string (required) - The client ID for context
  *   - saveHistory: boolean (optional, default: false) - Whether to save to chat history
  *   - conversationId: string (optional) - For maintaining conversation context
+ *   - rerank: boolean (optional, default: false) - Rerank retrieved chunks with Claude before answering
+ *   - filters: object (optional) - Only retrieve from matching sources: { customGroup, sourceType, fileType,
+ *     isGlobal, dateFrom, dateTo, documentIds, tags } (dates as YYYY-MM-DD; list filters take a string or array).
+ *     isGlobal defaults to false: only the client's own documents, unless global sources are asked for
+ *
+ * The response includes `groundedness` (0-1, share of the answer's claims supported by
+ * the retrieved documents; null when nothing was checked) and the per-claim `grounding` report.
+ * Compound questions are split into sub-queries before retrieval; the plan is in `context.plan`.
  */
 router.post('/query', async (req, res) => {
   try {
-    const { prompt, clientId, saveHistory = false, conversationId } = req.body;
+    const { prompt, clientId, saveHistory = false, conversationId, rerank = false } = req.body;
 
     if (!prompt || !prompt.trim()) {
       return res.status(400).json({
@@ -100,6 +51,16 @@ router.post('/query', async (req, res) => {
       });
     }
 
+    let filters;
+    try {
+      filters = normalizeSearchFilters(req.body.filters);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
     // Verify client exists
     const { data: client, error: clientError } = await supabase
       .from('clients')
@@ -114,7 +75,8 @@ router.post('/query', async (req, res) => {
       });
     }
 
-    // Get conversation history if conversationId provided
+    // Get the last 20 messages of the conversation if conversationId provided;
+    // older turns are covered by the conversation summary
     let conversationHistory = [];
     if (conversationId) {
       const { data: history } = await supabase
@@ -122,14 +84,25 @@ router.post('/query', async (req, res) => {
         .select('role, content')
         .eq('client_id', clientId)
         .eq('conversation_id', conversationId)
-        .order('created_at', { ascending: true })
+        .order('created_at', { ascending: false })
         .limit(20);
 
-      conversationHistory = history || [];
+      conversationHistory = (history || []).reverse();
     }
 
-    // Perform semantic search for relevant documents
-    const { documents: relevantDocs, chunks: relevantChunks } = await semanticSearch(clientId, prompt, 5);
+    // Rolling summary of turns older than the history window
+    const conversationSummary = (await getConversationSummary(clientId, conversationId))?.summary || null;
+
+    // Chunk-first retrieval across the client's corpus, one search per part of a compound question
+    const { documents: relevantDocs, chunks: relevantChunks, rerank: rerankReport, plan: queryPlan } = await searchWithPlan(clientId, prompt, 5, {
+      conversationHistory,
+      conversationSummary,
+      filters: { isGlobal: false, ...filters },
+      mode: 'chunks',
+      minSimilarity: AGENT_MIN_SIMILARITY,
+      chunkLimit: AGENT_CHUNK_LIMIT,
+      rerank: rerank === true || rerank === 'true'
+    });
 
     // Fetch connected sheets
     const { data: connectedSheets } = await supabase
@@ -139,6 +112,20 @@ router.post('/query', async (req, res) => {
 
     // Build context documents
     let contextDocs = relevantDocs;
+
+    // Facts about the client the team has approved in client memory
+    const memoryDoc = clientMemoryContextDoc(await getApprovedFacts(clientId));
+    if (memoryDoc) {
+      contextDocs = [memoryDoc, ...contextDocs];
+    }
+
+    // Parts of a compound question nothing was found for
+    const gapsDoc = missingSourcesContextDoc(queryPlan);
+    if (gapsDoc) {
+      contextDocs = [gapsDoc, ...contextDocs];
+    }
+
+    // Client description goes first
     if (client.description) {
       contextDocs = [
         {
@@ -147,16 +134,21 @@ router.post('/query', async (req, res) => {
           summary: client.description,
           keywords: []
         },
-        ...relevantDocs
+        ...contextDocs
       ];
     }
 
-    // Format chunks for AI
+    // Format chunks for AI; each gets a short key the model cites it by ([[c:<key>]])
+    const citationKeys = assignCitationKeys(relevantChunks);
+    const keyByChunkId = new Map([...citationKeys].map(([key, chunk]) => [chunk.id, key]));
     const formattedChunks = relevantChunks.map(chunk => ({
       documentTitle: chunk.documentTitle,
       documentId: chunk.documentId,
       text: chunk.content,
-      similarity: chunk.similarity_score
+      similarity: chunk.similarity_score,
+      location: chunkLocation(chunk),
+      citationKey: keyByChunkId.get(chunk.id),
+      retrievedFor: chunk.retrievedFor?.join('; ')
     }));
 
     // Call the AI agent
@@ -165,14 +157,29 @@ router.post('/query', async (req, res) => {
       contextDocs,
       connectedSheets || [],
       conversationHistory,
-      formattedChunks
+      formattedChunks,
+      { conversationSummary }
     );
 
+    // Validate the citation markers and present them as [Source: Title]
+    const { cited, dropped: droppedCitations } = parseCitationMarkers(result.response, citationKeys);
+    if (droppedCitations.length > 0) {
+      console.warn(`Agent: dropped ${droppedCitations.length} citation(s) to chunks not in context`);
+    }
+    const citedDocIds = new Set([...cited.values()].map(({ chunk }) => chunk.document_id));
+    const sourceLabel = chunk => `[Source: ${chunk.documentTitle}]`;
+    result.response = renderCitationMarkers(result.response, citationKeys, sourceLabel);
+
+    // Check the answer against the retrieved chunks (sheet tool answers come from sheet data)
+    const grounding = GROUNDING_ENABLED && !result.toolsUsed
+      ? await checkGrounding(result.response, relevantChunks, { labelFor: sourceLabel })
+      : null;
+
     // Optionally save to chat history
     if (saveHistory) {
       const newConversationId = conversationId || crypto.randomUUID();
 
-      await supabase.from('chat_messages').insert([
+      const { data: userMsg } = await supabase.from('chat_messages').insert([
         {
           client_id: clientId,
           role: 'user',
@@ -180,7 +187,7 @@ router.post('/query', async (req, res) => {
           conversation_id: newConversationId,
           context_docs: relevantDocs.map(d => d.id)
         }
-      ]);
+      ]).select('id').single();
 
       await supabase.from('chat_messages').insert([
         {
@@ -190,10 +197,14 @@ router.post('/query', async (req, res) => {
           conversation_id: newConversationId,
           context_docs: relevantDocs.map(d => d.id),
           sources: relevantDocs
-            .filter(d => d.similarity_score > 0.3)
-            .map(d => ({ id: d.id, title: d.title || d.file_name || 'Untitled', similarity: d.similarity_score }))
+            .filter(d => citedDocIds.has(d.id) || d.similarity_score > 0.3)
+            .map(d => ({ id: d.id, title: d.title || d.file_name || 'Untitled', similarity: d.similarity_score })),
+          ...(grounding && { grounding })
         }
       ]);
+
+      refreshConversationSummary(clientId, newConversationId);
+      proposeMemoriesFromMessage(client, prompt, { conversationId: newConversationId, messageId: userMsg?.id });
     }
 
     // Return the response
@@ -201,6 +212,8 @@ router.post('/query', async (req, res) => {
       success: true,
       data: {
         response: result.response,
+        groundedness: grounding?.score ?? null,
+        grounding,
         client: {
           id: client.id,
           name: client.name
@@ -209,7 +222,9 @@ router.post('/query', async (req, res) => {
           documentsUsed: relevantDocs.length,
           chunksUsed: relevantChunks.length,
           sheetsAvailable: connectedSheets?.length || 0,
-          toolsUsed: result.toolsUsed || false
+          toolsUsed: result.toolsUsed || false,
+          rerank: rerankReport || undefined,
+          plan: queryPlan || undefined
         },
         operations: result.operations || []
       }
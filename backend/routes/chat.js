@@ -2,7 +2,13 @@ import express from 'express';
 import { supabase } from '../config/supabase.js';
 import { analyzeImage, enhancedChat, generateEmbedding, cosineSimilarity, extractFromImage, analyzeMultipleImages, chatWithSheets as chatWithSheetsOpenAI } from '../services/openaiService.js';
 import { enhancedChatWithContext as chatWithSheetsFromClaudeService } from '../services/claudeService.js';
-import { semanticSearch } from '../services/semanticSearch.js';
+import { semanticSearch, normalizeSearchFilters } from '../services/semanticSearch.js';
+import { missingSourcesContextDoc, searchWithPlan } from '../services/queryPlanner.js';
+import { assignCitationKeys, buildCitations, chunkLocation, createMarkerStripper, parseCitationMarkers, renderCitationMarkers } from '../services/citations.js';
+import { GROUNDING_ENABLED, checkGrounding } from '../services/grounding.js';
+import { getConversationSummary, refreshConversationSummary, saveConversationSummary } from '../services/conversationSummary.js';
+import { clientMemoryContextDoc, getApprovedFacts, proposeMemoriesFromMessage } from '../services/clientMemory.js';
+import { currentVersions } from '../services/documentVersions.js';
 import * as sheetsService from '../services/googleSheets.js';
 import multer from 'multer';
 import os from 'os';
@@ -11,6 +17,10 @@ import fs from 'fs/promises';
 
 const router = express.Router();
 
+// Retrieval fusion weights for chat: questions often quote exact names, SKUs or lines
+// from transcripts, so lexical hits count as much as semantic ones.
+const CHAT_FUSION = { vector: 1.0, lexical: 1.0 };
+
 // Configure multer for image uploads in chat (multiple images)
 const chatUpload = multer({
   dest: os.tmpdir(),
@@ -76,379 +86,572 @@ router.get('/:clientId', async (req, res) => {
   }
 });
 
-/**
- * POST /api/chat/:clientId
- * Send a message and get AI response (with optional images)
- * Supports: uploaded images AND images from stored DAM sources
- */
-router.post('/:clientId', chatUpload.array('images', 5), async (req, res) => {
-  const tempFilePaths = [];
-  try {
-    const { clientId } = req.params;
-    const { message, includeSourceImages, sourceDocumentIds, conversationId } = req.body;
-    const imageFiles = req.files || [];
-
-    // Use provided conversationId or generate a new one
-    const activeConversationId = conversationId || crypto.randomUUID();
-
-    // Track temp files for cleanup
-    imageFiles.forEach(f => tempFilePaths.push(f.path));
+// A chat request that can't be answered (bad input, unknown client); carries the HTTP status
+class ChatRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ChatRequestError';
+    this.status = status;
+  }
+}
 
-    if (!message || !message.trim()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message is required'
-      });
+// Remove multer temp files once a chat request is done
+async function removeTempFiles(files = []) {
+  for (const file of files) {
+    try {
+      await fs.unlink(file.path);
+    } catch (e) {
+      console.error('Error deleting temp file:', e);
     }
+  }
+}
 
-    // Verify client exists
-    const { data: client, error: clientError } = await supabase
-      .from('clients')
-      .select('*')
-      .eq('id', clientId)
-      .single();
+/**
+ * Run one chat turn: retrieval, generation, citation resolution and persistence.
+ * Shared by POST /:clientId and POST /:clientId/stream.
+ *
+ * With `stream` set, the answer is generated incrementally: onStart({ conversationId })
+ * once retrieval is done, onDelta(text) for each piece of generated text and
+ * onToolUse(operation) after each sheet tool call, and onVerifying() once the answer
+ * is complete and the grounding check starts. If stream.signal is aborted the turn
+ * stops and nothing is saved (returns null).
+ *
+ * @returns {Promise<object|null>} Response data for the client
+ */
+async function runChatTurn(req, stream = null) {
+  const { clientId } = req.params;
+  const { message, includeSourceImages, sourceDocumentIds, conversationId, rerank } = req.body;
+  const imageFiles = req.files || [];
 
-    if (clientError || !client) {
-      return res.status(404).json({
-        success: false,
-        error: 'Client not found'
-      });
-    }
+  // Hard retrieval filters from the scope picker (JSON string in multipart requests)
+  let filters;
+  try {
+    filters = normalizeSearchFilters(req.body.filters);
+  } catch (error) {
+    throw new ChatRequestError(400, error.message);
+  }
 
-    // Get recent conversation history (last 10 messages from this conversation)
-    let historyQuery = supabase
-      .from('chat_messages')
-      .select('role, content')
-      .eq('client_id', clientId);
+  // Use provided conversationId or generate a new one
+  const activeConversationId = conversationId || crypto.randomUUID();
 
-    // If we have an existing conversation, get its history
-    if (conversationId) {
-      historyQuery = historyQuery.eq('conversation_id', conversationId);
-    }
+  if (!message || !message.trim()) {
+    throw new ChatRequestError(400, 'Message is required');
+  }
 
-    const { data: history, error: historyError } = await historyQuery
-      .order('created_at', { ascending: false })
-      .limit(10);
+  // Verify client exists
+  const { data: client, error: clientError } = await supabase
+    .from('clients')
+    .select('*')
+    .eq('id', clientId)
+    .single();
 
-    if (historyError) throw historyError;
+  if (clientError || !client) {
+    throw new ChatRequestError(404, 'Client not found');
+  }
 
-    // Reverse to get chronological order
-    const conversationHistory = (history || []).reverse();
+  // Get recent conversation history (last 10 messages from this conversation)
+  let historyQuery = supabase
+    .from('chat_messages')
+    .select('role, content')
+    .eq('client_id', clientId);
 
-    // Perform semantic search with conversation context for better follow-up handling
-    const { documents: relevantDocs, chunks: relevantChunks } = await semanticSearch(clientId, message, 5, { conversationHistory });
+  // If we have an existing conversation, get its history
+  if (conversationId) {
+    historyQuery = historyQuery.eq('conversation_id', conversationId);
+  }
 
-    // Fetch connected sheets for this client
-    const { data: connectedSheets } = await supabase
-      .from('connected_sheets')
-      .select('*')
-      .eq('client_id', clientId);
+  const { data: history, error: historyError } = await historyQuery
+    .order('created_at', { ascending: false })
+    .limit(10);
+
+  if (historyError) throw historyError;
+
+  // Reverse to get chronological order
+  const conversationHistory = (history || []).reverse();
+
+  // Rolling summary of the turns that no longer fit in the history window
+  const conversationSummary = (await getConversationSummary(clientId, conversationId))?.summary || null;
+
+  // Chunk-first retrieval with conversation context for better follow-up handling.
+  // Compound questions ("January vs March") are split into one search per part.
+  const { documents: relevantDocs, chunks: relevantChunks, rerank: rerankReport, plan: queryPlan } = await searchWithPlan(clientId, message, 5, {
+    conversationHistory,
+    conversationSummary,
+    filters,
+    fusion: CHAT_FUSION,
+    mode: 'chunks',
+    rerank: rerank === 'true' || rerank === true
+  });
+
+  // Fetch connected sheets for this client
+  const { data: connectedSheets } = await supabase
+    .from('connected_sheets')
+    .select('*')
+    .eq('client_id', clientId);
+
+  let contextDocs = relevantDocs;
+
+  // Facts about the client the team has approved in client memory
+  const memoryDoc = clientMemoryContextDoc(await getApprovedFacts(clientId));
+  if (memoryDoc) {
+    contextDocs = [memoryDoc, ...contextDocs];
+  }
 
-    // Add client context if available
-    let contextDocs = relevantDocs;
-    if (client.description) {
-      contextDocs = [
-        {
-          id: 'client-context',
-          title: 'Client Context',
-          summary: client.description,
-          keywords: []
-        },
-        ...relevantDocs
-      ];
-    }
+  // Parts of a compound question nothing was found for
+  const gapsDoc = missingSourcesContextDoc(queryPlan);
+  if (gapsDoc) {
+    contextDocs = [gapsDoc, ...contextDocs];
+  }
 
-    // Format chunks for the AI — include source_date and position context
-    const formattedChunks = relevantChunks.map(chunk => {
-      const parentDoc = relevantDocs.find(d => d.id === (chunk.document_id || chunk.documentId));
-      return {
-        documentTitle: chunk.documentTitle,
-        documentId: chunk.documentId,
-        text: chunk.content,
-        similarity: chunk.similarity_score,
-        sourceDate: parentDoc?.source_date || null,
-        position: chunk.position || 'middle'
-      };
-    });
+  // Add client context if available
+  if (client.description) {
+    contextDocs = [
+      {
+        id: 'client-context',
+        title: 'Client Context',
+        summary: client.description,
+        keywords: []
+      },
+      ...contextDocs
+    ];
+  }
 
-    // Process uploaded images
-    const uploadedImages = [];
-    let imageAnalysis = null;
-
-    if (imageFiles.length > 0) {
-      for (const file of imageFiles) {
-        try {
-          const imageBuffer = await fs.readFile(file.path);
-          const base64Image = imageBuffer.toString('base64');
-          const mimeType = file.mimetype || 'image/jpeg';
-          uploadedImages.push({
-            url: `data:${mimeType};base64,${base64Image}`,
-            fileName: file.originalname
-          });
-        } catch (error) {
-          console.error('Error processing uploaded image:', error);
-        }
+  // Each chunk gets a short key the model cites it by ([[c:<key>]])
+  const citationKeys = assignCitationKeys(relevantChunks);
+  const keyByChunkId = new Map([...citationKeys].map(([key, chunk]) => [chunk.id, key]));
+
+  // Format chunks for the AI — include source_date, position and page/section context
+  const formattedChunks = relevantChunks.map(chunk => {
+    const parentDoc = relevantDocs.find(d => d.id === (chunk.document_id || chunk.documentId));
+    return {
+      documentTitle: chunk.documentTitle,
+      documentId: chunk.documentId,
+      text: chunk.content,
+      similarity: chunk.similarity_score,
+      sourceDate: parentDoc?.source_date || null,
+      position: chunk.position || 'middle',
+      location: chunkLocation(chunk),
+      citationKey: keyByChunkId.get(chunk.id),
+      retrievedFor: chunk.retrievedFor?.join('; ')
+    };
+  });
+
+  // Process uploaded images
+  const uploadedImages = [];
+  let imageAnalysis = null;
+
+  if (imageFiles.length > 0) {
+    for (const file of imageFiles) {
+      try {
+        const imageBuffer = await fs.readFile(file.path);
+        const base64Image = imageBuffer.toString('base64');
+        const mimeType = file.mimetype || 'image/jpeg';
+        uploadedImages.push({
+          url: `data:${mimeType};base64,${base64Image}`,
+          fileName: file.originalname
+        });
+      } catch (error) {
+        console.error('Error processing uploaded image:', error);
       }
+    }
 
-      // Generate analysis for uploaded images
-      if (uploadedImages.length === 1) {
-        try {
-          imageAnalysis = await analyzeImage(uploadedImages[0].url, message);
-        } catch (error) {
-          console.error('Image analysis error:', error);
-        }
-      } else if (uploadedImages.length > 1) {
-        try {
-          imageAnalysis = await analyzeMultipleImages(
-            uploadedImages.map(img => img.url),
-            message
-          );
-        } catch (error) {
-          console.error('Multi-image analysis error:', error);
-        }
+    // Generate analysis for uploaded images
+    if (uploadedImages.length === 1) {
+      try {
+        imageAnalysis = await analyzeImage(uploadedImages[0].url, message);
+      } catch (error) {
+        console.error('Image analysis error:', error);
+      }
+    } else if (uploadedImages.length > 1) {
+      try {
+        imageAnalysis = await analyzeMultipleImages(
+          uploadedImages.map(img => img.url),
+          message
+        );
+      } catch (error) {
+        console.error('Multi-image analysis error:', error);
       }
     }
+  }
 
-    // Fetch and process images from DAM sources if requested
-    const sourceImages = [];
-    const shouldIncludeSourceImages = includeSourceImages === 'true' || includeSourceImages === true;
+  // Fetch and process images from DAM sources if requested
+  const sourceImages = [];
+  const shouldIncludeSourceImages = includeSourceImages === 'true' || includeSourceImages === true;
 
-    if (shouldIncludeSourceImages) {
-      // Get image documents from relevant docs or specific IDs
-      let imageDocIds = [];
+  if (shouldIncludeSourceImages) {
+    // Get image documents from relevant docs or specific IDs
+    let imageDocIds = [];
 
-      if (sourceDocumentIds) {
-        // Use specific document IDs provided
-        imageDocIds = Array.isArray(sourceDocumentIds)
-          ? sourceDocumentIds
-          : JSON.parse(sourceDocumentIds);
-      } else {
-        // Find image files from relevant documents
-        imageDocIds = relevantDocs
-          .filter(d => isImageFile(d.file_type))
-          .map(d => d.id);
-      }
+    if (sourceDocumentIds) {
+      // Use specific document IDs provided
+      imageDocIds = Array.isArray(sourceDocumentIds)
+        ? sourceDocumentIds
+        : JSON.parse(sourceDocumentIds);
+    } else {
+      // Find image files from relevant documents
+      imageDocIds = relevantDocs
+        .filter(d => isImageFile(d.file_type))
+        .map(d => d.id);
+    }
 
-      // Fetch image documents
-      if (imageDocIds.length > 0) {
-        const { data: imageDocs, error: imgError } = await supabase
-          .from('documents')
-          .select('id, file_name, file_url, file_type')
-          .in('id', imageDocIds)
-          .limit(5);
-
-        if (!imgError && imageDocs) {
-          for (const doc of imageDocs) {
-            if (doc.file_url && isImageFile(doc.file_type)) {
-              const base64Url = await fetchImageAsBase64(doc.file_url);
-              if (base64Url) {
-                sourceImages.push({
-                  id: doc.id,
-                  fileName: doc.file_name,
-                  url: base64Url,
-                  analysis: null // Will be analyzed inline by the model
-                });
-              }
+    // Fetch image documents
+    if (imageDocIds.length > 0) {
+      const { data: imageDocs, error: imgError } = await supabase
+        .from('documents')
+        .select('id, file_name, file_url, file_type')
+        .in('id', imageDocIds)
+        .limit(5);
+
+      if (!imgError && imageDocs) {
+        for (const doc of imageDocs) {
+          if (doc.file_url && isImageFile(doc.file_type)) {
+            const base64Url = await fetchImageAsBase64(doc.file_url);
+            if (base64Url) {
+              sourceImages.push({
+                id: doc.id,
+                fileName: doc.file_name,
+                url: base64Url,
+                analysis: null // Will be analyzed inline by the model
+              });
             }
           }
         }
       }
     }
+  }
 
-    // Detect if this is a sheet-related query
-    const sheetKeywords = [
-      'sheet', 'spreadsheet', 'tab', 'tabs', 'cell', 'row', 'column', 'excel',
-      'google sheet', 'data in', 'table', 'values in', 'what\'s in the'
-    ];
-    const lowerMessage = message.toLowerCase();
-    const hasConnectedSheets = connectedSheets && connectedSheets.length > 0;
-    const isSheetQuery = hasConnectedSheets && sheetKeywords.some(keyword => lowerMessage.includes(keyword));
-    const mentionsSheet = hasConnectedSheets && connectedSheets.some(sheet =>
-      lowerMessage.includes(sheet.name.toLowerCase()) ||
-      (sheet.sheet_tabs || []).some(tab => lowerMessage.includes(tab.title?.toLowerCase() || ''))
+  // Detect if this is a sheet-related query
+  const sheetKeywords = [
+    'sheet', 'spreadsheet', 'tab', 'tabs', 'cell', 'row', 'column', 'excel',
+    'google sheet', 'data in', 'table', 'values in', 'what\'s in the'
+  ];
+  const lowerMessage = message.toLowerCase();
+  const hasConnectedSheets = connectedSheets && connectedSheets.length > 0;
+  const isSheetQuery = hasConnectedSheets && sheetKeywords.some(keyword => lowerMessage.includes(keyword));
+  const mentionsSheet = hasConnectedSheets && connectedSheets.some(sheet =>
+    lowerMessage.includes(sheet.name.toLowerCase()) ||
+    (sheet.sheet_tabs || []).some(tab => lowerMessage.includes(tab.title?.toLowerCase() || ''))
+  );
+
+  let aiResponse;
+  let sheetOperations = [];
+
+  const generation = stream
+    ? { conversationSummary, onDelta: stream.onDelta, onToolUse: stream.onToolUse, signal: stream.signal }
+    : { conversationSummary };
+  if (stream) stream.onStart({ conversationId: activeConversationId });
+
+  if ((isSheetQuery || mentionsSheet) && !imageFiles.length) {
+    // Use Claude with sheet tools for sheet-related queries
+    console.log('Using Claude with sheet tools for query:', message);
+    const claudeResult = await chatWithSheetsFromClaudeService(
+      message,
+      contextDocs,
+      connectedSheets,
+      conversationHistory,
+      formattedChunks,
+      generation
     );
+    aiResponse = claudeResult.response;
+    sheetOperations = claudeResult.operations || [];
+  } else {
+    // Use Claude for regular queries or queries with images
+    aiResponse = await enhancedChat(
+      message,
+      contextDocs,
+      conversationHistory,
+      imageAnalysis,
+      formattedChunks,
+      uploadedImages,
+      sourceImages,
+      generation
+    );
+  }
 
-    let aiResponse;
-    let sheetOperations = [];
-
-    if ((isSheetQuery || mentionsSheet) && !imageFiles.length) {
-      // Use Claude with sheet tools for sheet-related queries
-      console.log('Using Claude with sheet tools for query:', message);
-      const claudeResult = await chatWithSheetsFromClaudeService(
-        message,
-        contextDocs,
-        connectedSheets,
-        conversationHistory,
-        formattedChunks
-      );
-      aiResponse = claudeResult.response;
-      sheetOperations = claudeResult.operations || [];
-    } else {
-      // Use Claude for regular queries or queries with images
-      aiResponse = await enhancedChat(
-        message,
-        contextDocs,
-        conversationHistory,
-        imageAnalysis,
-        formattedChunks,
-        uploadedImages,
-        sourceImages
-      );
-    }
+  // A cancelled stream is not saved
+  if (stream?.signal?.aborted) return null;
 
-    // --- Source usage calculation ---
-    // We analyze the AI's actual response to determine which sources it cited,
-    // then combine that with chunk-level context to calculate accurate usage percentages.
-
-    const filteredDocs = relevantDocs.filter(d => d.similarity_score > 0.3);
-
-    // Step 1: Count how many times each source is cited in the AI response.
-    // The AI uses patterns like [Source: Title] and references source content by title.
-    const citationCounts = {};
-    for (const doc of filteredDocs) {
-      const title = doc.title || doc.file_name || '';
-      if (!title) continue;
-      // Escape regex special chars in the title
-      const escapedTitle = title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      // Match [Source: Title] citations
-      const citationRegex = new RegExp(`\\[Source:?\\s*${escapedTitle}\\]`, 'gi');
-      const citationMatches = (aiResponse || '').match(citationRegex);
-      // Also check if the title appears as plain text in the response (the AI often weaves it in)
-      const titleRegex = new RegExp(escapedTitle, 'gi');
-      const titleMatches = (aiResponse || '').match(titleRegex);
-      // Citation = formal [Source:] references; mention = title appears in text
-      const formalCitations = citationMatches ? citationMatches.length : 0;
-      const mentions = titleMatches ? titleMatches.length : 0;
-      // Formal citations are worth more, plain mentions still count
-      citationCounts[doc.id] = (formalCitations * 3) + Math.max(0, mentions - formalCitations);
-    }
-    const totalCitations = Object.values(citationCounts).reduce((sum, c) => sum + c, 0);
-
-    // Step 2: Build chunk weights as a baseline signal (how much context came from each doc).
-    const chunkCountByDoc = {};
-    if (relevantChunks && relevantChunks.length > 0) {
-      for (const chunk of relevantChunks) {
-        const docId = chunk.document_id || chunk.documentId;
-        chunkCountByDoc[docId] = (chunkCountByDoc[docId] || 0) + 1;
-      }
+  // --- Source usage calculation ---
+  // The model cites excerpts with [[c:<key>]] markers. Markers are validated
+  // against the chunks that were actually in context (anything else is dropped),
+  // so usage is the exact share of citations each source received.
+  const { cited, dropped: droppedCitations, total: totalCitations } = parseCitationMarkers(aiResponse, citationKeys);
+  if (droppedCitations.length > 0) {
+    console.warn(`Dropped ${droppedCitations.length} citation(s) to chunks not in context: ${droppedCitations.join(', ')}`);
+  }
+
+  // Step 1: Citations per document
+  const citationCounts = {};
+  for (const { chunk, count } of cited.values()) {
+    const docId = chunk.document_id || chunk.documentId;
+    citationCounts[docId] = (citationCounts[docId] || 0) + count;
+  }
+
+  // Chunk-level citations: page, section, Google Doc heading, the passage the
+  // answer drew on and a deep link to it
+  const citations = buildCitations(relevantChunks, relevantDocs, aiResponse, cited);
+  const citationsByDoc = {};
+  for (const citation of citations) {
+    if (!citationsByDoc[citation.documentId]) citationsByDoc[citation.documentId] = [];
+    citationsByDoc[citation.documentId].push(citation);
+  }
+
+  // Step 2: Chunk weights, used only when the answer cites nothing
+  // (e.g. sheet tool answers or a model that ignored the markers)
+  const chunkCountByDoc = {};
+  if (relevantChunks && relevantChunks.length > 0) {
+    for (const chunk of relevantChunks) {
+      const docId = chunk.document_id || chunk.documentId;
+      chunkCountByDoc[docId] = (chunkCountByDoc[docId] || 0) + 1;
     }
-    const totalChunks = Object.values(chunkCountByDoc).reduce((sum, c) => sum + c, 0);
-
-    // Step 3: Combine citation-based weight (70%) with chunk-based weight (30%).
-    // If the AI cited sources, that's the strongest signal of actual usage.
-    // Chunk counts provide a fallback for sources that contributed context but weren't explicitly cited.
-    const sourceRefs = filteredDocs
-      .map(d => {
-        let usagePercent;
-        const citationWeight = totalCitations > 0 ? (citationCounts[d.id] || 0) / totalCitations : 0;
-        const chunkWeight = totalChunks > 0 ? (chunkCountByDoc[d.id] || 0) / totalChunks : 0;
-
-        if (totalCitations > 0) {
-          // We have citation data — heavily favor it
-          usagePercent = (citationWeight * 0.7) + (chunkWeight * 0.3);
-        } else {
-          // No citations found in response — use chunk distribution only
-          usagePercent = chunkWeight;
-        }
+  }
+  const totalChunks = Object.values(chunkCountByDoc).reduce((sum, c) => sum + c, 0);
+  const usageBasis = totalCitations > 0 ? 'citations' : totalChunks > 0 ? 'retrieval' : 'similarity';
 
-        // If nothing worked, fall back to similarity proportion
-        if (usagePercent === 0 && filteredDocs.length > 0) {
-          const totalSimilarity = filteredDocs.reduce((sum, dd) => sum + dd.similarity_score, 0);
-          usagePercent = totalSimilarity > 0 ? d.similarity_score / totalSimilarity : 0;
-        }
+  // Step 3: Cited sources are always listed; otherwise keep reasonably relevant ones
+  const filteredDocs = relevantDocs.filter(d => citationCounts[d.id] || d.similarity_score > 0.3 || d.lexical_score > 0);
+  const totalSimilarity = filteredDocs.reduce((sum, d) => sum + d.similarity_score, 0);
 
-        // Collect the exact chunk excerpts that were pulled from this document
-        const docChunks = (relevantChunks || [])
-          .filter(c => (c.document_id || c.documentId) === d.id)
-          .sort((a, b) => (b.similarity_score || 0) - (a.similarity_score || 0))
-          .slice(0, 3) // Top 3 most relevant excerpts per source
-          .map(c => ({
-            text: c.content || '',
-            chunkIndex: c.chunk_index,
-            similarity: c.similarity_score
-          }));
-
-        return {
-          id: d.id,
-          title: d.title || d.file_name || 'Untitled',
-          similarity: d.similarity_score,
-          usage: usagePercent,
-          chunkCount: chunkCountByDoc[d.id] || 0,
-          isImage: isImageFile(d.file_type),
-          fileUrl: d.file_url || null,
-          sourceType: d.source_type || null,
-          excerpts: docChunks
-        };
-      })
-      // Normalize so percentages add up to 100%
-      .map((ref, _, arr) => {
-        const total = arr.reduce((sum, r) => sum + r.usage, 0);
-        return { ...ref, usage: total > 0 ? ref.usage / total : 0 };
-      })
-      // Sort by usage descending so the most-used source is first
-      .sort((a, b) => b.usage - a.usage);
-
-    // Save user message (with image indicator if applicable)
-    const userMessageContent = imageFiles.length > 0
-      ? `${message}\n[Attached ${imageFiles.length} image(s)]`
-      : message;
-
-    const { error: userMsgError } = await supabase
-      .from('chat_messages')
-      .insert([{
-        client_id: clientId,
-        conversation_id: activeConversationId,
-        role: 'user',
-        content: userMessageContent,
-        context_docs: relevantDocs.map(d => d.id)
-      }]);
+  // The version of each source the answer was grounded in, for diffing later
+  let versionByDoc = new Map();
+  try {
+    versionByDoc = await currentVersions(filteredDocs.map(d => d.id));
+  } catch (versionError) {
+    console.error('Error looking up source versions:', versionError.message);
+  }
 
-    if (userMsgError) throw userMsgError;
+  const sourceRefs = filteredDocs
+    .map(d => {
+      let usagePercent;
+      if (usageBasis === 'citations') {
+        usagePercent = (citationCounts[d.id] || 0) / totalCitations;
+      } else if (usageBasis === 'retrieval') {
+        usagePercent = (chunkCountByDoc[d.id] || 0) / totalChunks;
+      } else {
+        usagePercent = totalSimilarity > 0 ? d.similarity_score / totalSimilarity : 0;
+      }
 
-    // Save AI response with source references
-    const { data: assistantMsg, error: assistantMsgError } = await supabase
-      .from('chat_messages')
-      .insert([{
-        client_id: clientId,
-        conversation_id: activeConversationId,
-        role: 'assistant',
-        content: aiResponse,
-        context_docs: relevantDocs.map(d => d.id),
-        sources: sourceRefs
-      }])
-      .select()
-      .single();
+      // Collect the exact chunk excerpts that were pulled from this document,
+      // each with its citation (location, quote span and deep link); cited ones first
+      const docChunks = (citationsByDoc[d.id] || [])
+        .sort((a, b) => b.citedCount - a.citedCount || (b.similarity || 0) - (a.similarity || 0))
+        .slice(0, 3) // Top 3 most relevant excerpts per source
+        .map(c => ({
+          text: relevantChunks.find(rc => rc.id === c.chunkId)?.content || '',
+          chunkIndex: c.chunkIndex,
+          similarity: c.similarity,
+          chunkId: c.chunkId,
+          citedCount: c.citedCount,
+          page: c.page,
+          pageEnd: c.pageEnd,
+          sectionPath: c.sectionPath,
+          headingId: c.headingId,
+          location: c.location,
+          quote: c.quote,
+          url: c.url
+        }));
 
-    if (assistantMsgError) throw assistantMsgError;
+      return {
+        id: d.id,
+        title: d.title || d.file_name || 'Untitled',
+        similarity: d.similarity_score,
+        usage: usagePercent,
+        usageBasis,
+        citationCount: citationCounts[d.id] || 0,
+        chunkCount: chunkCountByDoc[d.id] || 0,
+        isImage: isImageFile(d.file_type),
+        fileUrl: d.file_url || null,
+        sourceType: d.source_type || null,
+        version: versionByDoc.get(d.id) || null,
+        excerpts: docChunks
+      };
+    })
+    // Normalize so percentages add up to 100% (chunk shares can include documents filtered out above)
+    .map((ref, _, arr) => {
+      const total = arr.reduce((sum, r) => sum + r.usage, 0);
+      return { ...ref, usage: total > 0 ? ref.usage / total : 0 };
+    })
+    // Sort by usage descending so the most-used source is first
+    .sort((a, b) => b.usage - a.usage)
+    .map((ref, idx) => ({ ...ref, number: idx + 1 }));
+
+  // Replace the markers with [n] pointing at the numbered sources
+  const sourceNumberByDoc = new Map(sourceRefs.map(ref => [ref.id, ref.number]));
+  const sourceLabel = chunk => {
+    const number = sourceNumberByDoc.get(chunk.document_id || chunk.documentId);
+    return number ? `[${number}]` : null;
+  };
+  aiResponse = renderCitationMarkers(aiResponse, citationKeys, sourceLabel);
+
+  // Verify each sentence of the answer against the retrieved chunks. Answers built
+  // from sheet data or uploaded images are not checkable against document text.
+  let grounding = null;
+  if (GROUNDING_ENABLED && sheetOperations.length === 0 && uploadedImages.length === 0) {
+    if (stream) stream.onVerifying();
+    grounding = await checkGrounding(aiResponse, relevantChunks, { labelFor: sourceLabel });
+    if (stream?.signal?.aborted) return null;
+  }
+
+  // Save user message (with image indicator if applicable)
+  const userMessageContent = imageFiles.length > 0
+    ? `${message}\n[Attached ${imageFiles.length} image(s)]`
+    : message;
+
+  const { data: userMsg, error: userMsgError } = await supabase
+    .from('chat_messages')
+    .insert([{
+      client_id: clientId,
+      conversation_id: activeConversationId,
+      role: 'user',
+      content: userMessageContent,
+      context_docs: relevantDocs.map(d => d.id)
+    }])
+    .select('id')
+    .single();
+
+  if (userMsgError) throw userMsgError;
+
+  // Save AI response with source references
+  const { data: assistantMsg, error: assistantMsgError } = await supabase
+    .from('chat_messages')
+    .insert([{
+      client_id: clientId,
+      conversation_id: activeConversationId,
+      role: 'assistant',
+      content: aiResponse,
+      context_docs: relevantDocs.map(d => d.id),
+      sources: sourceRefs,
+      ...(grounding && { grounding })
+    }])
+    .select()
+    .single();
+
+  if (assistantMsgError) throw assistantMsgError;
+
+  // Fold older turns into the summary every few turns, and propose facts worth
+  // remembering about the client (neither is awaited, so the answer isn't held up)
+  refreshConversationSummary(clientId, activeConversationId);
+  proposeMemoriesFromMessage(client, message, { conversationId: activeConversationId, messageId: userMsg.id });
+
+  return {
+    message: assistantMsg,
+    conversationId: activeConversationId,
+    contextDocuments: sourceRefs,
+    citations,
+    droppedCitations,
+    grounding,
+    imagesProcessed: {
+      uploaded: uploadedImages.length,
+      fromSources: sourceImages.length
+    },
+    sheetOperations: sheetOperations.length > 0 ? sheetOperations : undefined,
+    rerank: rerankReport || undefined,
+    plan: queryPlan || undefined
+  };
+}
+
+/**
+ * POST /api/chat/:clientId
+ * Send a message and get AI response (with optional images)
+ * Supports: uploaded images AND images from stored DAM sources
+ * Optional `filters` limit retrieval to matching sources: { customGroup, sourceType,
+ * fileType, isGlobal, dateFrom, dateTo, documentIds, tags } (JSON string in multipart requests)
+ */
+router.post('/:clientId', chatUpload.array('images', 5), async (req, res) => {
+  try {
+    const data = await runChatTurn(req);
 
     res.json({
       success: true,
-      data: {
-        message: assistantMsg,
-        conversationId: activeConversationId,
-        contextDocuments: sourceRefs,
-        imagesProcessed: {
-          uploaded: uploadedImages.length,
-          fromSources: sourceImages.length
-        },
-        sheetOperations: sheetOperations.length > 0 ? sheetOperations : undefined
-      }
+      data
     });
   } catch (error) {
+    if (error instanceof ChatRequestError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Error in chat:', error);
     res.status(500).json({
       success: false,
       error: error.message
     });
   } finally {
-    // Cleanup temp files
-    for (const filePath of tempFilePaths) {
-      try {
-        await fs.unlink(filePath);
-      } catch (e) {
-        console.error('Error deleting temp file:', e);
+    await removeTempFiles(req.files);
+  }
+});
+
+/**
+ * POST /api/chat/:clientId/stream
+ * Same request as POST /api/chat/:clientId, answered as Server-Sent Events:
+ *   start  { conversationId }      retrieval is done, generation begins
+ *   delta  { text }                answer text as it arrives (citation markers removed)
+ *   tool   { tool, input, success } a sheet tool ran; text streamed before it was preamble
+ *   verifying {}                   the answer is complete and being checked against the sources
+ *   done   { ...same data as the JSON endpoint, with the saved message }
+ *   error  { error }
+ * Closing the connection cancels generation and nothing is saved.
+ */
+router.post('/:clientId/stream', chatUpload.array('images', 5), async (req, res) => {
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const stripper = createMarkerStripper();
+
+  try {
+    const data = await runChatTurn(req, {
+      signal: abort.signal,
+      onStart: (info) => {
+        // Set up SSE
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+        sendEvent('start', info);
+      },
+      onDelta: (text) => {
+        const visible = stripper.push(text);
+        if (visible) sendEvent('delta', { text: visible });
+      },
+      onToolUse: (operation) => {
+        stripper.reset();
+        sendEvent('tool', operation);
+      },
+      onVerifying: () => {
+        const rest = stripper.flush();
+        if (rest) sendEvent('delta', { text: rest });
+        sendEvent('verifying', {});
       }
+    });
+
+    if (data) {
+      const rest = stripper.flush();
+      if (rest) sendEvent('delta', { text: rest });
+      sendEvent('done', data);
     }
+    res.end();
+  } catch (error) {
+    if (abort.signal.aborted) {
+      res.end();
+    } else if (!res.headersSent) {
+      if (!(error instanceof ChatRequestError)) console.error('Error in chat stream:', error);
+      res.status(error instanceof ChatRequestError ? error.status : 500).json({
+        success: false,
+        error: error.message
+      });
+    } else {
+      console.error('Error in chat stream:', error);
+      sendEvent('error', { error: error.message });
+      res.end();
+    }
+  } finally {
+    await removeTempFiles(req.files);
   }
 });
 
@@ -878,6 +1081,86 @@ router.get('/:clientId/conversations/:conversationId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chat/:clientId/conversations/:conversationId/summary
+ * Get the rolling summary for a conversation (null when none has been written yet)
+ */
+router.get('/:clientId/conversations/:conversationId/summary', async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const summary = await getConversationSummary(clientId, conversationId);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error fetching conversation summary:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/chat/:clientId/conversations/:conversationId/summary
+ * Replace the summary with user-edited text; later refreshes build on the edit
+ *
+ * Body:
+ *   - summary: string (required)
+ */
+router.put('/:clientId/conversations/:conversationId/summary', async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+    const { summary } = req.body;
+
+    if (typeof summary !== 'string' || !summary.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'summary is required'
+      });
+    }
+
+    const saved = await saveConversationSummary(clientId, conversationId, summary);
+
+    res.json({
+      success: true,
+      data: saved
+    });
+  } catch (error) {
+    console.error('Error saving conversation summary:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/chat/:clientId/conversations/:conversationId/summary/refresh
+ * Summarize the conversation now instead of waiting for the next scheduled refresh
+ */
+router.post('/:clientId/conversations/:conversationId/summary/refresh', async (req, res) => {
+  try {
+    const { clientId, conversationId } = req.params;
+
+    const refreshed = await refreshConversationSummary(clientId, conversationId, { force: true });
+
+    res.json({
+      success: true,
+      data: refreshed || await getConversationSummary(clientId, conversationId)
+    });
+  } catch (error) {
+    console.error('Error refreshing conversation summary:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/chat/:clientId/conversations/:conversationId
  * Delete a specific conversation
@@ -894,6 +1177,12 @@ router.delete('/:clientId/conversations/:conversationId', async (req, res) => {
 
     if (error) throw error;
 
+    await supabase
+      .from('conversation_summaries')
+      .delete()
+      .eq('client_id', clientId)
+      .eq('conversation_id', conversationId);
+
     res.json({
       success: true,
       message: 'Conversation deleted'
@@ -926,6 +1215,13 @@ router.post('/:clientId/cleanup', async (req, res) => {
 
     if (error) throw error;
 
+    // Summaries of conversations that have gone quiet go with their messages
+    await supabase
+      .from('conversation_summaries')
+      .delete()
+      .eq('client_id', clientId)
+      .lt('updated_at', thirtyDaysAgo.toISOString());
+
     res.json({
       success: true,
       message: `Deleted ${data?.length || 0} old messages`
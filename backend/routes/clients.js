@@ -4,6 +4,7 @@ import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import path from 'path';
+import { MEMORY_STATUSES, listClientMemories, addClientMemory, updateClientMemory, deleteClientMemory } from '../services/clientMemory.js';
 
 const router = express.Router();
 
@@ -427,6 +428,152 @@ router.post('/:id/api-key', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/clients/:id/memory
+ * List the facts remembered about a client (?status=proposed|approved)
+ */
+router.get('/:id/memory', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.query;
+
+    if (status && !MEMORY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${MEMORY_STATUSES.join(', ')}`
+      });
+    }
+
+    const memories = await listClientMemories(id, { status });
+
+    res.json({
+      success: true,
+      data: memories
+    });
+  } catch (error) {
+    console.error('Error fetching client memory:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/clients/:id/memory
+ * Remember a fact about a client ("remember this"); added facts are approved
+ *
+ * Body:
+ *   - fact: string (required)
+ *   - conversationId: string (optional) - Conversation the fact came from
+ *   - messageId: string (optional) - Chat message the fact came from
+ */
+router.post('/:id/memory', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { fact, conversationId, messageId } = req.body;
+
+    if (typeof fact !== 'string' || !fact.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'fact is required'
+      });
+    }
+
+    const memory = await addClientMemory(id, { fact, conversationId, messageId });
+
+    res.status(201).json({
+      success: true,
+      data: memory
+    });
+  } catch (error) {
+    console.error('Error adding client memory:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/clients/:id/memory/:memoryId
+ * Edit a remembered fact or approve a proposed one
+ *
+ * Body:
+ *   - fact: string (optional)
+ *   - status: 'proposed' | 'approved' (optional)
+ */
+router.patch('/:id/memory/:memoryId', async (req, res) => {
+  try {
+    const { id, memoryId } = req.params;
+    const { fact, status } = req.body;
+
+    if (fact !== undefined && (typeof fact !== 'string' || !fact.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'fact cannot be empty'
+      });
+    }
+
+    if (status !== undefined && !MEMORY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${MEMORY_STATUSES.join(', ')}`
+      });
+    }
+
+    const memory = await updateClientMemory(id, memoryId, { fact, status });
+
+    if (!memory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory fact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: memory
+    });
+  } catch (error) {
+    console.error('Error updating client memory:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/clients/:id/memory/:memoryId
+ * Forget a fact (also used to reject a proposed one)
+ */
+router.delete('/:id/memory/:memoryId', async (req, res) => {
+  try {
+    const { id, memoryId } = req.params;
+
+    const deleted = await deleteClientMemory(id, memoryId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Memory fact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Memory fact deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting client memory:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/clients/:id
  * Delete client and all associated documents
@@ -5,18 +5,31 @@ import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import os from 'os';
 import fs from 'fs/promises';
-import { extractTextFromFile, isValidFileType, isValidFileSize } from '../services/fileProcessor.js';
-import { analyzeDocument } from '../services/claudeService.js';
-import { generateEmbedding, chunkText, cosineSimilarity } from '../services/openaiService.js';
+import { isValidFileType, isValidFileSize } from '../services/fileProcessor.js';
+import { enqueueFileProcessing, enqueueGoogleProcessing } from '../services/documentProcessor.js';
+import { listJobs } from '../services/jobQueue.js';
+import { subscribeIngestionEvents } from '../services/ingestionEvents.js';
+import { semanticSearch, normalizeSearchFilters } from '../services/semanticSearch.js';
 import {
   extractDocId,
   extractSheetId,
+  extractPresentationId,
+  extractFolderId,
   getGoogleSourceType,
   fetchPublicGoogleDoc,
   fetchPublicGoogleSheet,
-  hashContent,
-  checkAndFetchIfModified
+  fetchPublicGoogleSlides,
+  hashContent
 } from '../services/googleDocs.js';
+import {
+  addDriveFolder,
+  DEFAULT_SYNC_INTERVAL_MINUTES,
+  FOLDER_COLUMNS,
+  listSyncRuns,
+  syncClientSources,
+  syncDriveFolderSource
+} from '../services/googleSync.js';
+import { diffLines, getDocumentVersion, listDocumentVersions } from '../services/documentVersions.js';
 
 const router = express.Router();
 
@@ -44,8 +57,9 @@ router.get('/:clientId', async (req, res) => {
     // Fetch client-specific AND global sources (exclude embedding to reduce egress)
     const { data, error } = await supabase
       .from('documents')
-      .select('id, client_id, file_name, file_type, file_url, file_size, title, summary, tags, keywords, topic, sentiment, sentiment_score, processed, created_at, google_doc_id, source_type, last_synced, content_hash, chunk_count, sheet_tabs, custom_group, is_global')
+      .select('id, client_id, file_name, file_type, file_url, file_size, title, summary, tags, keywords, topic, sentiment, sentiment_score, processed, created_at, google_doc_id, source_type, last_synced, content_hash, chunk_count, sheet_tabs, custom_group, is_global, ocr_confidence, ocr_low_confidence, drive_folder_id, drive_path')
       .or(`client_id.eq.${clientId},is_global.eq.true`)
+      .is('deleted_at', null) // Files removed from a Drive folder source
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -128,6 +142,52 @@ router.get('/:clientId/chunks/:documentId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/documents/:clientId/progress-stream
+ * Live ingestion progress for a client's documents (and global sources) via Server-Sent Events.
+ * Sends the current stage of every queued/running job on connect, then one event
+ * per stage change: queued, extracting, analyzing, chunking, embedding, done, failed.
+ */
+router.get('/:clientId/progress-stream', async (req, res) => {
+  const { clientId } = req.params;
+
+  // Set up SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribeIngestionEvents(clientId, (event) => sendEvent(event.stage, event));
+
+  // Keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+
+  try {
+    const activeJobs = await listJobs(clientId, { status: ['queued', 'running'], includeGlobal: true });
+    sendEvent('snapshot', {
+      jobs: activeJobs.map(job => ({
+        ...(job.progress || {}),
+        documentId: job.document_id,
+        jobId: job.id,
+        stage: job.status === 'running' ? (job.progress?.stage || 'extracting') : 'queued',
+        error: job.last_error || undefined
+      }))
+    });
+  } catch (error) {
+    console.error('Error loading active jobs for progress stream:', error);
+    sendEvent('snapshot', { jobs: [], error: error.message });
+  }
+});
+
 /**
  * POST /api/documents/:clientId/upload
  * Upload and process document
@@ -203,18 +263,30 @@ router.post('/:clientId/upload', upload.single('file'), async (req, res) => {
 
     if (insertError) throw insertError;
 
-    // Process document asynchronously
-    processDocumentAsync(document.id, tempFilePath, fileName, fileType);
+    // Queue processing - the worker reads the file back from storage
+    const job = await enqueueFileProcessing({
+      documentId: document.id,
+      clientId,
+      storagePath,
+      fileName,
+      fileType,
+      title: fileName // Use original filename, not AI-generated title
+    });
 
     res.status(201).json({
       success: true,
       data: document,
+      jobId: job.id,
       message: 'Document uploaded. Processing in background...'
     });
 
   } catch (error) {
     console.error('Error uploading document:', error);
-
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  } finally {
     // Cleanup temp file
     if (tempFilePath) {
       try {
@@ -223,106 +295,12 @@ router.post('/:clientId/upload', upload.single('file'), async (req, res) => {
         console.error('Error deleting temp file:', e);
       }
     }
-
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
   }
 });
 
-/**
- * Process document in background - now with chunking and embeddings
- */
-async function processDocumentAsync(documentId, filePath, fileName, fileType) {
-  try {
-    console.log(`Processing document ${documentId}...`);
-
-    // Extract text
-    const textContent = await extractTextFromFile(filePath, fileType);
-
-    if (!textContent || textContent.length < 10) {
-      throw new Error('Insufficient text content extracted from file');
-    }
-
-    // Analyze with Claude
-    const analysis = await analyzeDocument(textContent, fileName, fileType);
-
-    // Generate document-level embedding for the summary
-    const docEmbedding = await generateEmbedding(
-      `${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`
-    );
-
-    // Chunk the full text content
-    const chunks = chunkText(textContent, 1000, 200);
-    console.log(`Created ${chunks.length} chunks for document ${documentId}`);
-
-    // Generate embeddings for each chunk and store them
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      try {
-        const chunkEmbedding = await generateEmbedding(chunk.text);
-
-        await supabase
-          .from('document_chunks')
-          .insert([{
-            document_id: documentId,
-            chunk_index: i,
-            content: chunk.text,
-            start_index: chunk.startIndex,
-            end_index: chunk.endIndex,
-            embedding: JSON.stringify(chunkEmbedding)
-          }]);
-      } catch (chunkError) {
-        console.error(`Error processing chunk ${i} of document ${documentId}:`, chunkError);
-      }
-    }
-
-    // Update document record - keep original filename as title
-    const { error: updateError } = await supabase
-      .from('documents')
-      .update({
-        title: fileName, // Use original filename, not AI-generated title
-        summary: analysis.summary,
-        tags: analysis.tags,
-        keywords: analysis.keywords,
-        topic: analysis.topic,
-        sentiment: analysis.sentiment,
-        sentiment_score: analysis.sentiment_score,
-        embedding: JSON.stringify(docEmbedding),
-        chunk_count: chunks.length,
-        processed: true
-      })
-      .eq('id', documentId);
-
-    if (updateError) throw updateError;
-
-    console.log(`Document ${documentId} processed successfully with ${chunks.length} chunks`);
-
-  } catch (error) {
-    console.error(`Error processing document ${documentId}:`, error);
-
-    // Mark as failed - keep original filename
-    await supabase
-      .from('documents')
-      .update({
-        processed: false,
-        summary: `Error: ${error.message}`
-      })
-      .eq('id', documentId);
-  } finally {
-    // Cleanup temp file
-    try {
-      await fs.unlink(filePath);
-    } catch (e) {
-      console.error('Error deleting temp file:', e);
-    }
-  }
-}
-
 /**
  * POST /api/documents/:clientId/google
- * Add a Google Doc/Sheet as a source
+ * Add a Google Doc/Sheet/Slides presentation as a source
  */
 router.post('/:clientId/google', async (req, res) => {
   try {
@@ -333,7 +311,7 @@ router.post('/:clientId/google', async (req, res) => {
     if (!url) {
       return res.status(400).json({
         success: false,
-        error: 'Google Docs/Sheets URL is required'
+        error: 'Google Docs/Sheets/Slides URL is required'
       });
     }
 
@@ -342,7 +320,7 @@ router.post('/:clientId/google', async (req, res) => {
     if (!sourceType) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid URL. Please provide a Google Docs or Google Sheets URL.'
+        error: 'Invalid URL. Please provide a Google Docs, Sheets or Slides URL.'
       });
     }
 
@@ -360,7 +338,7 @@ router.post('/:clientId/google', async (req, res) => {
       });
     }
 
-    let content, title, docId, sheetTabs = [];
+    let content, title, docId, sheetTabs = [], structured = false;
 
     if (sourceType === 'google_doc') {
       docId = extractDocId(url);
@@ -374,6 +352,7 @@ router.post('/:clientId/google', async (req, res) => {
       const docData = await fetchPublicGoogleDoc(docId);
       content = docData.content;
       title = docData.title;
+      structured = docData.structured;
     } else if (sourceType === 'google_sheet') {
       docId = extractSheetId(url);
       if (!docId) {
@@ -406,11 +385,18 @@ router.post('/:clientId/google', async (req, res) => {
         console.error('Error adding to connected_sheets:', sheetConnectError);
         // Continue even if this fails - the document will still be added
       }
-    } else {
-      return res.status(400).json({
-        success: false,
-        error: 'Google Slides not yet supported'
-      });
+    } else if (sourceType === 'google_slides') {
+      docId = extractPresentationId(url);
+      if (!docId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Could not extract presentation ID from URL'
+        });
+      }
+      const slidesData = await fetchPublicGoogleSlides(docId);
+      content = slidesData.content;
+      title = slidesData.title;
+      structured = slidesData.structured;
     }
 
     // Generate content hash for change detection
@@ -431,15 +417,23 @@ router.post('/:clientId/google', async (req, res) => {
         content_hash: contentHash,
         processed: false,
         sheet_tabs: sheetTabs.length > 0 ? sheetTabs : null,
-        is_global: isGlobalSource
+        is_global: isGlobalSource,
+        owner_client_id: isGlobalSource ? clientId : null
       }])
       .select()
       .single();
 
     if (insertError) throw insertError;
 
-    // Process document asynchronously
-    processGoogleDocAsync(document.id, content, title, sourceType);
+    // Queue processing
+    const job = await enqueueGoogleProcessing({
+      documentId: document.id,
+      clientId,
+      content,
+      title,
+      sourceType,
+      structured
+    });
 
     res.status(201).json({
       success: true,
@@ -447,9 +441,12 @@ router.post('/:clientId/google', async (req, res) => {
         ...document,
         tabs: sheetTabs
       },
+      jobId: job.id,
       message: sourceType === 'google_sheet'
         ? `Google Sheet added with ${sheetTabs.length} tab(s). Processing in background...`
-        : 'Google Doc added. Processing in background...'
+        : sourceType === 'google_slides'
+          ? 'Google Slides added. Processing in background...'
+          : 'Google Doc added. Processing in background...'
     });
 
   } catch (error) {
@@ -490,13 +487,14 @@ router.post('/:documentId/sync', async (req, res) => {
       });
     }
 
-    let content, title, sheetTabs = [];
+    let content, title, sheetTabs = [], structured = false;
     const sourceType = document.file_type;
 
     if (sourceType === 'google_doc') {
       const docData = await fetchPublicGoogleDoc(document.google_doc_id);
       content = docData.content;
       title = docData.title;
+      structured = docData.structured;
     } else if (sourceType === 'google_sheet') {
       const sheetData = await fetchPublicGoogleSheet(document.google_doc_id);
       content = sheetData.content;
@@ -520,30 +518,39 @@ router.post('/:documentId/sync', async (req, res) => {
       } catch (sheetConnectError) {
         console.error('Error updating connected_sheets:', sheetConnectError);
       }
+    } else if (sourceType === 'google_slides') {
+      const slidesData = await fetchPublicGoogleSlides(document.google_doc_id);
+      content = slidesData.content;
+      title = slidesData.title;
+      structured = slidesData.structured;
     }
 
-    // Delete old chunks
-    await supabase
-      .from('document_chunks')
-      .delete()
-      .eq('document_id', documentId);
-
-    // Update last_synced and tabs
     await supabase
       .from('documents')
-      .update({
+      .update({ last_sync_check: new Date().toISOString() })
+      .eq('id', documentId);
+
+    // Queue re-processing. The current chunks stay searchable until the job swaps
+    // in the changed ones (see reindexChangedDocument), and the new hash and tabs
+    // are stored only once it succeeds
+    const job = await enqueueGoogleProcessing({
+      documentId,
+      clientId: document.client_id,
+      content,
+      title,
+      sourceType,
+      structured,
+      documentFields: {
         file_name: title,
+        content_hash: hashContent(content),
         last_synced: new Date().toISOString(),
-        processed: false,
         sheet_tabs: sheetTabs.length > 0 ? sheetTabs : null
-      })
-      .eq('id', documentId);
-
-    // Re-process document
-    processGoogleDocAsync(documentId, content, title, sourceType);
+      }
+    });
 
     res.json({
       success: true,
+      jobId: job.id,
       message: sourceType === 'google_sheet'
         ? `Sync started. Refreshing ${sheetTabs.length} tab(s)...`
         : 'Sync started. Document is being re-processed...'
@@ -565,17 +572,9 @@ router.post('/:documentId/sync', async (req, res) => {
 router.post('/:clientId/sync-all', async (req, res) => {
   try {
     const { clientId } = req.params;
+    const results = await syncClientSources(clientId, { trigger: 'manual' });
 
-    // Get all Google sources for this client (including global sources) - exclude embedding to reduce egress
-    const { data: googleDocs, error: fetchError } = await supabase
-      .from('documents')
-      .select('id, client_id, file_name, file_type, file_url, google_doc_id, source_type, last_synced, content_hash, chunk_count, sheet_tabs, processed, is_global')
-      .or(`client_id.eq.${clientId},is_global.eq.true`)
-      .eq('source_type', 'google');
-
-    if (fetchError) throw fetchError;
-
-    if (!googleDocs || googleDocs.length === 0) {
+    if (results.checked === 0) {
       return res.json({
         success: true,
         message: 'No Google sources to sync',
@@ -584,83 +583,94 @@ router.post('/:clientId/sync-all', async (req, res) => {
       });
     }
 
-    const results = {
-      checked: googleDocs.length,
-      synced: 0,
-      unchanged: 0,
-      errors: []
-    };
+    res.json({
+      success: true,
+      message: `Sync complete. ${results.synced} updated, ${results.unchanged} unchanged${results.failed > 0 ? `, ${results.failed} failed` : ''}.`,
+      ...results
+    });
 
-    // Check each doc for changes
-    for (const doc of googleDocs) {
-      try {
-        const checkResult = await checkAndFetchIfModified(
-          doc.google_doc_id,
-          doc.file_type,
-          doc.content_hash
-        );
-
-        if (checkResult.modified) {
-          // Delete old chunks
-          await supabase
-            .from('document_chunks')
-            .delete()
-            .eq('document_id', doc.id);
+  } catch (error) {
+    console.error('Error in batch sync:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-          // Update the document with new tabs if it's a sheet
-          const updateData = {
-            file_name: checkResult.title,
-            last_synced: new Date().toISOString(),
-            content_hash: checkResult.contentHash,
-            processed: false
-          };
-
-          if (doc.file_type === 'google_sheet' && checkResult.tabs) {
-            updateData.sheet_tabs = checkResult.tabs;
-
-            // Also update connected_sheets
-            try {
-              await supabase
-                .from('connected_sheets')
-                .upsert({
-                  client_id: doc.client_id,
-                  spreadsheet_id: doc.google_doc_id,
-                  sheet_url: doc.file_url,
-                  name: checkResult.title,
-                  sheet_tabs: checkResult.tabs,
-                  last_synced: new Date().toISOString(),
-                }, {
-                  onConflict: 'client_id,spreadsheet_id',
-                });
-            } catch (sheetError) {
-              console.error('Error updating connected_sheets:', sheetError);
-            }
-          }
+/**
+ * GET /api/documents/:clientId/sync-history
+ * Recent manual and scheduled Google sync runs (?limit=10) and the client's sync interval
+ */
+router.get('/:clientId/sync-history', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
 
-          await supabase
-            .from('documents')
-            .update(updateData)
-            .eq('id', doc.id);
-
-          // Re-process in background
-          processGoogleDocAsync(doc.id, checkResult.content, checkResult.title, doc.file_type);
-          results.synced++;
-        } else {
-          results.unchanged++;
-        }
-      } catch (error) {
-        results.errors.push({ docId: doc.id, error: error.message });
+    const [runs, { data: client, error: clientError }] = await Promise.all([
+      listSyncRuns(clientId, { limit }),
+      supabase.from('clients').select('google_sync_interval_minutes').eq('id', clientId).single()
+    ]);
+
+    if (clientError) throw clientError;
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        intervalMinutes: client?.google_sync_interval_minutes ?? null,
+        defaultIntervalMinutes: DEFAULT_SYNC_INTERVAL_MINUTES
       }
+    });
+  } catch (error) {
+    console.error('Error fetching sync history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Validate an interval in minutes from a request body: null (use the default),
+ * 0 (automatic sync off) or 15 minutes to 30 days. Returns { minutes } or { error }.
+ */
+function parseSyncInterval(value) {
+  if (value === null) return { minutes: null };
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || (minutes !== 0 && (minutes < 15 || minutes > 43200))) {
+    return { error: 'intervalMinutes must be null, 0 or a whole number of minutes between 15 and 43200' };
+  }
+  return { minutes };
+}
+
+/**
+ * PUT /api/documents/:clientId/sync-schedule
+ * Set how often the client's Google sources are checked automatically
+ * Body: { intervalMinutes } (null = server default, 0 = off)
+ */
+router.put('/:clientId/sync-schedule', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { minutes, error: validationError } = parseSyncInterval(req.body.intervalMinutes);
+
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
 
+    const { error } = await supabase
+      .from('clients')
+      .update({ google_sync_interval_minutes: minutes })
+      .eq('id', clientId);
+
+    if (error) throw error;
+
     res.json({
       success: true,
-      message: `Sync complete. ${results.synced} updated, ${results.unchanged} unchanged.`,
-      ...results
+      data: { intervalMinutes: minutes }
     });
-
   } catch (error) {
-    console.error('Error in batch sync:', error);
+    console.error('Error updating sync schedule:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -669,205 +679,350 @@ router.post('/:clientId/sync-all', async (req, res) => {
 });
 
 /**
- * Process Google Doc in background - now with chunking
+ * PUT /api/documents/:documentId/sync-interval
+ * Override how often one Google source is checked automatically
+ * Body: { intervalMinutes } (null = client default, 0 = off)
  */
-async function processGoogleDocAsync(documentId, content, title, sourceType) {
+router.put('/:documentId/sync-interval', async (req, res) => {
   try {
-    console.log(`Processing Google Doc ${documentId}...`);
-    console.log(`Content length: ${content?.length || 0} characters`);
+    const { documentId } = req.params;
+    const { minutes, error: validationError } = parseSyncInterval(req.body.intervalMinutes);
 
-    if (!content || content.length < 10) {
-      throw new Error('Insufficient content extracted from Google Doc');
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
     }
 
-    // Analyze with Claude
-    console.log(`Starting Claude analysis for ${documentId}...`);
-    const analysis = await analyzeDocument(content, title, sourceType);
-    console.log(`Claude analysis complete for ${documentId}:`, analysis.title);
-
-    // Generate document-level embedding
-    const docEmbedding = await generateEmbedding(
-      `${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`
-    );
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ sync_interval_minutes: minutes })
+      .eq('id', documentId)
+      .eq('source_type', 'google')
+      .select('id');
 
-    // Chunk the content
-    const chunks = chunkText(content, 1000, 200);
-    console.log(`Chunking complete: ${chunks.length} chunks for Google Doc ${documentId}`);
+    if (error) throw error;
 
-    // Generate embeddings for chunks in batches (much faster)
-    console.log(`Inserting ${chunks.length} chunks into database...`);
-    const BATCH_SIZE = 50;
-    let insertedCount = 0;
+    if (!data || data.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Google source not found'
+      });
+    }
 
-    for (let batchStart = 0; batchStart < chunks.length; batchStart += BATCH_SIZE) {
-      const batch = chunks.slice(batchStart, batchStart + BATCH_SIZE);
-      const chunkRecords = [];
+    res.json({
+      success: true,
+      data: { intervalMinutes: minutes }
+    });
+  } catch (error) {
+    console.error('Error updating sync interval:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      for (let i = 0; i < batch.length; i++) {
-        const chunk = batch[i];
-        const chunkIndex = batchStart + i;
-        try {
-          const chunkEmbedding = await generateEmbedding(chunk.text);
-          chunkRecords.push({
-            document_id: documentId,
-            chunk_index: chunkIndex,
-            content: chunk.text,
-            start_index: chunk.startIndex,
-            end_index: chunk.endIndex,
-            embedding: JSON.stringify(chunkEmbedding)
-          });
-        } catch (chunkError) {
-          console.error(`Error generating embedding for chunk ${chunkIndex}:`, chunkError.message);
-        }
-      }
+/**
+ * GET /api/documents/:documentId/versions
+ * A document's recorded versions, newest first (without their text)
+ */
+router.get('/:documentId/versions', async (req, res) => {
+  try {
+    const versions = await listDocumentVersions(req.params.documentId);
 
-      // Insert batch
-      if (chunkRecords.length > 0) {
-        const { error: batchError } = await supabase
-          .from('document_chunks')
-          .insert(chunkRecords);
+    res.json({
+      success: true,
+      data: versions
+    });
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-        if (batchError) {
-          console.error(`Error inserting batch at ${batchStart}:`, batchError.message);
-        } else {
-          insertedCount += chunkRecords.length;
-        }
-      }
+/**
+ * GET /api/documents/:documentId/versions/diff
+ * Line diff between two versions (?from=versionId&to=versionId). `to` defaults
+ * to the newest version and `from` to the one before `to`
+ */
+router.get('/:documentId/versions/diff', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    let { from, to } = req.query;
 
-      // Log progress every 200 chunks
-      if ((batchStart + BATCH_SIZE) % 200 === 0 || batchStart + BATCH_SIZE >= chunks.length) {
-        console.log(`Progress: ${Math.min(batchStart + BATCH_SIZE, chunks.length)}/${chunks.length} chunks processed`);
-      }
+    if (!from || !to) {
+      const versions = await listDocumentVersions(documentId);
+      const toIndex = to ? versions.findIndex(v => v.id === to) : 0;
+      if (!to) to = versions[0]?.id;
+      if (!from) from = versions[toIndex + 1]?.id;
     }
 
-    console.log(`Finished inserting ${insertedCount} chunks for ${documentId}`);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least two versions are needed for a diff'
+      });
+    }
 
-    // Update document record with title and analysis
-    console.log(`Updating document ${documentId} with processed=true, ${chunks.length} chunks...`);
-    const { error: updateError } = await supabase
-      .from('documents')
-      .update({
-        title: title || analysis.title,
-        summary: analysis.summary,
-        tags: analysis.tags,
-        keywords: analysis.keywords,
-        topic: analysis.topic,
-        sentiment: analysis.sentiment,
-        sentiment_score: analysis.sentiment_score,
-        embedding: JSON.stringify(docEmbedding),
-        chunk_count: chunks.length,
-        processed: true
-      })
-      .eq('id', documentId);
+    const [fromVersion, toVersion] = await Promise.all([
+      getDocumentVersion(documentId, from),
+      getDocumentVersion(documentId, to)
+    ]);
 
-    if (updateError) {
-      console.error(`Error updating document ${documentId}:`, updateError);
-      throw updateError;
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
     }
 
-    console.log(`Google Doc ${documentId} processed successfully with ${chunks.length} chunks`);
+    const { content: fromContent, ...fromMeta } = fromVersion;
+    const { content: toContent, ...toMeta } = toVersion;
 
+    res.json({
+      success: true,
+      data: {
+        from: fromMeta,
+        to: toMeta,
+        ...diffLines(fromContent, toContent)
+      }
+    });
   } catch (error) {
-    console.error(`Error processing Google Doc ${documentId}:`, error.message || error);
+    console.error('Error diffing document versions:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Mark as failed - keep original title, only update summary with error
-    await supabase
-      .from('documents')
-      .update({
-        processed: false,
-        summary: `Error: ${error.message}`
-      })
-      .eq('id', documentId);
+/**
+ * GET /api/documents/:documentId/versions/:versionId
+ * One version with its text snapshot
+ */
+router.get('/:documentId/versions/:versionId', async (req, res) => {
+  try {
+    const { documentId, versionId } = req.params;
+    const version = await getDocumentVersion(documentId, versionId);
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    console.error('Error fetching document version:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-}
+});
 
 /**
- * POST /api/documents/search/:clientId
- * Semantic search for documents using vector similarity
+ * POST /api/documents/:clientId/drive-folder
+ * Add a Google Drive folder as a source: its Docs, Sheets, Slides, PDFs and DOCX
+ * files (subfolders included) are ingested into one group and kept in sync
+ * Body: { url, isGlobal, group } (group defaults to the folder name)
  */
-router.post('/search/:clientId', async (req, res) => {
+router.post('/:clientId/drive-folder', async (req, res) => {
   try {
     const { clientId } = req.params;
-    const { query, limit = 5, includeChunks = true } = req.body;
+    const { url, isGlobal, group } = req.body;
 
-    if (!query) {
+    if (!url) {
       return res.status(400).json({
         success: false,
-        error: 'Search query is required'
+        error: 'Google Drive folder URL is required'
+      });
+    }
+
+    if (!extractFolderId(url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid URL. Please provide a Google Drive folder URL.'
       });
     }
 
-    // Generate embedding for query
-    const queryEmbedding = await generateEmbedding(query);
+    // Verify client exists
+    const { data: client, error: clientError } = await supabase
+      .from('clients')
+      .select('id')
+      .eq('id', clientId)
+      .single();
 
-    // Get all documents for this client (including global sources)
-    const { data: documents, error: docError } = await supabase
-      .from('documents')
-      .select('*')
+    if (clientError || !client) {
+      return res.status(404).json({
+        success: false,
+        error: 'Client not found'
+      });
+    }
+
+    const { folder, results } = await addDriveFolder({
+      clientId,
+      url,
+      isGlobal: isGlobal === true || isGlobal === 'true',
+      group: typeof group === 'string' ? group : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: folder,
+      ...results,
+      message: `Drive folder added with ${results.added} file(s)${results.failed > 0 ? ` (${results.failed} failed)` : ''}. Processing in background...`
+    });
+  } catch (error) {
+    console.error('Error adding Drive folder:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:clientId/drive-folders
+ * Drive folder sources for a client (includes global folders)
+ */
+router.get('/:clientId/drive-folders', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+
+    const { data, error } = await supabase
+      .from('drive_folders')
+      .select(FOLDER_COLUMNS)
       .or(`client_id.eq.${clientId},is_global.eq.true`)
-      .eq('processed', true);
+      .order('created_at', { ascending: false });
 
-    if (docError) throw docError;
+    if (error) throw error;
 
-    // Calculate document-level similarity scores
-    const scoredDocs = documents.map(doc => {
-      let embedding;
-      try {
-        embedding = JSON.parse(doc.embedding || '[]');
-      } catch {
-        embedding = [];
-      }
+    res.json({
+      success: true,
+      data: data || []
+    });
+  } catch (error) {
+    console.error('Error fetching Drive folders:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-      const similarity = cosineSimilarity(queryEmbedding, embedding);
+/**
+ * POST /api/documents/drive-folders/:folderId/sync
+ * Pick up new, changed and removed files in a Drive folder source now
+ * Body: { clientId } (optional, the client the run is recorded under)
+ */
+router.post('/drive-folders/:folderId/sync', async (req, res) => {
+  try {
+    const { folderId } = req.params;
+    const results = await syncDriveFolderSource(folderId, { clientId: req.body?.clientId || null });
 
-      return {
-        ...doc,
-        similarity_score: similarity
-      };
+    res.json({
+      success: true,
+      message: `Folder synced. ${results.added} added, ${results.synced} updated, ${results.removed} removed${results.failed > 0 ? `, ${results.failed} failed` : ''}.`,
+      ...results
+    });
+  } catch (error) {
+    console.error('Error syncing Drive folder:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    // Sort by similarity and get top results
-    const topDocs = scoredDocs
-      .sort((a, b) => b.similarity_score - a.similarity_score)
-      .slice(0, limit);
-
-    // If requested, also search chunks for more precise retrieval
-    let relevantChunks = [];
-    if (includeChunks && topDocs.length > 0) {
-      const docIds = topDocs.map(d => d.id);
-
-      const { data: chunks, error: chunkError } = await supabase
-        .from('document_chunks')
-        .select('*')
-        .in('document_id', docIds);
-
-      if (!chunkError && chunks) {
-        // Score chunks
-        const scoredChunks = chunks.map(chunk => {
-          let embedding;
-          try {
-            embedding = JSON.parse(chunk.embedding || '[]');
-          } catch {
-            embedding = [];
-          }
-
-          const similarity = cosineSimilarity(queryEmbedding, embedding);
-          const parentDoc = topDocs.find(d => d.id === chunk.document_id);
-
-          return {
-            ...chunk,
-            similarity_score: similarity,
-            documentTitle: parentDoc?.title || 'Unknown'
-          };
-        });
+/**
+ * DELETE /api/documents/drive-folders/:folderId
+ * Remove a Drive folder source with all of its documents
+ */
+router.delete('/drive-folders/:folderId', async (req, res) => {
+  try {
+    const { folderId } = req.params;
 
-        // Get top chunks
-        relevantChunks = scoredChunks
-          .sort((a, b) => b.similarity_score - a.similarity_score)
-          .slice(0, 10);
-      }
+    // Copies of PDFs and DOCX files live in storage; Google files don't
+    const { data: files, error: filesError } = await supabase
+      .from('documents')
+      .select('file_url')
+      .eq('drive_folder_id', folderId)
+      .eq('source_type', 'google_drive');
+
+    if (filesError) throw filesError;
+
+    const storagePaths = (files || [])
+      .filter(file => file.file_url)
+      .map(file => {
+        const urlParts = file.file_url.split('/');
+        return urlParts.slice(urlParts.indexOf('documents')).join('/');
+      });
+
+    if (storagePaths.length > 0) {
+      await supabase.storage
+        .from('client-assets')
+        .remove(storagePaths);
+    }
+
+    // Documents and their chunks are removed with the folder (ON DELETE CASCADE)
+    const { error } = await supabase
+      .from('drive_folders')
+      .delete()
+      .eq('id', folderId);
+
+    if (error) throw error;
+
+    res.json({
+      success: true,
+      message: 'Drive folder removed'
+    });
+  } catch (error) {
+    console.error('Error deleting Drive folder:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/documents/search/:clientId
+ * Semantic search for documents using vector similarity
+ * Optional `filters`: { customGroup, sourceType, fileType, isGlobal, dateFrom, dateTo, documentIds, tags }
+ */
+router.post('/search/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { query, limit = 5, includeChunks = true, mode = 'documents' } = req.body;
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query is required'
+      });
+    }
+
+    let filters;
+    try {
+      filters = normalizeSearchFilters(req.body.filters);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
 
+    // Nearest-neighbour search runs in pgvector (see services/semanticSearch.js)
+    const { documents: topDocs, chunks } = await semanticSearch(clientId, query, limit, { filters, mode });
+    const relevantChunks = includeChunks ? chunks : [];
+
     res.json({
       success: true,
       data: {
@@ -895,8 +1050,6 @@ router.post('/search/:clientId', async (req, res) => {
  * - { url: 'https://docs.google.com/...', client: 'Client Name or ID' }
  */
 router.post('/api-upload', async (req, res) => {
-  let tempFilePath = null;
-
   try {
     const { url, client: clientIdentifier } = req.body;
     const apiKey = req.headers['x-api-key'];
@@ -978,12 +1131,12 @@ router.post('/api-upload', async (req, res) => {
 
     const clientId = client.id;
 
-    // Check if it's a Google Docs/Sheets URL
+    // Check if it's a Google Docs/Sheets/Slides URL
     const sourceType = getGoogleSourceType(url);
 
     if (sourceType) {
-      // Handle Google Docs/Sheets
-      let content, title, docId, sheetTabs = [];
+      // Handle Google Docs/Sheets/Slides
+      let content, title, docId, sheetTabs = [], structured = false;
 
       if (sourceType === 'google_doc') {
         docId = extractDocId(url);
@@ -997,6 +1150,7 @@ router.post('/api-upload', async (req, res) => {
         const docData = await fetchPublicGoogleDoc(docId);
         content = docData.content;
         title = docData.title;
+        structured = docData.structured;
       } else if (sourceType === 'google_sheet') {
         docId = extractSheetId(url);
         if (!docId) {
@@ -1028,11 +1182,18 @@ router.post('/api-upload', async (req, res) => {
         } catch (sheetConnectError) {
           console.error('Error adding to connected_sheets:', sheetConnectError);
         }
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Google Slides not yet supported'
-        });
+      } else if (sourceType === 'google_slides') {
+        docId = extractPresentationId(url);
+        if (!docId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Could not extract presentation ID from URL'
+          });
+        }
+        const slidesData = await fetchPublicGoogleSlides(docId);
+        content = slidesData.content;
+        title = slidesData.title;
+        structured = slidesData.structured;
       }
 
       // Generate content hash for change detection
@@ -1059,8 +1220,15 @@ router.post('/api-upload', async (req, res) => {
 
       if (insertError) throw insertError;
 
-      // Process document asynchronously
-      processGoogleDocAsync(document.id, content, title, sourceType);
+      // Queue processing
+      const job = await enqueueGoogleProcessing({
+        documentId: document.id,
+        clientId,
+        content,
+        title,
+        sourceType,
+        structured
+      });
 
       return res.status(201).json({
         success: true,
@@ -1068,9 +1236,12 @@ router.post('/api-upload', async (req, res) => {
           ...document,
           tabs: sheetTabs
         },
+        jobId: job.id,
         message: sourceType === 'google_sheet'
           ? `Google Sheet added with ${sheetTabs.length} tab(s). Processing in background...`
-          : 'Google Doc added. Processing in background...'
+          : sourceType === 'google_slides'
+            ? 'Google Slides added. Processing in background...'
+            : 'Google Doc added. Processing in background...'
       });
     }
 
@@ -1129,10 +1300,6 @@ router.post('/api-upload', async (req, res) => {
       });
     }
 
-    // Write to temp file for processing
-    tempFilePath = path.join(os.tmpdir(), `${uuidv4()}${path.extname(fileName)}`);
-    await fs.writeFile(tempFilePath, fileBuffer);
-
     // Upload file to Supabase Storage
     const fileExt = path.extname(fileName);
     const storagePath = `documents/${clientId}/${uuidv4()}${fileExt}`;
@@ -1168,27 +1335,25 @@ router.post('/api-upload', async (req, res) => {
 
     if (insertError) throw insertError;
 
-    // Process document asynchronously
-    processDocumentAsync(document.id, tempFilePath, fileName, fileType);
+    // Queue processing - the worker reads the file back from storage
+    const job = await enqueueFileProcessing({
+      documentId: document.id,
+      clientId,
+      storagePath,
+      fileName,
+      fileType,
+      title: fileName
+    });
 
     res.status(201).json({
       success: true,
       data: document,
+      jobId: job.id,
       message: 'Source uploaded via API. Processing in background...'
     });
 
   } catch (error) {
     console.error('Error in API upload:', error);
-
-    // Cleanup temp file
-    if (tempFilePath) {
-      try {
-        await fs.unlink(tempFilePath);
-      } catch (e) {
-        console.error('Error deleting temp file:', e);
-      }
-    }
-
     res.status(500).json({
       success: false,
       error: error.message
@@ -1318,12 +1483,20 @@ router.delete('/:documentId', async (req, res) => {
     // Get document to find file path
     const { data: document, error: fetchError } = await supabase
       .from('documents')
-      .select('file_url')
+      .select('file_url, drive_folder_id')
       .eq('id', documentId)
       .single();
 
     if (fetchError) throw fetchError;
 
+    // The next folder sync would add it again
+    if (document?.drive_folder_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'This file comes from a Drive folder source. Remove it from the folder in Drive, or remove the folder source.'
+      });
+    }
+
     // Delete chunks first
     await supabase
       .from('document_chunks')
@@ -0,0 +1,100 @@
+import express from 'express';
+import { listJobs, retryJob, cancelJob } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+/**
+ * GET /api/jobs/:clientId
+ * List a client's processing jobs, newest first (?status=failed&limit=50)
+ */
+router.get('/:clientId', async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}`
+      });
+    }
+
+    const jobs = await listJobs(clientId, { status, limit });
+
+    res.json({
+      success: true,
+      data: jobs
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:clientId/:jobId/retry
+ * Re-queue a failed or cancelled job
+ */
+router.post('/:clientId/:jobId/retry', async (req, res) => {
+  try {
+    const { clientId, jobId } = req.params;
+    const job = await retryJob(clientId, jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed or cancelled job found with that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: 'Job queued for retry'
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:clientId/:jobId/cancel
+ * Cancel a queued or running job
+ */
+router.post('/:clientId/:jobId/cancel', async (req, res) => {
+  try {
+    const { clientId, jobId } = req.params;
+    const job = await cancelJob(clientId, jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'No queued or running job found with that ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+      message: job.status === 'running' ? 'Cancel requested; the job stops at its next step' : 'Job cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -4,19 +4,20 @@ import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import os from 'os';
-import fs from 'fs/promises';
-import { extractTextFromFile, isValidFileType, isValidFileSize } from '../services/fileProcessor.js';
-import { analyzeDocument } from '../services/claudeService.js';
-import { generateEmbedding, chunkText } from '../services/openaiService.js';
-import { parseDateFromFilename } from '../services/dateParser.js';
+import { isValidFileType, isValidFileSize } from '../services/fileProcessor.js';
+import { enqueueFileProcessing, enqueueGoogleProcessing } from '../services/documentProcessor.js';
 import {
   extractDocId,
   extractSheetId,
+  extractPresentationId,
+  extractFolderId,
   getGoogleSourceType,
   fetchPublicGoogleDoc,
   fetchPublicGoogleSheet,
+  fetchPublicGoogleSlides,
   hashContent,
 } from '../services/googleDocs.js';
+import { addDriveFolder } from '../services/googleSync.js';
 
 const router = express.Router();
 
@@ -33,165 +34,11 @@ const upload = multer({
   }
 });
 
-/**
- * Process document in background
- */
-async function processDocumentAsync(documentId, filePath, fileName, fileType) {
-  try {
-    console.log(`Processing source ${documentId}...`);
-    const textContent = await extractTextFromFile(filePath, fileType);
-
-    if (!textContent || textContent.length < 10) {
-      throw new Error('Insufficient text content extracted from file');
-    }
-
-    const analysis = await analyzeDocument(textContent, fileName, fileType);
-    const docEmbedding = await generateEmbedding(
-      `${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`
-    );
-
-    const chunks = chunkText(textContent, 1000, 200);
-
-    for (let i = 0; i < chunks.length; i++) {
-      const chunk = chunks[i];
-      try {
-        const chunkEmbedding = await generateEmbedding(chunk.text);
-        await supabase
-          .from('document_chunks')
-          .insert([{
-            document_id: documentId,
-            chunk_index: i,
-            content: chunk.text,
-            start_index: chunk.startIndex,
-            end_index: chunk.endIndex,
-            embedding: JSON.stringify(chunkEmbedding)
-          }]);
-      } catch (chunkError) {
-        console.error(`Error processing chunk ${i}:`, chunkError);
-      }
-    }
-
-    // Determine source_date: filename date wins, then AI-extracted date
-    const fileNameDate = parseDateFromFilename(fileName);
-    const contentDate = analysis.content_date || null;
-    const sourceDate = fileNameDate || contentDate;
-
-    await supabase
-      .from('documents')
-      .update({
-        title: analysis.title || fileName,
-        summary: analysis.summary,
-        tags: analysis.tags,
-        keywords: analysis.keywords,
-        topic: analysis.topic,
-        sentiment: analysis.sentiment,
-        sentiment_score: analysis.sentiment_score,
-        embedding: JSON.stringify(docEmbedding),
-        chunk_count: chunks.length,
-        source_date: sourceDate,
-        processed: true
-      })
-      .eq('id', documentId);
-
-    console.log(`Source ${documentId} processed successfully (source_date: ${sourceDate || 'none'})`);
-  } catch (error) {
-    console.error(`Error processing source ${documentId}:`, error);
-    await supabase
-      .from('documents')
-      .update({ processed: false, summary: `Error: ${error.message}` })
-      .eq('id', documentId);
-  } finally {
-    try {
-      await fs.unlink(filePath);
-    } catch (e) {}
-  }
-}
-
-/**
- * Process Google Doc in background
- */
-async function processGoogleDocAsync(documentId, content, title, sourceType) {
-  try {
-    console.log(`Processing Google source ${documentId}...`);
-
-    if (!content || content.length < 10) {
-      throw new Error('Insufficient content extracted from Google source');
-    }
-
-    const analysis = await analyzeDocument(content, title, sourceType);
-    const docEmbedding = await generateEmbedding(
-      `${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`
-    );
-
-    const chunks = chunkText(content, 1000, 200);
-    const BATCH_SIZE = 50;
-
-    for (let batchStart = 0; batchStart < chunks.length; batchStart += BATCH_SIZE) {
-      const batch = chunks.slice(batchStart, batchStart + BATCH_SIZE);
-      const chunkRecords = [];
-
-      for (let i = 0; i < batch.length; i++) {
-        const chunk = batch[i];
-        const chunkIndex = batchStart + i;
-        try {
-          const chunkEmbedding = await generateEmbedding(chunk.text);
-          chunkRecords.push({
-            document_id: documentId,
-            chunk_index: chunkIndex,
-            content: chunk.text,
-            start_index: chunk.startIndex,
-            end_index: chunk.endIndex,
-            embedding: JSON.stringify(chunkEmbedding)
-          });
-        } catch (chunkError) {
-          console.error(`Error generating embedding for chunk ${chunkIndex}:`, chunkError.message);
-        }
-      }
-
-      if (chunkRecords.length > 0) {
-        await supabase.from('document_chunks').insert(chunkRecords);
-      }
-    }
-
-    // Determine source_date: filename date wins, then AI-extracted date
-    const fileNameDate = parseDateFromFilename(title);
-    const contentDate = analysis.content_date || null;
-    const sourceDate = fileNameDate || contentDate;
-
-    await supabase
-      .from('documents')
-      .update({
-        title: title || analysis.title,
-        summary: analysis.summary,
-        tags: analysis.tags,
-        keywords: analysis.keywords,
-        topic: analysis.topic,
-        sentiment: analysis.sentiment,
-        sentiment_score: analysis.sentiment_score,
-        embedding: JSON.stringify(docEmbedding),
-        chunk_count: chunks.length,
-        source_date: sourceDate,
-        processed: true
-      })
-      .eq('id', documentId);
-
-    console.log(`Google source ${documentId} processed successfully (source_date: ${sourceDate || 'none'})`);
-  } catch (error) {
-    console.error(`Error processing Google source ${documentId}:`, error.message);
-    await supabase
-      .from('documents')
-      .update({ processed: false, summary: `Error: ${error.message}` })
-      .eq('id', documentId);
-  }
-}
-
 /**
  * POST /api/sources/upload
  * Upload a source via API (cleaner endpoint name)
  */
 router.post('/upload', async (req, res) => {
-  let tempFilePath = null;
-
   try {
     const { url, client: clientIdentifier } = req.body;
 
@@ -239,11 +86,24 @@ router.post('/upload', async (req, res) => {
     }
 
     const clientId = client.id;
+
+    // Handle Google Drive folders (every supported file inside, kept in sync)
+    if (extractFolderId(url)) {
+      const { folder, results } = await addDriveFolder({ clientId, url });
+
+      return res.status(201).json({
+        success: true,
+        data: folder,
+        jobIds: results.jobIds,
+        message: `Drive folder "${folder.name}" added with ${results.added} file(s)${results.failed > 0 ? ` (${results.failed} failed)` : ''}. Processing in background...`
+      });
+    }
+
     const sourceType = getGoogleSourceType(url);
 
     if (sourceType) {
-      // Handle Google Docs/Sheets
-      let content, title, docId, sheetTabs = [];
+      // Handle Google Docs/Sheets/Slides
+      let content, title, docId, sheetTabs = [], structured = false;
 
       if (sourceType === 'google_doc') {
         docId = extractDocId(url);
@@ -256,6 +116,7 @@ router.post('/upload', async (req, res) => {
         const docData = await fetchPublicGoogleDoc(docId);
         content = docData.content;
         title = docData.title;
+        structured = docData.structured;
       } else if (sourceType === 'google_sheet') {
         docId = extractSheetId(url);
         if (!docId) {
@@ -284,11 +145,18 @@ router.post('/upload', async (req, res) => {
         } catch (e) {
           console.error('Error adding to connected_sheets:', e);
         }
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Google Slides not yet supported'
-        });
+      } else if (sourceType === 'google_slides') {
+        docId = extractPresentationId(url);
+        if (!docId) {
+          return res.status(400).json({
+            success: false,
+            error: 'Could not extract presentation ID from URL'
+          });
+        }
+        const slidesData = await fetchPublicGoogleSlides(docId);
+        content = slidesData.content;
+        title = slidesData.title;
+        structured = slidesData.structured;
       }
 
       const contentHash = hashContent(content);
@@ -313,14 +181,24 @@ router.post('/upload', async (req, res) => {
 
       if (insertError) throw insertError;
 
-      processGoogleDocAsync(document.id, content, title, sourceType);
+      const job = await enqueueGoogleProcessing({
+        documentId: document.id,
+        clientId,
+        content,
+        title,
+        sourceType,
+        structured
+      });
 
       return res.status(201).json({
         success: true,
         data: { ...document, tabs: sheetTabs },
+        jobId: job.id,
         message: sourceType === 'google_sheet'
           ? `Google Sheet "${title}" added with ${sheetTabs.length} tab(s). Processing in background...`
-          : `Google Doc "${title}" added. Processing in background...`
+          : sourceType === 'google_slides'
+            ? `Google Slides "${title}" added. Processing in background...`
+            : `Google Doc "${title}" added. Processing in background...`
       });
     }
 
@@ -371,9 +249,6 @@ router.post('/upload', async (req, res) => {
       });
     }
 
-    tempFilePath = path.join(os.tmpdir(), `${uuidv4()}${path.extname(fileName)}`);
-    await fs.writeFile(tempFilePath, fileBuffer);
-
     const fileExt = path.extname(fileName);
     const storagePath = `documents/${clientId}/${uuidv4()}${fileExt}`;
 
@@ -403,19 +278,24 @@ router.post('/upload', async (req, res) => {
 
     if (insertError) throw insertError;
 
-    processDocumentAsync(document.id, tempFilePath, fileName, fileType);
+    // Title is left to Claude's analysis, falling back to the file name
+    const job = await enqueueFileProcessing({
+      documentId: document.id,
+      clientId,
+      storagePath,
+      fileName,
+      fileType
+    });
 
     res.status(201).json({
       success: true,
       data: document,
+      jobId: job.id,
       message: `Source "${fileName}" uploaded. Processing in background...`
     });
 
   } catch (error) {
     console.error('Error in source upload:', error);
-    if (tempFilePath) {
-      try { await fs.unlink(tempFilePath); } catch (e) {}
-    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -542,6 +422,7 @@ router.get('/:clientId', async (req, res) => {
       .from('documents')
       .select('id, file_name, file_type, file_url, source_type, processed, created_at, last_synced')
       .eq('client_id', clientId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false });
 
     if (error) throw error;
@@ -0,0 +1,40 @@
+/**
+ * Re-embed documents and chunks with the active embedding model.
+ * Run after changing EMBEDDING_PROVIDER / EMBEDDING_MODEL.
+ *
+ * Usage: node scripts/reembed.js [--client <clientId>] [--batch-size <n>]
+ */
+import 'dotenv/config';
+import { reembedCorpus } from '../services/reembedService.js';
+import { getEmbeddingModel } from '../services/embeddingProvider.js';
+
+function parseArgs(argv) {
+  const args = { clientId: null, batchSize: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--client') args.clientId = argv[++i];
+    else if (argv[i] === '--batch-size') args.batchSize = parseInt(argv[++i]) || undefined;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+async function main() {
+  const { clientId, batchSize } = parseArgs(process.argv.slice(2));
+  const { provider, model, dimensions } = getEmbeddingModel();
+  console.log(`Re-embedding ${clientId ? `client ${clientId}` : 'all clients'} with ${provider}/${model} (${dimensions} dimensions)`);
+
+  const result = await reembedCorpus({
+    clientId,
+    batchSize,
+    onProgress: ({ table, updated, failed }) => console.log(`  ${table}: ${updated} updated, ${failed} failed`)
+  });
+
+  console.log(`Done. Documents: ${result.documents.updated} updated, ${result.documents.failed} failed. ` +
+    `Chunks: ${result.chunks.updated} updated, ${result.chunks.failed} failed.`);
+  if (result.documents.failed + result.chunks.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('Re-embed failed:', error.message);
+  process.exit(1);
+});
@@ -16,6 +16,11 @@ import agentRouter from './routes/agent.js';
 import sourcesRouter from './routes/sources.js';
 import adgenRouter from './routes/adgen.js';
 import bugsRouter from './routes/bugs.js';
+import jobsRouter from './routes/jobs.js';
+import agencyRouter from './routes/agency.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
+import { documentJobHandlers } from './services/documentProcessor.js';
+import { startSyncScheduler, stopSyncScheduler } from './services/googleSync.js';
 
 dotenv.config({ override: true });
 
@@ -73,6 +78,8 @@ app.use('/api/dashboards', requireAuthOrApiKey, dashboardsRouter);
 app.use('/api/leads', requireAuthOrApiKey, leadsRouter);
 app.use('/api/adgen', requireAuthOrApiKey, adgenRouter);
 app.use('/api/bugs', requireAuthOrApiKey, bugsRouter);
+app.use('/api/jobs', requireAuthOrApiKey, jobsRouter);
+app.use('/api/agency', requireAuthOrApiKey, agencyRouter);
 
 // Agent API - requires API key (for external services/tools)
 app.use('/api/agent', requireApiKey, agentRouter);
@@ -98,6 +105,7 @@ app.get('/', (req, res) => {
       clients: '/api/clients',
       documents: '/api/documents',
       sources: '/api/sources',
+      jobs: '/api/jobs',
       chat: '/api/chat',
       sheets: '/api/sheets',
       agent: '/api/agent',
@@ -155,8 +163,13 @@ async function startServer() {
       console.log(`   - POST   /api/documents/:clientId/upload`);
       console.log(`   - DELETE /api/documents/:documentId`);
       console.log(`   - POST   /api/documents/search/:clientId`);
+      console.log(`   - GET    /api/documents/:clientId/sync-history`);
+      console.log(`   - GET    /api/jobs/:clientId`);
+      console.log(`   - POST   /api/jobs/:clientId/:jobId/retry`);
+      console.log(`   - POST   /api/jobs/:clientId/:jobId/cancel`);
       console.log(`   - GET    /api/chat/:clientId`);
       console.log(`   - POST   /api/chat/:clientId`);
+      console.log(`   - POST   /api/chat/:clientId/stream`);
       console.log(`   - DELETE /api/chat/:clientId`);
       console.log(`\n🤖 Agent API (requires X-API-Key):`);
       console.log(`   - POST   /api/agent/query`);
@@ -167,6 +180,14 @@ async function startServer() {
       console.log(`   - POST   /api/sources/create-client`);
       console.log(`   - GET    /api/sources/clients`);
       console.log(`   - GET    /api/sources/:clientId`);
+
+      // Process queued document jobs (uploads, Google adds and syncs)
+      startJobWorker({ handlers: documentJobHandlers });
+
+      // Check Google sources for changes on their sync interval
+      if (process.env.GOOGLE_SYNC_SCHEDULER !== 'false') {
+        startSyncScheduler();
+      }
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -179,10 +200,14 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  stopJobWorker();
+  stopSyncScheduler();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully...');
+  stopJobWorker();
+  stopSyncScheduler();
   process.exit(0);
 });
@@ -0,0 +1,138 @@
+import { supabase } from '../config/supabase.js';
+import { semanticSearch, embedSearchQuery } from './semanticSearch.js';
+
+/**
+ * Agency-level retrieval: the same question searched across many clients
+ * ("which clients mentioned budget cuts this quarter"), with results kept
+ * per client so every answer and citation stays attributed to its client.
+ *
+ * Access comes from the team_access table (see migrations/add_agency_access.sql):
+ * a team member can search every client or only the clients in their pods.
+ * API key callers can search every client.
+ */
+
+// Clients searched at the same time
+const SEARCH_CONCURRENCY = 4;
+
+/**
+ * Error with the HTTP status the route should answer with.
+ */
+export class AgencyAccessError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AgencyAccessError';
+    this.status = status;
+  }
+}
+
+/**
+ * What the caller may search: { allClients, podNumbers }.
+ * Throws AgencyAccessError(403) for team members without access.
+ */
+export async function getAgencyAccess(req) {
+  if (req.authType === 'api_key') {
+    return { allClients: true, podNumbers: [] };
+  }
+
+  const email = (req.user?.email || '').toLowerCase();
+  const { data, error } = await supabase
+    .from('team_access')
+    .select('all_clients, pod_numbers')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || (!data.all_clients && (data.pod_numbers || []).length === 0)) {
+    throw new AgencyAccessError(403, 'Agency search is not enabled for your account. Ask an admin to add you to team_access.');
+  }
+  return { allClients: data.all_clients, podNumbers: data.pod_numbers || [] };
+}
+
+/**
+ * Clients the caller may search, optionally narrowed to one pod or a list of IDs.
+ * Asking for a pod or client outside the caller's access is a 403, not a silent skip.
+ *
+ * @param {object} req - Express request (for the authenticated user)
+ * @param {object} scope
+ * @param {number} [scope.podNumber] - Only clients in this pod
+ * @param {string[]} [scope.clientIds] - Only these clients
+ * @returns {Promise<Array<{ id, name, pod_number, is_superclient }>>}
+ */
+export async function listAccessibleClients(req, { podNumber = null, clientIds = null } = {}) {
+  const access = await getAgencyAccess(req);
+
+  if (podNumber != null && !access.allClients && !access.podNumbers.includes(podNumber)) {
+    throw new AgencyAccessError(403, `You don't have access to pod ${podNumber}`);
+  }
+
+  let query = supabase
+    .from('clients')
+    .select('id, name, pod_number, is_superclient')
+    .order('name', { ascending: true });
+
+  if (!access.allClients) query = query.in('pod_number', access.podNumbers);
+  if (podNumber != null) query = query.eq('pod_number', podNumber);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const clients = data || [];
+  if (clientIds && clientIds.length > 0) {
+    const allowed = new Set(clients.map(c => c.id));
+    const denied = clientIds.filter(id => !allowed.has(id));
+    if (denied.length > 0) {
+      throw new AgencyAccessError(403, `You don't have access to ${denied.length} of the requested clients`);
+    }
+    return clients.filter(c => clientIds.includes(c.id));
+  }
+  return clients;
+}
+
+/**
+ * Run one search per client and keep the clients with matches, best match first.
+ * Global sources are left out: they belong to no client and would repeat in every group.
+ * The query is embedded once and reused for every client.
+ *
+ * @param {Array} clients - From listAccessibleClients
+ * @param {string} query
+ * @param {object} options
+ * @param {number} options.limit - Max documents per client (default 3)
+ * @param {object} options.filters - Retrieval filters for every client (see semanticSearch)
+ * @param {boolean} options.rerank - Rerank each client's chunks with Claude (default false)
+ * @returns {Promise<{ clients: Array<{ client, documents, chunks }>, searchedClients: number, failedClients: Array }>}
+ */
+export async function searchAcrossClients(clients, query, { limit = 3, filters = {}, rerank = false } = {}) {
+  const queryEmbedding = await embedSearchQuery(query);
+  const results = [];
+
+  for (let i = 0; i < clients.length; i += SEARCH_CONCURRENCY) {
+    const batch = clients.slice(i, i + SEARCH_CONCURRENCY);
+    const batchResults = await Promise.all(batch.map(async client => {
+      try {
+        const { documents, chunks } = await semanticSearch(client.id, query, limit, {
+          filters: { ...filters, isGlobal: false },
+          mode: 'chunks',
+          queryEmbedding,
+          rerank
+        });
+        return { client, documents, chunks };
+      } catch (error) {
+        // One client's failure (e.g. a corpus on another embedding model) shouldn't sink the rest
+        console.error(`Agency search failed for client ${client.name}:`, error.message);
+        return { client, documents: [], chunks: [], error: error.message };
+      }
+    }));
+    results.push(...batchResults);
+  }
+
+  const bestScore = r => Math.max(0, ...r.chunks.map(c => c.similarity_score || 0));
+  const matched = results
+    .filter(r => r.chunks.length > 0)
+    .sort((a, b) => bestScore(b) - bestScore(a));
+
+  return {
+    clients: matched,
+    searchedClients: clients.length,
+    failedClients: results.filter(r => r.error).map(r => ({ id: r.client.id, name: r.client.name, error: r.error }))
+  };
+}
@@ -0,0 +1,320 @@
+import { extractDocId, extractPresentationId } from './googleDocs.js';
+
+/**
+ * Structured citations for chat answers.
+ *
+ * Every chunk put in front of the model gets a short stable key, shown in the
+ * excerpt header as [[c:<key>]]. The model cites with the same marker; the
+ * server validates markers against the chunks that were actually in context,
+ * counts them for source usage and replaces them with readable labels.
+ *
+ * Each citation points at one retrieved chunk: where it sits in its source
+ * (PDF page, heading path, Google Doc heading ID), the passage of the chunk
+ * that best matches the answer, and a deep link that opens the source there.
+ */
+
+// Inline citation marker the model emits, e.g. [[c:3f2a9c1e]]
+const MARKER_PATTERN = /\[\[c:([^\]\s]+)\]\]/g;
+
+// Shortest key handed to the model; extended when two chunks in context share a prefix
+const KEY_LENGTH = 8;
+
+// Quotes longer than this are cut at a word boundary
+const MAX_QUOTE_LENGTH = 300;
+
+// Words too common to say anything about which passage an answer used
+const STOP_WORDS = new Set([
+  'the', 'and', 'that', 'this', 'with', 'from', 'have', 'they', 'their', 'were', 'will',
+  'would', 'there', 'which', 'about', 'into', 'than', 'then', 'also', 'been', 'more',
+  'your', 'what', 'when', 'these', 'those', 'such', 'each', 'other', 'some', 'only'
+]);
+
+function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}$%][\p{L}\p{N}$%.'-]*/gu) || [])
+    .map(w => w.replace(/[.'-]+$/, ''))
+    .filter(w => w.length > 3 && !STOP_WORDS.has(w));
+}
+
+/**
+ * Assign each chunk a short key derived from its ID (the first characters of the
+ * UUID), unique among the chunks in this context.
+ *
+ * @returns {Map<string, object>} key -> chunk
+ */
+export function assignCitationKeys(chunks) {
+  const keys = new Map();
+  const ids = (chunks || []).map(c => String(c.id).replace(/[^a-zA-Z0-9]/g, '').toLowerCase());
+
+  (chunks || []).forEach((chunk, idx) => {
+    let length = KEY_LENGTH;
+    while (length < ids[idx].length && ids.some((id, other) => other !== idx && id.startsWith(ids[idx].slice(0, length)))) {
+      length++;
+    }
+    const key = ids[idx].slice(0, length) || String(idx + 1);
+    keys.set(key, chunk);
+  });
+
+  return keys;
+}
+
+/**
+ * Marker for a chunk key, as shown to the model.
+ */
+export function citationMarker(key) {
+  return `[[c:${key}]]`;
+}
+
+/**
+ * The sentence (or line) of the answer that ends where a marker sits: the claim it supports.
+ */
+function claimBefore(answer, markerIndex) {
+  const before = answer.slice(0, markerIndex).replace(/(?:\s*\[\[c:[^\]]*\]\])+\s*$/, '').trimEnd();
+  const start = Math.max(
+    before.lastIndexOf('\n') + 1,
+    ...['. ', '! ', '? '].map(p => {
+      const index = before.lastIndexOf(p, before.length - 2);
+      return index >= 0 ? index + 2 : 0;
+    })
+  );
+  return before.slice(start).replace(MARKER_PATTERN, '').trim();
+}
+
+/**
+ * Validate the citation markers in an answer against the chunks that were in context.
+ * Markers with unknown keys (hallucinated or mangled) are reported and ignored.
+ *
+ * @param {string} answer - Raw model output
+ * @param {Map<string, object>} keys - From assignCitationKeys()
+ * @returns {{cited: Map<string, {chunk: object, count: number, claims: string[]}>, dropped: string[], total: number}}
+ *   cited is keyed by chunk ID; total counts valid markers
+ */
+export function parseCitationMarkers(answer, keys) {
+  const cited = new Map();
+  const dropped = [];
+  let total = 0;
+
+  for (const match of (answer || '').matchAll(MARKER_PATTERN)) {
+    const chunk = keys.get(match[1].toLowerCase());
+    if (!chunk) {
+      dropped.push(match[1]);
+      continue;
+    }
+    total++;
+    if (!cited.has(chunk.id)) cited.set(chunk.id, { chunk, count: 0, claims: [] });
+    const entry = cited.get(chunk.id);
+    entry.count++;
+    const claim = claimBefore(answer, match.index);
+    if (claim && !entry.claims.includes(claim)) entry.claims.push(claim);
+  }
+
+  return { cited, dropped, total };
+}
+
+/**
+ * Replace citation markers with readable labels (e.g. "[2]" or "[Source: Title]").
+ * A run of markers that resolve to the same label is collapsed; invalid markers are removed.
+ *
+ * @param {string} answer - Raw model output
+ * @param {Map<string, object>} keys - From assignCitationKeys()
+ * @param {(chunk: object) => string|null} labelFor - Label for a cited chunk, null to drop it
+ */
+export function renderCitationMarkers(answer, keys, labelFor) {
+  return (answer || '')
+    .replace(/(?:[ \t]*\[\[c:[^\]\s]+\]\])+/g, (run) => {
+      const labels = [];
+      for (const match of run.matchAll(MARKER_PATTERN)) {
+        const chunk = keys.get(match[1].toLowerCase());
+        const label = chunk ? labelFor(chunk) : null;
+        if (label && !labels.includes(label)) labels.push(label);
+      }
+      return labels.length > 0 ? ` ${labels.join('')}` : '';
+    });
+}
+
+/**
+ * Remove citation markers from a streamed answer as it arrives. push() returns the
+ * text that is safe to show, holding back a trailing "[[c:..." until it completes;
+ * flush() returns whatever is left at the end.
+ */
+export function createMarkerStripper() {
+  let pending = '';
+
+  return {
+    push(delta) {
+      pending = (pending + delta).replace(/[ \t]*\[\[c:[^\]\s]+\]\]/g, '');
+      // Trailing spaces are held too, in case a marker follows them
+      const open = pending.search(/[ \t]*(?:\[(?:\[(?:c(?::[^\]\s]*\]?)?)?)?)?$/);
+      const ready = pending.slice(0, open);
+      pending = pending.slice(open);
+      return ready;
+    },
+    flush() {
+      const rest = pending;
+      pending = '';
+      return rest;
+    },
+    reset() {
+      pending = '';
+    }
+  };
+}
+
+/**
+ * Offset where the chunk body starts. Structured chunks are prefixed with their
+ * heading path ("Pricing > Enterprise tier\n\n"), which is not part of the source text.
+ */
+function bodyOffset(content, sectionPath) {
+  const prefix = sectionPath ? `${sectionPath}\n\n` : '';
+  return prefix && content.startsWith(prefix) ? prefix.length : 0;
+}
+
+/**
+ * Find the sentence of a chunk that the answer most likely drew on, by overlap
+ * of content words. Falls back to the first sentence when nothing overlaps.
+ *
+ * @returns {{start: number, end: number, text: string}} Span within chunk content
+ */
+export function findQuoteSpan(content, answer, sectionPath = null) {
+  const offset = bodyOffset(content || '', sectionPath);
+  const body = (content || '').slice(offset);
+  const answerWords = new Set(contentWords(answer || ''));
+
+  const sentences = [];
+  const sentencePattern = /[^.!?\n]+(?:[.!?]+(?=\s|$)|(?=\n)|$)/g;
+  let match;
+  while ((match = sentencePattern.exec(body)) !== null) {
+    const raw = match[0];
+    const text = raw.trim();
+    if (text.length < 3) continue;
+    const start = match.index + raw.indexOf(text);
+    sentences.push({ start, end: start + text.length, text });
+  }
+
+  if (sentences.length === 0) {
+    return { start: offset, end: offset, text: '' };
+  }
+
+  let best = sentences[0];
+  let bestScore = 0;
+  for (const sentence of sentences) {
+    const words = contentWords(sentence.text);
+    if (words.length === 0) continue;
+    const hits = words.filter(w => answerWords.has(w)).length;
+    // Favour sentences the answer covers well, with a nudge towards longer matches
+    const score = hits / words.length + hits * 0.01;
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+
+  let { start, end, text } = best;
+  if (text.length > MAX_QUOTE_LENGTH) {
+    const cut = text.lastIndexOf(' ', MAX_QUOTE_LENGTH);
+    text = text.slice(0, cut > 0 ? cut : MAX_QUOTE_LENGTH);
+    end = start + text.length;
+  }
+
+  return { start: offset + start, end: offset + end, text };
+}
+
+function isPdf(doc) {
+  return (doc.file_type || '').includes('pdf') || /\.pdf($|[?#])/i.test(doc.file_url || '');
+}
+
+function isGoogleDoc(doc) {
+  return doc.file_type === 'google_doc' || (doc.file_url || '').includes('docs.google.com/document');
+}
+
+function isGoogleSlides(doc) {
+  return doc.file_type === 'google_slides' || (doc.file_url || '').includes('docs.google.com/presentation');
+}
+
+/**
+ * Deep link that opens a source at a chunk: Google Docs at the heading, Slides
+ * at the slide, PDFs at the page (with a search for the quote, honoured by PDF.js viewers).
+ * Returns the plain file URL when there is no better anchor, or null.
+ */
+export function citationUrl(doc, { page = null, headingId = null, quote = '' } = {}) {
+  if (!doc?.file_url) return null;
+
+  if (isGoogleDoc(doc)) {
+    const docId = doc.google_doc_id || extractDocId(doc.file_url);
+    if (!docId) return doc.file_url;
+    const base = `https://docs.google.com/document/d/${docId}/edit`;
+    return headingId ? `${base}#heading=${headingId}` : base;
+  }
+
+  // Slides chunks store the slide's object ID as their anchor
+  if (isGoogleSlides(doc)) {
+    const presentationId = doc.google_doc_id || extractPresentationId(doc.file_url);
+    if (!presentationId) return doc.file_url;
+    const base = `https://docs.google.com/presentation/d/${presentationId}/edit`;
+    return headingId ? `${base}#slide=id.${headingId}` : base;
+  }
+
+  if (isPdf(doc) && page != null) {
+    const base = doc.file_url.split('#')[0];
+    const search = quote.split(/\s+/).slice(0, 8).join(' ');
+    return search
+      ? `${base}#page=${page}&search=${encodeURIComponent(search)}&phrase=true`
+      : `${base}#page=${page}`;
+  }
+
+  return doc.file_url;
+}
+
+/**
+ * Human-readable location of a chunk ("p. 4–5 · Pricing > Enterprise tier"),
+ * or null when the chunk has none. Used in prompts and citation labels.
+ */
+export function chunkLocation(chunk) {
+  const pageStart = chunk.page_start ?? chunk.pageStart ?? null;
+  const pageEnd = chunk.page_end ?? chunk.pageEnd ?? pageStart;
+  const sectionPath = chunk.section_path ?? chunk.sectionPath ?? null;
+
+  const parts = [];
+  if (pageStart != null) parts.push(pageEnd != null && pageEnd !== pageStart ? `p. ${pageStart}–${pageEnd}` : `p. ${pageStart}`);
+  if (sectionPath) parts.push(sectionPath);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+/**
+ * Build one citation per retrieved chunk.
+ *
+ * @param {Array} chunks - Retrieved chunks (semanticSearch results)
+ * @param {Array} documents - Their parent documents
+ * @param {string} answer - The generated answer, used to pick each quote
+ * @param {Map} [cited] - From parseCitationMarkers(); a cited chunk's quote is matched
+ *   against the claims that cite it rather than the whole answer
+ * @returns {Array<{chunkId, documentId, documentTitle, chunkIndex, page, pageEnd, sectionPath, headingId, location, quote: {start, end, text}, url, similarity, citedCount}>}
+ */
+export function buildCitations(chunks, documents, answer, cited = new Map()) {
+  const docsById = new Map((documents || []).map(d => [d.id, d]));
+
+  return (chunks || []).map(chunk => {
+    const documentId = chunk.document_id || chunk.documentId;
+    const doc = docsById.get(documentId) || {};
+    const sectionPath = chunk.section_path || null;
+    const page = chunk.page_start ?? null;
+    const headingId = chunk.heading_id || null;
+    const citation = cited.get(chunk.id);
+    const quote = findQuoteSpan(chunk.content, citation?.claims.length ? citation.claims.join(' ') : answer, sectionPath);
+
+    return {
+      chunkId: chunk.id,
+      documentId,
+      documentTitle: chunk.documentTitle || doc.title || doc.file_name || 'Untitled',
+      chunkIndex: chunk.chunk_index,
+      page,
+      pageEnd: chunk.page_end ?? page,
+      sectionPath,
+      headingId,
+      location: chunkLocation(chunk),
+      quote,
+      url: citationUrl(doc, { page, headingId, quote: quote.text }),
+      similarity: chunk.similarity_score,
+      citedCount: citation?.count || 0
+    };
+  });
+}
@@ -1,11 +1,16 @@
 import Anthropic from '@anthropic-ai/sdk';
 import * as sheetsService from './googleSheets.js';
 import { CLAUDE_MODEL } from '../config/models.js';
+import { formatSummaryForPrompt } from './conversationSummary.js';
 
 // Lazy initialization to ensure env vars are loaded
 let anthropic = null;
 
-function getClient() {
+/**
+ * The shared Anthropic client, created on first use so ANTHROPIC_API_KEY is read
+ * after dotenv has loaded.
+ */
+export function getAnthropicClient() {
   if (!anthropic) {
     anthropic = new Anthropic({
       apiKey: process.env.ANTHROPIC_API_KEY,
@@ -14,6 +19,20 @@ function getClient() {
   return anthropic;
 }
 
+/**
+ * messages.create, or messages.stream when options.onDelta is set: text deltas are
+ * forwarded as they arrive and the final message is returned either way.
+ * options.signal aborts the request.
+ */
+export async function createMessage(params, { onDelta, signal } = {}) {
+  if (!onDelta) {
+    return getAnthropicClient().messages.create(params, { signal });
+  }
+  const stream = getAnthropicClient().messages.stream(params, { signal });
+  stream.on('text', onDelta);
+  return stream.finalMessage();
+}
+
 /**
  * Build a current-date context string for system prompts.
  * Gives the agent awareness of today's date and relative time anchors.
@@ -158,7 +177,7 @@ Please analyze this document and respond with a JSON object containing:
 
 Respond ONLY with valid JSON, no additional text.`;
 
-    const response = await getClient().messages.create({
+    const response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       max_tokens: 4000,
       messages: [{
@@ -204,8 +223,11 @@ Respond ONLY with valid JSON, no additional text.`;
 /**
  * Chat with Google Sheets access using OpenAI tool use
  * Automatically fetches and analyzes sheet data when asked about spreadsheets
+ * Pass options.onDelta to stream text and options.onToolUse to hear about each tool
+ * call; text streamed before a tool call is the model's preamble, not the answer.
+ * options.conversationSummary adds the rolling summary of earlier turns to the prompt
  */
-export async function chatWithSheets(userMessage, connectedSheets, contextDocuments = [], conversationHistory = []) {
+export async function chatWithSheets(userMessage, connectedSheets, contextDocuments = [], conversationHistory = [], options = {}) {
   try {
     let sheetContext = '';
     if (connectedSheets && connectedSheets.length > 0) {
@@ -234,6 +256,8 @@ export async function chatWithSheets(userMessage, connectedSheets, contextDocume
 
 ${getDateContext()}
 
+${formatSummaryForPrompt(options.conversationSummary)}
+
 ${docContext}
 ${sheetContext}
 
@@ -264,13 +288,13 @@ Be helpful, accurate, and always fetch real data rather than guessing about shee
     ];
 
     // First call with tools
-    let response = await getClient().messages.create({
+    let response = await createMessage({
       model: CLAUDE_MODEL,
       system: systemPrompt,
       max_tokens: 4000,
       messages: messages,
       tools: sheetTools,
-    });
+    }, options);
 
     // Handle tool use in a loop (up to 5 iterations to prevent infinite loops)
     const executedOperations = [];
@@ -296,6 +320,7 @@ Be helpful, accurate, and always fetch real data rather than guessing about shee
             input: toolUse.input,
             success: true
           });
+          options.onToolUse?.(executedOperations[executedOperations.length - 1]);
         } catch (error) {
           toolResults.push({
             type: 'tool_result',
@@ -308,11 +333,12 @@ Be helpful, accurate, and always fetch real data rather than guessing about shee
             success: false,
             error: error.message
           });
+          options.onToolUse?.(executedOperations[executedOperations.length - 1]);
         }
       }
 
       // Continue conversation with tool results
-      response = await getClient().messages.create({
+      response = await createMessage({
         model: CLAUDE_MODEL,
         system: systemPrompt,
         max_tokens: 4000,
@@ -322,7 +348,7 @@ Be helpful, accurate, and always fetch real data rather than guessing about shee
           { role: 'user', content: toolResults }
         ],
         tools: sheetTools,
-      });
+      }, options);
     }
 
     // Extract final text response
@@ -342,8 +368,11 @@ Be helpful, accurate, and always fetch real data rather than guessing about shee
 /**
  * Enhanced chat that automatically includes sheet context when relevant
  * Detects if the user is asking about sheets and switches to sheet-aware mode
+ * Streaming options (onDelta, onToolUse, signal) and conversationSummary are passed
+ * through to the model calls; options.extraGuidelines adds lines to the document
+ * chat guidelines
  */
-export async function enhancedChatWithContext(userMessage, contextDocuments, connectedSheets = [], conversationHistory = [], documentChunks = []) {
+export async function enhancedChatWithContext(userMessage, contextDocuments, connectedSheets = [], conversationHistory = [], documentChunks = [], options = {}) {
   // Detect if this is a sheet-related query
   const sheetKeywords = [
     'sheet', 'spreadsheet', 'tab', 'tabs', 'cell', 'row', 'column', 'excel',
@@ -358,7 +387,7 @@ export async function enhancedChatWithContext(userMessage, contextDocuments, con
   );
 
   if (isSheetQuery || mentionsSheet) {
-    return await chatWithSheets(userMessage, connectedSheets, contextDocuments, conversationHistory);
+    return await chatWithSheets(userMessage, connectedSheets, contextDocuments, conversationHistory, options);
   }
 
   // Regular document-based chat
@@ -371,6 +400,9 @@ export async function enhancedChatWithContext(userMessage, contextDocuments, con
         contextText += `### [Source ${idx + 1}: ${chunk.documentTitle}]`;
         if (chunk.sourceDate) contextText += ` (Date: ${chunk.sourceDate})`;
         if (chunk.position) contextText += ` [from ${chunk.position} of document]`;
+        if (chunk.location) contextText += ` [${chunk.location}]`;
+        if (chunk.citationKey) contextText += ` [[c:${chunk.citationKey}]]`;
+        if (chunk.retrievedFor) contextText += ` (retrieved for: ${chunk.retrievedFor})`;
         contextText += `\n${chunk.text}\n\n`;
       });
       contextText += "---\n\n";
@@ -399,19 +431,25 @@ export async function enhancedChatWithContext(userMessage, contextDocuments, con
       sheetContext += '\nIf you want to ask about sheet data, mention the sheet or ask about specific data.\n';
     }
 
+    const citationRule = (documentChunks || []).some(chunk => chunk.citationKey)
+      ? 'Cite excerpts by putting their marker right after the sentence, exactly as shown in the excerpt header, e.g. [[c:3f2a9c1e]]. Never invent markers'
+      : 'Cite documents by their titles: [Source: Document Title]';
+
     const systemPrompt = `You are a helpful AI assistant with access to the user's document library.
 
 ${getDateContext()}
 
+${formatSummaryForPrompt(options.conversationSummary)}
+
 ${contextText}
 ${sheetContext}
 
 ## Guidelines:
 - Answer based on the provided documents when relevant
-- Cite documents by their titles: [Source: Document Title]
+- ${citationRule}
 - If documents don't have relevant info, say so clearly
 - Be concise but comprehensive
-- Format responses with markdown when helpful`;
+- Format responses with markdown when helpful${(options.extraGuidelines || []).map(g => `\n- ${g}`).join('')}`;
 
     const messages = [
       ...conversationHistory.map(msg => ({
@@ -424,12 +462,12 @@ ${sheetContext}
       }
     ];
 
-    const response = await getClient().messages.create({
+    const response = await createMessage({
       model: CLAUDE_MODEL,
       system: systemPrompt,
       max_tokens: 2000,
       messages: messages
-    });
+    }, options);
 
     return {
       response: response.content[0].text,
@@ -0,0 +1,214 @@
+import { supabase } from '../config/supabase.js';
+import { CLAUDE_MODEL } from '../config/models.js';
+import { getAnthropicClient } from './claudeService.js';
+
+/**
+ * Client memory: durable facts about a client learned from chats
+ * ("Acme never wants the word 'cheap' in copy", "their fiscal year starts in April").
+ *
+ * Facts are either proposed by the model from what users say in chat, or added
+ * directly by a team member ("remember this"). Proposed facts wait for review;
+ * only approved facts are put in chat, agent and ad generation prompts. Each fact
+ * keeps the conversation and message it came from.
+ */
+
+export const MEMORY_STATUSES = ['proposed', 'approved'];
+
+// Set CHAT_MEMORY_EXTRACTION=false to stop proposing facts from chat messages
+export const MEMORY_EXTRACTION_ENABLED = process.env.CHAT_MEMORY_EXTRACTION !== 'false';
+
+// Only messages that sound like a standing instruction or fact about the client
+// are sent for extraction, so ordinary questions don't cost a model call
+const MEMORY_CUES = /\b(remember|always|never|prefer|prefers|avoid|don'?t|doesn'?t|do not|does not|must|policy|rule|going forward|from now on|keep in mind|note that|fyi|fiscal|every (year|quarter|month|week))\b/i;
+
+/**
+ * List a client's memory facts, newest first.
+ *
+ * @param {string} clientId
+ * @param {object} options
+ * @param {'proposed'|'approved'} [options.status] - Only facts with this status
+ */
+export async function listClientMemories(clientId, { status } = {}) {
+  let query = supabase
+    .from('client_memories')
+    .select('*')
+    .eq('client_id', clientId)
+    .order('created_at', { ascending: false });
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Approved facts for a client, oldest first, for prompts.
+ * Errors (e.g. the migration has not been run) are logged and treated as no facts.
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function getApprovedFacts(clientId) {
+  const { data, error } = await supabase
+    .from('client_memories')
+    .select('fact')
+    .eq('client_id', clientId)
+    .eq('status', 'approved')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching client memory:', error.message);
+    return [];
+  }
+  return (data || []).map(m => m.fact);
+}
+
+/**
+ * Approved facts as a pseudo-document for the chat/agent context list,
+ * next to the client description. Null when there are no facts.
+ */
+export function clientMemoryContextDoc(facts) {
+  if (!facts || facts.length === 0) return null;
+  return {
+    id: 'client-memory',
+    title: 'Client Memory (facts confirmed by the team)',
+    summary: facts.map(f => `- ${f}`).join('\n'),
+    keywords: []
+  };
+}
+
+/**
+ * Add a fact. Facts added by a person are approved straight away; facts
+ * proposed by the model wait for review.
+ *
+ * @param {string} clientId
+ * @param {object} fact
+ * @param {string} fact.fact - The fact, as a standalone sentence
+ * @param {'user'|'model'} [fact.source='user']
+ * @param {string} [fact.conversationId] - Conversation it came from
+ * @param {string} [fact.messageId] - Chat message it came from
+ */
+export async function addClientMemory(clientId, { fact, source = 'user', conversationId = null, messageId = null }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('client_memories')
+    .insert({
+      client_id: clientId,
+      fact: fact.trim(),
+      status: source === 'user' ? 'approved' : 'proposed',
+      source,
+      conversation_id: conversationId,
+      message_id: messageId,
+      ...(source === 'user' && { approved_at: now })
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Edit a fact's text and/or approve it. Returns null when the fact doesn't exist.
+ */
+export async function updateClientMemory(clientId, memoryId, { fact, status }) {
+  const updates = { updated_at: new Date().toISOString() };
+  if (fact !== undefined) updates.fact = fact.trim();
+  if (status !== undefined) {
+    updates.status = status;
+    updates.approved_at = status === 'approved' ? updates.updated_at : null;
+  }
+
+  const { data, error } = await supabase
+    .from('client_memories')
+    .update(updates)
+    .eq('id', memoryId)
+    .eq('client_id', clientId)
+    .select();
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Delete a fact. Returns false when it doesn't exist.
+ */
+export async function deleteClientMemory(clientId, memoryId) {
+  const { data, error } = await supabase
+    .from('client_memories')
+    .delete()
+    .eq('id', memoryId)
+    .eq('client_id', clientId)
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+}
+
+/**
+ * Propose memory facts from a user's chat message. Only messages with a cue
+ * ("always", "never", "remember"...) are checked; the model returns durable facts
+ * about the client that are not already known, and they are stored as proposed.
+ * Never throws: a failed extraction just proposes nothing.
+ *
+ * @param {object} client - The client row (id, name)
+ * @param {string} message - What the user wrote
+ * @param {object} provenance
+ * @param {string} provenance.conversationId
+ * @param {string} [provenance.messageId] - The user's chat message ID
+ * @returns {Promise<Array>} The proposed facts that were stored
+ */
+export async function proposeMemoriesFromMessage(client, message, { conversationId, messageId = null }) {
+  if (!MEMORY_EXTRACTION_ENABLED || !message || !MEMORY_CUES.test(message)) return [];
+
+  try {
+    const known = await listClientMemories(client.id);
+
+    const prompt = `A team member at a marketing agency wrote this in a chat about their client "${client.name}":
+
+<message>
+${message.substring(0, 3000)}
+</message>
+
+Known facts about the client:
+${known.length > 0 ? known.map(m => `- ${m.fact}`).join('\n') : '(none)'}
+
+Extract facts worth remembering for all future work on this client: standing preferences and restrictions (words, tone, claims, channels), business facts (fiscal year, markets, products, audiences), and explicit "remember this" requests. Ignore one-off requests about the current task, questions, and anything already in the known facts.
+
+Write each fact as a short standalone sentence that names the client, e.g. "${client.name} never wants the word 'cheap' in copy."
+
+Respond ONLY with valid JSON, no additional text:
+{"facts": ["..."]}`;
+
+    const response = await getAnthropicClient().messages.create({
+      model: CLAUDE_MODEL,
+      max_tokens: 500,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not extract JSON from memory extraction response');
+    }
+
+    const knownFacts = new Set(known.map(m => m.fact.trim().toLowerCase()));
+    const facts = (JSON.parse(jsonMatch[0]).facts || [])
+      .filter(f => typeof f === 'string' && f.trim() && !knownFacts.has(f.trim().toLowerCase()))
+      .slice(0, 5);
+
+    const proposed = [];
+    for (const fact of facts) {
+      proposed.push(await addClientMemory(client.id, { fact, source: 'model', conversationId, messageId }));
+    }
+    if (proposed.length > 0) {
+      console.log(`Proposed ${proposed.length} memory fact(s) for client ${client.name}`);
+    }
+    return proposed;
+  } catch (error) {
+    console.error('Error proposing client memory facts:', error.message);
+    return [];
+  }
+}
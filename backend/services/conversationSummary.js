@@ -0,0 +1,172 @@
+import { supabase } from '../config/supabase.js';
+import { CLAUDE_MODEL } from '../config/models.js';
+import { getAnthropicClient } from './claudeService.js';
+
+/**
+ * Rolling conversation summaries.
+ *
+ * Chat only sends the last few messages to the model, so decisions made early in
+ * a long conversation fall out of context. Every SUMMARY_REFRESH_TURNS user turns
+ * the summary stored for the conversation is folded together with the messages
+ * since the last refresh. The summary goes into the system prompt and enriches
+ * retrieval for vague follow-ups. Users can edit it; edits are kept as the base
+ * of the next refresh, and an edit saved while a refresh is running wins.
+ */
+
+// User turns between refreshes (CHAT_SUMMARY_TURNS=0 disables summaries)
+export const SUMMARY_REFRESH_TURNS = parseInt(process.env.CHAT_SUMMARY_TURNS || '5', 10);
+
+// Each message is trimmed before it goes into the summary prompt
+const MAX_MESSAGE_CHARS = 2000;
+
+/**
+ * Stored summary for a conversation, or null when there is none yet.
+ * Errors (e.g. the migration has not been run) are logged and treated as no summary.
+ */
+export async function getConversationSummary(clientId, conversationId) {
+  if (!conversationId) return null;
+
+  const { data, error } = await supabase
+    .from('conversation_summaries')
+    .select('*')
+    .eq('client_id', clientId)
+    .eq('conversation_id', conversationId)
+    .limit(1);
+
+  if (error) {
+    console.error('Error fetching conversation summary:', error.message);
+    return null;
+  }
+  return data?.[0] || null;
+}
+
+/**
+ * Summary block for a system prompt, or '' when there is no summary.
+ */
+export function formatSummaryForPrompt(summary) {
+  if (!summary || !summary.trim()) return '';
+  return `## Earlier in this conversation (summary):
+${summary.trim()}
+
+Treat decisions and constraints listed here as still in force unless the user changes them.`;
+}
+
+/**
+ * Fold the messages since the last refresh into the conversation's summary once
+ * SUMMARY_REFRESH_TURNS user turns have accumulated (or immediately with force).
+ * Never throws: a failed refresh leaves the previous summary in place.
+ *
+ * @returns {Promise<object|null>} The stored summary row, or null when nothing was written
+ */
+export async function refreshConversationSummary(clientId, conversationId, { force = false } = {}) {
+  if (!conversationId || (!force && SUMMARY_REFRESH_TURNS <= 0)) return null;
+
+  try {
+    const existing = await getConversationSummary(clientId, conversationId);
+
+    let messagesQuery = supabase
+      .from('chat_messages')
+      .select('role, content, created_at')
+      .eq('client_id', clientId)
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true });
+
+    if (existing?.summarized_until) {
+      messagesQuery = messagesQuery.gt('created_at', existing.summarized_until);
+    }
+
+    const { data: messages, error } = await messagesQuery;
+    if (error) throw error;
+
+    const newTurns = (messages || []).filter(m => m.role === 'user').length;
+    if (newTurns === 0 || (!force && newTurns < SUMMARY_REFRESH_TURNS)) return null;
+
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.substring(0, MAX_MESSAGE_CHARS)}`)
+      .join('\n\n');
+
+    const prompt = `You maintain a running summary of a conversation between a marketing agency team member and an AI assistant that answers from the client's documents.
+
+${existing?.summary ? `Current summary${existing.edited_by_user ? ' (edited by the user; keep everything they wrote unless the new messages change it)' : ''}:
+${existing.summary}
+
+New messages since then:` : 'Conversation so far:'}
+${transcript}
+
+Write the updated summary, at most 250 words, as markdown with these sections (omit a section if it would be empty):
+**Goal** - what the user is working on
+**Decisions** - choices and constraints agreed so far (audience, budget, tone, channels, dates...)
+**Key facts** - numbers and facts from the documents that the conversation relies on
+**Open questions** - what is still undecided or was asked but not answered
+
+Respond with the summary only.`;
+
+    const response = await getAnthropicClient().messages.create({
+      model: CLAUDE_MODEL,
+      max_tokens: 800,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const summary = response.content[0].text.trim();
+    if (!summary) return null;
+
+    const fields = {
+      summary,
+      summarized_until: messages[messages.length - 1].created_at,
+      message_count: (existing?.message_count || 0) + messages.length,
+      edited_by_user: false,
+      updated_at: new Date().toISOString()
+    };
+
+    // Only write over the row that was read: a user edit (or another refresh)
+    // saved while Claude was summarizing wins, and this summary is dropped
+    const { data: saved, error: saveError } = existing
+      ? await supabase
+        .from('conversation_summaries')
+        .update(fields)
+        .eq('conversation_id', conversationId)
+        .eq('updated_at', existing.updated_at)
+        .select()
+      : await supabase
+        .from('conversation_summaries')
+        .insert([{ conversation_id: conversationId, client_id: clientId, ...fields }])
+        .select();
+
+    if (saveError?.code === '23505' || (!saveError && saved.length === 0)) {
+      console.log(`Conversation ${conversationId}: summary changed during refresh, keeping the newer one`);
+      return null;
+    }
+    if (saveError) throw saveError;
+    return saved[0];
+  } catch (error) {
+    console.error('Error refreshing conversation summary:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace a conversation's summary with the user's edited text.
+ * The next refresh folds newer messages into the edited text.
+ */
+export async function saveConversationSummary(clientId, conversationId, summary) {
+  const existing = await getConversationSummary(clientId, conversationId);
+
+  const { data, error } = await supabase
+    .from('conversation_summaries')
+    .upsert({
+      conversation_id: conversationId,
+      client_id: clientId,
+      summary: summary.trim(),
+      summarized_until: existing?.summarized_until || null,
+      message_count: existing?.message_count || 0,
+      edited_by_user: true,
+      updated_at: new Date().toISOString()
+    }, {
+      onConflict: 'conversation_id'
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
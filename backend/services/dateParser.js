@@ -164,3 +164,63 @@ export function resolveTimeReference(query) {
 
   return null;
 }
+
+/**
+ * Find every explicit period in a query, in the order they appear:
+ * month names ("January", "March 2026"), quarters ("Q1", "Q3 2025") and ISO dates.
+ * Returns [{ start, end, label }] with duplicates removed.
+ *
+ * resolveTimeReference() stops at the first match, which is right for a single
+ * question; comparisons like "January vs March" need every period. Bare "may"
+ * only counts with a year, since it's usually the verb.
+ */
+export function resolveTimeReferences(query) {
+  const lower = query.toLowerCase();
+  const year = new Date().getFullYear();
+  const toIso = (d) => d.toISOString().split('T')[0];
+  const found = [];
+
+  for (const m of lower.matchAll(/\bq([1-4])(?:\s*(\d{4}))?\b/g)) {
+    const q = parseInt(m[1]);
+    const qYear = m[2] ? parseInt(m[2]) : year;
+    found.push({
+      index: m.index,
+      start: toIso(new Date(qYear, (q - 1) * 3, 1)),
+      end: toIso(new Date(qYear, q * 3, 0)),
+      label: m[0].toUpperCase()
+    });
+  }
+
+  const months = {
+    january: 0, february: 1, march: 2, april: 3, may: 4, june: 5,
+    july: 6, august: 7, september: 8, october: 9, november: 10, december: 11,
+    jan: 0, feb: 1, mar: 2, apr: 3, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+  };
+  const monthRegex = new RegExp(`\\b(${Object.keys(months).join('|')})(?:\\s+(\\d{4}))?\\b`, 'g');
+  for (const m of lower.matchAll(monthRegex)) {
+    if (m[1] === 'may' && !m[2]) continue;
+    const idx = months[m[1]];
+    const mYear = m[2] ? parseInt(m[2]) : year;
+    found.push({
+      index: m.index,
+      start: toIso(new Date(mYear, idx, 1)),
+      end: toIso(new Date(mYear, idx + 1, 0)),
+      label: query.substr(m.index, m[0].length)
+    });
+  }
+
+  for (const m of lower.matchAll(/(\d{4})-(\d{2})-(\d{2})/g)) {
+    found.push({ index: m.index, start: m[0], end: m[0], label: m[0] });
+  }
+
+  const seen = new Set();
+  return found
+    .sort((a, b) => a.index - b.index)
+    .filter(r => {
+      const key = `${r.start}:${r.end}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ start, end, label }) => ({ start, end, label }));
+}
@@ -0,0 +1,372 @@
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { supabase } from '../config/supabase.js';
+import { extractContentFromFile } from './fileProcessor.js';
+import { analyzeDocument } from './claudeService.js';
+import { chunkText } from './openaiService.js';
+import { embeddingFields } from './embeddingProvider.js';
+import { applyChunkDiff, diffChunks, embedWithRetry, storeChunkEmbeddings } from './ingestion.js';
+import { parseDateFromFilename } from './dateParser.js';
+import { enqueueJob, PermanentJobError } from './jobQueue.js';
+import { publishIngestionEvent } from './ingestionEvents.js';
+import { recordDocumentVersion } from './documentVersions.js';
+
+/**
+ * Document processing jobs: extract text, analyze with Claude, chunk, embed and
+ * mark the document processed. Run by the job worker (see jobQueue.js), so each
+ * job's payload holds everything needed to run again after a restart.
+ *
+ * Each stage is recorded on the job and published to ingestionEvents.js for the
+ * live progress stream. Once indexed, the text is recorded as the document's
+ * current version (documentVersions.js).
+ */
+
+const STORAGE_BUCKET = 'client-assets';
+
+// Share of chunks that must change on a Google re-sync before the document is
+// re-analyzed (new summary, tags and title); smaller edits keep the old analysis
+const REANALYZE_THRESHOLD = parseFloat(process.env.SYNC_REANALYZE_THRESHOLD) || 0.2;
+
+/**
+ * Queue an uploaded file (already in Supabase Storage) for processing.
+ *
+ * @param {object} params
+ * @param {string} params.documentId
+ * @param {string} params.clientId - Client the job is listed under
+ * @param {string} params.storagePath - Path in the client-assets bucket
+ * @param {string} params.fileName
+ * @param {string} params.fileType - MIME type
+ * @param {string|null} params.title - Fixed title; null lets Claude's title win over the file name
+ * @param {object} params.documentFields - Written to the document only when the job succeeds (e.g. a Drive file's new md5Checksum)
+ */
+export async function enqueueFileProcessing({ documentId, clientId, storagePath, fileName, fileType, title = null, documentFields = {} }) {
+  const job = await enqueueJob({
+    type: 'process_file',
+    clientId,
+    documentId,
+    payload: { documentId, storagePath, fileName, fileType, title, documentFields }
+  });
+  publishJobEvent(job, fileName, { stage: 'queued' });
+  return job;
+}
+
+/**
+ * Queue fetched Google Doc/Sheet content for processing. `structured` is the
+ * fetcher's flag for markdown content (see chunkText). `documentFields` (e.g.
+ * the new content_hash from a sync) are written to the document only when the
+ * job succeeds.
+ */
+export async function enqueueGoogleProcessing({ documentId, clientId, content, title, sourceType, structured = false, documentFields = {} }) {
+  const job = await enqueueJob({
+    type: 'process_google',
+    clientId,
+    documentId,
+    payload: { documentId, content, title, sourceType, structured, documentFields }
+  });
+  publishJobEvent(job, title, { stage: 'queued' });
+  return job;
+}
+
+function jobFileName(job) {
+  return job.payload?.fileName || job.payload?.title || null;
+}
+
+function publishJobEvent(job, fileName, event) {
+  publishIngestionEvent(job.client_id, {
+    documentId: job.document_id,
+    jobId: job.id,
+    fileName,
+    ...event
+  });
+}
+
+/**
+ * Wrap the worker's reportProgress so every recorded stage is also published live.
+ */
+function progressReporter(job, reportProgress) {
+  return async (progress) => {
+    await reportProgress(progress);
+    publishJobEvent(job, jobFileName(job), progress);
+  };
+}
+
+/**
+ * Analyze, chunk and embed extracted text, then mark the document processed.
+ * Existing chunks are replaced, so a retried or re-synced job starts clean.
+ * `extraFields` are written to the document alongside the analysis.
+ */
+async function indexDocument(documentId, text, { title, fallbackTitle, fileType, dateSourceName, structured, extraFields = {} }, reportProgress) {
+  await reportProgress({ stage: 'analyzing' });
+  const analysis = await analyzeDocument(text, title || fallbackTitle, fileType);
+
+  // Generate document-level embedding for the summary
+  const [docEmbedding] = await embedWithRetry(
+    [`${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`],
+    `Embedding summary of document ${documentId}`
+  );
+
+  const chunks = chunkText(text, 1000, 200, { structured });
+  console.log(`Created ${chunks.length} chunks for document ${documentId}`);
+  await reportProgress({ stage: 'chunking', chunkCount: chunks.length });
+
+  await supabase
+    .from('document_chunks')
+    .delete()
+    .eq('document_id', documentId);
+
+  // Embed chunks in batches and bulk-insert them
+  await reportProgress({ stage: 'embedding', done: 0, total: chunks.length });
+  await storeChunkEmbeddings(documentId, chunks, {
+    onProgress: (done, total) => reportProgress({ stage: 'embedding', done, total })
+  });
+
+  // Determine source_date: filename date wins, then AI-extracted date
+  const sourceDate = parseDateFromFilename(dateSourceName) || analysis.content_date || null;
+  const dateFields = sourceDate ? { source_date: sourceDate } : {};
+
+  const { error: updateError } = await supabase
+    .from('documents')
+    .update({
+      title: title || analysis.title || fallbackTitle,
+      summary: analysis.summary,
+      tags: analysis.tags,
+      keywords: analysis.keywords,
+      topic: analysis.topic,
+      sentiment: analysis.sentiment,
+      sentiment_score: analysis.sentiment_score,
+      ...embeddingFields(docEmbedding),
+      chunk_count: chunks.length,
+      ...dateFields,
+      ...extraFields,
+      processed: true
+    })
+    .eq('id', documentId)
+    .is('deleted_at', null); // Removed from its Drive folder meanwhile: stays out of search
+
+  if (updateError) throw updateError;
+
+  console.log(`Document ${documentId} processed successfully with ${chunks.length} chunks (source_date: ${sourceDate || 'none'})`);
+  return chunks.length;
+}
+
+/**
+ * Re-index a source that already has chunks after its content changed (Google
+ * or Drive re-sync). Only chunks whose text changed are embedded, and the chunk set is
+ * swapped in one transaction, so search keeps using the previous version until
+ * the new one is complete. The document is re-analyzed only when at least
+ * REANALYZE_THRESHOLD of its chunks changed (or its last processing failed),
+ * so a typo fix doesn't pay for a new summary. Sources with no stored chunks are
+ * indexed in full by indexDocument().
+ */
+async function reindexChangedDocument(documentId, text, options, reportProgress) {
+  const { title, fallbackTitle, fileType, dateSourceName, structured, extraFields = {} } = options;
+
+  const chunks = chunkText(text, 1000, 200, { structured });
+  await reportProgress({ stage: 'chunking', chunkCount: chunks.length });
+
+  const diff = await diffChunks(documentId, chunks);
+  if (diff.previousCount === 0) {
+    return indexDocument(documentId, text, options, reportProgress);
+  }
+
+  console.log(`Document ${documentId}: ${diff.kept.length} chunks unchanged, ${diff.added.length} new, ${diff.deleteIds.length} removed (${Math.round(diff.changeRatio * 100)}% changed)`);
+
+  // A document whose last run failed has an error in place of its analysis
+  const { data: current } = await supabase
+    .from('documents')
+    .select('processed')
+    .eq('id', documentId)
+    .single();
+
+  let analysisFields = {};
+  if (diff.changeRatio >= REANALYZE_THRESHOLD || !current?.processed) {
+    await reportProgress({ stage: 'analyzing' });
+    const analysis = await analyzeDocument(text, title || fallbackTitle, fileType);
+    const [docEmbedding] = await embedWithRetry(
+      [`${analysis.title} ${analysis.summary} ${analysis.keywords.join(' ')}`],
+      `Embedding summary of document ${documentId}`
+    );
+    const sourceDate = parseDateFromFilename(dateSourceName) || analysis.content_date || null;
+    analysisFields = {
+      title: title || analysis.title || fallbackTitle,
+      summary: analysis.summary,
+      tags: analysis.tags,
+      keywords: analysis.keywords,
+      topic: analysis.topic,
+      sentiment: analysis.sentiment,
+      sentiment_score: analysis.sentiment_score,
+      ...embeddingFields(docEmbedding),
+      ...(sourceDate ? { source_date: sourceDate } : {})
+    };
+  } else if (title) {
+    analysisFields = { title };
+  }
+
+  await reportProgress({ stage: 'embedding', done: 0, total: diff.added.length });
+  const chunkCount = await applyChunkDiff(documentId, diff, {
+    onProgress: (done, total) => reportProgress({ stage: 'embedding', done, total })
+  });
+
+  const { error: updateError } = await supabase
+    .from('documents')
+    .update({
+      ...analysisFields,
+      chunk_count: chunkCount,
+      ...extraFields,
+      processed: true
+    })
+    .eq('id', documentId)
+    .is('deleted_at', null);
+
+  if (updateError) throw updateError;
+
+  console.log(`Document ${documentId} re-indexed with ${chunkCount} chunks (${analysisFields.summary ? 're-analyzed' : 'analysis kept'})`);
+  return chunkCount;
+}
+
+/**
+ * Record the text a document was just indexed with in its version history. A
+ * failure here is logged rather than failing the job, since the document
+ * itself is indexed.
+ */
+async function saveVersion(documentId, content, title) {
+  try {
+    const version = await recordDocumentVersion(documentId, { content, title });
+    if (version) console.log(`Document ${documentId}: recorded version ${version.version_number}`);
+  } catch (error) {
+    console.error(`Error recording version of document ${documentId}:`, error.message);
+  }
+}
+
+async function downloadToTempFile(storagePath, fileName) {
+  const { data, error } = await supabase.storage.from(STORAGE_BUCKET).download(storagePath);
+  if (error) throw error;
+
+  const tempFilePath = path.join(os.tmpdir(), `${uuidv4()}${path.extname(fileName)}`);
+  await fs.writeFile(tempFilePath, Buffer.from(await data.arrayBuffer()));
+  return tempFilePath;
+}
+
+async function runFileJob(job, context) {
+  const { documentId, storagePath, fileName, fileType, title, documentFields = {} } = job.payload;
+  const reportProgress = progressReporter(job, context.reportProgress);
+  console.log(`Processing document ${documentId}...`);
+
+  await reportProgress({ stage: 'extracting' });
+  const filePath = await downloadToTempFile(storagePath, fileName);
+
+  let textContent, ocr, structured;
+  try {
+    ({ text: textContent, ocr, structured } = await extractContentFromFile(filePath, fileType, {
+      onOcrPage: (page, pageCount) => reportProgress({ stage: 'extracting', page, pageCount })
+    }));
+  } finally {
+    try {
+      await fs.unlink(filePath);
+    } catch (e) {
+      console.error('Error deleting temp file:', e);
+    }
+  }
+
+  if (!textContent || textContent.length < 10) {
+    throw new PermanentJobError(ocr
+      ? `Insufficient text recognized by OCR (confidence ${ocr.confidence})`
+      : 'Insufficient text content extracted from file');
+  }
+
+  if (ocr?.lowConfidence) {
+    console.warn(`Document ${documentId}: low OCR confidence (${ocr.confidence}), flagging for review`);
+  }
+
+  // A re-synced Drive file keeps its chunks searchable until the new set is
+  // swapped in; a new upload has no chunks and is indexed in full
+  const chunkCount = await reindexChangedDocument(documentId, textContent, {
+    title,
+    fallbackTitle: fileName,
+    fileType,
+    dateSourceName: fileName,
+    structured,
+    extraFields: {
+      ...(ocr ? {
+        ocr_confidence: ocr.confidence,
+        ocr_pages: ocr.pages,
+        ocr_low_confidence: ocr.lowConfidence
+      } : {}),
+      ...documentFields
+    }
+  }, reportProgress);
+
+  await saveVersion(documentId, textContent, title || fileName);
+  publishJobEvent(job, fileName, { stage: 'done', chunkCount });
+}
+
+async function runGoogleJob(job, context) {
+  const { documentId, content, title, sourceType, structured = false, documentFields = {} } = job.payload;
+  const reportProgress = progressReporter(job, context.reportProgress);
+  console.log(`Processing Google source ${documentId} (${content?.length || 0} characters)...`);
+
+  if (!content || content.length < 10) {
+    throw new PermanentJobError('Insufficient content extracted from Google source');
+  }
+
+  const chunkCount = await reindexChangedDocument(documentId, content, {
+    title,
+    fallbackTitle: title,
+    fileType: sourceType,
+    dateSourceName: title,
+    structured,
+    extraFields: documentFields
+  }, reportProgress);
+
+  await saveVersion(documentId, content, title);
+  publishJobEvent(job, title, { stage: 'done', chunkCount });
+}
+
+/**
+ * After the last attempt fails (or the job is cancelled), leave a document that
+ * was never indexed unprocessed with the error in its summary, as the UI
+ * expects. A document that is already indexed (a failed re-sync) keeps its
+ * chunks, analysis and place in search; the error stays on the job.
+ */
+async function markDocumentFailed(job, error) {
+  const documentId = job.document_id || job.payload?.documentId;
+  if (!documentId) return;
+
+  publishJobEvent(job, jobFileName(job), { stage: 'failed', error: error.message });
+
+  const { data: document } = await supabase
+    .from('documents')
+    .select('chunk_count')
+    .eq('id', documentId)
+    .single();
+
+  if (document?.chunk_count > 0) {
+    console.warn(`Document ${documentId}: re-processing failed (${error.message}); keeping the indexed version`);
+    return;
+  }
+
+  await supabase
+    .from('documents')
+    .update({
+      processed: false,
+      summary: `Error: ${error.message}`
+    })
+    .eq('id', documentId);
+}
+
+/**
+ * A failed attempt that will be retried goes back to 'queued' with the reason.
+ */
+function announceRetry(job, error, runAt) {
+  publishJobEvent(job, jobFileName(job), { stage: 'queued', error: error.message, retryAt: runAt });
+}
+
+/**
+ * Handlers to register with startJobWorker().
+ */
+export const documentJobHandlers = {
+  process_file: { run: runFileJob, onRetry: announceRetry, onFailure: markDocumentFailed },
+  process_google: { run: runGoogleJob, onRetry: announceRetry, onFailure: markDocumentFailed },
+};
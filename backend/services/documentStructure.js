@@ -0,0 +1,504 @@
+/**
+ * Lightweight structured text for ingestion.
+ *
+ * Extractors turn DOCX, PDF and Google Docs into markdown: `#` headings, pipe
+ * tables, `<!-- page: N -->` markers where a new PDF page starts, and
+ * `<!-- heading-id: h.xxx -->` after a Google Doc heading. chunkStructuredText()
+ * then splits on section boundaries and prefixes each chunk with its heading
+ * path ("Pricing > Enterprise tier") so a chunk carries its context into
+ * retrieval, and records the pages and heading it came from for citations.
+ */
+
+const PAGE_MARKER_PATTERN = /^<!-- page: (\d+) -->$/;
+const HEADING_ID_PATTERN = /^<!-- heading-id: ([\w.-]+) -->$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+/**
+ * Marker line inserted where a page starts.
+ */
+export function pageMarker(pageNumber) {
+  return `<!-- page: ${pageNumber} -->`;
+}
+
+/**
+ * Marker line placed after a heading that has a stable anchor (Google Docs
+ * "h.xxxx" heading IDs), so citations can deep-link to the section.
+ */
+export function headingAnchor(headingId) {
+  return `<!-- heading-id: ${headingId} -->`;
+}
+
+// ---------------------------------------------------------------------------
+// DOCX / Google Docs: HTML -> markdown
+// ---------------------------------------------------------------------------
+
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'meta', 'link']);
+const SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title']);
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Parse the small, well-formed HTML subset mammoth and the Google Docs HTML
+ * export produce into a node tree.
+ */
+function parseHtml(html) {
+  const root = { tag: 'root', attrs: '', children: [] };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z0-9]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [, closing, rawTag, attrs, selfClosing, text] = match;
+    const parent = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      parent.children.push({ text: decodeEntities(text) });
+    } else if (rawTag) {
+      const tag = rawTag.toLowerCase();
+      if (closing) {
+        // Pop back to the matching open tag (tolerates stray closers)
+        const index = stack.map(n => n.tag).lastIndexOf(tag);
+        if (index > 0) stack.length = index;
+      } else {
+        const node = { tag, attrs, children: [] };
+        parent.children.push(node);
+        if (!selfClosing && !VOID_TAGS.has(tag)) stack.push(node);
+      }
+    }
+  }
+
+  return root;
+}
+
+function attribute(node, name) {
+  const match = node.attrs.match(new RegExp(`${name}="([^"]*)"`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+function renderInline(node) {
+  if (node.text !== undefined) return node.text.replace(/\s+/g, ' ');
+
+  const inner = node.children.map(renderInline).join('');
+  switch (node.tag) {
+    case 'strong':
+    case 'b':
+      return inner.trim() ? `**${inner.trim()}**` : inner;
+    case 'em':
+    case 'i':
+      return inner.trim() ? `*${inner.trim()}*` : inner;
+    case 'a': {
+      const href = attribute(node, 'href');
+      return href && !href.startsWith('#') && inner.trim() ? `[${inner.trim()}](${href})` : inner;
+    }
+    case 'br':
+      return '\n';
+    case 'img':
+      return '';
+    default:
+      return inner;
+  }
+}
+
+function cellText(cell) {
+  return renderBlocks(cell.children)
+    .replace(/\n+/g, ' ')
+    .replace(/\|/g, '\\|')
+    .trim();
+}
+
+function renderTable(table) {
+  const rows = [];
+  const collectRows = (node) => {
+    for (const child of node.children || []) {
+      if (child.tag === 'tr') rows.push(child);
+      else if (['thead', 'tbody', 'tfoot'].includes(child.tag)) collectRows(child);
+    }
+  };
+  collectRows(table);
+
+  const cells = rows.map(row => row.children
+    .filter(c => c.tag === 'td' || c.tag === 'th')
+    .flatMap(c => {
+      const span = parseInt(attribute(c, 'colspan')) || 1;
+      return [cellText(c), ...Array(span - 1).fill('')];
+    }));
+
+  const width = Math.max(0, ...cells.map(r => r.length));
+  if (width === 0) return '';
+
+  const line = (r) => `| ${[...r, ...Array(width - r.length).fill('')].join(' | ')} |`;
+  const [header, ...body] = cells;
+  return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+}
+
+function renderList(list, depth) {
+  const ordered = list.tag === 'ol';
+  let counter = 0;
+
+  return list.children
+    .filter(c => c.tag === 'li')
+    .map(item => {
+      counter++;
+      const marker = ordered ? `${counter}.` : '-';
+      const indent = '  '.repeat(depth);
+      const nested = item.children.filter(c => c.tag === 'ul' || c.tag === 'ol');
+      const content = renderBlocks(item.children.filter(c => !nested.includes(c))).replace(/\n+/g, ' ').trim();
+      const lines = [`${indent}${marker} ${content}`];
+      for (const sub of nested) lines.push(renderList(sub, depth + 1));
+      return lines.join('\n');
+    })
+    .join('\n');
+}
+
+function renderBlocks(nodes) {
+  const blocks = [];
+  let inline = '';
+
+  const flushInline = () => {
+    if (inline.trim()) blocks.push(inline.trim());
+    inline = '';
+  };
+
+  for (const node of nodes) {
+    const heading = node.tag?.match(/^h([1-6])$/);
+    if (SKIPPED_TAGS.has(node.tag)) {
+      continue;
+    } else if (heading) {
+      flushInline();
+      const text = node.children.map(renderInline).join('').replace(/\s+/g, ' ').trim();
+      // Google Docs exports headings as <h2 id="h.xxxx">, the same ID its #heading= links use
+      const id = attribute(node, 'id');
+      if (text) blocks.push(`${'#'.repeat(Number(heading[1]))} ${text}${id ? `\n${headingAnchor(id)}` : ''}`);
+    } else if (node.tag === 'p') {
+      flushInline();
+      const text = node.children.map(renderInline).join('').trim();
+      if (text) blocks.push(text);
+    } else if (node.tag === 'ul' || node.tag === 'ol') {
+      flushInline();
+      blocks.push(renderList(node, 0));
+    } else if (node.tag === 'table') {
+      flushInline();
+      const table = renderTable(node);
+      if (table) blocks.push(table);
+    } else if (node.tag === 'hr') {
+      flushInline();
+      blocks.push('---');
+    } else if (node.tag && ['html', 'body', 'div', 'section', 'article', 'blockquote', 'root'].includes(node.tag)) {
+      flushInline();
+      const inner = renderBlocks(node.children);
+      if (inner) blocks.push(inner);
+    } else {
+      inline += renderInline(node);
+    }
+  }
+  flushInline();
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Convert mammoth's HTML output (or a Google Docs HTML export) to markdown
+ * (headings, lists, pipe tables).
+ */
+export function htmlToMarkdown(html) {
+  return renderBlocks(parseHtml(html).children)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// PDF: positioned text lines -> markdown
+// ---------------------------------------------------------------------------
+
+// Lines this much larger than body text are treated as headings
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_LEVELS = 3;
+
+/**
+ * pdf-parse page renderer that keeps font sizes. Returns the page's plain text
+ * (what pdf-parse would) and pushes { page, lines: [{ text, size }] } onto `pages`.
+ */
+export function createPdfPageCollector(pages) {
+  return async (pageData) => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    const lines = [];
+    let current = null;
+    let lastY;
+
+    for (const item of content.items) {
+      const y = item.transform[5];
+      const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+
+      if (current && y === lastY) {
+        current.text += item.str;
+        current.size = Math.max(current.size, size);
+      } else {
+        current = { text: item.str, size };
+        lines.push(current);
+      }
+      lastY = y;
+    }
+
+    pages.push({ page: pageData.pageNumber ?? pageData.pageIndex + 1, lines });
+    return lines.map(l => l.text).join('\n');
+  };
+}
+
+/**
+ * Build markdown from collected PDF lines: lines set noticeably larger than the
+ * body font become headings (largest size = level 1), each page starts with a marker.
+ */
+export function pdfPagesToMarkdown(pages) {
+  // Body size is the most common size by character count
+  const charsBySize = new Map();
+  for (const { lines } of pages) {
+    for (const line of lines) {
+      charsBySize.set(line.size, (charsBySize.get(line.size) || 0) + line.text.trim().length);
+    }
+  }
+  const bodySize = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+  const isHeading = (line) => {
+    const text = line.text.trim();
+    return bodySize > 0 &&
+      line.size >= bodySize * HEADING_SIZE_RATIO &&
+      text.length >= 2 &&
+      text.length <= MAX_HEADING_LENGTH &&
+      /\p{L}/u.test(text);
+  };
+
+  const headingSizes = [...new Set(pages.flatMap(p => p.lines.filter(isHeading).map(l => l.size)))]
+    .sort((a, b) => b - a);
+  const levelOf = (size) => Math.min(headingSizes.indexOf(size) + 1, MAX_HEADING_LEVELS);
+
+  return pages
+    .sort((a, b) => a.page - b.page)
+    .map(({ page, lines }) => {
+      const out = [pageMarker(page)];
+      // Index of the heading a wrapped second line at the same size joins onto
+      let openHeading = null;
+
+      for (const line of lines) {
+        const text = line.text.trim();
+        if (!text) continue;
+
+        if (isHeading(line)) {
+          const prefix = `${'#'.repeat(levelOf(line.size))} `;
+          if (openHeading !== null && out[openHeading].startsWith(prefix)) {
+            out[openHeading] += ` ${text}`;
+          } else {
+            out.push('', `${prefix}${text}`, '');
+            openHeading = out.length - 2;
+          }
+        } else {
+          out.push(text);
+          openHeading = null;
+        }
+      }
+      return out.join('\n');
+    })
+    .join('\n\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ---------------------------------------------------------------------------
+// Section-aware chunking
+// ---------------------------------------------------------------------------
+
+/**
+ * Split markdown into sections of blocks. Each block is a paragraph, list or
+ * table with its character offsets and the page it starts on. A section's
+ * headingId is its own anchor, or the nearest parent heading's when it has none.
+ */
+function parseSections(text) {
+  const sections = [];
+  const headingStack = [];
+  let page = null;
+  let section = { path: [], headingId: null, blocks: [] };
+  let block = null;
+
+  const flushBlock = () => {
+    if (block && block.text.trim()) section.blocks.push(block);
+    block = null;
+  };
+  const startSection = (path) => {
+    flushBlock();
+    if (section.blocks.length > 0) sections.push(section);
+    const anchored = [...headingStack].reverse().find(h => h.id);
+    section = { path, headingId: anchored?.id || null, blocks: [] };
+  };
+
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+    const trimmed = line.trim();
+
+    const marker = trimmed.match(PAGE_MARKER_PATTERN);
+    if (marker) {
+      page = Number(marker[1]);
+      continue;
+    }
+
+    const anchor = trimmed.match(HEADING_ID_PATTERN);
+    if (anchor) {
+      if (headingStack.length > 0) {
+        headingStack[headingStack.length - 1].id = anchor[1];
+        section.headingId = anchor[1];
+      }
+      continue;
+    }
+
+    const heading = trimmed.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      while (headingStack.length && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+      headingStack.push({ level, title: heading[2].replace(/\*\*/g, '').trim() });
+      startSection(headingStack.map(h => h.title));
+      continue;
+    }
+
+    if (!trimmed) {
+      flushBlock();
+      continue;
+    }
+
+    // Tables stay one block even without blank lines around them
+    const isTableRow = trimmed.startsWith('|');
+    if (block && block.isTable !== isTableRow) flushBlock();
+
+    // Each line's position in the block text and in the document, for splitBlock()
+    if (!block) {
+      block = { text: line, start: lineStart, end: offset - 1, pageStart: page, pageEnd: page, isTable: isTableRow, lines: [{ at: 0, start: lineStart, page }] };
+    } else {
+      block.lines.push({ at: block.text.length + 1, start: lineStart, page });
+      block.text += `\n${line}`;
+      block.end = offset - 1;
+      block.pageEnd = page;
+    }
+  }
+  startSection([]);
+
+  return sections;
+}
+
+/**
+ * Split one oversized block into pieces of at most `size` characters. Tables are
+ * split by rows with the header repeated; prose at paragraph/sentence boundaries.
+ * Each piece gets the offsets and pages of the text it covers.
+ */
+function splitBlock(block, size) {
+  // Document offset and page of a position in block.text
+  const locate = (index) => {
+    const line = block.lines.findLast(l => l.at <= index);
+    return { offset: line.start + index - line.at, page: line.page };
+  };
+  const piece = (text, from, to) => {
+    const first = locate(from);
+    const last = locate(to - 1);
+    return { ...block, text, start: first.offset, end: last.offset + 1, pageStart: first.page, pageEnd: last.page };
+  };
+
+  if (block.isTable) {
+    const [header, divider, ...rows] = block.text.split('\n');
+    const rowLines = block.lines.slice(2);
+    const pieces = [];
+    let current = [];
+    const emit = () => {
+      const text = [header, divider, ...current.map(i => rows[i])].join('\n');
+      if (current.length === 0) return pieces.push({ ...block, text });
+      const lastRow = current[current.length - 1];
+      pieces.push(piece(text, rowLines[current[0]].at, rowLines[lastRow].at + rows[lastRow].length));
+    };
+    rows.forEach((row, i) => {
+      const candidate = [header, divider, ...current.map(j => rows[j]), row].join('\n');
+      if (current.length > 0 && candidate.length > size) {
+        emit();
+        current = [];
+      }
+      current.push(i);
+    });
+    if (current.length > 0 || pieces.length === 0) emit();
+    return pieces;
+  }
+
+  const pieces = [];
+  const text = block.text.trimEnd();
+  let pos = text.length - text.trimStart().length;
+  while (text.length - pos > size) {
+    const rest = text.slice(pos);
+    let cut = Math.max(rest.lastIndexOf('\n', size), rest.lastIndexOf('. ', size) + 1);
+    if (cut < size / 2) cut = rest.lastIndexOf(' ', size);
+    if (cut < size / 2) cut = size;
+    const raw = rest.slice(0, cut);
+    const from = pos + raw.length - raw.trimStart().length;
+    const to = pos + raw.trimEnd().length;
+    if (to > from) pieces.push(piece(text.slice(from, to), from, to));
+    pos += cut;
+    pos += text.slice(pos).length - text.slice(pos).trimStart().length;
+  }
+  if (pos < text.length) pieces.push(piece(text.slice(pos), pos, text.length));
+  return pieces;
+}
+
+/**
+ * Chunk markdown along section boundaries. Chunks never span two sections;
+ * within a section, blocks are packed up to `chunkSize` and a short trailing
+ * block is repeated at the start of the next chunk for overlap.
+ *
+ * @returns {Array<{text: string, startIndex: number, endIndex: number, sectionPath: string|null, headingId: string|null, pageStart: number|null, pageEnd: number|null}>}
+ */
+export function chunkStructuredText(text, chunkSize = 1000, overlap = 200) {
+  const chunks = [];
+
+  for (const section of parseSections(text)) {
+    const sectionPath = section.path.length > 0 ? section.path.join(' > ') : null;
+    const prefix = sectionPath ? `${sectionPath}\n\n` : '';
+    const budget = Math.max(chunkSize - prefix.length, chunkSize / 2);
+
+    const blocks = section.blocks.flatMap(b => (b.text.length > budget ? splitBlock(b, budget) : [b]));
+
+    let current = [];
+    let length = 0;
+    const emit = () => {
+      if (current.length === 0) return;
+      const pages = current.flatMap(b => [b.pageStart, b.pageEnd]).filter(p => p != null);
+      chunks.push({
+        text: `${prefix}${current.map(b => b.text.trim()).join('\n\n')}`,
+        startIndex: current[0].start,
+        endIndex: current[current.length - 1].end,
+        sectionPath,
+        headingId: section.headingId,
+        pageStart: pages.length ? Math.min(...pages) : null,
+        pageEnd: pages.length ? Math.max(...pages) : null
+      });
+    };
+
+    for (const block of blocks) {
+      if (current.length > 0 && length + block.text.length > budget) {
+        emit();
+        const last = current[current.length - 1];
+        current = last.text.length <= overlap && last.text.length + block.text.length <= budget ? [last] : [];
+        length = current.reduce((sum, b) => sum + b.text.length + 2, 0);
+      }
+      current.push(block);
+      length += block.text.length + 2;
+    }
+    emit();
+  }
+
+  return chunks;
+}
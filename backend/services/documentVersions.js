@@ -0,0 +1,271 @@
+import { supabase } from '../config/supabase.js';
+import { hashContent } from './googleDocs.js';
+
+/**
+ * Document version history: a text snapshot of every distinct content a
+ * document has been indexed with (document_versions), so a synced source can be
+ * diffed against its earlier versions and a chat answer can record which
+ * version of each source it was grounded in.
+ *
+ * A version is recorded by the processing job once the content is indexed, so
+ * the latest version is always the one search is answering from. Re-processing
+ * identical content (a retry, or a sync that only touched formatting outside
+ * the text) doesn't add a version.
+ */
+
+// Versions kept per document; the oldest are pruned past this. 0 keeps all
+const VERSION_LIMIT = isNaN(parseInt(process.env.DOCUMENT_VERSION_LIMIT)) ? 50 : parseInt(process.env.DOCUMENT_VERSION_LIMIT);
+
+// Past this many changed lines a diff stops aligning and shows the changed
+// middle as one removed block and one added block
+const MAX_DIFF_EDITS = 2000;
+
+const VERSION_COLUMNS = 'id, document_id, version_number, content_hash, title, content_length, source_modified_time, created_at';
+
+/**
+ * Record `content` as the document's newest version unless it matches the
+ * current one.
+ *
+ * @param {string} documentId
+ * @param {object} version
+ * @param {string} version.content - Text the document was indexed with
+ * @param {string|null} version.title
+ * @returns {Promise<object|null>} The new version row, or null if content was unchanged
+ */
+export async function recordDocumentVersion(documentId, { content, title = null }) {
+  const contentHash = hashContent(content);
+
+  const [{ data: latest, error: latestError }, { data: doc }] = await Promise.all([
+    supabase
+      .from('document_versions')
+      .select('version_number, content_hash')
+      .eq('document_id', documentId)
+      .order('version_number', { ascending: false })
+      .limit(1),
+    supabase
+      .from('documents')
+      .select('google_modified_time')
+      .eq('id', documentId)
+      .single()
+  ]);
+
+  if (latestError) throw latestError;
+
+  const current = latest?.[0];
+  if (current?.content_hash === contentHash) return null;
+
+  const versionNumber = (current?.version_number || 0) + 1;
+  const { data: version, error } = await supabase
+    .from('document_versions')
+    .insert([{
+      document_id: documentId,
+      version_number: versionNumber,
+      content_hash: contentHash,
+      title,
+      content,
+      content_length: content.length,
+      source_modified_time: doc?.google_modified_time || null
+    }])
+    .select(VERSION_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  if (VERSION_LIMIT > 0 && versionNumber > VERSION_LIMIT) {
+    await supabase
+      .from('document_versions')
+      .delete()
+      .eq('document_id', documentId)
+      .lte('version_number', versionNumber - VERSION_LIMIT);
+  }
+
+  return version;
+}
+
+/**
+ * A document's versions, newest first, without their text.
+ */
+export async function listDocumentVersions(documentId) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select(VERSION_COLUMNS)
+    .eq('document_id', documentId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One version of a document, with its text snapshot. Null if it doesn't exist
+ * (or was pruned).
+ */
+export async function getDocumentVersion(documentId, versionId) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select(`${VERSION_COLUMNS}, content`)
+    .eq('document_id', documentId)
+    .eq('id', versionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The current (newest) version of each document, as stored with chat answers.
+ * Documents indexed before version history existed have none.
+ *
+ * @param {string[]} documentIds
+ * @returns {Promise<Map<string, { id, number, contentHash, createdAt }>>}
+ */
+export async function currentVersions(documentIds) {
+  const versions = new Map();
+  if (!documentIds || documentIds.length === 0) return versions;
+
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('id, document_id, version_number, content_hash, created_at')
+    .in('document_id', documentIds)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+
+  for (const row of data || []) {
+    if (versions.has(row.document_id)) continue;
+    versions.set(row.document_id, {
+      id: row.id,
+      number: row.version_number,
+      contentHash: row.content_hash,
+      createdAt: row.created_at
+    });
+  }
+  return versions;
+}
+
+/**
+ * Shortest edit script from `a` to `b` (Myers' O((N+M)D) algorithm), as
+ * 'equal' | 'removed' | 'added' operations in order. Null when more than
+ * maxEdits lines differ.
+ */
+function shortestEdit(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // trace[d] holds furthest x per diagonal k in [-d, d] before step d
+  const trace = [];
+  const furthest = (snapshot, d, k) => snapshot[k + d];
+
+  for (let d = 0; d <= Math.min(n + m, maxEdits); d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        // Walk back through the trace to recover the path
+        const ops = [];
+        let cx = n;
+        let cy = m;
+        for (let step = d; step > 0; step--) {
+          const snapshot = trace[step];
+          const ck = cx - cy;
+          const prevK = ck === -step || (ck !== step && furthest(snapshot, step, ck - 1) < furthest(snapshot, step, ck + 1))
+            ? ck + 1
+            : ck - 1;
+          const prevX = furthest(snapshot, step, prevK);
+          const prevY = prevX - prevK;
+          while (cx > prevX && cy > prevY) {
+            ops.push(['equal', a[--cx]]);
+            cy--;
+          }
+          if (cx === prevX) ops.push(['added', b[--cy]]);
+          else ops.push(['removed', a[--cx]]);
+        }
+        while (cx > 0 && cy > 0) {
+          ops.push(['equal', a[--cx]]);
+          cy--;
+        }
+        return ops.reverse();
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Line diff of two texts. Runs of lines with the same type are grouped:
+ * [{ type: 'equal' | 'removed' | 'added', lines: string[] }], in order, with
+ * removals before additions where lines were replaced.
+ *
+ * @returns {{ changes: Array<{type: string, lines: string[]}>, added: number, removed: number }}
+ */
+export function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // Only the middle between the common prefix and suffix needs aligning
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = shortestEdit(middleA, middleB, MAX_DIFF_EDITS) || [
+    ...middleA.map(line => ['removed', line]),
+    ...middleB.map(line => ['added', line])
+  ];
+  const ops = [
+    ...a.slice(0, start).map(line => ['equal', line]),
+    ...middle,
+    ...a.slice(endA).map(line => ['equal', line])
+  ];
+
+  const changes = [];
+  let added = 0;
+  let removed = 0;
+  let pendingRemoved = [];
+  let pendingAdded = [];
+  const append = (type, lines) => {
+    if (lines.length === 0) return;
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.lines.push(...lines);
+    else changes.push({ type, lines: [...lines] });
+  };
+  const flush = () => {
+    append('removed', pendingRemoved);
+    append('added', pendingAdded);
+    pendingRemoved = [];
+    pendingAdded = [];
+  };
+
+  for (const [type, line] of ops) {
+    if (type === 'removed') {
+      removed++;
+      pendingRemoved.push(line);
+    } else if (type === 'added') {
+      added++;
+      pendingAdded.push(line);
+    } else {
+      flush();
+      append('equal', [line]);
+    }
+  }
+  flush();
+
+  return { changes, added, removed };
+}
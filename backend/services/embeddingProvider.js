@@ -0,0 +1,168 @@
+import OpenAI from 'openai';
+
+/**
+ * Embedding providers, selected by EMBEDDING_PROVIDER:
+ * - 'openai' (default): OpenAI embeddings API, EMBEDDING_MODEL defaults to text-embedding-3-small
+ * - 'local': transformers.js ONNX model on CPU, EMBEDDING_MODEL defaults to Xenova/all-MiniLM-L6-v2.
+ *   Set EMBEDDING_LOCAL_MODEL_PATH to a directory of pre-downloaded models to run fully offline.
+ *
+ * Every stored vector records the model and native dimension it came from, so search can
+ * refuse to compare vectors from different models and the re-embed job can find stale rows.
+ */
+
+// Stored vectors are zero-padded to the width of the vector(1536) columns so every model
+// fits the same HNSW indexes. Zero padding leaves cosine similarity unchanged.
+export const STORAGE_DIMENSIONS = 1536;
+
+// Truncate text to fit within token limits (roughly 8000 tokens ~ 32000 chars)
+const MAX_INPUT_CHARS = 30000;
+
+// Native output sizes of the models we know about; others need EMBEDDING_DIMENSIONS
+const KNOWN_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 1536, // requested at 1536 via the API's dimensions parameter
+  'text-embedding-ada-002': 1536,
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/all-mpnet-base-v2': 768,
+};
+
+function createOpenAIProvider(model) {
+  let client = null;
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    model,
+    async embed(texts) {
+      const response = await getClient().embeddings.create({
+        model,
+        input: texts,
+        // text-embedding-3 models can shorten their output; ada-002 can't
+        ...(model.startsWith('text-embedding-3') ? { dimensions: STORAGE_DIMENSIONS } : {}),
+      });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(d => d.embedding);
+    }
+  };
+}
+
+function createLocalProvider(model) {
+  let extractorPromise = null;
+  const getExtractor = () => {
+    if (!extractorPromise) {
+      extractorPromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch {
+          throw new Error('EMBEDDING_PROVIDER=local needs the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+        }
+        if (process.env.EMBEDDING_LOCAL_MODEL_PATH) {
+          transformers.env.localModelPath = process.env.EMBEDDING_LOCAL_MODEL_PATH;
+          transformers.env.allowRemoteModels = false;
+        }
+        return transformers.pipeline('feature-extraction', model);
+      })();
+      // Let a failed load be retried on the next call
+      extractorPromise.catch(() => { extractorPromise = null; });
+    }
+    return extractorPromise;
+  };
+
+  return {
+    name: 'local',
+    model,
+    async embed(texts) {
+      const extractor = await getExtractor();
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: { create: createOpenAIProvider, defaultModel: 'text-embedding-3-small' },
+  local: { create: createLocalProvider, defaultModel: 'Xenova/all-MiniLM-L6-v2' },
+};
+
+// Lazy initialization to ensure env vars are loaded
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (expected ${Object.keys(PROVIDER_FACTORIES).join(' or ')})`);
+    }
+
+    const model = process.env.EMBEDDING_MODEL || factory.defaultModel;
+    const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || KNOWN_DIMENSIONS[model];
+    if (!dimensions) {
+      throw new Error(`Unknown output size for embedding model ${model}; set EMBEDDING_DIMENSIONS`);
+    }
+    if (dimensions > STORAGE_DIMENSIONS) {
+      throw new Error(`Embedding model ${model} produces ${dimensions} dimensions; at most ${STORAGE_DIMENSIONS} can be stored`);
+    }
+
+    provider = { ...factory.create(model), dimensions };
+  }
+  return provider;
+}
+
+/**
+ * The active provider, model name and native dimension.
+ * @returns {{ provider: string, model: string, dimensions: number }}
+ */
+export function getEmbeddingModel() {
+  const { name, model, dimensions } = getProvider();
+  return { provider: name, model, dimensions };
+}
+
+/**
+ * Embed a batch of texts with the active provider.
+ * Returns one storage-width (padded) vector per input, in input order.
+ */
+export async function embedTexts(texts) {
+  if (texts.length === 0) return [];
+
+  const active = getProvider();
+  const vectors = await active.embed(texts.map(t => (t || '').substring(0, MAX_INPUT_CHARS)));
+
+  return vectors.map(vector => {
+    if (vector.length !== active.dimensions) {
+      throw new Error(`${active.model} returned ${vector.length} dimensions, expected ${active.dimensions}`);
+    }
+    return vector.length === STORAGE_DIMENSIONS
+      ? vector
+      : [...vector, ...new Array(STORAGE_DIMENSIONS - vector.length).fill(0)];
+  });
+}
+
+/**
+ * Embed a single text with the active provider.
+ */
+export async function embedText(text) {
+  const [vector] = await embedTexts([text]);
+  return vector;
+}
+
+/**
+ * Column values for storing a vector on documents or document_chunks,
+ * tagged with the model that produced it.
+ */
+export function embeddingFields(vector) {
+  const { model, dimensions } = getProvider();
+  return {
+    embedding: JSON.stringify(vector),
+    embedding_model: model,
+    embedding_dimensions: dimensions
+  };
+}
@@ -2,25 +2,43 @@ import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
 import xlsx from 'xlsx';
 import fs from 'fs/promises';
+import { ocrImage, ocrPdf } from './ocr.js';
+import { htmlToMarkdown, createPdfPageCollector, pdfPagesToMarkdown } from './documentStructure.js';
+
+// A PDF text layer with fewer non-whitespace characters per page than this is
+// treated as a scan and OCR'd
+const MIN_TEXT_CHARS_PER_PAGE = 20;
 
 /**
  * Extract text content from various file types
  */
 export async function extractTextFromFile(filePath, fileType) {
+  const { text } = await extractContentFromFile(filePath, fileType);
+  return text;
+}
+
+/**
+ * Extract text plus extraction details. `ocr` is set when the text came from OCR
+ * (images, scanned PDFs): { confidence, lowConfidence, pages: [{ page, confidence }], totalPages }.
+ * `structured` is true when the text is markdown with headings and page markers
+ * (PDF, DOCX, markdown files), which chunkText() splits along sections.
+ *
+ * @returns {Promise<{text: string, ocr: object|null, structured: boolean}>}
+ */
+export async function extractContentFromFile(filePath, fileType, { onOcrPage } = {}) {
   try {
     const mimeType = fileType.toLowerCase();
 
     if (mimeType.includes('pdf')) {
-      return await extractFromPDF(filePath);
+      return { ...await extractFromPDF(filePath, { onOcrPage }), structured: true };
     } else if (mimeType.includes('word') || mimeType.includes('docx')) {
-      return await extractFromDOCX(filePath);
+      return { ...await extractFromDOCX(filePath), ocr: null };
     } else if (mimeType.includes('text') || mimeType.includes('txt')) {
-      return await extractFromTXT(filePath);
+      return { text: await extractFromTXT(filePath), ocr: null, structured: mimeType.includes('markdown') };
     } else if (mimeType.includes('sheet') || mimeType.includes('xlsx') || mimeType.includes('csv')) {
-      return await extractFromSpreadsheet(filePath);
+      return { text: await extractFromSpreadsheet(filePath), ocr: null, structured: false };
     } else if (mimeType.includes('image') || mimeType.includes('png') || mimeType.includes('jpg') || mimeType.includes('jpeg')) {
-      // For images, return a placeholder. In production, use OCR (Tesseract.js, Google Vision API)
-      return `[Image file: ${filePath}. Text extraction requires OCR configuration.]`;
+      return { ...await extractFromImage(filePath), structured: false };
     } else {
       throw new Error(`Unsupported file type: ${fileType}`);
     }
@@ -31,26 +49,69 @@ export async function extractTextFromFile(filePath, fileType) {
 }
 
 /**
- * Extract text from PDF
+ * Extract text from PDF as markdown with page markers and font-size headings,
+ * falling back to OCR when the text layer is empty or near-empty (scanned documents)
  */
-async function extractFromPDF(filePath) {
+async function extractFromPDF(filePath, { onOcrPage } = {}) {
+  let dataBuffer, data;
+  const pages = [];
   try {
-    const dataBuffer = await fs.readFile(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+    dataBuffer = await fs.readFile(filePath);
+    data = await pdfParse(dataBuffer, { pagerender: createPdfPageCollector(pages) });
   } catch (error) {
     throw new Error(`PDF extraction failed: ${error.message}`);
   }
+
+  const textChars = (data.text || '').replace(/\s/g, '').length;
+  if (textChars >= MIN_TEXT_CHARS_PER_PAGE * Math.max(data.numpages || 1, 1)) {
+    return { text: pdfPagesToMarkdown(pages), ocr: null };
+  }
+
+  console.log(`PDF text layer is near-empty (${textChars} chars, ${data.numpages} pages), running OCR...`);
+  try {
+    const result = await ocrPdf(dataBuffer, { onPage: onOcrPage });
+    console.log(`OCR complete: ${result.ocr.pages.length} pages, mean confidence ${result.ocr.confidence}`);
+
+    // Keep the text layer if OCR recovered less than it had
+    if (result.text.replace(/\s/g, '').length <= textChars) {
+      return { text: pdfPagesToMarkdown(pages), ocr: null };
+    }
+    return result;
+  } catch (error) {
+    throw new Error(`PDF OCR failed: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from an image with OCR
+ */
+async function extractFromImage(filePath) {
+  try {
+    const dataBuffer = await fs.readFile(filePath);
+    const result = await ocrImage(dataBuffer);
+    console.log(`OCR complete: mean confidence ${result.ocr.confidence}`);
+    return result;
+  } catch (error) {
+    throw new Error(`Image OCR failed: ${error.message}`);
+  }
 }
 
 /**
- * Extract text from DOCX
+ * Extract text from DOCX as markdown (headings, lists, pipe tables), or as plain
+ * text when the HTML conversion comes back empty
  */
 async function extractFromDOCX(filePath) {
   try {
     const dataBuffer = await fs.readFile(filePath);
-    const result = await mammoth.extractRawText({ buffer: dataBuffer });
-    return result.value;
+    const result = await mammoth.convertToHtml({ buffer: dataBuffer }, {
+      // Skip base64-encoding embedded images; they're dropped from the text anyway
+      convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+    const markdown = htmlToMarkdown(result.value);
+    if (markdown) return { text: markdown, structured: true };
+
+    const raw = await mammoth.extractRawText({ buffer: dataBuffer });
+    return { text: raw.value, structured: false };
   } catch (error) {
     throw new Error(`DOCX extraction failed: ${error.message}`);
   }
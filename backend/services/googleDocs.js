@@ -1,4 +1,6 @@
+import crypto from 'crypto';
 import { google } from 'googleapis';
+import { headingAnchor, htmlToMarkdown } from './documentStructure.js';
 
 // Extract document ID from Google Docs URL
 export function extractDocId(url) {
@@ -15,6 +17,21 @@ export function extractSheetId(url) {
   return match ? match[1] : null;
 }
 
+// Extract presentation ID from Google Slides URL
+export function extractPresentationId(url) {
+  const match = url.match(/\/presentation\/d\/([a-zA-Z0-9-_]+)/);
+  return match ? match[1] : null;
+}
+
+// Extract folder ID from a Google Drive folder URL
+export function extractFolderId(url) {
+  // Supports formats:
+  // https://drive.google.com/drive/folders/FOLDER_ID
+  // https://drive.google.com/drive/u/0/folders/FOLDER_ID?usp=sharing
+  const match = url.match(/drive\.google\.com\/drive\/(?:u\/\d+\/)?folders\/([a-zA-Z0-9-_]+)/);
+  return match ? match[1] : null;
+}
+
 // Determine Google source type from URL
 export function getGoogleSourceType(url) {
   if (url.includes('docs.google.com/document')) return 'google_doc';
@@ -50,6 +67,7 @@ export async function fetchGoogleDocContent(docId, accessToken = null) {
     return {
       title: doc.title,
       content: textContent,
+      structured: true,
       lastModified: doc.revisionId,
     };
   } catch (error) {
@@ -87,6 +105,7 @@ export async function fetchPublicGoogleDoc(docId) {
       return {
         title,
         content,
+        structured: true,
         docId,
       };
     }
@@ -94,6 +113,27 @@ export async function fetchPublicGoogleDoc(docId) {
     // Fallback to public export if no credentials
     console.warn('No Google Docs credentials configured, falling back to public export');
 
+    // The HTML export keeps headings and their IDs (for #heading= citation links)
+    try {
+      const htmlUrl = `https://docs.google.com/document/d/${docId}/export?format=html`;
+      const htmlResponse = await fetch(htmlUrl);
+      if (htmlResponse.ok) {
+        const html = await htmlResponse.text();
+        const titleMatch = html.match(/<title>([^<]+)<\/title>/);
+        const content = htmlToMarkdown(html);
+        if (content) {
+          return {
+            title: titleMatch ? titleMatch[1].replace(' - Google Docs', '').trim() : 'Untitled Google Doc',
+            content,
+            structured: true,
+            docId,
+          };
+        }
+      }
+    } catch (e) {
+      // Fall through to the plain-text export
+    }
+
     const exportUrl = `https://docs.google.com/document/d/${docId}/export?format=txt`;
     const response = await fetch(exportUrl);
 
@@ -109,24 +149,8 @@ export async function fetchPublicGoogleDoc(docId) {
 
     const content = await response.text();
 
-    // Try to get title from HTML export
-    let title = 'Untitled Google Doc';
-    try {
-      const htmlUrl = `https://docs.google.com/document/d/${docId}/export?format=html`;
-      const htmlResponse = await fetch(htmlUrl);
-      if (htmlResponse.ok) {
-        const html = await htmlResponse.text();
-        const titleMatch = html.match(/<title>([^<]+)<\/title>/);
-        if (titleMatch) {
-          title = titleMatch[1].replace(' - Google Docs', '').trim();
-        }
-      }
-    } catch (e) {
-      // Ignore title fetch errors
-    }
-
     return {
-      title,
+      title: 'Untitled Google Doc',
       content,
       docId,
     };
@@ -226,6 +250,11 @@ function getDocsAuthClient() {
   return getGoogleAuthClient(['https://www.googleapis.com/auth/documents.readonly']);
 }
 
+// Get Google Slides auth client
+function getSlidesAuthClient() {
+  return getGoogleAuthClient(['https://www.googleapis.com/auth/presentations.readonly']);
+}
+
 // Fetch Google Sheet content using Sheets API (gets ALL tabs and proper title)
 export async function fetchPublicGoogleSheet(sheetId) {
   console.log(`[fetchPublicGoogleSheet] Fetching sheet ID: ${sheetId}`);
@@ -356,17 +385,40 @@ export async function fetchPublicGoogleSheet(sheetId) {
   }
 }
 
-// Helper function to extract text from Google Docs content structure
+// Markdown heading level for Google Docs named paragraph styles
+const HEADING_LEVELS = {
+  TITLE: 1,
+  HEADING_1: 1,
+  HEADING_2: 2,
+  HEADING_3: 3,
+  HEADING_4: 4,
+  HEADING_5: 5,
+  HEADING_6: 6,
+};
+
+// Helper function to extract text from Google Docs content structure.
+// Headings become markdown headings followed by their heading ID, so chunks
+// know their section and citations can link to docs.google.com/...#heading=h.xxx
 function extractTextFromContent(content) {
   let text = '';
 
   for (const element of content) {
     if (element.paragraph) {
+      let paragraphText = '';
       for (const el of element.paragraph.elements || []) {
         if (el.textRun) {
-          text += el.textRun.content;
+          paragraphText += el.textRun.content;
         }
       }
+
+      const style = element.paragraph.paragraphStyle || {};
+      const level = HEADING_LEVELS[style.namedStyleType];
+      if (level && paragraphText.trim()) {
+        text += `\n${'#'.repeat(level)} ${paragraphText.replace(/\s+/g, ' ').trim()}\n`;
+        if (style.headingId) text += `${headingAnchor(style.headingId)}\n`;
+      } else {
+        text += paragraphText;
+      }
     } else if (element.table) {
       for (const row of element.table.tableRows || []) {
         for (const cell of row.tableCells || []) {
@@ -384,42 +436,336 @@ function extractTextFromContent(content) {
   return text;
 }
 
-// Generate a hash of content for comparison
+// Text of a Slides shape or table cell, one line per paragraph
+function extractSlidesText(textContent) {
+  return (textContent?.textElements || [])
+    .map(el => el.textRun?.content || el.autoText?.content || '')
+    .join('')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Lines of text in a slide's page elements (shapes, tables, groups), and its title
+function extractSlideElements(pageElements = []) {
+  let title = null;
+  const lines = [];
+
+  for (const element of pageElements) {
+    if (element.shape?.text) {
+      const shapeLines = extractSlidesText(element.shape.text);
+      const placeholder = element.shape.placeholder?.type;
+      if (!title && (placeholder === 'TITLE' || placeholder === 'CENTERED_TITLE') && shapeLines.length > 0) {
+        title = shapeLines.join(' ');
+      } else {
+        lines.push(...shapeLines);
+      }
+    } else if (element.table) {
+      const rows = (element.table.tableRows || [])
+        .map(row => (row.tableCells || []).map(cell => extractSlidesText(cell.text).join(' ')))
+        .filter(cells => cells.some(Boolean));
+      rows.forEach((cells, rowIdx) => {
+        lines.push(`| ${cells.join(' | ')} |`);
+        if (rowIdx === 0) lines.push(`| ${cells.map(() => '---').join(' | ')} |`);
+      });
+    } else if (element.elementGroup) {
+      const group = extractSlideElements(element.elementGroup.children);
+      if (!title && group.title) title = group.title;
+      else if (group.title) lines.push(group.title);
+      lines.push(...group.lines);
+    }
+  }
+
+  return { title, lines };
+}
+
+// Speaker notes live in the notes page shape named by speakerNotesObjectId
+function extractSpeakerNotes(slide) {
+  const notesPage = slide.slideProperties?.notesPage;
+  const notesId = notesPage?.notesProperties?.speakerNotesObjectId;
+  const notesShape = (notesPage?.pageElements || []).find(el => el.objectId === notesId);
+  return notesShape?.shape?.text ? extractSlidesText(notesShape.shape.text) : [];
+}
+
+/**
+ * Render slides as markdown, one `# Slide N: Title` section per slide followed by
+ * its text and speaker notes, so chunkStructuredText() keeps each slide in its own
+ * chunk and cites it as "Slide N: Title". The slide's object ID is stored as the
+ * section anchor for #slide=id.xxx deep links.
+ */
+export function slidesToMarkdown(slides) {
+  return slides.map((slide, idx) => {
+    const { title, lines } = extractSlideElements(slide.pageElements);
+    const notes = extractSpeakerNotes(slide);
+    // Slide text that starts with # would otherwise read as a heading
+    const body = lines.map(line => line.replace(/^#+\s*/, ''));
+
+    return [
+      `# Slide ${idx + 1}${title ? `: ${title.replace(/^#+\s*/, '')}` : ''}`,
+      slide.objectId ? headingAnchor(slide.objectId) : null,
+      '',
+      ...body,
+      ...(notes.length > 0 ? ['', `Speaker notes: ${notes.join(' ')}`] : []),
+    ].filter(line => line !== null).join('\n');
+  }).join('\n\n');
+}
+
+// Fetch Google Slides content using Slides API (per-slide text and speaker notes)
+// or the public text export (fallback, no slide boundaries)
+export async function fetchPublicGoogleSlides(presentationId) {
+  console.log(`[fetchPublicGoogleSlides] Fetching presentation ID: ${presentationId}`);
+  try {
+    const auth = getSlidesAuthClient();
+
+    if (auth) {
+      const slidesApi = google.slides({ version: 'v1', auth });
+      const response = await slidesApi.presentations.get({ presentationId });
+
+      const presentation = response.data;
+      const title = presentation.title || 'Untitled Google Slides';
+      const slides = presentation.slides || [];
+      const content = slidesToMarkdown(slides);
+
+      console.log(`[fetchPublicGoogleSlides] Got title via API: "${title}", ${slides.length} slides, content length: ${content.length}`);
+
+      return {
+        title,
+        content,
+        structured: true,
+        presentationId,
+        slideCount: slides.length,
+      };
+    }
+
+    // Fallback to public text export if no credentials
+    console.warn('No Google Slides credentials configured, falling back to public text export (no per-slide citations or speaker notes)');
+
+    const exportUrl = `https://docs.google.com/presentation/d/${presentationId}/export/txt`;
+    const response = await fetch(exportUrl);
+
+    if (!response.ok) {
+      if (response.status === 404) {
+        throw new Error('Presentation not found. Make sure it exists and is publicly accessible.');
+      }
+      if (response.status === 403) {
+        throw new Error('Access denied. Make sure the presentation is set to "Anyone with the link can view".');
+      }
+      throw new Error(`Failed to fetch presentation: ${response.statusText}`);
+    }
+
+    const content = await response.text();
+
+    // Try to get title from HTML
+    let title = 'Untitled Google Slides';
+    try {
+      const htmlResponse = await fetch(`https://docs.google.com/presentation/d/${presentationId}/edit`);
+      if (htmlResponse.ok) {
+        const html = await htmlResponse.text();
+        const titleMatch = html.match(/<title>([^<]+)<\/title>/);
+        if (titleMatch) {
+          title = titleMatch[1].replace(' - Google Slides', '').trim();
+        }
+      }
+    } catch (e) {
+      // Ignore title fetch errors
+    }
+
+    return {
+      title,
+      content,
+      presentationId,
+      slideCount: null,
+    };
+  } catch (error) {
+    console.error('Error fetching Google Slides:', error.message);
+    throw error;
+  }
+}
+
+// Get a Drive file's modifiedTime and version without downloading its content.
+// Returns null when no credentials are configured or they can't read the file.
+export async function fetchDriveFileVersion(fileId) {
+  const auth = getGoogleAuthClient(['https://www.googleapis.com/auth/drive.metadata.readonly']);
+  if (!auth) return null;
+
+  try {
+    const drive = google.drive({ version: 'v3', auth });
+    const response = await drive.files.get({
+      fileId,
+      fields: 'modifiedTime,version',
+      supportsAllDrives: true,
+    });
+    return {
+      modifiedTime: response.data.modifiedTime,
+      version: response.data.version,
+    };
+  } catch (error) {
+    console.warn(`[fetchDriveFileVersion] Could not read Drive metadata for ${fileId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Drive MIME types ingested from folder sources: native Google files map to
+// their source type, other files are downloaded and processed like uploads
+const DRIVE_FOLDER_MIME = 'application/vnd.google-apps.folder';
+export const DRIVE_NATIVE_TYPES = {
+  'application/vnd.google-apps.document': 'google_doc',
+  'application/vnd.google-apps.spreadsheet': 'google_sheet',
+  'application/vnd.google-apps.presentation': 'google_slides',
+};
+export const DRIVE_FILE_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+];
+
+function getDriveClient() {
+  const auth = getGoogleAuthClient(['https://www.googleapis.com/auth/drive.readonly']);
+  if (!auth) {
+    throw new Error('Google credentials are not configured. Drive folders need GOOGLE_SERVICE_ACCOUNT_KEY, GOOGLE_SHEETS_CREDENTIALS or GOOGLE_CREDENTIALS_JSON, and the folder must be shared with the service account.');
+  }
+  return google.drive({ version: 'v3', auth });
+}
+
+// List every supported file in a Drive folder and its subfolders.
+// Each file has { id, name, mimeType, modifiedTime, md5Checksum, size, path },
+// where path is the subfolder path below the root ('' at the top level).
+// Throws if the folder can't be read, so callers never mistake an error for an
+// empty folder.
+export async function listDriveFolder(folderId) {
+  const drive = getDriveClient();
+
+  const { data: folder } = await drive.files.get({
+    fileId: folderId,
+    fields: 'id,name,mimeType',
+    supportsAllDrives: true,
+  });
+  if (folder.mimeType !== DRIVE_FOLDER_MIME) {
+    throw new Error(`"${folder.name}" is not a Drive folder`);
+  }
+
+  const supportedTypes = new Set([...Object.keys(DRIVE_NATIVE_TYPES), ...DRIVE_FILE_TYPES]);
+  const files = [];
+  const listed = new Set();
+  const visited = new Set([folderId]);
+  const pending = [{ id: folderId, path: '' }];
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+    let pageToken;
+
+    do {
+      const response = await drive.files.list({
+        q: `'${current.id}' in parents and trashed = false`,
+        fields: 'nextPageToken, files(id, name, mimeType, modifiedTime, md5Checksum, size)',
+        pageSize: 1000,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+
+      for (const file of response.data.files || []) {
+        if (file.mimeType === DRIVE_FOLDER_MIME) {
+          // A folder can have several parents; walk each one once
+          if (!visited.has(file.id)) {
+            visited.add(file.id);
+            pending.push({ id: file.id, path: current.path ? `${current.path}/${file.name}` : file.name });
+          }
+        } else if (supportedTypes.has(file.mimeType) && !listed.has(file.id)) {
+          listed.add(file.id);
+          files.push({ ...file, size: file.size ? parseInt(file.size) : null, path: current.path });
+        }
+      }
+
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+  }
+
+  return { id: folder.id, name: folder.name, files };
+}
+
+// Download a (non-Google) Drive file's bytes
+export async function downloadDriveFile(fileId) {
+  const drive = getDriveClient();
+  const response = await drive.files.get(
+    { fileId, alt: 'media', supportsAllDrives: true },
+    { responseType: 'arraybuffer' }
+  );
+  return Buffer.from(response.data);
+}
+
+// SHA-256 fingerprint of content (hex), stored as documents.content_hash and
+// with each version in document_versions
 export function hashContent(content) {
+  return crypto.createHash('sha256').update(content || '').digest('hex');
+}
+
+// The 32-bit rolling hash content_hash held before SHA-256. Only used to
+// recognise unchanged content under an old hash, so it can be upgraded in place
+// instead of being treated as an edit.
+function legacyHashContent(content) {
   let hash = 0;
   for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
+    hash = ((hash << 5) - hash) + content.charCodeAt(i);
     hash = hash & hash; // Convert to 32bit integer
   }
   return hash.toString();
 }
 
-// Check if a Google Doc has been modified and return new content if changed
-export async function checkAndFetchIfModified(docId, sourceType, lastContentHash) {
+const isSha256 = value => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+
+const GOOGLE_SOURCE_FETCHERS = {
+  google_doc: fetchPublicGoogleDoc,
+  google_sheet: fetchPublicGoogleSheet,
+  google_slides: fetchPublicGoogleSlides,
+};
+
+// Fetch a Google Doc, Sheet or Slides presentation by source type.
+// Returns { title, content } plus tabs for sheets, and structured: true when
+// the content is markdown rather than a plain-text export.
+export function fetchGoogleSource(docId, sourceType) {
+  const fetcher = GOOGLE_SOURCE_FETCHERS[sourceType];
+  if (!fetcher) throw new Error(`Unsupported Google source type: ${sourceType}`);
+  return fetcher(docId);
+}
+
+// Check if a Google Doc has been modified and return new content if changed.
+// When Drive metadata is readable and its modifiedTime matches lastModifiedTime,
+// the content isn't downloaded at all; otherwise the content hash decides.
+// modifiedTime is returned (when known) so the caller can store it.
+export async function checkAndFetchIfModified(docId, sourceType, lastContentHash, lastModifiedTime = null) {
   try {
-    let data;
-    if (sourceType === 'google_doc') {
-      data = await fetchPublicGoogleDoc(docId);
-    } else if (sourceType === 'google_sheet') {
-      data = await fetchPublicGoogleSheet(docId);
-    } else {
+    if (!GOOGLE_SOURCE_FETCHERS[sourceType]) {
       return { modified: false };
     }
 
+    const driveVersion = await fetchDriveFileVersion(docId);
+    const modifiedTime = driveVersion?.modifiedTime || null;
+    if (modifiedTime && lastModifiedTime && new Date(modifiedTime).getTime() === new Date(lastModifiedTime).getTime()) {
+      return { modified: false, modifiedTime, checkedBy: 'drive' };
+    }
+
+    const data = await fetchGoogleSource(docId, sourceType);
+
     const newHash = hashContent(data.content);
+    const unchanged = isSha256(lastContentHash)
+      ? newHash === lastContentHash
+      : lastContentHash != null && legacyHashContent(data.content || '') === lastContentHash;
 
-    if (newHash !== lastContentHash) {
+    if (!unchanged) {
       return {
         modified: true,
         content: data.content,
         title: data.title,
         contentHash: newHash,
         tabs: data.tabs || [],
+        structured: !!data.structured,
+        modifiedTime,
+        checkedBy: 'content',
       };
     }
 
-    return { modified: false };
+    // contentHash lets the caller replace a legacy hash with the SHA-256 one
+    return { modified: false, modifiedTime, contentHash: newHash, checkedBy: 'content' };
   } catch (error) {
     console.error('Error checking doc modification:', error);
     return { modified: false, error: error.message };
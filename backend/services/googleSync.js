@@ -0,0 +1,752 @@
+import path from 'path';
+import { supabase } from '../config/supabase.js';
+import {
+  checkAndFetchIfModified,
+  downloadDriveFile,
+  DRIVE_NATIVE_TYPES,
+  extractFolderId,
+  fetchGoogleSource,
+  hashContent,
+  listDriveFolder
+} from './googleDocs.js';
+import { isValidFileSize } from './fileProcessor.js';
+import { enqueueFileProcessing, enqueueGoogleProcessing } from './documentProcessor.js';
+
+/**
+ * Google source sync: check Docs, Sheets and Slides for changes and queue
+ * changed ones for re-indexing (see reindexChangedDocument in
+ * documentProcessor.js).
+ *
+ * Drive folder sources (drive_folders) are synced as a whole: the folder tree is
+ * listed, new files are ingested as child documents in the folder's group,
+ * changed ones are re-synced and files no longer in the folder are tombstoned
+ * (deleted_at set, hidden from search) until they come back. Docs, Sheets and
+ * Slides in a folder are synced like standalone sources; PDFs and DOCX files are
+ * copied to storage and processed like uploads, with Drive's md5Checksum as
+ * their content hash.
+ *
+ * Runs on demand (POST /api/documents/:clientId/sync-all) and from an in-process
+ * scheduler that checks each source when its interval has passed. A source's
+ * interval is its sync_interval_minutes, else its client's
+ * google_sync_interval_minutes, else GOOGLE_SYNC_INTERVAL_MINUTES; 0 turns
+ * automatic sync off. Checks share one concurrency limit across manual and
+ * scheduled runs, and every run is recorded in google_sync_runs.
+ */
+
+const parseMinutes = value => (value === undefined || value === '' || isNaN(parseInt(value)) ? null : parseInt(value));
+
+export const DEFAULT_SYNC_INTERVAL_MINUTES = parseMinutes(process.env.GOOGLE_SYNC_INTERVAL_MINUTES) ?? 360;
+const SYNC_CONCURRENCY = parseInt(process.env.GOOGLE_SYNC_CONCURRENCY) || 3;
+
+// How often the scheduler looks for due sources
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Rows per request when reading every source (PostgREST's default max-rows)
+const PAGE_SIZE = 1000;
+
+const SOURCE_COLUMNS = 'id, client_id, file_name, file_type, file_url, google_doc_id, source_type, content_hash, google_modified_time, last_sync_check, sync_interval_minutes, is_global, owner_client_id';
+const FOLDER_FILE_COLUMNS = `${SOURCE_COLUMNS}, drive_folder_id, drive_path, deleted_at`;
+export const FOLDER_COLUMNS = 'id, client_id, folder_id, name, url, custom_group, is_global, sync_interval_minutes, last_sync_check, last_synced, file_count, owner_client_id, created_at';
+
+const STORAGE_BUCKET = 'client-assets';
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10485760;
+
+const GOOGLE_FILE_URLS = {
+  google_doc: id => `https://docs.google.com/document/d/${id}/edit`,
+  google_sheet: id => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+  google_slides: id => `https://docs.google.com/presentation/d/${id}/edit`,
+};
+
+let scheduler = null;
+
+/**
+ * Run a select page by page and return all its rows as { data, error }.
+ * `buildQuery` returns a fresh filtered query for each page.
+ */
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().order('id').range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+// Source checks running now, and callers waiting for a slot
+let activeChecks = 0;
+const waitingForSlot = [];
+
+/**
+ * Run `fn` once fewer than GOOGLE_SYNC_CONCURRENCY checks are running. A
+ * finished check hands its slot straight to the next waiter.
+ */
+async function withSyncSlot(fn) {
+  if (activeChecks >= SYNC_CONCURRENCY) {
+    await new Promise(resolve => waitingForSlot.push(resolve));
+  } else {
+    activeChecks++;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    const next = waitingForSlot.shift();
+    if (next) next();
+    else activeChecks--;
+  }
+}
+
+/**
+ * Keep connected_sheets (used by the chat agent) in step with a sheet source.
+ * Failures are logged; the document is still synced.
+ */
+async function upsertConnectedSheet(clientId, spreadsheetId, sheetUrl, name, tabs) {
+  try {
+    await supabase
+      .from('connected_sheets')
+      .upsert({
+        client_id: clientId,
+        spreadsheet_id: spreadsheetId,
+        sheet_url: sheetUrl,
+        name,
+        sheet_tabs: tabs,
+        last_synced: new Date().toISOString(),
+      }, {
+        onConflict: 'client_id,spreadsheet_id',
+      });
+  } catch (sheetError) {
+    console.error('Error updating connected_sheets:', sheetError);
+  }
+}
+
+/**
+ * Check one Google source and queue re-indexing if it changed.
+ *
+ * @param {object} doc - documents row with SOURCE_COLUMNS
+ * @returns {Promise<{ status: 'changed' | 'unchanged' | 'failed', jobId?: string, error?: string }>}
+ */
+export async function syncGoogleSource(doc) {
+  const checkResult = await checkAndFetchIfModified(
+    doc.google_doc_id,
+    doc.file_type,
+    doc.content_hash,
+    doc.google_modified_time
+  );
+
+  const now = new Date().toISOString();
+  const trackingFields = {
+    last_sync_check: now,
+    ...(checkResult.modifiedTime ? { google_modified_time: checkResult.modifiedTime } : {})
+  };
+
+  if (checkResult.error) {
+    await supabase.from('documents').update({ last_sync_check: now }).eq('id', doc.id);
+    return { status: 'failed', error: checkResult.error };
+  }
+
+  if (!checkResult.modified) {
+    const hashUpgrade = checkResult.contentHash && checkResult.contentHash !== doc.content_hash
+      ? { content_hash: checkResult.contentHash }
+      : {};
+    await supabase.from('documents').update({ ...trackingFields, ...hashUpgrade }).eq('id', doc.id);
+    return { status: 'unchanged' };
+  }
+
+  // The new fingerprint is stored by the job once the content is indexed, so a
+  // job that fails for good leaves the source looking changed to the next sync
+  const documentFields = {
+    file_name: checkResult.title,
+    last_synced: now,
+    content_hash: checkResult.contentHash,
+    ...trackingFields
+  };
+
+  if (doc.file_type === 'google_sheet' && checkResult.tabs) {
+    documentFields.sheet_tabs = checkResult.tabs;
+    await upsertConnectedSheet(doc.client_id, doc.google_doc_id, doc.file_url, checkResult.title, checkResult.tabs);
+  }
+
+  await supabase
+    .from('documents')
+    .update({ last_sync_check: now })
+    .eq('id', doc.id);
+
+  // Queue re-indexing of the changed chunks; the document stays searchable meanwhile
+  const job = await enqueueGoogleProcessing({
+    documentId: doc.id,
+    clientId: sourceClientId(doc),
+    content: checkResult.content,
+    title: checkResult.title,
+    sourceType: doc.file_type,
+    structured: checkResult.structured,
+    documentFields
+  });
+
+  return { status: 'changed', jobId: job.id };
+}
+
+// Columns shared by every document found in a Drive folder
+function folderFileFields(folder, file, now) {
+  return {
+    client_id: folder.is_global ? null : folder.client_id,
+    is_global: folder.is_global,
+    drive_folder_id: folder.id,
+    drive_path: file.path || null,
+    custom_group: folder.custom_group,
+    google_doc_id: file.id,
+    google_modified_time: file.modifiedTime || null,
+    last_synced: now,
+    last_sync_check: now,
+    processed: false
+  };
+}
+
+/**
+ * Copy a PDF or DOCX from Drive into storage at a path derived from its Drive
+ * file ID, so a changed file overwrites its previous copy.
+ */
+async function copyDriveFileToStorage(folder, file) {
+  if (file.size != null && !isValidFileSize(file.size, MAX_FILE_SIZE)) {
+    throw new Error(`File is larger than the ${Math.round(MAX_FILE_SIZE / 1048576)}MB limit`);
+  }
+
+  const buffer = await downloadDriveFile(file.id);
+  const fileExt = path.extname(file.name) || (file.mimeType === 'application/pdf' ? '.pdf' : '.docx');
+  const storageFolderPath = folder.is_global ? 'documents/global' : `documents/${folder.client_id}`;
+  const storagePath = `${storageFolderPath}/drive/${file.id}${fileExt}`;
+
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(storagePath, buffer, {
+      contentType: file.mimeType,
+      upsert: true
+    });
+
+  if (uploadError) throw uploadError;
+
+  const { data: { publicUrl } } = supabase.storage
+    .from(STORAGE_BUCKET)
+    .getPublicUrl(storagePath);
+
+  return { storagePath, publicUrl, size: buffer.length };
+}
+
+/**
+ * Ingest a file seen in a Drive folder for the first time.
+ */
+async function addFolderFile(folder, file, jobClientId) {
+  const now = new Date().toISOString();
+  const sourceType = DRIVE_NATIVE_TYPES[file.mimeType];
+
+  if (sourceType) {
+    const data = await fetchGoogleSource(file.id, sourceType);
+    const fileUrl = GOOGLE_FILE_URLS[sourceType](file.id);
+    const tabs = data.tabs || [];
+
+    const { data: document, error } = await supabase
+      .from('documents')
+      .insert([{
+        ...folderFileFields(folder, file, now),
+        file_name: data.title || file.name,
+        file_type: sourceType,
+        file_url: fileUrl,
+        file_size: data.content ? data.content.length : 0,
+        source_type: 'google',
+        content_hash: hashContent(data.content),
+        sheet_tabs: tabs.length > 0 ? tabs : null
+      }])
+      .select('id')
+      .single();
+
+    if (error) throw error;
+
+    if (sourceType === 'google_sheet') {
+      await upsertConnectedSheet(folder.client_id, file.id, fileUrl, data.title, tabs);
+    }
+
+    const job = await enqueueGoogleProcessing({
+      documentId: document.id,
+      clientId: jobClientId,
+      content: data.content,
+      title: data.title || file.name,
+      sourceType,
+      structured: !!data.structured
+    });
+    return { status: 'added', docId: document.id, jobId: job.id };
+  }
+
+  const { storagePath, publicUrl, size } = await copyDriveFileToStorage(folder, file);
+
+  const { data: document, error } = await supabase
+    .from('documents')
+    .insert([{
+      ...folderFileFields(folder, file, now),
+      file_name: file.name,
+      file_type: file.mimeType,
+      file_url: publicUrl,
+      file_size: size,
+      source_type: 'google_drive',
+      content_hash: file.md5Checksum || null
+    }])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  const job = await enqueueFileProcessing({
+    documentId: document.id,
+    clientId: jobClientId,
+    storagePath,
+    fileName: file.name,
+    fileType: file.mimeType,
+    title: file.name
+  });
+  return { status: 'added', docId: document.id, jobId: job.id };
+}
+
+/**
+ * Re-check a file already known in a Drive folder. A tombstoned file that is
+ * back is restored and re-synced in full; otherwise only a changed
+ * modifiedTime (or md5Checksum for PDFs and DOCX files) triggers a re-sync.
+ */
+async function updateFolderFile(folder, doc, file, jobClientId) {
+  const now = new Date().toISOString();
+  const restored = !!doc.deleted_at;
+  const placement = {
+    drive_path: file.path || null,
+    ...(restored ? { deleted_at: null } : {})
+  };
+
+  if (DRIVE_NATIVE_TYPES[file.mimeType]) {
+    const unchanged = !restored && doc.google_modified_time && file.modifiedTime
+      && new Date(doc.google_modified_time).getTime() === new Date(file.modifiedTime).getTime();
+
+    if (unchanged) {
+      await supabase.from('documents').update({ ...placement, last_sync_check: now }).eq('id', doc.id);
+      return { status: 'unchanged', docId: doc.id };
+    }
+
+    // Restore before the content is queued: the processing job only marks a
+    // document processed while it isn't tombstoned
+    await supabase.from('documents').update(placement).eq('id', doc.id);
+
+    // A restored document was marked unprocessed, so re-sync it whatever its hash
+    const result = await syncGoogleSource(restored ? { ...doc, content_hash: null, google_modified_time: null } : doc);
+    if (result.status === 'failed') {
+      // Tombstone it again so a failed restore is retried next sync
+      if (restored) await supabase.from('documents').update({ deleted_at: doc.deleted_at }).eq('id', doc.id);
+      return { ...result, docId: doc.id };
+    }
+
+    return { ...result, status: restored ? 'added' : result.status, docId: doc.id };
+  }
+
+  const changed = restored || (file.md5Checksum
+    ? file.md5Checksum !== doc.content_hash
+    : new Date(file.modifiedTime).getTime() !== new Date(doc.google_modified_time).getTime());
+
+  if (!changed) {
+    await supabase
+      .from('documents')
+      .update({ ...placement, last_sync_check: now, google_modified_time: file.modifiedTime || null })
+      .eq('id', doc.id);
+    return { status: 'unchanged', docId: doc.id };
+  }
+
+  const { storagePath, publicUrl, size } = await copyDriveFileToStorage(folder, file);
+
+  const { error } = await supabase
+    .from('documents')
+    .update({
+      ...placement,
+      file_name: file.name,
+      file_url: publicUrl,
+      file_size: size,
+      last_sync_check: now
+    })
+    .eq('id', doc.id);
+
+  if (error) throw error;
+
+  // The new checksum is stored only once the re-index succeeds, so a failed
+  // re-sync is picked up again by the next sync
+  const job = await enqueueFileProcessing({
+    documentId: doc.id,
+    clientId: jobClientId,
+    storagePath,
+    fileName: file.name,
+    fileType: file.mimeType,
+    title: file.name,
+    documentFields: {
+      content_hash: file.md5Checksum || null,
+      google_modified_time: file.modifiedTime || null,
+      last_synced: now
+    }
+  });
+  return { status: restored ? 'added' : 'changed', docId: doc.id, jobId: job.id };
+}
+
+/**
+ * Sync one Drive folder source against its current contents in Drive.
+ *
+ * If the folder can't be listed nothing is tombstoned; the folder is reported
+ * as one failure. Files are checked within the shared concurrency limit.
+ *
+ * @param {object} folder - drive_folders row with FOLDER_COLUMNS
+ * @param {object} options
+ * @param {string} options.jobClientId - Client to list processing jobs under
+ * @param {object} options.listing - A listDriveFolder() result already fetched for this folder
+ * @returns {Promise<Array<{ status: 'added' | 'changed' | 'unchanged' | 'removed' | 'failed', docId?, fileName, jobId?, error? }>>}
+ */
+async function syncDriveFolder(folder, { jobClientId = sourceClientId(folder), listing = null } = {}) {
+  const now = new Date().toISOString();
+
+  try {
+    listing = listing || await withSyncSlot(() => listDriveFolder(folder.folder_id));
+  } catch (error) {
+    await supabase.from('drive_folders').update({ last_sync_check: now }).eq('id', folder.id);
+    return [{ status: 'failed', fileName: folder.name, error: error.message }];
+  }
+
+  const { data: known, error } = await selectAll(() => supabase
+    .from('documents')
+    .select(FOLDER_FILE_COLUMNS)
+    .eq('drive_folder_id', folder.id));
+
+  if (error) throw error;
+
+  const knownByFileId = new Map((known || []).map(doc => [doc.google_doc_id, doc]));
+
+  const outcomes = await Promise.all(listing.files.map(file => withSyncSlot(async () => {
+    const doc = knownByFileId.get(file.id);
+    try {
+      const result = doc
+        ? await updateFolderFile(folder, doc, file, jobClientId)
+        : await addFolderFile(folder, file, jobClientId);
+      return { ...result, fileName: file.name };
+    } catch (fileError) {
+      return { status: 'failed', docId: doc?.id, fileName: file.name, error: fileError.message };
+    }
+  })));
+
+  // Tombstone files that left the folder; their chunks stay for a restore. A
+  // processing job still running for one won't mark it processed again
+  const listedIds = new Set(listing.files.map(file => file.id));
+  const missing = (known || []).filter(doc => !doc.deleted_at && !listedIds.has(doc.google_doc_id));
+  if (missing.length > 0) {
+    const { error: tombstoneError } = await supabase
+      .from('documents')
+      .update({ deleted_at: now, processed: false })
+      .in('id', missing.map(doc => doc.id));
+
+    if (tombstoneError) throw tombstoneError;
+    outcomes.push(...missing.map(doc => ({ status: 'removed', docId: doc.id, fileName: doc.file_name })));
+  }
+
+  const anyChange = outcomes.some(o => o.status === 'added' || o.status === 'changed' || o.status === 'removed');
+  await supabase
+    .from('drive_folders')
+    .update({
+      name: listing.name,
+      file_count: listing.files.length,
+      last_sync_check: now,
+      ...(anyChange ? { last_synced: now } : {})
+    })
+    .eq('id', folder.id);
+
+  return outcomes;
+}
+
+/**
+ * Check a list of sources and Drive folders (within the shared concurrency
+ * limit), record the run in google_sync_runs and return its totals.
+ */
+async function runSync(clientId, { docs = [], folders = [], listings = new Map() }, trigger) {
+  const startedAt = new Date();
+  const results = {
+    checked: 0,
+    synced: 0,
+    unchanged: 0,
+    added: 0,
+    removed: 0,
+    failed: 0,
+    jobIds: [],
+    errors: []
+  };
+
+  const tally = (outcome) => {
+    if (outcome.status !== 'removed') results.checked++;
+    if (outcome.jobId) results.jobIds.push(outcome.jobId);
+
+    if (outcome.status === 'changed') results.synced++;
+    else if (outcome.status === 'unchanged') results.unchanged++;
+    else if (outcome.status === 'added') results.added++;
+    else if (outcome.status === 'removed') results.removed++;
+    else {
+      results.failed++;
+      results.errors.push({ docId: outcome.docId, fileName: outcome.fileName, error: outcome.error });
+    }
+  };
+
+  await Promise.all([
+    ...docs.map(doc => withSyncSlot(async () => {
+      try {
+        tally({ ...(await syncGoogleSource(doc)), docId: doc.id, fileName: doc.file_name });
+      } catch (error) {
+        tally({ status: 'failed', docId: doc.id, fileName: doc.file_name, error: error.message });
+      }
+    })),
+    ...folders.map(async folder => {
+      try {
+        const outcomes = await syncDriveFolder(folder, {
+          jobClientId: clientId ?? sourceClientId(folder),
+          listing: listings.get(folder.id)
+        });
+        outcomes.forEach(tally);
+      } catch (error) {
+        tally({ status: 'failed', fileName: folder.name, error: error.message });
+      }
+    })
+  ]);
+
+  const finishedAt = new Date();
+  results.durationMs = finishedAt - startedAt;
+
+  const { error } = await supabase
+    .from('google_sync_runs')
+    .insert([{
+      client_id: clientId,
+      trigger,
+      checked: results.checked,
+      changed: results.synced,
+      unchanged: results.unchanged,
+      added: results.added,
+      removed: results.removed,
+      failed: results.failed,
+      errors: results.errors,
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      duration_ms: results.durationMs
+    }]);
+
+  if (error) {
+    console.error(`Error recording Google sync run for client ${clientId}:`, error.message);
+  }
+
+  return results;
+}
+
+/**
+ * Check every Google source a client uses (its own and global ones, including
+ * Drive folders) now.
+ *
+ * @param {string} clientId
+ * @param {object} options
+ * @param {string} options.trigger - 'manual' or 'scheduled', stored with the run
+ * @returns {Promise<{ checked, synced, unchanged, added, removed, failed, jobIds, errors, durationMs }>}
+ */
+export async function syncClientSources(clientId, { trigger = 'manual' } = {}) {
+  const [{ data: googleDocs, error }, { data: folders, error: foldersError }] = await Promise.all([
+    selectAll(() => supabase
+      .from('documents')
+      .select(SOURCE_COLUMNS)
+      .or(`client_id.eq.${clientId},is_global.eq.true`)
+      .eq('source_type', 'google')
+      .is('drive_folder_id', null)),
+    selectAll(() => supabase
+      .from('drive_folders')
+      .select(FOLDER_COLUMNS)
+      .or(`client_id.eq.${clientId},is_global.eq.true`))
+  ]);
+
+  if (error) throw error;
+  if (foldersError) throw foldersError;
+  if ((!googleDocs || googleDocs.length === 0) && (!folders || folders.length === 0)) {
+    return { checked: 0, synced: 0, unchanged: 0, added: 0, removed: 0, failed: 0, jobIds: [], errors: [], durationMs: 0 };
+  }
+
+  return runSync(clientId, { docs: googleDocs || [], folders: folders || [] }, trigger);
+}
+
+/**
+ * Add a Drive folder as a source and ingest its files.
+ *
+ * The folder is listed before anything is stored, so a wrong URL or a folder
+ * that isn't shared with the service account fails without leaving a row.
+ *
+ * @param {object} params
+ * @param {string} params.clientId - Client adding the folder (jobs are listed under it)
+ * @param {string} params.url - Drive folder URL
+ * @param {boolean} params.isGlobal - Share the folder's documents with every client
+ * @param {string|null} params.group - Group for its documents (defaults to the folder name)
+ * @returns {Promise<{ folder: object, results: object }>}
+ */
+export async function addDriveFolder({ clientId, url, isGlobal = false, group = null }) {
+  const folderId = extractFolderId(url);
+  if (!folderId) {
+    throw new Error('Could not extract folder ID from URL');
+  }
+
+  const listing = await listDriveFolder(folderId);
+
+  const { data: folder, error } = await supabase
+    .from('drive_folders')
+    .insert([{
+      client_id: isGlobal ? null : clientId,
+      folder_id: folderId,
+      name: listing.name,
+      url,
+      custom_group: group?.trim() || listing.name,
+      is_global: isGlobal,
+      owner_client_id: isGlobal ? clientId : null
+    }])
+    .select(FOLDER_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') throw new Error('This folder has already been added');
+    throw error;
+  }
+
+  const results = await runSync(clientId, {
+    folders: [folder],
+    listings: new Map([[folder.id, listing]])
+  }, 'manual');
+
+  return { folder: { ...folder, file_count: listing.files.length }, results };
+}
+
+/**
+ * Sync one Drive folder source now, recording the run under `clientId`
+ * (the folder's own client when omitted).
+ */
+export async function syncDriveFolderSource(folderId, { clientId = null, trigger = 'manual' } = {}) {
+  const { data: folder, error } = await supabase
+    .from('drive_folders')
+    .select(FOLDER_COLUMNS)
+    .eq('id', folderId)
+    .single();
+
+  if (error) throw error;
+
+  return runSync(clientId ?? sourceClientId(folder), { folders: [folder] }, trigger);
+}
+
+/**
+ * A client's recent sync runs, newest first, including scheduled runs of
+ * global sources that have no owning client.
+ */
+export async function listSyncRuns(clientId, { limit = 10 } = {}) {
+  const { data, error } = await supabase
+    .from('google_sync_runs')
+    .select('*')
+    .or(`client_id.eq.${clientId},client_id.is.null`)
+    .order('started_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Client a source or Drive folder is synced under: its own client, or for a
+ * global one the client that added it. Null for global sources added before
+ * owners were recorded.
+ */
+function sourceClientId(source) {
+  return source.client_id ?? source.owner_client_id ?? null;
+}
+
+/**
+ * Minutes between automatic checks of a source: its own interval, then its
+ * client's, then the server default. 0 means never.
+ */
+export function resolveSyncInterval(doc, clientInterval) {
+  return doc.sync_interval_minutes ?? clientInterval ?? DEFAULT_SYNC_INTERVAL_MINUTES;
+}
+
+function isDue(doc, clientInterval, now) {
+  const interval = resolveSyncInterval(doc, clientInterval);
+  if (!interval || interval <= 0) return false;
+  if (!doc.last_sync_check) return true;
+  return now - new Date(doc.last_sync_check).getTime() >= interval * 60 * 1000;
+}
+
+/**
+ * Find sources and Drive folders whose interval has passed and check them,
+ * recording one run per client. A global source is checked on the interval of
+ * the client that added it and recorded in that client's history; one without
+ * an owner uses the server default and is recorded without a client (listed in
+ * every client's history).
+ */
+async function schedulerTick() {
+  if (!scheduler || scheduler.stopped || scheduler.running) return;
+  scheduler.running = true;
+
+  try {
+    const [
+      { data: sources, error: sourcesError },
+      { data: folders, error: foldersError },
+      { data: clients, error: clientsError }
+    ] = await Promise.all([
+      selectAll(() => supabase.from('documents').select(SOURCE_COLUMNS).eq('source_type', 'google').is('drive_folder_id', null)),
+      selectAll(() => supabase.from('drive_folders').select(FOLDER_COLUMNS)),
+      selectAll(() => supabase.from('clients').select('id, google_sync_interval_minutes'))
+    ]);
+
+    if (sourcesError) throw sourcesError;
+    if (foldersError) throw foldersError;
+    if (clientsError) throw clientsError;
+
+    const clientIntervals = new Map((clients || []).map(c => [c.id, c.google_sync_interval_minutes]));
+    const now = Date.now();
+    const dueByClient = new Map();
+    const addDue = (key, source) => {
+      const clientId = sourceClientId(source);
+      if (!isDue(source, clientIntervals.get(clientId), now)) return;
+      if (!dueByClient.has(clientId)) dueByClient.set(clientId, { docs: [], folders: [] });
+      dueByClient.get(clientId)[key].push(source);
+    };
+    (sources || []).forEach(doc => addDue('docs', doc));
+    (folders || []).forEach(folder => addDue('folders', folder));
+
+    if (dueByClient.size === 0) return;
+
+    const runs = await Promise.all([...dueByClient].map(([clientId, due]) => runSync(clientId, due, 'scheduled')));
+    const totals = runs.reduce((sum, r) => ({
+      checked: sum.checked + r.checked,
+      synced: sum.synced + r.synced + r.added,
+      removed: sum.removed + r.removed,
+      failed: sum.failed + r.failed
+    }), { checked: 0, synced: 0, removed: 0, failed: 0 });
+    console.log(`Scheduled Google sync: ${totals.checked} checked, ${totals.synced} changed or added, ${totals.removed} removed, ${totals.failed} failed across ${runs.length} client(s)`);
+  } catch (error) {
+    console.error('Scheduled Google sync failed:', error.message);
+  } finally {
+    scheduler.running = false;
+  }
+}
+
+/**
+ * Start checking Google sources on their schedule in this process.
+ *
+ * @param {object} options
+ * @param {number} options.tickIntervalMs - How often to look for due sources (default 1 minute)
+ */
+export function startSyncScheduler({ tickIntervalMs = TICK_INTERVAL_MS } = {}) {
+  if (scheduler) return;
+
+  scheduler = { stopped: false, running: false, timer: setInterval(schedulerTick, tickIntervalMs) };
+  console.log(`Google sync scheduler started (default interval ${DEFAULT_SYNC_INTERVAL_MINUTES || 'off'}${DEFAULT_SYNC_INTERVAL_MINUTES ? ' min' : ''}, concurrency ${SYNC_CONCURRENCY})`);
+  schedulerTick();
+}
+
+/**
+ * Stop the scheduler. Checks already running finish.
+ */
+export function stopSyncScheduler() {
+  if (!scheduler) return;
+  scheduler.stopped = true;
+  clearInterval(scheduler.timer);
+}
@@ -0,0 +1,170 @@
+import { CLAUDE_MODEL } from '../config/models.js';
+import { getAnthropicClient } from './claudeService.js';
+
+// Set CHAT_GROUNDING_CHECK=true to verify answers. Off by default: the check is
+// an extra Claude call that runs before the answer is returned.
+export const GROUNDING_ENABLED = process.env.CHAT_GROUNDING_CHECK === 'true';
+
+// Each excerpt is trimmed before it goes into the verification prompt
+const MAX_EXCERPT_CHARS = 1500;
+
+// Sentences shorter than this ("Sure!", "In short:") are not checked
+const MIN_CLAIM_LENGTH = 20;
+
+// Support weights for the groundedness score
+const STATUS_WEIGHTS = { supported: 1, partial: 0.5, unsupported: 0 };
+
+/**
+ * Split an answer into checkable sentences with their offsets in the answer.
+ * Code blocks, headings and tables are skipped; list markers are not part of
+ * the sentence span.
+ *
+ * @returns {Array<{id: number, text: string, start: number, end: number}>}
+ */
+export function splitClaims(answer) {
+  const claims = [];
+  let offset = 0;
+  let inCode = false;
+
+  for (const line of (answer || '').split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('```')) {
+      inCode = !inCode;
+      continue;
+    }
+    if (inCode || !trimmed || /^#{1,6}\s/.test(trimmed) || trimmed.startsWith('|')) continue;
+
+    // Skip list markers and blockquote markers at the start of the line
+    const lead = line.match(/^\s*(?:>\s*)?(?:[-*+]\s+|\d+[.)]\s+)?/)[0].length;
+    const body = line.slice(lead);
+
+    // Sentence ends: . ! ? followed by a space and what looks like a new sentence
+    const sentencePattern = /[^]*?(?:[.!?](?:\s*\[\d+\])*(?=\s+["'“(*[A-Z0-9])|$)/g;
+    let match;
+    while ((match = sentencePattern.exec(body)) !== null && match[0].length > 0) {
+      const raw = match[0];
+      const text = raw.trim();
+      if (text.length >= MIN_CLAIM_LENGTH && /\p{L}/u.test(text)) {
+        const start = lineStart + lead + match.index + raw.indexOf(text);
+        claims.push({ id: claims.length + 1, text, start, end: start + text.length });
+      }
+      if (sentencePattern.lastIndex >= body.length) break;
+    }
+  }
+
+  return claims;
+}
+
+function groundednessScore(claims) {
+  const checked = claims.filter(c => c.status in STATUS_WEIGHTS);
+  if (checked.length === 0) return null;
+  const total = checked.reduce((sum, c) => sum + STATUS_WEIGHTS[c.status], 0);
+  return Math.round((total / checked.length) * 100) / 100;
+}
+
+/**
+ * Verify an answer against the chunks it was generated from. Each sentence is
+ * judged supported, partial, unsupported or not_claim (greetings, questions,
+ * offers to help), with the excerpts that support it and whether its inline
+ * citation points at a source that actually says it.
+ *
+ * On any model or parse failure the answer is returned unchecked with the error,
+ * so chat never fails because of the verification step.
+ *
+ * @param {string} answer - The final answer text (citation labels already rendered)
+ * @param {Array} chunks - Retrieved chunks that were in the prompt
+ * @param {object} options
+ * @param {(chunk: object) => string} [options.labelFor] - How the answer cites a chunk's
+ *   source (e.g. "[2]"), so citations can be checked against the excerpt that backs a claim
+ * @returns {Promise<{score: number|null, claims: Array, counts: object, model: string, error?: string}>}
+ */
+export async function checkGrounding(answer, chunks, { labelFor = null } = {}) {
+  const claims = splitClaims(answer);
+  const summarize = (judgedClaims) => ({
+    score: groundednessScore(judgedClaims),
+    claims: judgedClaims,
+    counts: judgedClaims.reduce((counts, c) => ({ ...counts, [c.status]: (counts[c.status] || 0) + 1 }), {}),
+    model: CLAUDE_MODEL
+  });
+
+  if (claims.length === 0) {
+    return summarize([]);
+  }
+
+  // With nothing retrieved every factual claim is unsupported, but the model still
+  // tells claims apart from greetings and offers to help
+  chunks = chunks || [];
+  const excerpts = chunks.length === 0 ? '(No excerpts were retrieved for this answer.)' : chunks
+    .map((chunk, idx) => {
+      const citedAs = labelFor ? labelFor(chunk) : null;
+      return `<excerpt id="${idx + 1}" source="${chunk.documentTitle}"${citedAs ? ` cited_as="${citedAs}"` : ''}>\n${(chunk.content || '').substring(0, MAX_EXCERPT_CHARS)}\n</excerpt>`;
+    })
+    .join('\n\n');
+
+  const sentences = claims
+    .map(c => `<sentence id="${c.id}">${c.text}</sentence>`)
+    .join('\n');
+
+  const prompt = `You are checking whether an AI assistant's answer is supported by the document excerpts it was given.
+
+${excerpts}
+
+Answer, split into sentences:
+${sentences}
+
+For every sentence decide:
+- "status": "supported" (the excerpts state it), "partial" (some of it is stated, some is not or is overstated), "unsupported" (the excerpts do not say this, or contradict it), or "not_claim" (no factual content: greetings, questions, offers to help, general advice)
+- "support": ids of the excerpts that support it (empty if none)
+- "citation_ok": if the sentence cites a source (e.g. [2], matching an excerpt's cited_as), true when that source actually supports it, false when it does not; null when the sentence cites nothing
+- "reason": under 15 words, only for partial or unsupported
+
+Judge only against the excerpts, not general knowledge.
+
+Respond ONLY with valid JSON, no additional text:
+{"sentences": [{"id": 1, "status": "supported", "support": [2], "citation_ok": true, "reason": ""}]}`;
+
+  try {
+    const response = await getAnthropicClient().messages.create({
+      model: CLAUDE_MODEL,
+      max_tokens: 3000,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not extract JSON from grounding response');
+    }
+
+    const { sentences: verdicts = [] } = JSON.parse(jsonMatch[0]);
+    const verdictById = new Map(verdicts.map(v => [parseInt(v.id), v]));
+
+    return summarize(claims.map(claim => {
+      const verdict = verdictById.get(claim.id);
+      const status = ['supported', 'partial', 'unsupported', 'not_claim'].includes(verdict?.status)
+        ? verdict.status
+        : 'unsupported';
+      return {
+        ...claim,
+        status,
+        supportingChunkIds: (verdict?.support || [])
+          .map(id => chunks[parseInt(id) - 1]?.id)
+          .filter(Boolean),
+        citationOk: typeof verdict?.citation_ok === 'boolean' ? verdict.citation_ok : null,
+        reason: verdict ? (verdict.reason || '') : 'Not judged by the verifier'
+      };
+    }));
+  } catch (error) {
+    console.error('Error checking answer grounding with Claude:', error.message);
+    return {
+      score: null,
+      claims: [],
+      counts: {},
+      model: CLAUDE_MODEL,
+      error: error.message
+    };
+  }
+}
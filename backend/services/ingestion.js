@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { supabase } from '../config/supabase.js';
+import { embedTexts, embeddingFields, getEmbeddingModel } from './embeddingProvider.js';
+
+// Chunk texts per embeddings request and rows per insert. ~1000-char chunks keep a
+// batch of 64 around 16k tokens, well inside the embeddings API request limit.
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64;
+
+const DEFAULT_RETRIES = 4;
+const BASE_DELAY_MS = 500;
+
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']);
+
+/**
+ * Rate limits, server errors and dropped connections are worth retrying;
+ * bad input or auth errors are not.
+ */
+function isTransientError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status === 408 || status === 425 || status === 429 || (status >= 500 && status < 600)) return true;
+  if (TRANSIENT_CODES.has(error?.code) || TRANSIENT_CODES.has(error?.cause?.code)) return true;
+  if (error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError') return true;
+  return /fetch failed|socket hang up|timed? ?out|network/i.test(error?.message || '');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff and jitter
+ * (0.5s, 1s, 2s, 4s by default). Non-transient errors are thrown immediately.
+ */
+export async function withRetry(fn, { retries = DEFAULT_RETRIES, label = 'operation' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) throw error;
+      const delay = BASE_DELAY_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      console.warn(`${label} failed (${error.message}); retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Embed a batch of texts with retry. Returns one vector per text, in order.
+ */
+export function embedWithRetry(texts, label = 'Embedding batch') {
+  return withRetry(() => embedTexts(texts), { label });
+}
+
+/**
+ * Embed chunk texts in batches and bulk-insert the chunk rows for a document.
+ *
+ * Each batch is one embeddings request and one insert, both retried on transient
+ * failures. If a batch still fails, the chunks already inserted for this run are
+ * removed and the error is thrown, so the caller marks the document as failed
+ * instead of leaving it half-indexed.
+ *
+ * @param {string} documentId
+ * @param {Array<{text: string, startIndex: number, endIndex: number, sectionPath?: string, headingId?: string, pageStart?: number, pageEnd?: number}>} chunks - From chunkText()
+ * @param {object} options
+ * @param {Function} options.onProgress - Called (and awaited) after each batch with (done, total)
+ * @returns {Promise<number>} Number of chunk rows inserted
+ */
+export async function storeChunkEmbeddings(documentId, chunks, { onProgress } = {}) {
+  let insertedCount = 0;
+
+  try {
+    for (let batchStart = 0; batchStart < chunks.length; batchStart += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(batchStart, batchStart + EMBEDDING_BATCH_SIZE);
+      const label = `Chunks ${batchStart}-${batchStart + batch.length - 1} of document ${documentId}`;
+
+      const vectors = await embedWithRetry(batch.map(c => c.text), `Embedding ${label}`);
+
+      const records = batch.map((chunk, i) => ({
+        document_id: documentId,
+        chunk_index: batchStart + i,
+        content: chunk.text,
+        content_hash: chunkContentHash(chunk.text),
+        start_index: chunk.startIndex,
+        end_index: chunk.endIndex,
+        // Structured extractions (see documentStructure.js) know their section and pages
+        ...(chunk.sectionPath ? { section_path: chunk.sectionPath } : {}),
+        ...(chunk.headingId ? { heading_id: chunk.headingId } : {}),
+        ...(chunk.pageStart != null ? { page_start: chunk.pageStart, page_end: chunk.pageEnd } : {}),
+        ...embeddingFields(vectors[i])
+      }));
+
+      await withRetry(async () => {
+        const { error } = await supabase.from('document_chunks').insert(records);
+        if (error) throw error;
+      }, { label: `Inserting ${label}` });
+
+      insertedCount += records.length;
+      await onProgress?.(Math.min(batchStart + batch.length, chunks.length), chunks.length);
+    }
+  } catch (error) {
+    // Batches are stored in order, so this run's rows are chunk_index 0..insertedCount-1
+    if (insertedCount > 0) {
+      await supabase
+        .from('document_chunks')
+        .delete()
+        .eq('document_id', documentId)
+        .lt('chunk_index', insertedCount);
+    }
+    throw new Error(`Failed to index chunks for document ${documentId} (${insertedCount}/${chunks.length} stored before failure): ${error.message}`);
+  }
+
+  return insertedCount;
+}
+
+/**
+ * SHA-256 of a chunk's text, stored as document_chunks.content_hash.
+ */
+export function chunkContentHash(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
+
+// Position and location columns, which change when text before a chunk is edited
+function chunkPlacement(chunk, chunkIndex) {
+  return {
+    chunk_index: chunkIndex,
+    start_index: chunk.startIndex,
+    end_index: chunk.endIndex,
+    section_path: chunk.sectionPath || null,
+    heading_id: chunk.headingId || null,
+    page_start: chunk.pageStart ?? null,
+    page_end: chunk.pageEnd ?? null
+  };
+}
+
+/**
+ * Diff a document's new chunk set against its stored chunks by content hash.
+ *
+ * A stored chunk is reused (keeping its embedding) when a new chunk has the same
+ * hash and it was embedded with the active model; every other new chunk needs
+ * embedding, and stored chunks that weren't reused are removed. Chunks stored
+ * before content hashes existed are never reused.
+ *
+ * changeRatio is the share of old and new chunks that were added or removed:
+ * 0 for identical text, 1 for a first index or a complete rewrite.
+ *
+ * @param {string} documentId
+ * @param {Array} chunks - From chunkText()
+ * @returns {Promise<{ kept: Array, added: Array, deleteIds: string[], previousCount: number, changeRatio: number }>}
+ */
+export async function diffChunks(documentId, chunks) {
+  const { data: stored, error } = await supabase
+    .from('document_chunks')
+    .select('id, content_hash, embedding_model')
+    .eq('document_id', documentId);
+
+  if (error) throw error;
+
+  const { model } = getEmbeddingModel();
+  const reusable = new Map();
+  for (const row of stored || []) {
+    if (!row.content_hash || row.embedding_model !== model) continue;
+    if (!reusable.has(row.content_hash)) reusable.set(row.content_hash, []);
+    reusable.get(row.content_hash).push(row.id);
+  }
+
+  const kept = [];
+  const added = [];
+  const reusedIds = new Set();
+  chunks.forEach((chunk, idx) => {
+    const hash = chunkContentHash(chunk.text);
+    const id = reusable.get(hash)?.shift();
+    if (id) {
+      reusedIds.add(id);
+      kept.push({ id, ...chunkPlacement(chunk, idx) });
+    } else {
+      added.push({ ...chunkPlacement(chunk, idx), content: chunk.text, content_hash: hash });
+    }
+  });
+
+  const deleteIds = (stored || []).map(row => row.id).filter(id => !reusedIds.has(id));
+  const previousCount = (stored || []).length;
+  const changeRatio = added.length + deleteIds.length === 0
+    ? 0
+    : (added.length + deleteIds.length) / (previousCount + chunks.length);
+
+  return { kept, added, deleteIds, previousCount, changeRatio };
+}
+
+/**
+ * Embed the added chunks of a diffChunks() result in batches, then apply the
+ * whole diff with apply_chunk_diff() in one transaction, so search sees either
+ * the old chunk set or the new one and never a mix. Nothing is written until
+ * every embedding succeeded.
+ *
+ * @param {string} documentId
+ * @param {object} diff - From diffChunks()
+ * @param {object} options
+ * @param {Function} options.onProgress - Called (and awaited) after each embedding batch with (done, total)
+ * @returns {Promise<number>} The document's chunk count after the swap
+ */
+export async function applyChunkDiff(documentId, diff, { onProgress } = {}) {
+  const added = [];
+
+  for (let batchStart = 0; batchStart < diff.added.length; batchStart += EMBEDDING_BATCH_SIZE) {
+    const batch = diff.added.slice(batchStart, batchStart + EMBEDDING_BATCH_SIZE);
+    const vectors = await embedWithRetry(
+      batch.map(c => c.content),
+      `Embedding changed chunks ${batchStart}-${batchStart + batch.length - 1} of document ${documentId}`
+    );
+    added.push(...batch.map((chunk, i) => ({ ...chunk, ...embeddingFields(vectors[i]) })));
+    await onProgress?.(added.length, diff.added.length);
+  }
+
+  return withRetry(async () => {
+    const { data, error } = await supabase.rpc('apply_chunk_diff', {
+      p_document_id: documentId,
+      delete_ids: diff.deleteIds,
+      kept: diff.kept,
+      added
+    });
+    if (error) throw error;
+    return data;
+  }, { label: `Applying chunk changes to document ${documentId}` });
+}
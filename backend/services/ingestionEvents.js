@@ -0,0 +1,44 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process bus for document ingestion progress, keyed by client ID.
+ *
+ * The job worker publishes a stage event as each document moves through
+ * processing; the documents progress-stream endpoint relays them to the browser
+ * over SSE. Events only reach subscribers in the process running the job, which
+ * is fine while the API and worker share a process.
+ *
+ * Jobs with no client (global sources) publish on a global channel that every
+ * client's stream receives, since global sources appear for every client.
+ *
+ * Event shape: { documentId, jobId, fileName, stage, ...details, at }
+ * Stages: queued, extracting (page/pageCount while OCR runs), analyzing, chunking (chunkCount), embedding (done/total),
+ * done (chunkCount), failed (error)
+ */
+
+const emitter = new EventEmitter();
+// Two listeners (client and global channel) per open progress stream
+emitter.setMaxListeners(0);
+
+const GLOBAL_CHANNEL = 'global';
+
+/**
+ * Publish a progress event for a client's document, or for a global source
+ * when clientId is null.
+ */
+export function publishIngestionEvent(clientId, event) {
+  emitter.emit(clientId || GLOBAL_CHANNEL, { ...event, at: new Date().toISOString() });
+}
+
+/**
+ * Listen for a client's progress events, including those of global sources.
+ * Returns an unsubscribe function.
+ */
+export function subscribeIngestionEvents(clientId, listener) {
+  emitter.on(clientId, listener);
+  emitter.on(GLOBAL_CHANNEL, listener);
+  return () => {
+    emitter.off(clientId, listener);
+    emitter.off(GLOBAL_CHANNEL, listener);
+  };
+}
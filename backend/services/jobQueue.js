@@ -0,0 +1,377 @@
+import os from 'os';
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Durable background job queue backed by the processing_jobs table.
+ *
+ * Routes enqueue jobs; a worker loop in this process claims them (claim_processing_job),
+ * runs the handler for the job type, and records attempts, errors and progress.
+ * Failed jobs are retried with exponential backoff until max_attempts. Because state
+ * lives in Postgres, a restart mid-job just means the job is claimed again once its
+ * heartbeat goes stale.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = 5000;
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// How often a running job's heartbeat (locked_at) is refreshed, well inside
+// claim_processing_job's 10-minute stale window, so long extraction or analysis
+// steps that report no progress aren't reclaimed
+const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+// Retry delay: 30s, 1m, 2m, 4m... capped at 30 minutes
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 30 * 60;
+
+// Jobs are listed without their payload (Google content can be large)
+const JOB_COLUMNS = 'id, client_id, document_id, job_type, status, attempts, max_attempts, run_at, last_error, progress, cancel_requested, created_at, updated_at, finished_at';
+
+/**
+ * Thrown inside a handler when the job was cancelled while it was running.
+ */
+export class JobCancelledError extends Error {
+  constructor(message = 'Job was cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Throw from a handler for failures that retrying can't fix (e.g. a file with no text).
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+// job_type -> { run(job, context), onRetry?(job, error, runAt), onFailure?(job, error) }
+const handlers = {};
+
+let worker = null;
+
+/**
+ * Add a job to the queue. Any still-queued job for the same document is cancelled,
+ * since the new one supersedes it (e.g. two syncs in a row).
+ *
+ * @param {object} job
+ * @param {string} job.type - Handler name, e.g. 'process_file'
+ * @param {string} job.clientId - Client the job is listed under
+ * @param {string} job.documentId - Document the job works on (optional)
+ * @param {object} job.payload - Everything the handler needs to run after a restart
+ * @param {number} job.maxAttempts - Attempts before the job is marked failed (default 5)
+ * @returns {Promise<object>} The inserted job row
+ */
+export async function enqueueJob({ type, clientId = null, documentId = null, payload = {}, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  if (documentId) {
+    await supabase
+      .from('processing_jobs')
+      .update({
+        status: 'cancelled',
+        last_error: 'Superseded by a newer job',
+        finished_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('document_id', documentId)
+      .eq('status', 'queued');
+  }
+
+  const { data: job, error } = await supabase
+    .from('processing_jobs')
+    .insert([{
+      job_type: type,
+      client_id: clientId,
+      document_id: documentId,
+      payload,
+      max_attempts: maxAttempts
+    }])
+    .select(JOB_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  // Pick it up now rather than on the next poll
+  scheduleTick(0);
+  return job;
+}
+
+/**
+ * Jobs for a client, newest first. `status` may be one status or an array;
+ * `includeGlobal` adds jobs with no client (global sources).
+ */
+export async function listJobs(clientId, { status, limit = 50, includeGlobal = false } = {}) {
+  let query = supabase
+    .from('processing_jobs')
+    .select(JOB_COLUMNS)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  query = includeGlobal
+    ? query.or(`client_id.eq.${clientId},client_id.is.null`)
+    : query.eq('client_id', clientId);
+
+  if (Array.isArray(status)) query = query.in('status', status);
+  else if (status) query = query.eq('status', status);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Put a failed or cancelled job back on the queue with a fresh attempt budget.
+ * Returns the job, or null when it doesn't exist for this client or isn't retryable.
+ */
+export async function retryJob(clientId, jobId) {
+  const { data, error } = await supabase
+    .from('processing_jobs')
+    .update({
+      status: 'queued',
+      attempts: 0,
+      run_at: new Date().toISOString(),
+      last_error: null,
+      progress: null,
+      cancel_requested: false,
+      locked_at: null,
+      locked_by: null,
+      finished_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('client_id', clientId)
+    .in('status', ['failed', 'cancelled'])
+    .select(JOB_COLUMNS);
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  scheduleTick(0);
+  return data[0];
+}
+
+/**
+ * Cancel a queued or running job. A queued job is cancelled at once. A running
+ * job is only flagged (cancel_requested): its handler stops at its next progress
+ * report and the worker then marks it cancelled, so a handler that has already
+ * committed its results finishes instead. Returns the job, or null when it
+ * doesn't exist for this client or has already finished.
+ */
+export async function cancelJob(clientId, jobId) {
+  const { data: queued, error } = await supabase
+    .from('processing_jobs')
+    .update({
+      status: 'cancelled',
+      last_error: 'Cancelled by user',
+      finished_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', jobId)
+    .eq('client_id', clientId)
+    .eq('status', 'queued')
+    .select(`${JOB_COLUMNS}, payload`);
+
+  if (error) throw error;
+  if (queued && queued.length > 0) {
+    const { payload, ...job } = queued[0];
+    await notifyFailure({ ...job, payload }, new JobCancelledError('Processing cancelled'));
+    return job;
+  }
+
+  const { data: running, error: runningError } = await supabase
+    .from('processing_jobs')
+    .update({ cancel_requested: true, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('client_id', clientId)
+    .eq('status', 'running')
+    .select(JOB_COLUMNS);
+
+  if (runningError) throw runningError;
+  return running?.[0] || null;
+}
+
+async function notifyFailure(job, error) {
+  try {
+    await handlers[job.job_type]?.onFailure?.(job, error);
+  } catch (hookError) {
+    console.error(`Job ${job.id}: failure hook errored:`, hookError.message);
+  }
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Update a running job. Returns the job's { cancel_requested } flag, or null if
+ * this claim no longer holds it (reclaimed, possibly by this same worker: each
+ * claim increments attempts, so attempts identifies the claim).
+ */
+async function updateRunningJob(job, fields) {
+  const { data, error } = await supabase
+    .from('processing_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('status', 'running')
+    .eq('locked_by', WORKER_ID)
+    .eq('attempts', job.attempts)
+    .select('id, cancel_requested');
+
+  if (error) {
+    console.error(`Job ${job.id}: status update failed:`, error.message);
+    return { cancel_requested: false };
+  }
+  return data?.[0] || null;
+}
+
+async function runJob(job) {
+  const handler = handlers[job.job_type];
+  // Set once a progress report finds the job cancelled ('cancelled') or reclaimed ('lost')
+  let stopReason = job.cancel_requested ? 'cancelled' : null;
+
+  const heartbeat = async (fields = {}) => {
+    const running = await updateRunningJob(job, { ...fields, locked_at: new Date().toISOString() });
+    if (!running) stopReason = 'lost';
+    else if (running.cancel_requested && !stopReason) stopReason = 'cancelled';
+  };
+
+  const context = {
+    // Record progress and heartbeat; throws if the job was cancelled or reclaimed meanwhile
+    reportProgress: async (progress) => {
+      await heartbeat({ progress });
+      if (stopReason) throw new JobCancelledError();
+    }
+  };
+
+  // Keep the claim alive between progress reports
+  const heartbeatTimer = setInterval(() => {
+    heartbeat().catch(error => console.error(`Job ${job.id}: heartbeat failed:`, error.message));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  try {
+    if (!handler) {
+      throw new PermanentJobError(`No handler registered for job type ${job.job_type}`);
+    }
+    if (stopReason) throw new JobCancelledError();
+    if (job.attempts > job.max_attempts) {
+      throw new PermanentJobError(`Gave up after ${job.max_attempts} attempts (worker stopped mid-job)`);
+    }
+
+    await handler.run(job, context);
+
+    // A cancel requested after the handler's last progress report comes too
+    // late: its results are already written, so the job still succeeds
+    const finished = await updateRunningJob(job, {
+      status: 'succeeded',
+      last_error: null,
+      locked_at: null,
+      finished_at: new Date().toISOString()
+    });
+    if (finished) {
+      console.log(`Job ${job.id} (${job.job_type}) succeeded on attempt ${job.attempts}`);
+    } else {
+      console.warn(`Job ${job.id} (${job.job_type}) finished attempt ${job.attempts} after another worker reclaimed it`);
+    }
+  } catch (error) {
+    if (stopReason === 'lost') {
+      console.log(`Job ${job.id} (${job.job_type}) stopped: reclaimed by another worker`);
+      return;
+    }
+    if (stopReason === 'cancelled') {
+      const cancelled = await updateRunningJob(job, {
+        status: 'cancelled',
+        last_error: 'Cancelled by user',
+        locked_at: null,
+        finished_at: new Date().toISOString()
+      });
+      console.log(`Job ${job.id} (${job.job_type}) stopped: cancelled`);
+      if (cancelled) await notifyFailure(job, new JobCancelledError('Processing cancelled'));
+      return;
+    }
+
+    const willRetry = !(error instanceof PermanentJobError) && job.attempts < job.max_attempts;
+    const runAt = new Date(Date.now() + retryDelaySeconds(job.attempts) * 1000).toISOString();
+
+    const updated = await updateRunningJob(job, willRetry
+      ? { status: 'queued', last_error: error.message, run_at: runAt, locked_at: null, locked_by: null }
+      : { status: 'failed', last_error: error.message, locked_at: null, finished_at: new Date().toISOString() });
+
+    console.error(`Job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts} failed: ${error.message}` +
+      (willRetry ? ` — retrying at ${runAt}` : ''));
+
+    if (updated && willRetry) {
+      try {
+        handler.onRetry?.(job, error, runAt);
+      } catch (hookError) {
+        console.error(`Job ${job.id}: retry hook errored:`, hookError.message);
+      }
+    } else if (updated) {
+      await notifyFailure(job, error);
+    }
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+}
+
+async function claimNextJob() {
+  const { data, error } = await supabase.rpc('claim_processing_job', { worker_id: WORKER_ID });
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+function scheduleTick(delayMs) {
+  if (!worker || worker.stopped) return;
+  clearTimeout(worker.timer);
+  worker.timer = setTimeout(tick, delayMs);
+}
+
+async function tick() {
+  if (!worker || worker.stopped || worker.polling) return;
+  worker.polling = true;
+
+  try {
+    while (!worker.stopped && worker.active < worker.concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      worker.active++;
+      runJob(job).finally(() => {
+        worker.active--;
+        scheduleTick(0);
+      });
+    }
+  } catch (error) {
+    console.error('Job worker poll failed:', error.message);
+  } finally {
+    worker.polling = false;
+    scheduleTick(worker.pollIntervalMs);
+  }
+}
+
+/**
+ * Start the worker loop in this process.
+ *
+ * @param {object} options
+ * @param {object} options.handlers - Map of job type to { run(job, { reportProgress }), onRetry?(job, error, runAt), onFailure?(job, error) }
+ * @param {number} options.concurrency - Jobs run at once (default JOB_CONCURRENCY or 2)
+ * @param {number} options.pollIntervalMs - How often to look for due jobs (default 5s)
+ */
+export function startJobWorker({ handlers: jobHandlers = {}, concurrency = DEFAULT_CONCURRENCY, pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  Object.assign(handlers, jobHandlers);
+  if (worker) return;
+
+  worker = { concurrency, pollIntervalMs, active: 0, polling: false, stopped: false, timer: null };
+  console.log(`Job worker ${WORKER_ID} started (concurrency ${concurrency})`);
+  scheduleTick(0);
+}
+
+/**
+ * Stop claiming new jobs. Jobs already running finish (or go stale and are reclaimed).
+ */
+export function stopJobWorker() {
+  if (!worker) return;
+  worker.stopped = true;
+  clearTimeout(worker.timer);
+}
@@ -0,0 +1,117 @@
+import { pageMarker } from './documentStructure.js';
+
+/**
+ * Local OCR with tesseract.js for images and scanned PDFs.
+ *
+ * PDF pages are rendered to PNG with pdf-to-img and recognized one at a time.
+ * Both libraries are loaded on first use so a server that never sees a scan
+ * doesn't pay for the WASM engine. Language data is downloaded on first use and
+ * cached (OCR_CACHE_PATH); set OCR_LANG_PATH to a local directory to run offline.
+ */
+
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+
+// Mean page confidence (0-100) below which a document is flagged for review
+export const OCR_LOW_CONFIDENCE = parseFloat(process.env.OCR_LOW_CONFIDENCE) || 60;
+
+// Scanned PDFs longer than this are only OCR'd up to the limit
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 50;
+
+// Render scale for PDF pages; 2x (~144 DPI) is a good speed/accuracy trade-off
+const PDF_RENDER_SCALE = 2;
+
+let workerPromise = null;
+
+async function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker } = await import('tesseract.js');
+
+      // tesseract.js reports startup failures (e.g. language data that can't be
+      // downloaded) only to errorHandler and never settles createWorker(), and
+      // without a handler it rethrows them and crashes the process
+      let failStartup;
+      const startupFailed = new Promise((resolve, reject) => { failStartup = reject; });
+      const options = {
+        errorHandler: (error) => {
+          console.error('OCR worker error:', error);
+          failStartup(new Error(`OCR engine error: ${error}`));
+        }
+      };
+      if (process.env.OCR_LANG_PATH) options.langPath = process.env.OCR_LANG_PATH;
+      if (process.env.OCR_CACHE_PATH) options.cachePath = process.env.OCR_CACHE_PATH;
+
+      return Promise.race([createWorker(OCR_LANGUAGES, 1, options), startupFailed]);
+    })();
+
+    // Let the next call retry if the engine failed to start
+    workerPromise.catch(() => { workerPromise = null; });
+  }
+  return workerPromise;
+}
+
+async function recognize(image) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(image);
+  return { text: (data.text || '').trim(), confidence: Math.round(data.confidence ?? 0) };
+}
+
+/**
+ * Combine per-page results into the text and the confidence summary stored on the document.
+ */
+function summarize(pages, totalPages, { markPages = false } = {}) {
+  const recognized = pages.filter(p => p.text.length > 0);
+  const confidence = recognized.length > 0
+    ? Math.round(recognized.reduce((sum, p) => sum + p.confidence, 0) / recognized.length)
+    : 0;
+
+  const text = markPages
+    ? pages.map(p => `${pageMarker(p.page)}\n${p.text}`).join('\n\n')
+    : pages.map(p => p.text).join('\n\n');
+
+  return {
+    text,
+    ocr: {
+      confidence,
+      lowConfidence: confidence < OCR_LOW_CONFIDENCE,
+      pages: pages.map(({ page, confidence }) => ({ page, confidence })),
+      totalPages
+    }
+  };
+}
+
+/**
+ * OCR a single image (PNG/JPG buffer).
+ *
+ * @returns {Promise<{text: string, ocr: {confidence: number, lowConfidence: boolean, pages: Array, totalPages: number}}>}
+ */
+export async function ocrImage(buffer) {
+  const { text, confidence } = await recognize(buffer);
+  return summarize([{ page: 1, text, confidence }], 1);
+}
+
+/**
+ * OCR every page of a PDF (up to OCR_MAX_PAGES). `onPage(page, pageCount)` is
+ * awaited before each page, so a caller can report progress (or stop by throwing).
+ *
+ * @returns {Promise<{text: string, ocr: object}>} Same shape as ocrImage, one entry per page
+ */
+export async function ocrPdf(buffer, { onPage } = {}) {
+  const { pdf } = await import('pdf-to-img');
+  const document = await pdf(buffer, { scale: PDF_RENDER_SCALE });
+  const pageCount = Math.min(document.length, OCR_MAX_PAGES);
+
+  if (document.length > OCR_MAX_PAGES) {
+    console.warn(`OCR: PDF has ${document.length} pages, only the first ${OCR_MAX_PAGES} are recognized`);
+  }
+
+  const pages = [];
+  for (let page = 1; page <= pageCount; page++) {
+    await onPage?.(page, pageCount);
+    const image = await document.getPage(page);
+    const { text, confidence } = await recognize(image);
+    pages.push({ page, text, confidence });
+  }
+
+  return summarize(pages, document.length, { markPages: true });
+}
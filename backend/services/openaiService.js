@@ -1,21 +1,14 @@
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
 import { CLAUDE_MODEL } from '../config/models.js';
 import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import * as sheetsService from './googleSheets.js';
+import { embedText } from './embeddingProvider.js';
+import { chunkStructuredText } from './documentStructure.js';
+import { formatSummaryForPrompt } from './conversationSummary.js';
+import { createMessage, getAnthropicClient } from './claudeService.js';
 
 dotenv.config({ override: true });
 
-// OpenAI kept only for embeddings (Anthropic doesn't offer an embedding model)
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
-
 /**
  * Build a current-date context string for system prompts.
  * Gives the agent awareness of today's date and relative time anchors.
@@ -138,20 +131,13 @@ const sheetTools = [
 ];
 
 /**
- * Generate embeddings using OpenAI's embedding model
- * Returns a 1536-dimensional vector for semantic search
+ * Generate an embedding with the configured provider (see embeddingProvider.js).
+ * Anthropic doesn't offer an embedding model, so this defaults to OpenAI.
+ * Returns a 1536-wide vector for semantic search; store it with embeddingFields().
  */
 export async function generateEmbedding(text) {
   try {
-    // Truncate text to fit within token limits (roughly 8000 tokens ~ 32000 chars)
-    const truncatedText = text.substring(0, 30000);
-
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: truncatedText,
-    });
-
-    return response.data[0].embedding;
+    return await embedText(text);
   } catch (error) {
     console.error('Error generating embedding:', error);
     throw new Error(`Embedding generation failed: ${error.message}`);
@@ -227,10 +213,20 @@ function chunkTranscript(text, targetSize = 1000) {
 
 /**
  * Chunk text into smaller pieces for better retrieval.
- * Uses transcript-aware splitting for meeting notes, fixed-size with
+ * Uses section-aware splitting for structured extractions (markdown with
+ * headings and page markers from PDF, DOCX, Google Docs and Slides),
+ * transcript-aware splitting for meeting notes, and fixed-size with
  * sentence-boundary overlap for everything else.
+ *
+ * @param {object} options
+ * @param {boolean} options.structured - Set by the extractor when `text` is markdown
  */
-export function chunkText(text, chunkSize = 1000, overlap = 200) {
+export function chunkText(text, chunkSize = 1000, overlap = 200, { structured = false } = {}) {
+  // Split on sections, prefix heading paths and track the pages each chunk covers
+  if (structured) {
+    return chunkStructuredText(text, chunkSize, overlap);
+  }
+
   // Use transcript-aware chunking if the text looks like a meeting transcript
   if (isTranscriptFormat(text)) {
     return chunkTranscript(text, chunkSize);
@@ -313,7 +309,7 @@ export async function analyzeImage(imageSource, question = "What's in this image
   try {
     const { mediaType, base64Data } = await resolveImageSource(imageSource);
 
-    const response = await anthropic.messages.create({
+    const response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       max_tokens: 1500,
       messages: [{
@@ -350,7 +346,7 @@ export async function analyzeMultipleImages(imageSources, question = "Describe t
       })
     );
 
-    const response = await anthropic.messages.create({
+    const response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       max_tokens: 2000,
       messages: [{
@@ -417,8 +413,10 @@ Respond with a JSON object containing:
 /**
  * Chat with document context, optional images, and source images
  * Supports multimodal conversations with Claude
+ * Pass options.onDelta to stream the answer (see createMessage) and
+ * options.conversationSummary to include the rolling summary of earlier turns
  */
-export async function enhancedChat(userMessage, contextDocuments, conversationHistory = [], imageAnalysis = null, documentChunks = [], uploadedImages = [], sourceImages = []) {
+export async function enhancedChat(userMessage, contextDocuments, conversationHistory = [], imageAnalysis = null, documentChunks = [], uploadedImages = [], sourceImages = [], options = {}) {
   try {
     // Build context from document summaries
     let contextText = '';
@@ -430,6 +428,9 @@ export async function enhancedChat(userMessage, contextDocuments, conversationHi
         contextText += `### [Source ${idx + 1}: ${chunk.documentTitle}]`;
         if (chunk.sourceDate) contextText += ` (Date: ${chunk.sourceDate})`;
         if (chunk.position) contextText += ` [from ${chunk.position} of document]`;
+        if (chunk.location) contextText += ` [${chunk.location}]`;
+        if (chunk.citationKey) contextText += ` [[c:${chunk.citationKey}]]`;
+        if (chunk.retrievedFor) contextText += ` (retrieved for: ${chunk.retrievedFor})`;
         contextText += `\n${chunk.text}\n\n`;
       });
       contextText += "---\n\n";
@@ -468,6 +469,10 @@ export async function enhancedChat(userMessage, contextDocuments, conversationHi
     }
 
     const hasImages = uploadedImages.length > 0 || sourceImages.length > 0 || imageAnalysis;
+    const hasCitationKeys = (documentChunks || []).some(chunk => chunk.citationKey);
+    const citationRule = hasCitationKeys
+      ? 'When referencing information from an excerpt, put its marker right after the sentence, exactly as shown in the excerpt header, e.g. [[c:3f2a9c1e]]. Cite each excerpt you use; never invent markers or cite document summaries this way'
+      : 'When referencing information from documents, cite them like this: [Source: Document Title]';
 
     const systemPrompt = `You are a knowledgeable AI assistant with access to the user's document library${hasImages ? ' and image analysis capabilities' : ''}.
 
@@ -475,10 +480,12 @@ Your task is to answer questions using the provided document context. Always cit
 
 ${getDateContext()}
 
+${formatSummaryForPrompt(options.conversationSummary)}
+
 ${contextText}
 
 ## Response Guidelines:
-1. **Always cite sources** - When referencing information from documents, cite them like this: [Source: Document Title]
+1. **Always cite sources** - ${citationRule}
 2. **Be accurate** - Only state information that is directly supported by the provided documents
 3. **Acknowledge limitations** - If the documents don't contain relevant information, clearly state that
 4. **Format well** - Use markdown for code blocks, tables, lists, and emphasis
@@ -537,12 +544,12 @@ If you cannot find relevant information in the provided documents, say: "I could
       }
     ];
 
-    const response = await anthropic.messages.create({
+    const response = await createMessage({
       model: CLAUDE_MODEL,
       system: systemPrompt,
       messages: messages,
       max_tokens: 2000,
-    });
+    }, options);
 
     return response.content[0].text;
   } catch (error) {
@@ -605,7 +612,7 @@ When the user asks you to modify the sheet, use the appropriate tool functions.`
     ];
 
     // First call - may include tool calls
-    let response = await anthropic.messages.create({
+    let response = await getAnthropicClient().messages.create({
       model: CLAUDE_MODEL,
       system: systemPrompt,
       messages: messages,
@@ -684,7 +691,7 @@ When the user asks you to modify the sheet, use the appropriate tool functions.`
       }
 
       // Continue conversation with tool results
-      response = await anthropic.messages.create({
+      response = await getAnthropicClient().messages.create({
         model: CLAUDE_MODEL,
         system: systemPrompt,
         messages: [
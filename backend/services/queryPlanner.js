@@ -0,0 +1,301 @@
+import { supabase } from '../config/supabase.js';
+import { CLAUDE_MODEL } from '../config/models.js';
+import { semanticSearch } from './semanticSearch.js';
+import { resolveTimeReferences } from './dateParser.js';
+import { getAnthropicClient } from './claudeService.js';
+
+/**
+ * Query decomposition for multi-part and comparative questions.
+ *
+ * "Compare what we told Acme in the January and March meetings about pricing" is
+ * two searches: pricing in January, pricing in March. A single embedding plus
+ * resolveTimeReference() (first month only) finds the January half and misses the
+ * March one. The planner splits such questions into sub-queries with their own
+ * filters (date range, document group, source type), retrieval runs once per
+ * sub-query, and the results are merged with each chunk tagged by the
+ * sub-queries that found it. The plan is returned so callers can show it.
+ */
+
+// Set CHAT_QUERY_PLANNING=false to always run a single search
+export const QUERY_PLANNING_ENABLED = process.env.CHAT_QUERY_PLANNING !== 'false';
+
+const MAX_SUB_QUERIES = 4;
+
+// Chunks kept from each sub-query, and the cap on the merged list
+const CHUNKS_PER_SUB_QUERY = 4;
+const MAX_MERGED_CHUNKS = 12;
+
+// Wording that suggests more than one thing is being asked for
+const COMPOUND_CUES = /\b(compare|compared|comparison|versus|vs\.?|difference|differences|differ|changed|between|both|respectively|as well as)\b/i;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Cheap check for whether a question is worth a planning call: comparison
+ * wording, more than one explicit period, or more than one question mark.
+ */
+export function needsPlanning(question) {
+  if (!question) return false;
+  if (COMPOUND_CUES.test(question)) return true;
+  if (resolveTimeReferences(question).length > 1) return true;
+  return (question.match(/\?/g) || []).length > 1;
+}
+
+function singleQueryPlan(question, extra = {}) {
+  return {
+    decomposed: false,
+    subQueries: [{ id: 'q1', query: question, purpose: null, filters: {} }],
+    ...extra
+  };
+}
+
+/**
+ * Plan used when the model can't be reached: one sub-query per explicit period
+ * ("January" and "March" become two date-filtered searches), otherwise a single search.
+ */
+function periodPlan(question, extra = {}) {
+  const periods = resolveTimeReferences(question).slice(0, MAX_SUB_QUERIES);
+  if (periods.length < 2) return singleQueryPlan(question, extra);
+  return {
+    decomposed: true,
+    subQueries: periods.map((period, idx) => ({
+      id: `q${idx + 1}`,
+      query: question,
+      purpose: `${period.label} (${period.start} to ${period.end})`,
+      filters: { dateFrom: period.start, dateTo: period.end }
+    })),
+    ...extra
+  };
+}
+
+/**
+ * Document groups and source types a client's sources use, so the planner only
+ * proposes filters that can match. Errors are logged and treated as none.
+ */
+async function getFilterVocabulary(clientId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('custom_group, source_type')
+    .or(`client_id.eq.${clientId},is_global.eq.true`);
+
+  if (error) {
+    console.error('Error fetching document groups for query planning:', error.message);
+    return { groups: [], sourceTypes: [] };
+  }
+  return {
+    groups: [...new Set((data || []).map(d => d.custom_group).filter(Boolean))].sort(),
+    sourceTypes: [...new Set((data || []).map(d => d.source_type).filter(Boolean))].sort()
+  };
+}
+
+/**
+ * Keep only filters that are well-formed and can match something.
+ */
+function cleanFilters(filters, { groups, sourceTypes }) {
+  const cleaned = {};
+  if (!filters || typeof filters !== 'object') return cleaned;
+  if (ISO_DATE.test(filters.dateFrom || '')) cleaned.dateFrom = filters.dateFrom;
+  if (ISO_DATE.test(filters.dateTo || '')) cleaned.dateTo = filters.dateTo;
+  if (groups.includes(filters.customGroup)) cleaned.customGroup = filters.customGroup;
+  if (sourceTypes.includes(filters.sourceType)) cleaned.sourceType = filters.sourceType;
+  return cleaned;
+}
+
+/**
+ * Split a question into sub-queries with their own filters using Claude.
+ * Questions that don't look compound are not sent to the model.
+ *
+ * On any model or parse failure the question is split by its explicit periods
+ * (or kept whole) and the error is reported, so retrieval never fails because
+ * of the planning step.
+ *
+ * @param {string} question - The user's question
+ * @param {object} vocabulary
+ * @param {string[]} vocabulary.groups - Document groups the client uses
+ * @param {string[]} vocabulary.sourceTypes - Source types the client uses
+ * @returns {{ decomposed: boolean, subQueries: Array<{ id, query, purpose, filters }>, model?: string, error?: string }}
+ */
+export async function planQuery(question, { groups = [], sourceTypes = [] } = {}) {
+  if (!needsPlanning(question)) {
+    return singleQueryPlan(question);
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+
+  const prompt = `You plan document searches for a marketing agency's knowledge base. Today is ${today}.
+
+Question:
+<question>
+${question.substring(0, 2000)}
+</question>
+
+If answering needs information about more than one thing (two meetings, two periods, two products, a before and after), split it into ${MAX_SUB_QUERIES} or fewer standalone search queries, one per thing. Each query should read well on its own, without "both", "compare" or references to the other parts. If one search is enough, return a single query.
+
+Each query can have filters. Only use a filter when the question clearly asks for it:
+- dateFrom / dateTo: source date range as YYYY-MM-DD (e.g. "the March meeting" is the whole of March; assume the most recent such period up to today when no year is given)
+- customGroup: one of ${groups.length > 0 ? groups.map(g => JSON.stringify(g)).join(', ') : '(none available)'}
+- sourceType: one of ${sourceTypes.length > 0 ? sourceTypes.map(t => JSON.stringify(t)).join(', ') : '(none available)'}
+
+Give each query a short purpose (a few words saying which part of the question it covers).
+
+Respond ONLY with valid JSON, no additional text:
+{"subQueries": [{"query": "...", "purpose": "...", "filters": {"dateFrom": null, "dateTo": null, "customGroup": null, "sourceType": null}}]}`;
+
+  try {
+    const response = await getAnthropicClient().messages.create({
+      model: CLAUDE_MODEL,
+      max_tokens: 800,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not extract JSON from query plan response');
+    }
+
+    const subQueries = (JSON.parse(jsonMatch[0]).subQueries || [])
+      .filter(sq => sq && typeof sq.query === 'string' && sq.query.trim())
+      .slice(0, MAX_SUB_QUERIES)
+      .map((sq, idx) => ({
+        id: `q${idx + 1}`,
+        query: sq.query.trim(),
+        purpose: typeof sq.purpose === 'string' && sq.purpose.trim() ? sq.purpose.trim() : null,
+        filters: cleanFilters(sq.filters, { groups, sourceTypes })
+      }));
+
+    if (subQueries.length === 0) {
+      throw new Error('Query plan contained no sub-queries');
+    }
+
+    return {
+      decomposed: subQueries.length > 1,
+      subQueries,
+      model: CLAUDE_MODEL
+    };
+  } catch (error) {
+    console.error('Error planning query:', error.message);
+    return periodPlan(question, { model: CLAUDE_MODEL, error: error.message });
+  }
+}
+
+/**
+ * Merge per-sub-query results. Chunks are taken round-robin so every part of the
+ * question is represented, deduplicated by ID, and tagged with the sub-queries
+ * that found them (subQueryIds) and their purposes (retrievedFor).
+ */
+function mergeResults(plan, results, limit) {
+  const chunksById = new Map();
+  const docsById = new Map();
+  const attribute = (item, sub) => {
+    item.subQueryIds.push(sub.id);
+    item.retrievedFor.push(sub.purpose || sub.query);
+  };
+
+  const perSub = results.map(r => r.chunks.slice(0, CHUNKS_PER_SUB_QUERY));
+  const longest = Math.max(...perSub.map(c => c.length));
+  for (let rank = 0; rank < longest; rank++) {
+    perSub.forEach((chunks, idx) => {
+      const chunk = chunks[rank];
+      if (!chunk) return;
+      if (!chunksById.has(chunk.id)) {
+        chunksById.set(chunk.id, { ...chunk, subQueryIds: [], retrievedFor: [] });
+      }
+      attribute(chunksById.get(chunk.id), plan.subQueries[idx]);
+    });
+  }
+
+  results.forEach((result, idx) => {
+    for (const doc of result.documents) {
+      const existing = docsById.get(doc.id);
+      if (!existing) {
+        docsById.set(doc.id, { ...doc, subQueryIds: [], retrievedFor: [] });
+      } else if (doc.similarity_score > existing.similarity_score) {
+        docsById.set(doc.id, { ...doc, subQueryIds: existing.subQueryIds, retrievedFor: existing.retrievedFor });
+      }
+      attribute(docsById.get(doc.id), plan.subQueries[idx]);
+    }
+  });
+
+  return {
+    chunks: [...chunksById.values()].slice(0, MAX_MERGED_CHUNKS),
+    documents: [...docsById.values()].slice(0, limit * 2)
+  };
+}
+
+/**
+ * semanticSearch with query decomposition. Compound questions are planned into
+ * sub-queries, each searched with its own filters, and the results merged with
+ * attribution. A sub-query whose filters match nothing is searched again with
+ * only its period (its plan entry is marked filtersRelaxed). A period is part of
+ * the question, so it is never dropped: a sub-query with nothing in its period
+ * returns no results and its plan entry is marked noSources (see
+ * missingSourcesContextDoc).
+ *
+ * Takes the same arguments as semanticSearch and returns its result plus `plan`
+ * (null when planning is off or the question didn't need it). For a decomposed
+ * plan, `rerank` is { subQueries: [{ id, ...report }] }, and each plan entry has
+ * result counts.
+ */
+export async function searchWithPlan(clientId, question, limit = 5, options = {}) {
+  if (!QUERY_PLANNING_ENABLED || !needsPlanning(question)) {
+    return { ...(await semanticSearch(clientId, question, limit, options)), plan: null };
+  }
+
+  const plan = await planQuery(question, await getFilterVocabulary(clientId));
+  if (!plan.decomposed) {
+    return { ...(await semanticSearch(clientId, question, limit, options)), plan };
+  }
+
+  // Filters the caller set apply to every sub-query and are never relaxed
+  const results = await Promise.all(plan.subQueries.map(async sub => {
+    let result = await semanticSearch(clientId, sub.query, limit, { ...options, filters: { ...sub.filters, ...options.filters } });
+    if (result.chunks.length === 0 && Object.keys(sub.filters).length > 0) {
+      const periodFilters = Object.fromEntries(
+        Object.entries(sub.filters).filter(([key]) => key === 'dateFrom' || key === 'dateTo')
+      );
+      if (Object.keys(periodFilters).length < Object.keys(sub.filters).length) {
+        result = await semanticSearch(clientId, sub.query, limit, { ...options, filters: { ...periodFilters, ...options.filters } });
+        sub.filtersRelaxed = true;
+      }
+      if (result.chunks.length === 0 && Object.keys(periodFilters).length > 0) {
+        result = { documents: [], chunks: [], rerank: null };
+        sub.noSources = true;
+      }
+    }
+    sub.results = { documents: result.documents.length, chunks: result.chunks.length };
+    return result;
+  }));
+
+  const merged = mergeResults(plan, results, limit);
+  const rerankReports = results
+    .map((r, idx) => r.rerank && { id: plan.subQueries[idx].id, ...r.rerank })
+    .filter(Boolean);
+
+  console.log(`Query planned into ${plan.subQueries.length} sub-queries: ${merged.chunks.length} chunks from ${merged.documents.length} documents`);
+
+  return {
+    ...merged,
+    rerank: rerankReports.length > 0 ? { subQueries: rerankReports } : null,
+    plan
+  };
+}
+
+/**
+ * The parts of a planned question no source covers, as a pseudo-document for the
+ * chat/agent context list, so the model says so instead of answering them from
+ * other periods. Null when every part found sources.
+ */
+export function missingSourcesContextDoc(plan) {
+  const missing = (plan?.subQueries || []).filter(sub => sub.noSources);
+  if (missing.length === 0) return null;
+  return {
+    id: 'query-plan-gaps',
+    title: 'Parts of the question with no sources',
+    summary: [
+      'No documents were found for these parts of the question. Say that the sources don\'t cover them rather than answering from other periods:',
+      ...missing.map(sub => `- ${sub.purpose || sub.query}`)
+    ].join('\n'),
+    keywords: []
+  };
+}
@@ -0,0 +1,105 @@
+import { supabase } from '../config/supabase.js';
+import { embeddingFields, getEmbeddingModel } from './embeddingProvider.js';
+import { embedWithRetry } from './ingestion.js';
+
+// Rows fetched and embedded per round trip
+const DEFAULT_BATCH_SIZE = 50;
+
+/**
+ * Rows whose embedding came from a model other than the active one (or has no
+ * recorded model), fetched in id order after `afterId`.
+ */
+async function fetchStaleRows(table, columns, { model, clientId, afterId, batchSize }) {
+  let query = supabase
+    .from(table)
+    .select(columns)
+    .or(`embedding_model.is.null,embedding_model.neq."${model}"`)
+    .order('id')
+    .limit(batchSize);
+
+  if (afterId) query = query.gt('id', afterId);
+
+  if (table === 'documents') {
+    query = query.eq('processed', true);
+    if (clientId) query = query.eq('client_id', clientId);
+  } else if (clientId) {
+    query = query.eq('documents.client_id', clientId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Re-embed one table with the active model, a batch at a time.
+ * A batch that fails to embed is counted as failed and skipped, so one bad
+ * row can't stall the migration; rerun the job to retry it.
+ */
+async function reembedTable(table, { columns, textOf, model, clientId, batchSize, onProgress }) {
+  const stats = { updated: 0, failed: 0 };
+  let afterId = null;
+
+  for (;;) {
+    const rows = await fetchStaleRows(table, columns, { model, clientId, afterId, batchSize });
+    if (rows.length === 0) break;
+    afterId = rows[rows.length - 1].id;
+
+    let vectors;
+    try {
+      vectors = await embedWithRetry(rows.map(textOf), `Re-embedding ${rows.length} ${table} rows`);
+    } catch (error) {
+      console.error(`Re-embed: failed to embed ${rows.length} ${table} rows:`, error.message);
+      stats.failed += rows.length;
+      continue;
+    }
+
+    for (let i = 0; i < rows.length; i++) {
+      const { error } = await supabase
+        .from(table)
+        .update(embeddingFields(vectors[i]))
+        .eq('id', rows[i].id);
+
+      if (error) {
+        console.error(`Re-embed: failed to update ${table} ${rows[i].id}:`, error.message);
+        stats.failed++;
+      } else {
+        stats.updated++;
+      }
+    }
+
+    onProgress?.({ table, ...stats });
+  }
+
+  return stats;
+}
+
+/**
+ * Re-embed every document and chunk whose vector came from a different model than
+ * the active provider's, so a corpus can move between embedding models. Search only
+ * compares vectors from the active model, so rows drop out of vector ranking until
+ * they are migrated.
+ *
+ * @param {object} options
+ * @param {string} options.clientId - Limit to one client's documents (default: all)
+ * @param {number} options.batchSize - Rows per embedding call (default 50)
+ * @param {Function} options.onProgress - Called after each batch with { table, updated, failed }
+ * @returns {{ model: string, documents: object, chunks: object }}
+ */
+export async function reembedCorpus({ clientId = null, batchSize = DEFAULT_BATCH_SIZE, onProgress } = {}) {
+  const { model } = getEmbeddingModel();
+
+  const documents = await reembedTable('documents', {
+    columns: 'id, title, file_name, summary, keywords',
+    textOf: d => `${d.title || d.file_name} ${d.summary || ''} ${(d.keywords || []).join(' ')}`,
+    model, clientId, batchSize, onProgress
+  });
+
+  const chunks = await reembedTable('document_chunks', {
+    columns: clientId ? 'id, content, documents!inner(client_id)' : 'id, content',
+    textOf: c => c.content,
+    model, clientId, batchSize, onProgress
+  });
+
+  return { model, documents, chunks };
+}
@@ -0,0 +1,110 @@
+import { CLAUDE_MODEL } from '../config/models.js';
+import { getAnthropicClient } from './claudeService.js';
+
+// Each excerpt is trimmed before it goes into the rerank prompt
+const MAX_EXCERPT_CHARS = 1500;
+
+/**
+ * Rerank retrieved chunks by judged relevance to the query using Claude.
+ * Chunks the model marks irrelevant (or scores below minScore) are dropped.
+ *
+ * On any model or parse failure the original order is kept (truncated to `keep`)
+ * and the error is reported, so retrieval never fails because of the rerank step.
+ *
+ * @param {string} query - The user's (conversation-aware) query
+ * @param {Array} chunks - Candidate chunks, best-first, with id/content/documentTitle
+ * @param {object} options
+ * @param {number} options.keep - Max chunks to return (default 6)
+ * @param {number} options.minScore - Minimum 0-10 relevance score to keep a chunk (default 4)
+ * @returns {{ chunks: Array, decisions: Array, model: string, error?: string }}
+ */
+export async function rerankChunks(query, chunks, { keep = 6, minScore = 4 } = {}) {
+  if (!chunks || chunks.length === 0) {
+    return { chunks: [], decisions: [], model: CLAUDE_MODEL };
+  }
+
+  const excerpts = chunks
+    .map((chunk, idx) => `<excerpt id="${idx + 1}" source="${chunk.documentTitle}">\n${(chunk.content || '').substring(0, MAX_EXCERPT_CHARS)}\n</excerpt>`)
+    .join('\n\n');
+
+  const prompt = `You are ranking document excerpts for a retrieval system. Judge how useful each excerpt is for answering the query.
+
+Query: ${query}
+
+${excerpts}
+
+Score every excerpt from 0 (irrelevant) to 10 (directly answers the query). Mark "relevant": false for excerpts that would not help answer the query at all. Give a short reason (under 15 words) for each.
+
+Respond ONLY with valid JSON, no additional text:
+{"rankings": [{"id": 1, "score": 8, "relevant": true, "reason": "..."}]}`;
+
+  try {
+    const response = await getAnthropicClient().messages.create({
+      model: CLAUDE_MODEL,
+      max_tokens: 1500,
+      messages: [{ role: 'user', content: prompt }]
+    });
+
+    const responseText = response.content[0].text;
+    const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Could not extract JSON from rerank response');
+    }
+
+    const { rankings = [] } = JSON.parse(jsonMatch[0]);
+    const judged = new Map();
+    for (const r of rankings) {
+      const idx = parseInt(r.id) - 1;
+      if (idx >= 0 && idx < chunks.length) {
+        judged.set(idx, {
+          score: Math.max(0, Math.min(10, parseFloat(r.score) || 0)),
+          relevant: r.relevant !== false,
+          reason: r.reason || ''
+        });
+      }
+    }
+
+    // Unjudged chunks are treated as irrelevant — the model was asked to score every excerpt
+    const decisions = chunks.map((chunk, idx) => {
+      const verdict = judged.get(idx) || { score: 0, relevant: false, reason: 'Not scored by reranker' };
+      return {
+        chunkId: chunk.id,
+        documentId: chunk.document_id,
+        documentTitle: chunk.documentTitle,
+        originalRank: idx + 1,
+        score: verdict.score,
+        kept: verdict.relevant && verdict.score >= minScore,
+        reason: verdict.reason
+      };
+    });
+
+    const kept = decisions
+      .filter(d => d.kept)
+      .sort((a, b) => b.score - a.score || a.originalRank - b.originalRank)
+      .slice(0, keep);
+
+    // Anything past the keep limit is dropped too; record that for debugging
+    const keptIds = new Set(kept.map(d => d.chunkId));
+    for (const d of decisions) {
+      if (d.kept && !keptIds.has(d.chunkId)) {
+        d.kept = false;
+        d.reason = `${d.reason} (over limit of ${keep})`.trim();
+      }
+    }
+
+    const byId = new Map(chunks.map(c => [c.id, c]));
+    return {
+      chunks: kept.map(d => ({ ...byId.get(d.chunkId), rerank_score: d.score })),
+      decisions,
+      model: CLAUDE_MODEL
+    };
+  } catch (error) {
+    console.error('Error reranking chunks with Claude:', error.message);
+    return {
+      chunks: chunks.slice(0, keep),
+      decisions: [],
+      model: CLAUDE_MODEL,
+      error: error.message
+    };
+  }
+}
@@ -1,6 +1,34 @@
 import { supabase } from '../config/supabase.js';
-import { generateEmbedding, cosineSimilarity } from './openaiService.js';
+import { generateEmbedding } from './openaiService.js';
+import { getEmbeddingModel } from './embeddingProvider.js';
 import { resolveTimeReference } from './dateParser.js';
+import { rerankChunks } from './reranker.js';
+
+// Storage client and query embedder. Production uses Supabase and the configured
+// embedding provider; the offline retrieval eval (eval/runRetrievalEval.js) swaps in
+// a fixture corpus. embedModel names the model behind embedQuery (null = provider's).
+let db = supabase;
+let embedQuery = generateEmbedding;
+let embedModel = null;
+
+/**
+ * Override the storage client and/or query embedder used by semanticSearch.
+ * The client must answer the same .rpc() and .from() calls as Supabase.
+ * Call with no arguments to restore the defaults.
+ */
+export function setSearchBackends({ client = supabase, embed = generateEmbedding, model = null } = {}) {
+  db = client;
+  embedQuery = embed;
+  embedModel = model;
+}
+
+/**
+ * Embed a search query with the active embedder, for callers that run the same
+ * query against several clients (pass the result as options.queryEmbedding).
+ */
+export function embedSearchQuery(text) {
+  return embedQuery(text);
+}
 
 /**
  * Calculate rough text overlap ratio between two strings.
@@ -24,11 +52,28 @@ function textOverlap(textA, textB) {
   return union === 0 ? 0 : intersection / union;
 }
 
+/**
+ * Reciprocal rank fusion: score(id) = sum over rankings of weight / (k + rank).
+ * Each ranking is an ordered array of ids (best first).
+ */
+function reciprocalRankFusion(rankings, k) {
+  const scores = new Map();
+  for (const { ids, weight } of rankings) {
+    if (!weight) continue;
+    ids.forEach((id, idx) => {
+      scores.set(id, (scores.get(id) || 0) + weight / (k + idx + 1));
+    });
+  }
+  return scores;
+}
+
 /**
  * Build a richer search query from the current message + recent conversation.
  * Handles follow-ups like "tell me more about that" by pulling key terms from context.
+ * The rolling conversation summary (when there is one) covers turns that have
+ * dropped out of the recent history.
  */
-function buildConversationAwareQuery(message, conversationHistory = []) {
+function buildConversationAwareQuery(message, conversationHistory = [], conversationSummary = null) {
   // If the message is already long/specific enough, use it as-is
   if (message.split(/\s+/).length >= 8) return message;
 
@@ -42,206 +87,663 @@ function buildConversationAwareQuery(message, conversationHistory = []) {
     .slice(-3)
     .map(m => m.content);
 
-  if (recentUserMessages.length === 0) return message;
+  // Summary markdown reduced to plain terms
+  const summaryText = (conversationSummary || '').replace(/^\s*[-*]\s+/gm, '').replace(/[*#_>`]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+  if (recentUserMessages.length === 0 && !summaryText) return message;
 
-  // Combine: current message + last user message (most relevant context)
-  const contextMessage = recentUserMessages[recentUserMessages.length - 1];
-  return `${message} ${contextMessage}`.substring(0, 500);
+  // Combine: current message + last user message (most relevant context) + summary
+  const contextMessage = recentUserMessages[recentUserMessages.length - 1] || '';
+  return [message, contextMessage, summaryText].filter(Boolean).join(' ').substring(0, 500);
 }
 
+// Columns needed for scoring, prompting and citation. The embedding itself is
+// deliberately left out — similarity comes back from the match_* RPCs.
+const DOCUMENT_COLUMNS = 'id, client_id, file_name, file_type, file_url, title, summary, tags, keywords, topic, source_date, source_type, custom_group, is_global, chunk_count, created_at';
+
+// How many nearest neighbours to pull from pgvector before boosts are applied
+const DOCUMENT_CANDIDATES = 40;
+const CHUNK_CANDIDATES = 30;
+const CORPUS_CHUNK_CANDIDATES = 60;
+const LEXICAL_CANDIDATES = 30;
+
+// Max chunks handed to the model after filtering and dedupe
+const CHUNK_LIMIT = 6;
+
+// Lexical rank (ts_rank_cd, normalized to 0-1) a chunk needs to be kept below the
+// similarity cutoff. Each query-term occurrence adds about 0.1 before
+// normalization, so one stray common word (~0.09) isn't enough but two are.
+const LEXICAL_MIN_RANK = 0.15;
+
+// With reranking on, a wider and looser candidate set goes to the reranker,
+// which decides what to keep instead of the fixed similarity cutoff.
+const RERANK_CANDIDATES = 20;
+const RERANK_MIN_SIMILARITY = 0.2;
+
 /**
- * Perform semantic search to find relevant documents and chunks.
- *
- * @param {string} clientId - Client ID to search within
- * @param {string} query - Search query text
- * @param {number} limit - Max documents to return (default 5)
- * @param {object} options
- * @param {boolean} options.boostGlobal - Boost global/playbook sources in ranking (default false)
- * @param {Array} options.conversationHistory - Recent messages for context-aware retrieval
- * @returns {{ documents: Array, chunks: Array }}
+ * Default weights for reciprocal rank fusion of the vector and lexical rankings.
+ * `k` dampens the advantage of the very top ranks (60 is the usual RRF constant).
+ * Callers can override any of these per call via `options.fusion`.
  */
-export async function semanticSearch(clientId, query, limit = 5, { boostGlobal = false, conversationHistory = [] } = {}) {
-  // Build a context-aware search query for follow-up messages
-  const enrichedQuery = buildConversationAwareQuery(query, conversationHistory);
+export const DEFAULT_FUSION = { vector: 1.0, lexical: 1.0, k: 60 };
+
+// Common stop words removed from the query so we match on substantive terms.
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+  'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been',
+  'has', 'have', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+  'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
+  'it', 'its', 'my', 'your', 'our', 'their', 'what', 'which', 'who',
+  'how', 'when', 'where', 'why', 'about', 'using', 'use', 'write',
+  'create', 'make', 'get', 'me', 'i', 'we', 'you', 'they', 'some',
+  'all', 'any', 'each', 'just', 'also', 'so', 'if', 'up', 'out',
+]);
 
-  // Generate embedding for the enriched query
-  const queryEmbedding = await generateEmbedding(enrichedQuery);
+/**
+ * Ranking boost for a document from title/keyword matches, the query's time
+ * reference and (for ad generation) global/playbook sources.
+ */
+function documentBoost(doc, queryWords, timeRange, boostGlobal) {
+  // Title/filename match boost: if query words appear in the document title or filename,
+  // boost the score significantly. This ensures "messaging framework" finds a doc named that.
+  const titleLower = (doc.title || '').toLowerCase();
+  const fileNameLower = (doc.file_name || '').toLowerCase();
+  const keywordsLower = (doc.keywords || []).map(k => k.toLowerCase());
+  const topicLower = (doc.topic || '').toLowerCase();
+
+  let titleBoost = 0;
+  let matchedWords = 0;
+  for (const word of queryWords) {
+    const inTitle = titleLower.includes(word);
+    const inFileName = fileNameLower.includes(word);
+    const inKeywords = keywordsLower.some(k => k.includes(word));
+    const inTopic = topicLower.includes(word);
+    if (inTitle || inFileName) {
+      titleBoost += 0.15; // Strong boost for title/filename match
+      matchedWords++;
+    } else if (inKeywords || inTopic) {
+      titleBoost += 0.08; // Moderate boost for keyword/topic match
+      matchedWords++;
+    }
+  }
 
-  // Get all processed documents for this client (including global sources)
-  const { data: documents, error: docError } = await supabase
-    .from('documents')
-    .select('*')
-    .or(`client_id.eq.${clientId},is_global.eq.true`)
-    .eq('processed', true);
+  // Multi-word phrase bonus: if multiple query words match, it's likely a specific document reference
+  if (matchedWords >= 2) {
+    titleBoost *= 1.5;
+  }
 
-  if (docError) throw docError;
+  // Check for exact phrase matches in title (e.g., "messaging framework" as a phrase)
+  // Build 2-word and 3-word phrases from query
+  for (let n = 2; n <= Math.min(4, queryWords.length); n++) {
+    for (let i = 0; i <= queryWords.length - n; i++) {
+      const phrase = queryWords.slice(i, i + n).join(' ');
+      if (titleLower.includes(phrase) || fileNameLower.includes(phrase)) {
+        titleBoost += 0.25 * n; // Longer phrase matches get bigger boosts
+      }
+    }
+  }
+
+  // Date-aware boost: if the user's query contains a time reference and
+  // this document has a source_date within that range, boost it significantly.
+  let dateBoost = 0;
+  if (timeRange && doc.source_date) {
+    const docDate = doc.source_date.split('T')[0]; // normalize to YYYY-MM-DD
+    if (docDate >= timeRange.start && docDate <= timeRange.end) {
+      dateBoost = 0.30; // Strong boost — the user is asking for this time period
+    }
+  }
 
-  if (!documents || documents.length === 0) {
-    return { documents: [], chunks: [] };
+  // Global/playbook source boost for ad generation
+  let globalBoost = 0;
+  if (boostGlobal) {
+    if (doc.is_global) {
+      globalBoost = 0.20;
+    }
+    const group = (doc.custom_group || '').toLowerCase();
+    if (group.includes('playbook') || group.includes('master') || group.includes('framework') || group.includes('messaging') || group.includes('sop')) {
+      globalBoost = Math.max(globalBoost, 0.25);
+    }
   }
 
-  // Resolve any time references in the query to a date range for boosting
-  const timeRange = resolveTimeReference(query);
+  return titleBoost + dateBoost + globalBoost;
+}
 
-  // Extract meaningful keywords from the query for title/keyword matching.
-  // Remove common stop words so we match on substantive terms.
-  const stopWords = new Set([
-    'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-    'of', 'with', 'by', 'from', 'is', 'are', 'was', 'were', 'be', 'been',
-    'has', 'have', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-    'should', 'may', 'might', 'can', 'this', 'that', 'these', 'those',
-    'it', 'its', 'my', 'your', 'our', 'their', 'what', 'which', 'who',
-    'how', 'when', 'where', 'why', 'about', 'using', 'use', 'write',
-    'create', 'make', 'get', 'me', 'i', 'we', 'you', 'they', 'some',
-    'all', 'any', 'each', 'just', 'also', 'so', 'if', 'up', 'out',
-  ]);
-  const queryWords = enrichedQuery.toLowerCase().split(/\s+/).filter(w => w.length > 2 && !stopWords.has(w));
-
-  // Score documents by combining embedding similarity with title/keyword matching
-  const scoredDocs = documents.map(doc => {
-    let embedding;
+// Filter keys accepted by semanticSearch (options.filters) and the search/chat/agent APIs
+const FILTER_KEYS = ['customGroup', 'sourceType', 'fileType', 'isGlobal', 'dateFrom', 'dateTo', 'documentIds', 'tags'];
+
+// Above this many in-scope documents, chunk-first search ranks the whole corpus and
+// drops out-of-scope chunks instead of passing every ID to match_document_chunks
+const SCOPED_DOCUMENT_LIMIT = 200;
+
+// Rows per request when reading a filtered scope (PostgREST's default max-rows)
+const SCOPE_PAGE_SIZE = 1000;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate and normalize retrieval filters from a request body. Accepts an object
+ * or a JSON string (multipart chat requests); single values for list filters are
+ * wrapped in arrays and empty values are dropped. Throws on unknown keys and
+ * malformed values.
+ *
+ * @returns {object} Filters for semanticSearch (empty object for none)
+ */
+export function normalizeSearchFilters(raw) {
+  if (raw == null || raw === '') return {};
+
+  let input = raw;
+  if (typeof input === 'string') {
     try {
-      embedding = JSON.parse(doc.embedding || '[]');
+      input = JSON.parse(input);
     } catch {
-      embedding = [];
+      throw new Error('filters must be a JSON object');
     }
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('filters must be an object');
+  }
 
-    const similarity = cosineSimilarity(queryEmbedding, embedding);
-
-    // Title/filename match boost: if query words appear in the document title or filename,
-    // boost the score significantly. This ensures "messaging framework" finds a doc named that.
-    const titleLower = (doc.title || '').toLowerCase();
-    const fileNameLower = (doc.file_name || '').toLowerCase();
-    const keywordsLower = (doc.keywords || []).map(k => k.toLowerCase());
-    const topicLower = (doc.topic || '').toLowerCase();
-
-    let titleBoost = 0;
-    let matchedWords = 0;
-    for (const word of queryWords) {
-      const inTitle = titleLower.includes(word);
-      const inFileName = fileNameLower.includes(word);
-      const inKeywords = keywordsLower.some(k => k.includes(word));
-      const inTopic = topicLower.includes(word);
-      if (inTitle || inFileName) {
-        titleBoost += 0.15; // Strong boost for title/filename match
-        matchedWords++;
-      } else if (inKeywords || inTopic) {
-        titleBoost += 0.08; // Moderate boost for keyword/topic match
-        matchedWords++;
-      }
-    }
+  const unknown = Object.keys(input).filter(k => !FILTER_KEYS.includes(k));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filter(s): ${unknown.join(', ')}. Supported: ${FILTER_KEYS.join(', ')}`);
+  }
 
-    // Multi-word phrase bonus: if multiple query words match, it's likely a specific document reference
-    if (matchedWords >= 2) {
-      titleBoost *= 1.5;
+  const toList = (value, key) => {
+    const list = (Array.isArray(value) ? value : [value]).filter(v => v != null && v !== '');
+    if (list.some(v => typeof v !== 'string')) {
+      throw new Error(`filters.${key} must be a string or an array of strings`);
     }
+    return list;
+  };
 
-    // Check for exact phrase matches in title (e.g., "messaging framework" as a phrase)
-    // Build 2-word and 3-word phrases from query
-    for (let n = 2; n <= Math.min(4, queryWords.length); n++) {
-      for (let i = 0; i <= queryWords.length - n; i++) {
-        const phrase = queryWords.slice(i, i + n).join(' ');
-        if (titleLower.includes(phrase) || fileNameLower.includes(phrase)) {
-          titleBoost += 0.25 * n; // Longer phrase matches get bigger boosts
-        }
-      }
+  const filters = {};
+  for (const key of ['customGroup', 'sourceType', 'fileType', 'documentIds', 'tags']) {
+    if (input[key] == null) continue;
+    const list = toList(input[key], key);
+    if (list.length > 0) filters[key] = list;
+  }
+
+  for (const key of ['dateFrom', 'dateTo']) {
+    if (input[key] == null || input[key] === '') continue;
+    if (!ISO_DATE.test(input[key])) {
+      throw new Error(`filters.${key} must be a date in YYYY-MM-DD format`);
     }
+    filters[key] = input[key];
+  }
+  if (filters.dateFrom && filters.dateTo && filters.dateFrom > filters.dateTo) {
+    throw new Error('filters.dateFrom must not be after filters.dateTo');
+  }
 
-    // Date-aware boost: if the user's query contains a time reference and
-    // this document has a source_date within that range, boost it significantly.
-    let dateBoost = 0;
-    if (timeRange && doc.source_date) {
-      const docDate = doc.source_date.split('T')[0]; // normalize to YYYY-MM-DD
-      if (docDate >= timeRange.start && docDate <= timeRange.end) {
-        dateBoost = 0.30; // Strong boost — the user is asking for this time period
-      }
+  if (input.isGlobal != null && input.isGlobal !== '') {
+    if (![true, false, 'true', 'false'].includes(input.isGlobal)) {
+      throw new Error('filters.isGlobal must be true or false');
     }
+    filters.isGlobal = input.isGlobal === true || input.isGlobal === 'true';
+  }
+
+  return filters;
+}
+
+/**
+ * Whether a document passes the hard filters. Missing keys don't filter; a string
+ * where a list is expected counts as a one-item list.
+ * Documents without a source_date never match a date filter; tags match if the
+ * document has any of them.
+ *
+ * @param {object} doc
+ * @param {object} filters
+ * @param {string|string[]} [filters.customGroup] - custom_group is one of these
+ * @param {string|string[]} [filters.sourceType] - source_type is one of these ('google', 'url', ...)
+ * @param {string|string[]} [filters.fileType] - file_type is one of these
+ * @param {boolean} [filters.isGlobal] - Only global sources (true) or only the client's own (false)
+ * @param {string} [filters.dateFrom] - Earliest source_date (YYYY-MM-DD, inclusive)
+ * @param {string} [filters.dateTo] - Latest source_date (YYYY-MM-DD, inclusive)
+ * @param {string[]} [filters.documentIds] - Only these documents
+ * @param {string[]} [filters.tags] - Documents tagged with any of these
+ */
+function matchesFilters(doc, { customGroup, sourceType, fileType, isGlobal, dateFrom, dateTo, documentIds, tags } = {}) {
+  const oneOf = (value, allowed) => [].concat(allowed).includes(value);
+  if (customGroup && !oneOf(doc.custom_group, customGroup)) return false;
+  if (sourceType && !oneOf(doc.source_type, sourceType)) return false;
+  if (fileType && !oneOf(doc.file_type, fileType)) return false;
+  if (isGlobal !== undefined && !!doc.is_global !== isGlobal) return false;
+  if (documentIds && !documentIds.includes(doc.id)) return false;
+  if (tags && !(doc.tags || []).some(t => tags.includes(t))) return false;
+  if (dateFrom || dateTo) {
+    if (!doc.source_date) return false;
+    const docDate = doc.source_date.split('T')[0];
+    if (dateFrom && docDate < dateFrom) return false;
+    if (dateTo && docDate > dateTo) return false;
+  }
+  return true;
+}
+
+function hasFilters(filters) {
+  return Object.values(filters || {}).some(v => v !== undefined && v !== null && v !== '');
+}
 
-    // Global/playbook source boost for ad generation
-    let globalBoost = 0;
-    if (boostGlobal) {
-      if (doc.is_global) {
-        globalBoost = 0.20;
+/**
+ * IDs of the client's searchable documents (and global sources) that pass the
+ * filters. Same rule as the match_* RPCs: processed and not tombstoned.
+ * Read in pages, since PostgREST returns at most 1000 rows per request.
+ */
+async function scopedDocumentIds(clientId, filters) {
+  const scopes = [];
+  if (filters.isGlobal !== true) scopes.push(['client_id', clientId]);
+  if (filters.isGlobal !== false) scopes.push(['is_global', true]);
+
+  const ids = new Set();
+  for (const [column, value] of scopes) {
+    for (let from = 0; ; from += SCOPE_PAGE_SIZE) {
+      let query = db
+        .from('documents')
+        .select('id, custom_group, source_type, file_type, is_global, source_date, tags')
+        .eq(column, value)
+        .eq('processed', true)
+        .is('deleted_at', null);
+      if (filters.documentIds) {
+        query = query.in('id', filters.documentIds);
       }
-      const group = (doc.custom_group || '').toLowerCase();
-      if (group.includes('playbook') || group.includes('master') || group.includes('framework') || group.includes('messaging') || group.includes('sop')) {
-        globalBoost = Math.max(globalBoost, 0.25);
+
+      const { data, error } = await query.order('id').range(from, from + SCOPE_PAGE_SIZE - 1);
+      if (error) throw error;
+      for (const doc of data || []) {
+        if (matchesFilters(doc, filters)) ids.add(doc.id);
       }
+      if (!data || data.length < SCOPE_PAGE_SIZE) break;
     }
+  }
+  return ids;
+}
+
+/**
+ * Tag a chunk with where it sits in its document.
+ */
+function chunkPosition(chunkIndex, totalChunksInDoc) {
+  if (chunkIndex === 0) return 'beginning';
+  if (totalChunksInDoc > 0 && chunkIndex >= totalChunksInDoc - 1) return 'end';
+  return 'middle';
+}
 
+/**
+ * Filter scored chunks to the relevant ones, best first, without near-duplicate neighbours.
+ */
+function selectRelevantChunks(scoredChunks, { minSimilarity = 0.4, limit = CHUNK_LIMIT } = {}) {
+  // Filter to relevant chunks (raised threshold from 0.3 to 0.4).
+  // A strong lexical hit is kept regardless — an exact SKU or quote can embed
+  // poorly — but matching one common word of the question isn't enough.
+  const filtered = scoredChunks
+    .filter(c => c.similarity_score > minSimilarity || c.lexical_match_all || c.lexical_score >= LEXICAL_MIN_RANK)
+    .sort((a, b) => b.fused_score - a.fused_score);
+
+  // Deduplicate overlapping chunks from the same document.
+  // Adjacent chunks share ~200 chars of overlap — keep the higher-scoring one.
+  const deduped = [];
+  for (const chunk of filtered) {
+    const isDuplicate = deduped.some(existing =>
+      existing.document_id === chunk.document_id &&
+      Math.abs(existing.chunk_index - chunk.chunk_index) === 1 &&
+      textOverlap(existing.content, chunk.content) > 0.3
+    );
+    if (!isDuplicate) {
+      deduped.push(chunk);
+    }
+  }
+
+  return deduped.slice(0, limit);
+}
+
+/**
+ * Pick the final chunks, optionally via the LLM rerank step.
+ * Returns the chunks plus a rerank report (null when reranking is off).
+ */
+async function finalizeChunks(query, scoredChunks, rerank, { minSimilarity, chunkLimit = CHUNK_LIMIT } = {}) {
+  if (!rerank) {
+    return { chunks: selectRelevantChunks(scoredChunks, { minSimilarity, limit: chunkLimit }), rerankReport: null };
+  }
+
+  const candidates = selectRelevantChunks(scoredChunks, { minSimilarity: RERANK_MIN_SIMILARITY, limit: Math.max(RERANK_CANDIDATES, chunkLimit) });
+  const result = await rerankChunks(query, candidates, { keep: chunkLimit });
+
+  return {
+    chunks: result.chunks,
+    rerankReport: {
+      applied: !result.error,
+      model: result.model,
+      candidates: candidates.length,
+      kept: result.chunks.length,
+      decisions: result.decisions,
+      error: result.error || undefined
+    }
+  };
+}
+
+/**
+ * Vectors from different embedding models are never compared (the match_* RPCs filter
+ * on match_model). When a search finds nothing, check whether the client's corpus was
+ * embedded with another model and refuse with a clear error instead of silently
+ * answering from nothing.
+ */
+async function assertCorpusModel(clientId, model) {
+  const { data, error } = await db
+    .from('documents')
+    .select('embedding_model')
+    .eq('client_id', clientId)
+    .neq('embedding_model', model)
+    .limit(1);
+
+  if (!error && data && data.length > 0) {
+    throw new Error(`This client's documents were embedded with ${data[0].embedding_model} but the active embedding model is ${model}. Run the re-embed job (npm run reembed) before searching.`);
+  }
+}
+
+/**
+ * Lexical pass: exact terms and quoted phrases buried in chunk bodies.
+ * Failures are logged and treated as "no lexical hits" so vector search still answers.
+ */
+async function searchLexicalChunks(clientId, query) {
+  const { data, error } = await db.rpc('match_chunks_lexical', {
+    search_query: query,
+    match_client_id: clientId,
+    match_count: LEXICAL_CANDIDATES,
+  });
+  if (error) {
+    console.error('Error in lexical chunk search:', error.message);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Perform hybrid search to find relevant documents and chunks.
+ * Nearest-neighbour search runs in Postgres (pgvector) and full-text search
+ * runs against document_chunks.content_tsv; both rankings are combined with
+ * reciprocal rank fusion.
+ *
+ * Two retrieval modes:
+ * - 'documents' (default): rank documents by summary embedding plus title, keyword,
+ *   date and global boosts, then pick the best chunks inside the top documents.
+ * - 'chunks': rank chunks across the whole client corpus first (document boosts are
+ *   added to each chunk's similarity), then group them by document for citation.
+ *   A strong paragraph in a document whose summary doesn't match still surfaces.
+ *
+ * @param {string} clientId - Client ID to search within
+ * @param {string} query - Search query text
+ * @param {number} limit - Max documents to return (default 5)
+ * @param {object} options
+ * @param {boolean} options.boostGlobal - Boost global/playbook sources in ranking (default false)
+ * @param {Array} options.conversationHistory - Recent messages for context-aware retrieval
+ * @param {string} options.conversationSummary - Rolling summary of earlier turns, for vague follow-ups
+ * @param {object} options.filters - Hard document filters (see matchesFilters and normalizeSearchFilters)
+ * @param {object} options.fusion - RRF weights { vector, lexical, k } (defaults to DEFAULT_FUSION)
+ * @param {'documents'|'chunks'} options.mode - Retrieval mode (default 'documents')
+ * @param {number[]} options.queryEmbedding - Precomputed embedding of the query (see embedSearchQuery)
+ * @param {boolean} options.rerank - Rerank candidate chunks with Claude (default false)
+ * @param {number} options.minSimilarity - Similarity a chunk needs without a lexical hit (default 0.4; ignored when reranking)
+ * @param {number} options.chunkLimit - Max chunks returned (default CHUNK_LIMIT)
+ * @returns {{ documents: Array, chunks: Array, rerank: object|null }}
+ *
+ * Only vectors from the active embedding model are compared with the query.
+ */
+export async function semanticSearch(clientId, query, limit = 5, { boostGlobal = false, conversationHistory = [], conversationSummary = null, filters = {}, fusion = {}, mode = 'documents', queryEmbedding: precomputedEmbedding = null, rerank = false, minSimilarity, chunkLimit } = {}) {
+  const fusionWeights = { ...DEFAULT_FUSION, ...fusion };
+
+  // Build a context-aware search query for follow-up messages
+  const enrichedQuery = buildConversationAwareQuery(query, conversationHistory, conversationSummary);
+
+  // Generate embedding for the enriched query
+  const queryEmbedding = precomputedEmbedding || await embedQuery(enrichedQuery);
+  const embeddingModel = embedModel || getEmbeddingModel().model;
+
+  // Extract meaningful keywords from the query for title/keyword matching.
+  const queryWords = enrichedQuery.toLowerCase().split(/\s+/).filter(w => w.length > 2 && !STOP_WORDS.has(w));
+
+  // Resolve any time references in the query to a date range for boosting.
+  // An explicit date filter already decides the period, so it replaces the guess.
+  const timeRange = (filters.dateFrom || filters.dateTo) ? null : resolveTimeReference(query);
+
+  // With filters, resolve the documents in scope up front; nothing in scope means nothing to find
+  const scopeIds = hasFilters(filters) ? await scopedDocumentIds(clientId, filters) : null;
+  if (scopeIds && scopeIds.size === 0) {
+    return { documents: [], chunks: [], rerank: null };
+  }
+
+  const lexicalChunks = fusionWeights.lexical > 0
+    ? (await searchLexicalChunks(clientId, enrichedQuery)).filter(c => !scopeIds || scopeIds.has(c.document_id))
+    : [];
+
+  const chunkSelection = { minSimilarity, chunkLimit };
+  const context = { clientId, limit, boostGlobal, fusionWeights, queryEmbedding, embeddingModel, queryWords, timeRange, lexicalChunks, enrichedQuery, rerank, scopeIds, chunkSelection };
+
+  if (mode === 'chunks') {
+    return chunkFirstSearch(context);
+  }
+  return documentFirstSearch(context);
+}
+
+/**
+ * Document-then-chunk retrieval: top documents by boosted summary similarity,
+ * then the nearest chunks inside them.
+ */
+async function documentFirstSearch({ clientId, limit, boostGlobal, fusionWeights, queryEmbedding, embeddingModel, queryWords, timeRange, lexicalChunks, enrichedQuery, rerank, scopeIds, chunkSelection }) {
+  // Title terms are sent to the RPC as ILIKE patterns, so strip anything that isn't a word character
+  const titleTerms = [...new Set(queryWords.map(w => w.replace(/[^\p{L}\p{N}-]/gu, '')).filter(w => w.length > 2))];
+
+  // Lexical documents are passed to the vector RPC so they get a real cosine similarity too
+  const lexicalDocIds = [...new Set(lexicalChunks.map(c => c.document_id))];
+
+  // A small filtered scope is passed in full so every in-scope document is a candidate
+  const scopedDocIds = scopeIds && scopeIds.size <= SCOPED_DOCUMENT_LIMIT ? [...scopeIds] : [];
+
+  // Nearest documents for this client (including global sources), plus title and lexical matches
+  const { data: matched, error: matchError } = await db.rpc('match_documents', {
+    query_embedding: queryEmbedding,
+    match_client_id: clientId,
+    match_count: Math.max(DOCUMENT_CANDIDATES, limit * 4),
+    title_terms: titleTerms,
+    include_document_ids: [...new Set([...lexicalDocIds, ...scopedDocIds])],
+    match_model: embeddingModel,
+  });
+
+  if (matchError) throw matchError;
+
+  const candidates = scopeIds ? (matched || []).filter(c => scopeIds.has(c.id)) : matched;
+
+  if (!candidates || candidates.length === 0) {
+    await assertCorpusModel(clientId, embeddingModel);
+    return { documents: [], chunks: [], rerank: null };
+  }
+
+  const { data: documents, error: docError } = await db
+    .from('documents')
+    .select(DOCUMENT_COLUMNS)
+    .in('id', candidates.map(c => c.id));
+
+  if (docError) throw docError;
+
+  const similarityById = new Map(candidates.map(c => [c.id, c.similarity || 0]));
+
+  // Score documents by combining embedding similarity with title/keyword/date/global boosts
+  const scoredDocs = (documents || []).map(doc => {
+    const similarity = similarityById.get(doc.id) || 0;
+    const boost = documentBoost(doc, queryWords, timeRange, boostGlobal);
     return {
       ...doc,
-      similarity_score: Math.min(similarity + titleBoost + dateBoost + globalBoost, 1.0) // Cap at 1.0
+      similarity_score: Math.min(similarity + boost, 1.0) // Cap at 1.0
     };
   });
 
+  // Best lexical rank per document (chunks come back best-first)
+  const lexicalScoreByDoc = new Map();
+  for (const chunk of lexicalChunks) {
+    if (!lexicalScoreByDoc.has(chunk.document_id)) {
+      lexicalScoreByDoc.set(chunk.document_id, chunk.rank);
+    }
+  }
+
+  // Fuse the boosted vector ranking with the lexical ranking
+  const docFusion = reciprocalRankFusion([
+    { ids: [...scoredDocs].sort((a, b) => b.similarity_score - a.similarity_score).map(d => d.id), weight: fusionWeights.vector },
+    { ids: [...lexicalScoreByDoc.keys()], weight: fusionWeights.lexical },
+  ], fusionWeights.k);
+
   // Get top documents
   const topDocs = scoredDocs
-    .sort((a, b) => b.similarity_score - a.similarity_score)
+    .map(doc => ({
+      ...doc,
+      lexical_score: lexicalScoreByDoc.get(doc.id) || 0,
+      fused_score: docFusion.get(doc.id) || 0
+    }))
+    .sort((a, b) => b.fused_score - a.fused_score)
     .slice(0, limit);
 
-  // Get chunks from top documents for more precise context
+  // Get the nearest chunks from top documents for more precise context
   const docIds = topDocs.map(d => d.id);
 
-  const { data: chunks, error: chunkError } = await supabase
-    .from('document_chunks')
-    .select('*')
-    .in('document_id', docIds);
+  const topLexicalChunks = lexicalChunks.filter(c => docIds.includes(c.document_id));
+
+  const { data: chunks, error: chunkError } = await db.rpc('match_document_chunks', {
+    query_embedding: queryEmbedding,
+    match_document_ids: docIds,
+    match_count: CHUNK_CANDIDATES,
+    include_chunk_ids: topLexicalChunks.map(c => c.id),
+    match_model: embeddingModel,
+  });
+
+  if (chunkError) {
+    console.error('Error matching document chunks:', chunkError.message);
+  }
 
   let relevantChunks = [];
+  let rerankReport = null;
 
   if (!chunkError && chunks && chunks.length > 0) {
-    // Score chunks
-    const scoredChunks = chunks.map(chunk => {
-      let embedding;
-      try {
-        embedding = JSON.parse(chunk.embedding || '[]');
-      } catch {
-        embedding = [];
-      }
+    const lexicalRankByChunk = new Map(topLexicalChunks.map(c => [c.id, c.rank]));
+    const fullLexicalMatches = new Set(topLexicalChunks.filter(c => c.matches_all).map(c => c.id));
+    const chunkFusion = reciprocalRankFusion([
+      { ids: [...chunks].sort((a, b) => b.similarity - a.similarity).map(c => c.id), weight: fusionWeights.vector },
+      { ids: topLexicalChunks.map(c => c.id), weight: fusionWeights.lexical },
+    ], fusionWeights.k);
 
-      const similarity = cosineSimilarity(queryEmbedding, embedding);
+    const scoredChunks = chunks.map(chunk => {
       const parentDoc = topDocs.find(d => d.id === chunk.document_id);
-
-      // Tag chunk with its position in the document
-      const totalChunksInDoc = chunks.filter(c => c.document_id === chunk.document_id).length;
-      let position = 'middle';
-      if (chunk.chunk_index === 0) position = 'beginning';
-      else if (totalChunksInDoc > 0 && chunk.chunk_index >= totalChunksInDoc - 1) position = 'end';
-
       return {
         ...chunk,
-        similarity_score: similarity,
+        similarity_score: chunk.similarity,
+        lexical_score: lexicalRankByChunk.get(chunk.id) || 0,
+        lexical_match_all: fullLexicalMatches.has(chunk.id),
+        fused_score: chunkFusion.get(chunk.id) || 0,
         documentTitle: parentDoc?.title || parentDoc?.file_name || 'Unknown',
         documentId: chunk.document_id,
-        position
+        position: chunkPosition(chunk.chunk_index, parentDoc?.chunk_count || 0)
       };
     });
 
-    // Filter to relevant chunks (raised threshold from 0.3 to 0.4)
-    const filtered = scoredChunks
-      .filter(c => c.similarity_score > 0.4)
-      .sort((a, b) => b.similarity_score - a.similarity_score);
-
-    // Deduplicate overlapping chunks from the same document.
-    // Adjacent chunks share ~200 chars of overlap — keep the higher-scoring one.
-    const deduped = [];
-    for (const chunk of filtered) {
-      const isDuplicate = deduped.some(existing =>
-        existing.document_id === chunk.document_id &&
-        Math.abs(existing.chunk_index - chunk.chunk_index) === 1 &&
-        textOverlap(existing.content, chunk.content) > 0.3
-      );
-      if (!isDuplicate) {
-        deduped.push(chunk);
-      }
-    }
+    ({ chunks: relevantChunks, rerankReport } = await finalizeChunks(enrichedQuery, scoredChunks, rerank, chunkSelection));
+  }
 
-    relevantChunks = deduped.slice(0, 6);
+  return {
+    documents: topDocs,
+    chunks: relevantChunks,
+    rerank: rerankReport
+  };
+}
+
+/**
+ * Chunk-first retrieval: nearest chunks across the whole client corpus (plus global
+ * sources), fused with the lexical ranking, then grouped by document for citation.
+ */
+async function chunkFirstSearch({ clientId, limit, boostGlobal, fusionWeights, queryEmbedding, embeddingModel, queryWords, timeRange, lexicalChunks, enrichedQuery, rerank, scopeIds, chunkSelection }) {
+  // A small filtered scope is searched directly; otherwise rank the whole corpus
+  // (with a wider net when filtering) and drop what's out of scope
+  const searchScope = scopeIds && scopeIds.size <= SCOPED_DOCUMENT_LIMIT;
+  const { data: matched, error: chunkError } = searchScope
+    ? await db.rpc('match_document_chunks', {
+      query_embedding: queryEmbedding,
+      match_document_ids: [...scopeIds],
+      match_count: CORPUS_CHUNK_CANDIDATES,
+      include_chunk_ids: lexicalChunks.map(c => c.id),
+      match_model: embeddingModel,
+    })
+    : await db.rpc('match_client_chunks', {
+      query_embedding: queryEmbedding,
+      match_client_id: clientId,
+      match_count: CORPUS_CHUNK_CANDIDATES * (scopeIds ? 3 : 1),
+      include_chunk_ids: lexicalChunks.map(c => c.id),
+      match_model: embeddingModel,
+    });
+
+  if (chunkError) throw chunkError;
+
+  const chunks = scopeIds ? (matched || []).filter(c => scopeIds.has(c.document_id)) : matched;
+
+  if (!chunks || chunks.length === 0) {
+    await assertCorpusModel(clientId, embeddingModel);
+    return { documents: [], chunks: [], rerank: null };
+  }
+
+  const { data: documents, error: docError } = await db
+    .from('documents')
+    .select(DOCUMENT_COLUMNS)
+    .in('id', [...new Set(chunks.map(c => c.document_id))]);
+
+  if (docError) throw docError;
+
+  const docsById = new Map((documents || []).map(d => [d.id, d]));
+  const boostByDoc = new Map((documents || []).map(d => [d.id, documentBoost(d, queryWords, timeRange, boostGlobal)]));
+  const lexicalRankByChunk = new Map(lexicalChunks.map(c => [c.id, c.rank]));
+  const fullLexicalMatches = new Set(lexicalChunks.filter(c => c.matches_all).map(c => c.id));
+
+  // Each chunk is ranked by its own similarity plus its document's boosts
+  const boosted = chunks
+    .filter(c => docsById.has(c.document_id))
+    .map(c => ({ ...c, boosted_score: c.similarity + (boostByDoc.get(c.document_id) || 0) }));
+
+  const chunkFusion = reciprocalRankFusion([
+    { ids: [...boosted].sort((a, b) => b.boosted_score - a.boosted_score).map(c => c.id), weight: fusionWeights.vector },
+    { ids: lexicalChunks.map(c => c.id), weight: fusionWeights.lexical },
+  ], fusionWeights.k);
+
+  const scoredChunks = boosted.map(chunk => {
+    const parentDoc = docsById.get(chunk.document_id);
+    return {
+      ...chunk,
+      similarity_score: chunk.similarity,
+      lexical_score: lexicalRankByChunk.get(chunk.id) || 0,
+      lexical_match_all: fullLexicalMatches.has(chunk.id),
+      fused_score: chunkFusion.get(chunk.id) || 0,
+      documentTitle: parentDoc.title || parentDoc.file_name || 'Unknown',
+      documentId: chunk.document_id,
+      position: chunkPosition(chunk.chunk_index, parentDoc.chunk_count || 0)
+    };
+  });
+
+  const { chunks: relevantChunks, rerankReport } = await finalizeChunks(enrichedQuery, scoredChunks, rerank, chunkSelection);
+
+  // Group by document for citation, ordered by each document's best chunk.
+  // A document's score is its best chunk's boosted similarity, so the usual
+  // similarity_score thresholds downstream keep working.
+  const grouped = new Map();
+  for (const chunk of relevantChunks) {
+    const doc = docsById.get(chunk.document_id);
+    if (!grouped.has(doc.id)) {
+      grouped.set(doc.id, {
+        ...doc,
+        similarity_score: Math.min(chunk.boosted_score, 1.0),
+        lexical_score: chunk.lexical_score,
+        fused_score: chunk.fused_score,
+        matched_chunks: 0
+      });
+    }
+    grouped.get(doc.id).matched_chunks++;
   }
 
+  const topDocs = [...grouped.values()].slice(0, limit);
+  const topDocIds = new Set(topDocs.map(d => d.id));
+
   return {
     documents: topDocs,
-    chunks: relevantChunks
+    chunks: relevantChunks.filter(c => topDocIds.has(c.document_id)),
+    rerank: rerankReport
   };
 }
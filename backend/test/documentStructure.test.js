@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkStructuredText } from '../services/documentStructure.js';
+
+const paragraph = Array.from({ length: 40 }, (_, i) => `Sentence ${i} covers the spring campaign.`).join(' ');
+const table = ['| Week | Spend |', '| --- | --- |', ...Array.from({ length: 60 }, (_, i) => `| ${i + 1} | ${i * 100} |`)].join('\n');
+const text = `# Plan\n\n<!-- page: 1 -->\n${paragraph}\n<!-- page: 2 -->\n${paragraph}\n\n${table}\n`;
+
+test('pieces of a split block point at their own text', () => {
+  const chunks = chunkStructuredText(text, 500, 100);
+  assert.ok(chunks.length > 4);
+
+  for (const chunk of chunks) {
+    const lines = chunk.text.replace(/^Plan\n\n/, '').split('\n');
+    const source = text.slice(chunk.startIndex, chunk.endIndex);
+    // A table piece repeats the header, which isn't part of its range
+    const first = lines[0].startsWith('| Week') ? lines[2] : lines[0].slice(0, 30);
+    assert.ok(source.startsWith(first), `chunk at ${chunk.startIndex} starts with its text`);
+    assert.ok(source.endsWith(lines[lines.length - 1].slice(-20)), `chunk at ${chunk.startIndex} ends with its text`);
+  }
+
+  const starts = chunks.map(c => c.startIndex);
+  assert.deepEqual(starts, [...starts].sort((a, b) => a - b));
+  assert.equal(new Set(starts).size, starts.length);
+  assert.equal(chunks[0].pageStart, 1);
+  assert.equal(chunks[0].pageEnd, 1);
+  assert.equal(chunks[chunks.length - 1].pageStart, 2);
+});
@@ -0,0 +1,84 @@
+/**
+ * In-memory stand-in for the Supabase client, for tests that exercise services
+ * against the query-builder calls they make. Tables are plain arrays of rows;
+ * `failTable(name, message)` makes every query on a table return an error, and
+ * `rpcs` maps RPC names to handlers. `defaults` gives per-table column defaults
+ * for inserted rows, like the table's DEFAULT clauses, and `maxRows` caps what
+ * one select returns, like PostgREST's max-rows.
+ */
+export function createFakeSupabase(tables = {}, { defaults = {}, maxRows = Infinity } = {}) {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(r => ({ ...r }))]));
+  const failing = new Map();
+  const rpcs = {};
+  let nextId = 1;
+
+  function from(table) {
+    if (!db[table]) db[table] = [];
+    let op = 'select';
+    let rows = null;
+    let patch = null;
+    let single = false;
+    let maybe = false;
+    let rowLimit = Infinity;
+    let offset = 0;
+    const filters = [];
+
+    const query = {
+      select() { return query; },
+      order() { return query; },
+      or() { return query; },
+      limit(count) { rowLimit = count; return query; },
+      range(from, to) { offset = from; rowLimit = to - from + 1; return query; },
+      eq(column, value) { filters.push(r => r[column] === value); return query; },
+      neq(column, value) { filters.push(r => r[column] !== value); return query; },
+      is(column, value) { filters.push(r => (r[column] ?? null) === value); return query; },
+      in(column, values) { filters.push(r => values.includes(r[column])); return query; },
+      lte(column, value) { filters.push(r => r[column] <= value); return query; },
+      insert(newRows) { op = 'insert'; rows = newRows; return query; },
+      update(fields) { op = 'update'; patch = fields; return query; },
+      upsert(row) { op = 'insert'; rows = [].concat(row); return query; },
+      delete() { op = 'delete'; return query; },
+      single() { single = true; return query; },
+      maybeSingle() { single = true; maybe = true; return query; },
+      then(resolve, reject) {
+        if (failing.has(table)) {
+          return Promise.resolve({ data: null, error: { message: failing.get(table) } }).then(resolve, reject);
+        }
+
+        let data;
+        if (op === 'insert') {
+          data = rows.map(r => ({ id: `${table}-${nextId++}`, ...defaults[table], ...r }));
+          db[table].push(...data);
+        } else {
+          data = db[table].filter(r => filters.every(f => f(r)));
+          if (op === 'update') data.forEach(r => Object.assign(r, patch));
+          if (op === 'delete') db[table] = db[table].filter(r => !data.includes(r));
+          data = data.slice(offset, offset + Math.min(rowLimit, maxRows));
+        }
+        data = data.map(r => ({ ...r }));
+
+        if (single) {
+          if (data.length === 0 && !maybe) {
+            return Promise.resolve({ data: null, error: { message: 'No rows', code: 'PGRST116' } }).then(resolve, reject);
+          }
+          data = data[0] ?? null;
+        }
+        return Promise.resolve({ data, error: null }).then(resolve, reject);
+      }
+    };
+    return query;
+  }
+
+  return {
+    db,
+    rpcs,
+    failTable(table, message) { failing.set(table, message); },
+    restoreTable(table) { failing.delete(table); },
+    install(client) {
+      client.from = from;
+      client.rpc = async (name, params) => rpcs[name]
+        ? { data: await rpcs[name](params), error: null }
+        : { data: null, error: { message: `No fake RPC named ${name}` } };
+    }
+  };
+}
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:1';
+process.env.SUPABASE_SECRET_KEY ||= 'test';
+process.env.GOOGLE_CREDENTIALS_JSON ||= JSON.stringify({ client_email: 'sync@test', private_key: 'key' });
+
+const { supabase } = await import('../config/supabase.js');
+const { google } = await import('googleapis');
+const { createFakeSupabase } = await import('./fakeSupabase.js');
+const { hashContent } = await import('../services/googleDocs.js');
+const { syncClientSources, syncGoogleSource } = await import('../services/googleSync.js');
+const { documentJobHandlers } = await import('../services/documentProcessor.js');
+
+// The Doc as Google currently serves it
+const remote = { modifiedTime: '2026-03-01T00:00:00.000Z', text: 'The spring campaign now targets families.\n' };
+google.drive = () => ({ files: { get: async () => ({ data: { modifiedTime: remote.modifiedTime } }) } });
+google.docs = () => ({
+  documents: {
+    get: async () => ({
+      data: { title: 'Campaign brief', body: { content: [{ paragraph: { elements: [{ textRun: { content: remote.text } }] } }] } }
+    })
+  }
+});
+
+test('a re-sync whose job fails for good is queued again by the next sync', async () => {
+  const fake = createFakeSupabase({
+    documents: [{
+      id: 'doc-1',
+      client_id: 'client-1',
+      file_name: 'Campaign brief',
+      file_type: 'google_doc',
+      google_doc_id: 'gdoc-1',
+      source_type: 'google',
+      content_hash: hashContent('The spring campaign targets students.\n'),
+      google_modified_time: '2026-02-01T00:00:00.000Z',
+      processed: true,
+      chunk_count: 3,
+      summary: 'Spring campaign brief'
+    }],
+    processing_jobs: []
+  });
+  fake.install(supabase);
+
+  const sourceRow = () => fake.db.documents.find(d => d.id === 'doc-1');
+  const before = { ...sourceRow() };
+
+  const first = await syncGoogleSource(sourceRow());
+  assert.equal(first.status, 'changed');
+  assert.equal(sourceRow().content_hash, before.content_hash, 'hash is not stored before the job succeeds');
+  assert.equal(sourceRow().google_modified_time, before.google_modified_time);
+
+  // The re-index job fails on every attempt
+  const job = fake.db.processing_jobs.find(j => j.id === first.jobId);
+  fake.failTable('document_chunks', 'connection reset');
+  const handler = documentJobHandlers.process_google;
+  const error = await handler.run(job, { reportProgress: async () => {} }).then(() => null, e => e);
+  assert.ok(error, 'job fails');
+  await handler.onFailure(job, error);
+  fake.restoreTable('document_chunks');
+  assert.equal(sourceRow().processed, true, 'the indexed version stays searchable');
+  assert.equal(sourceRow().summary, before.summary);
+
+  const second = await syncGoogleSource(sourceRow());
+  assert.equal(second.status, 'changed');
+  assert.notEqual(second.jobId, first.jobId);
+  assert.equal(fake.db.processing_jobs.find(j => j.id === second.jobId).payload.documentFields.content_hash, hashContent(remote.text));
+});
+
+test('a sync checks every source, past the 1000 rows one select returns', async () => {
+  const docs = Array.from({ length: 1200 }, (_, i) => ({
+    id: `doc-${String(i).padStart(4, '0')}`,
+    client_id: 'client-2',
+    file_name: `Brief ${i}`,
+    file_type: 'google_doc',
+    google_doc_id: `gdoc-${i}`,
+    source_type: 'google',
+    drive_folder_id: null,
+    google_modified_time: remote.modifiedTime
+  }));
+  const fake = createFakeSupabase({ documents: docs, drive_folders: [], google_sync_runs: [] }, { maxRows: 1000 });
+  fake.install(supabase);
+
+  const result = await syncClientSources('client-2');
+  assert.equal(result.checked, 1200);
+  assert.equal(result.unchanged, 1200);
+});
@@ -0,0 +1,94 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SUPABASE_URL ||= 'http://localhost:1';
+process.env.SUPABASE_SECRET_KEY ||= 'test';
+
+const { supabase } = await import('../config/supabase.js');
+const { createFakeSupabase } = await import('./fakeSupabase.js');
+const { enqueueJob, cancelJob, startJobWorker, stopJobWorker } = await import('../services/jobQueue.js');
+
+const fake = createFakeSupabase({ processing_jobs: [] }, {
+  defaults: { processing_jobs: { status: 'queued', attempts: 0, max_attempts: 5, cancel_requested: false } }
+});
+fake.install(supabase);
+
+// Same effect as claim_processing_job for a queued job
+fake.rpcs.claim_processing_job = ({ worker_id }) => {
+  const job = fake.db.processing_jobs.find(j => j.status === 'queued');
+  if (!job) return [];
+  Object.assign(job, { status: 'running', attempts: (job.attempts || 0) + 1, locked_by: worker_id, locked_at: new Date().toISOString() });
+  return [{ ...job }];
+};
+
+// Handlers wait on these so the test decides when each step happens
+const steps = new Map();
+const step = (name) => new Promise(resolve => steps.set(name, resolve));
+const release = (name) => steps.get(name)?.();
+const failures = [];
+
+startJobWorker({
+  pollIntervalMs: 60000,
+  handlers: {
+    test_job: {
+      async run(job, { reportProgress }) {
+        await reportProgress({ stage: 'working' });
+        await step(`${job.id}:progress`);
+        await reportProgress({ stage: 'last-progress' });
+        await step(`${job.id}:commit`);
+      },
+      onFailure: (job, error) => failures.push([job.id, error.name])
+    }
+  }
+});
+after(stopJobWorker);
+
+const waitFor = async (predicate) => {
+  for (let i = 0; i < 200 && !predicate(); i++) await new Promise(r => setTimeout(r, 5));
+  assert.ok(predicate(), 'condition reached');
+};
+const jobRow = (id) => fake.db.processing_jobs.find(j => j.id === id);
+
+test('a running job cancelled before its last progress report stops and is marked cancelled', async () => {
+  const job = await enqueueJob({ type: 'test_job', clientId: 'client-1' });
+  await waitFor(() => steps.has(`${job.id}:progress`));
+
+  const cancelled = await cancelJob('client-1', job.id);
+  assert.equal(cancelled.status, 'running', 'only flagged while running');
+  assert.equal(failures.length, 0, 'failure hook waits for the handler to stop');
+
+  release(`${job.id}:progress`);
+  await waitFor(() => jobRow(job.id).status === 'cancelled');
+  assert.deepEqual(failures, [[job.id, 'JobCancelledError']]);
+  assert.equal(steps.has(`${job.id}:commit`), false, 'handler stopped at its progress report');
+});
+
+test('a cancel that arrives after the last progress report lets the job finish', async () => {
+  failures.length = 0;
+  const job = await enqueueJob({ type: 'test_job', clientId: 'client-1' });
+  await waitFor(() => steps.has(`${job.id}:progress`));
+  release(`${job.id}:progress`);
+  await waitFor(() => steps.has(`${job.id}:commit`));
+
+  await cancelJob('client-1', job.id);
+  release(`${job.id}:commit`);
+  await waitFor(() => jobRow(job.id).status !== 'running');
+
+  assert.equal(jobRow(job.id).status, 'succeeded');
+  assert.equal(failures.length, 0, 'a committed job is not reported as failed');
+});
+
+test('a run whose job was reclaimed stops without touching the new claim', async () => {
+  failures.length = 0;
+  const job = await enqueueJob({ type: 'test_job', clientId: 'client-1' });
+  await waitFor(() => steps.has(`${job.id}:progress`));
+
+  // The heartbeat went stale and this same worker claimed the job again
+  jobRow(job.id).attempts++;
+  release(`${job.id}:progress`);
+  await new Promise(r => setTimeout(r, 50));
+
+  assert.equal(steps.has(`${job.id}:commit`), false, 'the stale run stopped');
+  assert.equal(jobRow(job.id).status, 'running', 'the new claim still owns the job');
+  assert.equal(failures.length, 0);
+});
@@ -0,0 +1,24 @@
+import api from './axios';
+
+// Agency-level search and chat across the clients the signed-in user can see
+export const agencyApi = {
+  // Clients the user can search (podNumber narrows to one pod)
+  getClients: async (podNumber = null) => {
+    const { data } = await api.get('/api/agency/clients', {
+      params: podNumber ? { podNumber } : {},
+    });
+    return data.data;
+  },
+
+  // Search across clients; results come back grouped by client
+  search: async (query, { podNumber = null, clientIds, limit = 3, filters = null } = {}) => {
+    const { data } = await api.post('/api/agency/search', { query, podNumber, clientIds, limit, filters });
+    return data.data;
+  },
+
+  // Ask a question across clients; the answer is organised by client with per-client citations
+  chat: async (message, { podNumber = null, clientIds, filters = null, conversationHistory = [] } = {}) => {
+    const { data } = await api.post('/api/agency/chat', { message, podNumber, clientIds, filters, conversationHistory });
+    return data.data;
+  },
+};
@@ -25,20 +25,22 @@ export const api = axios.create({
   },
 });
 
+// Auth headers (API key or JWT) - also used by fetch-based streaming requests
+export const getAuthHeaders = async () => {
+  const apiKey = sessionStorage.getItem('dodeka-embed-key');
+  if (apiKey) {
+    // Embed mode: use API key
+    return { 'X-API-Key': apiKey };
+  }
+  // Normal mode: use Supabase JWT
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
 // Request interceptor - add auth (API key or JWT)
 api.interceptors.request.use(
   async (config) => {
-    const apiKey = sessionStorage.getItem('dodeka-embed-key');
-    if (apiKey) {
-      // Embed mode: use API key
-      config.headers['X-API-Key'] = apiKey;
-    } else {
-      // Normal mode: use Supabase JWT
-      const { data: { session } } = await supabase.auth.getSession();
-      if (session?.access_token) {
-        config.headers.Authorization = `Bearer ${session.access_token}`;
-      }
-    }
+    Object.assign(config.headers, await getAuthHeaders());
     return config;
   },
   (error) => {
@@ -1,4 +1,4 @@
-import api from './axios';
+import api, { getAuthHeaders } from './axios';
 
 export const chatApi = {
   // Get chat history for a specific conversation
@@ -25,15 +25,34 @@ export const chatApi = {
     return data;
   },
 
+  // Get the rolling summary of a conversation (null until one has been written)
+  getConversationSummary: async (clientId, conversationId) => {
+    const { data } = await api.get(`/api/chat/${clientId}/conversations/${conversationId}/summary`);
+    return data.data;
+  },
+
+  // Replace a conversation's summary with edited text
+  updateConversationSummary: async (clientId, conversationId, summary) => {
+    const { data } = await api.put(`/api/chat/${clientId}/conversations/${conversationId}/summary`, { summary });
+    return data.data;
+  },
+
+  // Summarize a conversation now
+  refreshConversationSummary: async (clientId, conversationId) => {
+    const { data } = await api.post(`/api/chat/${clientId}/conversations/${conversationId}/summary/refresh`);
+    return data.data;
+  },
+
   // Cleanup old messages (30+ days)
   cleanupOldMessages: async (clientId) => {
     const { data } = await api.post(`/api/chat/${clientId}/cleanup`);
     return data;
   },
 
-  // Send message (with optional images and source image options)
+  // Send message (with optional images and source image options). options.filters
+  // limits retrieval to matching sources ({ customGroup, dateFrom, documentIds, ... })
   sendMessage: async (clientId, message, options = {}) => {
-    const { images = [], includeSourceImages = false, sourceDocumentIds = [], conversationId = null } = options;
+    const { images = [], includeSourceImages = false, sourceDocumentIds = [], conversationId = null, filters = null } = options;
 
     if (images.length > 0 || includeSourceImages || sourceDocumentIds.length > 0) {
       const formData = new FormData();
@@ -42,6 +61,9 @@ export const chatApi = {
       if (conversationId) {
         formData.append('conversationId', conversationId);
       }
+      if (filters) {
+        formData.append('filters', JSON.stringify(filters));
+      }
 
       if (sourceDocumentIds.length > 0) {
         formData.append('sourceDocumentIds', JSON.stringify(sourceDocumentIds));
@@ -57,11 +79,87 @@ export const chatApi = {
       });
       return data.data;
     } else {
-      const { data } = await api.post(`/api/chat/${clientId}`, { message, conversationId });
+      const { data } = await api.post(`/api/chat/${clientId}`, { message, conversationId, filters });
       return data.data;
     }
   },
 
+  // Send message and stream the answer over SSE. handlers.onDelta(text) gets answer
+  // text as it arrives, handlers.onTool(operation) each sheet tool call (text streamed
+  // before it was preamble), handlers.onVerifying() when the grounding check starts.
+  // Resolves with the same data as sendMessage; abort options.signal to cancel (the
+  // turn is then not saved).
+  streamMessage: async (clientId, message, options = {}, handlers = {}) => {
+    const { images = [], includeSourceImages = false, sourceDocumentIds = [], conversationId = null, filters = null, signal } = options;
+    const headers = await getAuthHeaders();
+    let body;
+
+    if (images.length > 0 || includeSourceImages || sourceDocumentIds.length > 0) {
+      body = new FormData();
+      body.append('message', message);
+      body.append('includeSourceImages', includeSourceImages);
+      if (conversationId) {
+        body.append('conversationId', conversationId);
+      }
+      if (filters) {
+        body.append('filters', JSON.stringify(filters));
+      }
+      if (sourceDocumentIds.length > 0) {
+        body.append('sourceDocumentIds', JSON.stringify(sourceDocumentIds));
+      }
+      images.forEach((image) => {
+        body.append('images', image);
+      });
+    } else {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify({ message, conversationId, filters });
+    }
+
+    const response = await fetch(`${api.defaults.baseURL}/api/chat/${clientId}/stream`, {
+      method: 'POST',
+      headers,
+      body,
+      signal,
+    });
+
+    // Errors before generation starts come back as plain JSON
+    if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.error || `Chat failed: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // SSE messages are separated by a blank line
+      const messages = buffer.split('\n\n');
+      buffer = messages.pop();
+      for (const sseMessage of messages) {
+        const event = sseMessage.match(/^event: (.*)$/m)?.[1];
+        const data = sseMessage.match(/^data: (.*)$/m)?.[1];
+        if (!event || !data) continue;
+        const payload = JSON.parse(data);
+
+        if (event === 'start') handlers.onStart?.(payload);
+        else if (event === 'delta') handlers.onDelta?.(payload.text);
+        else if (event === 'tool') handlers.onTool?.(payload);
+        else if (event === 'verifying') handlers.onVerifying?.();
+        else if (event === 'done') result = payload;
+        else if (event === 'error') throw new Error(payload.error);
+      }
+    }
+
+    if (!result) throw new Error('The answer stream ended unexpectedly');
+    return result;
+  },
+
   // Clear chat history
   clearHistory: async (clientId) => {
     const { data } = await api.delete(`/api/chat/${clientId}`);
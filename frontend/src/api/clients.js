@@ -36,6 +36,32 @@ export const clientsApi = {
     return data;
   },
 
+  // List remembered facts about a client (status: 'proposed' | 'approved')
+  getMemory: async (id, status = null) => {
+    const { data } = await api.get(`/api/clients/${id}/memory`, {
+      params: status ? { status } : {},
+    });
+    return data.data;
+  },
+
+  // Remember a fact about a client, optionally with the chat message it came from
+  addMemory: async (id, { fact, conversationId = null, messageId = null }) => {
+    const { data } = await api.post(`/api/clients/${id}/memory`, { fact, conversationId, messageId });
+    return data.data;
+  },
+
+  // Edit or approve a remembered fact
+  updateMemory: async (id, memoryId, updates) => {
+    const { data } = await api.patch(`/api/clients/${id}/memory/${memoryId}`, updates);
+    return data.data;
+  },
+
+  // Forget a fact
+  deleteMemory: async (id, memoryId) => {
+    const { data } = await api.delete(`/api/clients/${id}/memory/${memoryId}`);
+    return data;
+  },
+
   // Generate or regenerate API key
   generateApiKey: async (id) => {
     const { data } = await api.post(`/api/clients/${id}/api-key`);
@@ -1,4 +1,4 @@
-import api from './axios';
+import api, { getAuthHeaders } from './axios';
 
 export const documentsApi = {
   // Get all documents for a client (includes global sources)
@@ -32,11 +32,12 @@ export const documentsApi = {
     return data;
   },
 
-  // Search documents
-  search: async (clientId, query, limit = 5) => {
+  // Search documents (filters: { customGroup, sourceType, dateFrom, dateTo, documentIds, ... })
+  search: async (clientId, query, limit = 5, filters = null) => {
     const { data } = await api.post(`/api/documents/search/${clientId}`, {
       query,
       limit,
+      filters,
     });
     return data.data;
   },
@@ -59,6 +60,63 @@ export const documentsApi = {
     return data;
   },
 
+  // Recent manual and scheduled sync runs, plus the client's sync interval
+  getSyncHistory: async (clientId, limit = 10) => {
+    const { data } = await api.get(`/api/documents/${clientId}/sync-history`, { params: { limit } });
+    return data.data;
+  },
+
+  // How often the client's Google sources are checked (null = default, 0 = off)
+  updateSyncSchedule: async (clientId, intervalMinutes) => {
+    const { data } = await api.put(`/api/documents/${clientId}/sync-schedule`, { intervalMinutes });
+    return data.data;
+  },
+
+  // Per-source override of the sync interval (null = client default, 0 = off)
+  updateSyncInterval: async (documentId, intervalMinutes) => {
+    const { data } = await api.put(`/api/documents/${documentId}/sync-interval`, { intervalMinutes });
+    return data.data;
+  },
+
+  // Add a Google Drive folder as a source; returns the folder plus sync totals (added, failed)
+  addDriveFolder: async (clientId, url, isGlobal = false, group = null) => {
+    const { data } = await api.post(`/api/documents/${clientId}/drive-folder`, { url, isGlobal, group });
+    return data;
+  },
+
+  // Drive folder sources for a client (includes global folders)
+  getDriveFolders: async (clientId) => {
+    const { data } = await api.get(`/api/documents/${clientId}/drive-folders`);
+    return data.data;
+  },
+
+  // Pick up new, changed and removed files in a Drive folder now
+  syncDriveFolder: async (folderId, clientId) => {
+    const { data } = await api.post(`/api/documents/drive-folders/${folderId}/sync`, { clientId });
+    return data;
+  },
+
+  // Remove a Drive folder source and its documents
+  deleteDriveFolder: async (folderId) => {
+    const { data } = await api.delete(`/api/documents/drive-folders/${folderId}`);
+    return data;
+  },
+
+  // A document's recorded versions, newest first (without their text)
+  getVersions: async (documentId) => {
+    const { data } = await api.get(`/api/documents/${documentId}/versions`);
+    return data.data;
+  },
+
+  // Line diff between two versions; omitted ids default to the latest change
+  diffVersions: async (documentId, fromVersionId = null, toVersionId = null) => {
+    const params = {};
+    if (fromVersionId) params.from = fromVersionId;
+    if (toVersionId) params.to = toVersionId;
+    const { data } = await api.get(`/api/documents/${documentId}/versions/diff`, { params });
+    return data.data;
+  },
+
   // Upload source via API (URL-based: Google Docs, Google Sheets, or web URLs)
   apiUpload: async (clientId, url) => {
     const { data } = await api.post(`/api/documents/${clientId}/api-upload`, { url });
@@ -77,6 +135,52 @@ export const documentsApi = {
     return data;
   },
 
+  // Subscribe to live ingestion progress (SSE). Calls onEvent(eventName, data) per event
+  // and reconnects if the stream drops. Returns a function that closes the stream.
+  streamProgress: (clientId, onEvent) => {
+    const controller = new AbortController();
+    let retryTimer = null;
+
+    const connect = async () => {
+      try {
+        const response = await fetch(`${api.defaults.baseURL}/api/documents/${clientId}/progress-stream`, {
+          headers: await getAuthHeaders(),
+          signal: controller.signal,
+        });
+        if (!response.ok) throw new Error(`Progress stream failed: ${response.status}`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+
+          // SSE messages are separated by a blank line
+          const messages = buffer.split('\n\n');
+          buffer = messages.pop();
+          for (const message of messages) {
+            const event = message.match(/^event: (.*)$/m)?.[1];
+            const data = message.match(/^data: (.*)$/m)?.[1];
+            if (event && data) onEvent(event, JSON.parse(data));
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.error('Progress stream error:', error);
+      }
+      if (!controller.signal.aborted) retryTimer = setTimeout(connect, 5000);
+    };
+
+    connect();
+    return () => {
+      clearTimeout(retryTimer);
+      controller.abort();
+    };
+  },
+
   // Get all custom groups for a client
   getGroups: async (clientId) => {
     const { data } = await api.get(`/api/documents/${clientId}/groups`);
@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { X, Send, Loader2, Building2, FileText, ExternalLink, AlertCircle, Lock } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { agencyApi } from '../api/agency';
+import clsx from 'clsx';
+
+const POD_SCOPES = [
+  { value: null, label: 'All my clients' },
+  { value: 1, label: 'Pod 1' },
+  { value: 2, label: 'Pod 2' },
+  { value: 3, label: 'Pod 3' },
+  { value: 4, label: 'Pod 4' },
+];
+
+// One client's part of an agency answer: its cited passages, linking back to the client
+function ClientCitations({ entry, onOpenClient }) {
+  const cited = entry.citations.filter((c) => c.citedCount > 0);
+  const shown = cited.length > 0 ? cited : entry.citations.slice(0, 2);
+
+  return (
+    <div className="p-3 rounded-lg border border-neutral-800 bg-neutral-900/50 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => onOpenClient(entry.client.id)}
+          className="flex items-center gap-1.5 text-sm font-medium text-neutral-200 hover:text-blue-300 transition-colors"
+        >
+          <Building2 className="w-3.5 h-3.5" />
+          {entry.client.name}
+        </button>
+        <span className="text-[10px] text-neutral-500">
+          {cited.length > 0 ? `${cited.length} cited` : 'not cited'} · {entry.sources.length} source{entry.sources.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      {shown.map((citation) => (
+        <div key={citation.chunkId} className="text-xs">
+          <div className="flex items-center gap-1.5 text-neutral-400">
+            <FileText className="w-3 h-3 flex-shrink-0" />
+            <span className="truncate">{citation.documentTitle}</span>
+            {citation.location && <span className="text-neutral-600">· {citation.location}</span>}
+            {citation.url && (
+              <a href={citation.url} target="_blank" rel="noopener noreferrer" className="text-neutral-500 hover:text-blue-300" title="Open source">
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            )}
+          </div>
+          {citation.quote?.text && (
+            <p className="mt-1 pl-4 text-neutral-500 italic line-clamp-2">"{citation.quote.text}"</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Ask a question across every client the user can see (or one pod). The answer
+// is organised by client, with each client's citations listed under it.
+export default function AgencyAskModal({ isOpen, onClose }) {
+  const [question, setQuestion] = useState('');
+  const [podNumber, setPodNumber] = useState(null);
+  const navigate = useNavigate();
+
+  const { data: accessibleClients, error: accessError } = useQuery({
+    queryKey: ['agency-clients', podNumber],
+    queryFn: () => agencyApi.getClients(podNumber),
+    enabled: isOpen,
+    retry: false,
+  });
+
+  const askMutation = useMutation({
+    mutationFn: () => agencyApi.chat(question.trim(), { podNumber }),
+  });
+
+  if (!isOpen) return null;
+
+  const result = askMutation.data;
+  const noAccess = accessError?.response?.status === 403;
+  const errorMessage = (askMutation.error || accessError)?.response?.data?.error || askMutation.error?.message;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (question.trim() && !askMutation.isPending) askMutation.mutate();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        {/* Backdrop */}
+        <div
+          className="fixed inset-0 bg-black/60 backdrop-blur-sm transition-opacity"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <div className="relative bg-neutral-900 border border-neutral-700 rounded-xl shadow-soft-lg max-w-3xl w-full p-6 max-h-[90vh] overflow-y-auto">
+          {/* Header */}
+          <div className="flex items-center justify-between mb-5">
+            <div className="flex items-center gap-3">
+              <div className="w-8 h-8 rounded-lg flex items-center justify-center bg-blue-300/15">
+                <Building2 className="w-4 h-4 text-blue-300" />
+              </div>
+              <div>
+                <h2 className="text-lg font-medium text-neutral-100">Ask Across Clients</h2>
+                <p className="text-xs text-neutral-500">
+                  {noAccess
+                    ? 'Agency search is not enabled for your account'
+                    : accessibleClients
+                      ? `Searches ${accessibleClients.length} client${accessibleClients.length === 1 ? '' : 's'} you can see`
+                      : 'Loading clients...'}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-1 hover:bg-neutral-800 rounded-lg transition-all text-neutral-500 hover:text-neutral-300"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          {noAccess ? (
+            <div className="flex flex-col items-center gap-2 py-10 text-center text-sm text-neutral-400">
+              <Lock className="w-6 h-6 text-neutral-600" />
+              {accessError.response.data?.error}
+            </div>
+          ) : (
+            <>
+              {/* Scope */}
+              <div className="flex flex-wrap gap-1.5 mb-3">
+                {POD_SCOPES.map((scope) => (
+                  <button
+                    key={scope.label}
+                    type="button"
+                    onClick={() => setPodNumber(scope.value)}
+                    className={clsx(
+                      'px-2.5 py-1 rounded-lg text-xs font-medium transition-all border',
+                      podNumber === scope.value
+                        ? 'bg-neutral-700 text-neutral-100 border-neutral-600'
+                        : 'bg-neutral-800/50 text-neutral-400 border-transparent hover:bg-neutral-800 hover:text-neutral-300'
+                    )}
+                  >
+                    {scope.label}
+                  </button>
+                ))}
+              </div>
+
+              <form onSubmit={handleSubmit} className="flex items-end gap-2">
+                <textarea
+                  value={question}
+                  onChange={(e) => setQuestion(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e);
+                  }}
+                  rows={2}
+                  autoFocus
+                  placeholder="e.g. Which clients mentioned budget cuts this quarter?"
+                  className="flex-1 bg-neutral-950 border border-neutral-700 rounded-lg px-4 py-2.5 text-neutral-100 placeholder-neutral-500 focus:outline-none focus:border-neutral-500 transition-colors resize-none text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={!question.trim() || askMutation.isPending}
+                  className="p-3 bg-success-500/15 text-success-500 rounded-lg hover:bg-success-500/25 transition-all disabled:opacity-50 disabled:cursor-not-allowed border border-success-500/25"
+                >
+                  {askMutation.isPending ? <Loader2 className="w-5 h-5 animate-spin" /> : <Send className="w-5 h-5" />}
+                </button>
+              </form>
+
+              {askMutation.isPending && (
+                <p className="mt-4 text-sm text-neutral-500 flex items-center gap-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Searching {accessibleClients?.length ?? ''} clients...
+                </p>
+              )}
+
+              {askMutation.isError && (
+                <div className="mt-4 p-3 rounded-lg bg-red-500/5 border border-red-500/20 text-sm text-red-500 flex items-center gap-2">
+                  <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                  {errorMessage || 'Something went wrong'}
+                </div>
+              )}
+
+              {result && !askMutation.isPending && (
+                <div className="mt-5 space-y-4">
+                  <div className="text-sm text-neutral-200 leading-relaxed [&_h1]:text-base [&_h2]:text-base [&_h3]:text-sm [&_h1]:font-semibold [&_h2]:font-semibold [&_h3]:font-semibold [&_h2]:mt-4 [&_h3]:mt-3 [&_p]:mb-2 [&_ul]:list-disc [&_ul]:pl-5 [&_li]:mb-1">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{result.response}</ReactMarkdown>
+                  </div>
+
+                  <p className="text-[11px] text-neutral-500">
+                    Matches in {result.clients.length} of {result.searchedClients} clients searched
+                    {result.failedClients?.length > 0 && ` · ${result.failedClients.length} could not be searched`}
+                  </p>
+
+                  {result.clients.length > 0 && (
+                    <div className="grid gap-2 sm:grid-cols-2">
+                      {result.clients.map((entry) => (
+                        <ClientCitations
+                          key={entry.client.id}
+                          entry={entry}
+                          onOpenClient={(clientId) => {
+                            onClose();
+                            navigate(`/client/${clientId}`);
+                          }}
+                        />
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
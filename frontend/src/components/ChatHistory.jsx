@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { History, Plus, Trash2, MessageSquare, ChevronRight, Loader2 } from 'lucide-react';
+import { History, Plus, Trash2, MessageSquare, ChevronRight, ChevronDown, Loader2, ScrollText, Pencil, RefreshCw } from 'lucide-react';
+import ReactMarkdown from 'react-markdown';
 import { chatApi } from '../api/chat';
 import clsx from 'clsx';
 
@@ -19,6 +20,120 @@ function formatRelativeTime(dateString) {
   return date.toLocaleDateString();
 }
 
+// Rolling summary of the open conversation: what the assistant remembers from
+// turns that no longer fit in its context. Editable, and can be refreshed on demand.
+function ConversationSummary({ clientId, conversationId }) {
+  const queryClient = useQueryClient();
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(null); // non-null while editing
+
+  const queryKey = ['conversation-summary', clientId, conversationId];
+  const { data: summary, isLoading } = useQuery({
+    queryKey,
+    queryFn: () => chatApi.getConversationSummary(clientId, conversationId),
+    staleTime: 30000,
+    refetchOnWindowFocus: false,
+    enabled: isOpen
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (text) => chatApi.updateConversationSummary(clientId, conversationId, text),
+    onSuccess: (saved) => {
+      queryClient.setQueryData(queryKey, saved);
+      setDraft(null);
+    }
+  });
+
+  const refreshMutation = useMutation({
+    mutationFn: () => chatApi.refreshConversationSummary(clientId, conversationId),
+    onSuccess: (refreshed) => {
+      queryClient.setQueryData(queryKey, refreshed);
+    }
+  });
+
+  return (
+    <div className="border-b border-neutral-800">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center gap-2 px-3 py-2 text-xs text-neutral-400 hover:text-neutral-200 transition-all"
+      >
+        <ScrollText className="w-3.5 h-3.5 text-purple-300" />
+        <span className="flex-1 text-left">Conversation summary</span>
+        {isOpen ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+      </button>
+
+      {isOpen && (
+        <div className="px-3 pb-3">
+          {isLoading ? (
+            <div className="flex justify-center py-3">
+              <Loader2 className="w-3.5 h-3.5 animate-spin text-neutral-500" />
+            </div>
+          ) : draft !== null ? (
+            <div className="space-y-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={10}
+                className="w-full bg-neutral-900 border border-neutral-700 rounded-lg p-2 text-[11px] text-neutral-200 leading-relaxed focus:outline-none focus:border-purple-300/50 resize-y"
+                placeholder="Goals, decisions and facts the assistant should keep in mind..."
+              />
+              <div className="flex justify-end gap-1">
+                <button
+                  onClick={() => setDraft(null)}
+                  className="px-2 py-1 text-[10px] text-neutral-500 hover:text-neutral-300 rounded transition-all"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={() => saveMutation.mutate(draft)}
+                  disabled={!draft.trim() || saveMutation.isPending}
+                  className="px-2 py-1 text-[10px] text-purple-300 bg-purple-300/10 hover:bg-purple-300/20 rounded transition-all disabled:opacity-50"
+                >
+                  {saveMutation.isPending ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <>
+              {summary?.summary ? (
+                <div className="max-h-60 overflow-y-auto text-[11px] text-neutral-300 leading-relaxed [&_p]:mb-1.5 [&_ul]:list-disc [&_ul]:pl-4 [&_strong]:text-neutral-100">
+                  <ReactMarkdown>{summary.summary}</ReactMarkdown>
+                </div>
+              ) : (
+                <p className="text-[11px] text-neutral-500">
+                  No summary yet. One is written automatically every few turns.
+                </p>
+              )}
+              {summary?.edited_by_user && (
+                <p className="mt-1 text-[10px] text-neutral-500">Edited by you</p>
+              )}
+              <div className="mt-2 flex items-center gap-1">
+                <button
+                  onClick={() => setDraft(summary?.summary || '')}
+                  className="flex items-center gap-1 px-2 py-1 text-[10px] text-neutral-500 hover:text-neutral-200 hover:bg-neutral-800 rounded transition-all"
+                  title="Edit summary"
+                >
+                  <Pencil className="w-3 h-3" />
+                  Edit
+                </button>
+                <button
+                  onClick={() => refreshMutation.mutate()}
+                  disabled={refreshMutation.isPending}
+                  className="flex items-center gap-1 px-2 py-1 text-[10px] text-neutral-500 hover:text-neutral-200 hover:bg-neutral-800 rounded transition-all disabled:opacity-50"
+                  title="Summarize the latest messages now"
+                >
+                  <RefreshCw className={clsx('w-3 h-3', refreshMutation.isPending && 'animate-spin')} />
+                  {summary?.summary ? 'Update' : 'Summarize now'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function ChatHistory({
   clientId,
   currentConversationId,
@@ -106,6 +221,15 @@ export default function ChatHistory({
         </button>
       </div>
 
+      {/* Summary of the open conversation */}
+      {currentConversationId && (
+        <ConversationSummary
+          key={currentConversationId}
+          clientId={clientId}
+          conversationId={currentConversationId}
+        />
+      )}
+
       {/* Conversations List */}
       <div className="flex-1 overflow-y-auto p-2 space-y-1">
         {isLoading ? (
@@ -0,0 +1,287 @@
+import { useState, useRef, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { SlidersHorizontal, X, Search, Check } from 'lucide-react';
+import { documentsApi } from '../api/documents';
+import clsx from 'clsx';
+
+// Short names for the MIME types sources are stored with
+const FILE_TYPE_LABELS = {
+  'application/pdf': 'PDF',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'XLSX',
+  'text/csv': 'CSV',
+  'text/plain': 'TXT',
+  'image/png': 'PNG',
+  'image/jpeg': 'JPG',
+  google_doc: 'Google Doc',
+  google_sheet: 'Google Sheet',
+  google_slides: 'Google Slides',
+};
+
+const SOURCE_TYPE_LABELS = { google: 'Google Docs', url: 'Web pages', google_sheets: 'Google Sheets' };
+
+const fileTypeLabel = (type) => FILE_TYPE_LABELS[type] || type.split('/').pop().slice(0, 16);
+const sourceTypeLabel = (type) => SOURCE_TYPE_LABELS[type] || type;
+
+const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+
+/**
+ * Filters with empty values removed, in the shape the chat and search APIs take.
+ * Null when nothing is set.
+ */
+export function activeScopeFilters(scope) {
+  const filters = Object.fromEntries(
+    Object.entries(scope || {}).filter(([, v]) => (Array.isArray(v) ? v.length > 0 : v !== undefined && v !== null && v !== ''))
+  );
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+// One-line description of each active filter, for the chips above the composer
+export function describeScope(scope, documents = []) {
+  const parts = [];
+  if (scope.customGroup?.length) parts.push({ key: 'customGroup', label: scope.customGroup.join(', ') });
+  if (scope.sourceType?.length) parts.push({ key: 'sourceType', label: scope.sourceType.map(sourceTypeLabel).join(', ') });
+  if (scope.fileType?.length) parts.push({ key: 'fileType', label: scope.fileType.map(fileTypeLabel).join(', ') });
+  if (scope.isGlobal !== undefined) parts.push({ key: 'isGlobal', label: scope.isGlobal ? 'Global sources only' : 'Client sources only' });
+  if (scope.dateFrom || scope.dateTo) {
+    parts.push({
+      key: 'date',
+      label: scope.dateFrom && scope.dateTo
+        ? `${scope.dateFrom} to ${scope.dateTo}`
+        : scope.dateFrom ? `From ${scope.dateFrom}` : `Until ${scope.dateTo}`
+    });
+  }
+  if (scope.tags?.length) parts.push({ key: 'tags', label: scope.tags.map((t) => `#${t}`).join(' ') });
+  if (scope.documentIds?.length) {
+    const titles = scope.documentIds.map((id) => {
+      const doc = documents.find((d) => d.id === id);
+      return doc?.title || doc?.file_name || 'Source';
+    });
+    parts.push({ key: 'documentIds', label: titles.length > 2 ? `${titles.length} sources` : titles.join(', ') });
+  }
+  return parts;
+}
+
+function ToggleChip({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={clsx(
+        'px-2 py-1 rounded-md text-[11px] border transition-all',
+        active
+          ? 'bg-blue-300/15 text-blue-300 border-blue-300/30'
+          : 'text-neutral-400 border-neutral-700 hover:text-neutral-200 hover:border-neutral-500'
+      )}
+    >
+      {children}
+    </button>
+  );
+}
+
+function Section({ title, children }) {
+  return (
+    <div className="space-y-1.5">
+      <p className="text-[10px] font-medium text-neutral-500 uppercase tracking-wider">{title}</p>
+      {children}
+    </div>
+  );
+}
+
+// Composer button and popover for limiting which sources chat answers from:
+// document groups, source and file types, global vs client sources, source date
+// range, tags and specific documents. Options come from the client's sources.
+export default function ChatScopePicker({ clientId, scope, onChange, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [docSearch, setDocSearch] = useState('');
+  const containerRef = useRef(null);
+
+  const { data: documents = [] } = useQuery({
+    queryKey: ['documents', clientId],
+    queryFn: () => documentsApi.getByClientId(clientId),
+    enabled: !!clientId && isOpen,
+  });
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const groups = distinct(documents.map((d) => d.custom_group));
+  const sourceTypes = distinct(documents.map((d) => d.source_type));
+  const fileTypes = distinct(documents.map((d) => d.file_type));
+  const tags = distinct(documents.flatMap((d) => d.tags || [])).slice(0, 30);
+  const matchingDocs = documents
+    .filter((d) => !docSearch.trim() || (d.title || d.file_name || '').toLowerCase().includes(docSearch.trim().toLowerCase()))
+    .slice(0, 50);
+
+  const activeCount = describeScope(scope, documents).length;
+
+  const toggleValue = (key, value) => {
+    const current = scope[key] || [];
+    onChange({ ...scope, [key]: current.includes(value) ? current.filter((v) => v !== value) : [...current, value] });
+  };
+  const setValue = (key, value) => onChange({ ...scope, [key]: value });
+
+  return (
+    <div ref={containerRef} className="relative flex-shrink-0">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        className={clsx(
+          'relative p-3 rounded-xl transition-all border disabled:opacity-50',
+          activeCount > 0
+            ? 'bg-blue-300/15 text-blue-300 border-blue-300/30'
+            : 'bg-blue-300/5 text-blue-300/70 border-blue-300/15 hover:bg-blue-300/10'
+        )}
+        title="Limit which sources answers come from"
+      >
+        <SlidersHorizontal className="w-5 h-5" />
+        {activeCount > 0 && (
+          <span className="absolute -top-1.5 -right-1.5 w-4 h-4 rounded-full bg-blue-300 text-neutral-950 text-[10px] font-semibold flex items-center justify-center">
+            {activeCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full right-0 mb-2 w-80 max-h-[28rem] overflow-y-auto bg-neutral-900 border border-neutral-700 rounded-xl shadow-2xl p-4 space-y-4 z-20 animate-fade-in-up">
+          <div className="flex items-center justify-between">
+            <span className="text-sm font-medium text-neutral-200">Answer only from</span>
+            <div className="flex items-center gap-1">
+              {activeCount > 0 && (
+                <button
+                  type="button"
+                  onClick={() => onChange({})}
+                  className="px-2 py-0.5 text-[11px] text-neutral-500 hover:text-neutral-200 transition-colors"
+                >
+                  Clear
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setIsOpen(false)}
+                className="p-1 text-neutral-500 hover:text-neutral-200 transition-colors"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          </div>
+
+          {groups.length > 0 && (
+            <Section title="Groups">
+              <div className="flex flex-wrap gap-1">
+                {groups.map((g) => (
+                  <ToggleChip key={g} active={scope.customGroup?.includes(g)} onClick={() => toggleValue('customGroup', g)}>
+                    {g}
+                  </ToggleChip>
+                ))}
+              </div>
+            </Section>
+          )}
+
+          <Section title="Sources">
+            <div className="flex flex-wrap gap-1">
+              <ToggleChip active={scope.isGlobal === undefined} onClick={() => setValue('isGlobal', undefined)}>All</ToggleChip>
+              <ToggleChip active={scope.isGlobal === false} onClick={() => setValue('isGlobal', false)}>Client only</ToggleChip>
+              <ToggleChip active={scope.isGlobal === true} onClick={() => setValue('isGlobal', true)}>Global only</ToggleChip>
+            </div>
+            {sourceTypes.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {sourceTypes.map((t) => (
+                  <ToggleChip key={t} active={scope.sourceType?.includes(t)} onClick={() => toggleValue('sourceType', t)}>
+                    {sourceTypeLabel(t)}
+                  </ToggleChip>
+                ))}
+              </div>
+            )}
+          </Section>
+
+          {fileTypes.length > 0 && (
+            <Section title="File types">
+              <div className="flex flex-wrap gap-1">
+                {fileTypes.map((t) => (
+                  <ToggleChip key={t} active={scope.fileType?.includes(t)} onClick={() => toggleValue('fileType', t)}>
+                    {fileTypeLabel(t)}
+                  </ToggleChip>
+                ))}
+              </div>
+            </Section>
+          )}
+
+          <Section title="Source date">
+            <div className="flex items-center gap-2">
+              <input
+                type="date"
+                value={scope.dateFrom || ''}
+                onChange={(e) => setValue('dateFrom', e.target.value || undefined)}
+                className="flex-1 min-w-0 bg-neutral-950 border border-neutral-700 rounded-md px-2 py-1 text-[11px] text-neutral-200 focus:outline-none focus:border-blue-300/50"
+              />
+              <span className="text-[11px] text-neutral-500">to</span>
+              <input
+                type="date"
+                value={scope.dateTo || ''}
+                onChange={(e) => setValue('dateTo', e.target.value || undefined)}
+                className="flex-1 min-w-0 bg-neutral-950 border border-neutral-700 rounded-md px-2 py-1 text-[11px] text-neutral-200 focus:outline-none focus:border-blue-300/50"
+              />
+            </div>
+            <p className="text-[10px] text-neutral-600">Sources without a date are left out when a date is set.</p>
+          </Section>
+
+          {tags.length > 0 && (
+            <Section title="Tags">
+              <div className="flex flex-wrap gap-1">
+                {tags.map((t) => (
+                  <ToggleChip key={t} active={scope.tags?.includes(t)} onClick={() => toggleValue('tags', t)}>
+                    #{t}
+                  </ToggleChip>
+                ))}
+              </div>
+            </Section>
+          )}
+
+          <Section title="Specific sources">
+            <div className="relative">
+              <Search className="absolute left-2 top-1/2 -translate-y-1/2 w-3 h-3 text-neutral-500" />
+              <input
+                type="text"
+                value={docSearch}
+                onChange={(e) => setDocSearch(e.target.value)}
+                placeholder="Find a source..."
+                className="w-full bg-neutral-950 border border-neutral-700 rounded-md pl-6 pr-2 py-1 text-[11px] text-neutral-200 placeholder-neutral-600 focus:outline-none focus:border-blue-300/50"
+              />
+            </div>
+            <div className="max-h-36 overflow-y-auto space-y-0.5">
+              {matchingDocs.map((doc) => {
+                const selected = scope.documentIds?.includes(doc.id);
+                return (
+                  <button
+                    key={doc.id}
+                    type="button"
+                    onClick={() => toggleValue('documentIds', doc.id)}
+                    className={clsx(
+                      'w-full flex items-center gap-2 px-2 py-1 rounded text-left text-[11px] transition-colors',
+                      selected ? 'bg-blue-300/10 text-blue-300' : 'text-neutral-400 hover:bg-neutral-800 hover:text-neutral-200'
+                    )}
+                  >
+                    <span className="w-3 flex-shrink-0">{selected && <Check className="w-3 h-3" />}</span>
+                    <span className="truncate">{doc.title || doc.file_name}</span>
+                  </button>
+                );
+              })}
+              {matchingDocs.length === 0 && (
+                <p className="px-2 py-1 text-[11px] text-neutral-600">No matching sources</p>
+              )}
+            </div>
+          </Section>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Brain, Check, Pencil, Plus, Trash2, Sparkles, User, Loader2 } from 'lucide-react';
+import { clientsApi } from '../api/clients';
+import clsx from 'clsx';
+
+function formatDate(dateString) {
+  return dateString ? new Date(dateString).toLocaleDateString() : '';
+}
+
+// One remembered fact: text, where it came from, and review actions
+function MemoryFact({ memory, onApprove, onSave, onDelete, isBusy }) {
+  const [draft, setDraft] = useState(null); // non-null while editing
+  const isProposed = memory.status === 'proposed';
+
+  return (
+    <div
+      className={clsx(
+        'p-3 rounded-lg border',
+        isProposed ? 'bg-warning-500/5 border-warning-500/20' : 'bg-neutral-900/50 border-neutral-800'
+      )}
+    >
+      {draft !== null ? (
+        <div className="space-y-2">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            className="w-full bg-neutral-950 border border-neutral-700 rounded-lg px-3 py-2 text-neutral-100 focus:outline-none focus:border-neutral-500 transition-colors resize-none text-sm"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setDraft(null)}
+              className="px-2.5 py-1 text-xs text-neutral-500 hover:text-neutral-300 rounded transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => { onSave(memory, draft); setDraft(null); }}
+              disabled={!draft.trim()}
+              className="px-2.5 py-1 text-xs text-neutral-100 bg-neutral-800 hover:bg-neutral-700 rounded transition-all disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex items-start gap-3">
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-neutral-200">{memory.fact}</p>
+            <p className="text-xs text-neutral-500 mt-1 flex items-center gap-1">
+              {memory.source === 'model'
+                ? <><Sparkles className="w-3 h-3" /> Suggested from chat</>
+                : <><User className="w-3 h-3" /> Added by the team</>}
+              <span>· {formatDate(memory.created_at)}</span>
+              {memory.conversation_id && <span title={`Conversation ${memory.conversation_id}`}>· from a conversation</span>}
+            </p>
+          </div>
+          <div className="flex items-center gap-0.5 flex-shrink-0">
+            {isProposed && (
+              <button
+                onClick={() => onApprove(memory)}
+                disabled={isBusy}
+                className="p-1 text-neutral-500 hover:text-success-500 transition-colors"
+                title="Approve"
+              >
+                <Check className="w-3.5 h-3.5" />
+              </button>
+            )}
+            <button
+              onClick={() => setDraft(memory.fact)}
+              disabled={isBusy}
+              className="p-1 text-neutral-600 hover:text-neutral-300 transition-colors"
+              title="Edit"
+            >
+              <Pencil className="w-3.5 h-3.5" />
+            </button>
+            <button
+              onClick={() => onDelete(memory)}
+              disabled={isBusy}
+              className="p-1 text-neutral-600 hover:text-red-400 transition-colors"
+              title={isProposed ? 'Reject' : 'Forget'}
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Settings tab for client memory: review facts suggested from chats and
+// manage the approved ones that go into chat, agent and ad generation prompts
+export default function ClientMemoryPanel({ clientId, podColor }) {
+  const queryClient = useQueryClient();
+  const [newFact, setNewFact] = useState('');
+  const queryKey = ['client-memory', clientId];
+
+  const { data: memories = [], isLoading } = useQuery({
+    queryKey,
+    queryFn: () => clientsApi.getMemory(clientId),
+    enabled: !!clientId,
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey });
+
+  const addMutation = useMutation({
+    mutationFn: (fact) => clientsApi.addMemory(clientId, { fact }),
+    onSuccess: () => {
+      setNewFact('');
+      invalidate();
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ memoryId, updates }) => clientsApi.updateMemory(clientId, memoryId, updates),
+    onSuccess: invalidate,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (memoryId) => clientsApi.deleteMemory(clientId, memoryId),
+    onSuccess: invalidate,
+  });
+
+  const proposed = memories.filter((m) => m.status === 'proposed');
+  const approved = memories.filter((m) => m.status === 'approved');
+  const isBusy = updateMutation.isPending || deleteMutation.isPending;
+
+  const factProps = {
+    onApprove: (memory) => updateMutation.mutate({ memoryId: memory.id, updates: { status: 'approved' } }),
+    onSave: (memory, fact) => updateMutation.mutate({ memoryId: memory.id, updates: { fact } }),
+    onDelete: (memory) => deleteMutation.mutate(memory.id),
+    isBusy,
+  };
+
+  return (
+    <div className="space-y-5">
+      <p className="text-sm text-neutral-400">
+        Approved facts are included in chat, agent and ad generation prompts alongside the client description. Facts suggested from chats wait here for review.
+      </p>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="w-4 h-4 animate-spin text-neutral-500" />
+        </div>
+      ) : (
+        <>
+          {proposed.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="text-xs font-medium text-warning-500 uppercase tracking-wider">
+                Needs review ({proposed.length})
+              </h3>
+              {proposed.map((memory) => (
+                <MemoryFact key={memory.id} memory={memory} {...factProps} />
+              ))}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <h3 className="text-xs font-medium text-neutral-400 uppercase tracking-wider">
+              Remembered ({approved.length})
+            </h3>
+            {approved.length > 0 ? (
+              approved.map((memory) => (
+                <MemoryFact key={memory.id} memory={memory} {...factProps} />
+              ))
+            ) : (
+              <div className="text-center py-6 text-neutral-500 text-sm flex flex-col items-center gap-2">
+                <Brain className="w-5 h-5 text-neutral-600" />
+                Nothing remembered yet. Add a fact below or use "Remember" on a chat message.
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Add new fact */}
+      <div className="border border-neutral-800 rounded-lg p-4 space-y-3">
+        <div className="flex items-center gap-2">
+          <Plus className="w-4 h-4 text-neutral-400" />
+          <span className="text-sm font-medium text-neutral-200">Remember a Fact</span>
+        </div>
+        <textarea
+          value={newFact}
+          onChange={(e) => setNewFact(e.target.value)}
+          rows={2}
+          className="w-full bg-neutral-950 border border-neutral-700 rounded-lg px-4 py-2.5 text-neutral-100 placeholder-neutral-500 focus:outline-none focus:border-neutral-500 transition-colors resize-none text-sm"
+          placeholder={'e.g. Their fiscal year starts in April'}
+        />
+        <button
+          onClick={() => addMutation.mutate(newFact.trim())}
+          disabled={!newFact.trim() || addMutation.isPending}
+          className={clsx(
+            'w-full py-2 rounded-lg text-sm font-medium transition-all flex items-center justify-center gap-2',
+            newFact.trim()
+              ? `${podColor.bgLight} ${podColor.text} hover:opacity-80`
+              : 'bg-neutral-800 text-neutral-500 cursor-not-allowed'
+          )}
+        >
+          {addMutation.isPending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+          Remember
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
-import { useCallback, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { Upload, File, X, CheckCircle, AlertCircle, Loader2, Link, FileText, FileSpreadsheet } from 'lucide-react';
 import { documentsApi } from '../api/documents';
+import { useIngestionProgress, describeProgress } from '../hooks/useIngestionProgress';
 
 export default function DocumentUpload({ clientId }) {
   const [uploadingFiles, setUploadingFiles] = useState([]);
@@ -11,6 +12,7 @@ export default function DocumentUpload({ clientId }) {
   const [addedDoc, setAddedDoc] = useState(null); // Track successfully added doc with name
   const [activeTab, setActiveTab] = useState('file'); // 'file' or 'google'
   const queryClient = useQueryClient();
+  const ingestionProgress = useIngestionProgress(clientId);
 
   const uploadMutation = useMutation({
     mutationFn: ({ file }) => {
@@ -24,17 +26,13 @@ export default function DocumentUpload({ clientId }) {
       });
     },
     onSuccess: (data, { file }) => {
+      // Uploaded - now follow processing progress for the new document
       setUploadingFiles((prev) =>
         prev.map((f) =>
-          f.name === file.name ? { ...f, status: 'success' } : f
+          f.name === file.name ? { ...f, status: 'processing', documentId: data.id } : f
         )
       );
       queryClient.invalidateQueries(['documents', clientId]);
-
-      // Remove from list after 2 seconds
-      setTimeout(() => {
-        setUploadingFiles((prev) => prev.filter((f) => f.name !== file.name));
-      }, 2000);
     },
     onError: (error, { file }) => {
       setUploadingFiles((prev) =>
@@ -67,6 +65,34 @@ export default function DocumentUpload({ clientId }) {
     },
   });
 
+  // Mark files done or failed as their processing finishes
+  useEffect(() => {
+    const settled = uploadingFiles.filter((f) =>
+      f.status === 'processing' && ['done', 'failed'].includes(ingestionProgress[f.documentId]?.stage)
+    );
+    if (settled.length === 0) return;
+
+    const settledIds = settled.map((f) => f.documentId);
+    setUploadingFiles((prev) =>
+      prev.map((f) => {
+        if (f.status !== 'processing' || !settledIds.includes(f.documentId)) return f;
+        const event = ingestionProgress[f.documentId];
+        return event.stage === 'done'
+          ? { ...f, status: 'success' }
+          : { ...f, status: 'error', error: event.error || 'Processing failed' };
+      })
+    );
+
+    // Remove finished files from list after 2 seconds
+    settled
+      .filter((f) => ingestionProgress[f.documentId].stage === 'done')
+      .forEach((f) => {
+        setTimeout(() => {
+          setUploadingFiles((prev) => prev.filter((p) => p.documentId !== f.documentId));
+        }, 2000);
+      });
+  }, [ingestionProgress, uploadingFiles]);
+
   const onDrop = useCallback(
     (acceptedFiles) => {
       acceptedFiles.forEach((file) => {
@@ -111,7 +137,7 @@ export default function DocumentUpload({ clientId }) {
 
     // Validate URL - accept both Docs and Sheets
     if (!googleUrl.includes('docs.google.com')) {
-      setGoogleError('Please enter a valid Google Docs or Google Sheets URL');
+      setGoogleError('Please enter a valid Google Docs, Sheets or Slides URL');
       return;
     }
 
@@ -213,13 +239,16 @@ export default function DocumentUpload({ clientId }) {
                           <span className="text-sm text-gray-400">{file.progress}%</span>
                         </>
                       )}
+                      {file.status === 'processing' && (
+                        <Loader2 className="w-5 h-5 animate-spin text-accent-purple" />
+                      )}
                       {file.status === 'success' && (
                         <CheckCircle className="w-5 h-5 text-accent-green" />
                       )}
                       {file.status === 'error' && (
                         <AlertCircle className="w-5 h-5 text-red-400" />
                       )}
-                      {file.status !== 'uploading' && (
+                      {!['uploading', 'processing'].includes(file.status) && (
                         <button
                           onClick={() => removeFile(file.name)}
                           className="p-1 hover:bg-dark-700 rounded transition-all hover:scale-110"
@@ -245,10 +274,26 @@ export default function DocumentUpload({ clientId }) {
                     <p className="mt-2 text-xs text-red-400">{file.error}</p>
                   )}
 
-                  {/* Processing message */}
+                  {/* Processing progress */}
+                  {file.status === 'processing' && (() => {
+                    const info = describeProgress(ingestionProgress[file.documentId] || { stage: 'queued' });
+                    return (
+                      <>
+                        <div className="mt-2 bg-dark-700 rounded-full h-1.5 overflow-hidden">
+                          <div
+                            className="bg-gradient-to-r from-accent-purple to-accent-green h-full transition-all duration-300"
+                            style={{ width: `${info.percent}%` }}
+                          />
+                        </div>
+                        <p className="mt-2 text-xs text-gray-500">{info.label}</p>
+                      </>
+                    );
+                  })()}
+
+                  {/* Processed message */}
                   {file.status === 'success' && (
                     <p className="mt-2 text-xs text-gray-500">
-                      Processing document with AI...
+                      {describeProgress(ingestionProgress[file.documentId])?.label || 'Processed'}
                     </p>
                   )}
                 </div>
@@ -285,7 +330,7 @@ export default function DocumentUpload({ clientId }) {
                 type="url"
                 value={googleUrl}
                 onChange={(e) => setGoogleUrl(e.target.value)}
-                placeholder="https://docs.google.com/document/d/... or /spreadsheets/d/..."
+                placeholder="https://docs.google.com/document/d/..., /spreadsheets/d/... or /presentation/d/..."
                 className="w-full px-4 py-3 bg-dark-900/50 border border-dark-700 rounded-lg text-gray-100 placeholder-gray-500 focus:border-accent-cyan focus:outline-none"
               />
               {googleError && (
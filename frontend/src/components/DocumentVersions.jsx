@@ -0,0 +1,157 @@
+import { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { GitCompare, Loader2 } from 'lucide-react';
+import { documentsApi } from '../api/documents';
+import clsx from 'clsx';
+
+// Unchanged lines shown around each change; longer unchanged runs are folded
+const CONTEXT_LINES = 3;
+
+function versionLabel(version) {
+  return `v${version.version_number} · ${new Date(version.created_at).toLocaleString()}`;
+}
+
+// Split the diff into rows, folding the middle of long unchanged runs
+function diffRows(changes) {
+  const rows = [];
+  changes.forEach((change, idx) => {
+    if (change.type !== 'equal') {
+      change.lines.forEach((line) => rows.push({ type: change.type, line }));
+      return;
+    }
+
+    const keepStart = idx === 0 ? 0 : CONTEXT_LINES;
+    const keepEnd = idx === changes.length - 1 ? 0 : CONTEXT_LINES;
+    if (change.lines.length <= keepStart + keepEnd + 1) {
+      change.lines.forEach((line) => rows.push({ type: 'equal', line }));
+      return;
+    }
+
+    change.lines.slice(0, keepStart).forEach((line) => rows.push({ type: 'equal', line }));
+    rows.push({ type: 'fold', count: change.lines.length - keepStart - keepEnd });
+    if (keepEnd > 0) change.lines.slice(-keepEnd).forEach((line) => rows.push({ type: 'equal', line }));
+  });
+  return rows;
+}
+
+// Version history of a source with a line diff between any two versions.
+// groundedVersionId (from a chat answer) starts the diff at that version, so it
+// shows what changed since the answer was given.
+export default function DocumentVersions({ documentId, groundedVersionId = null }) {
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+
+  const { data: versions = [], isLoading } = useQuery({
+    queryKey: ['document-versions', documentId],
+    queryFn: () => documentsApi.getVersions(documentId),
+    enabled: !!documentId,
+  });
+
+  // Default to the latest version against the grounded one, or the one before it
+  useEffect(() => {
+    if (versions.length === 0) return;
+    const latest = versions[0].id;
+    const grounded = groundedVersionId && versions.some((v) => v.id === groundedVersionId) ? groundedVersionId : null;
+    setToId(latest);
+    setFromId(grounded && grounded !== latest ? grounded : versions[1]?.id || null);
+  }, [versions, groundedVersionId]);
+
+  const canDiff = !!fromId && !!toId && fromId !== toId;
+  const { data: diff, isLoading: isDiffLoading, error: diffError } = useQuery({
+    queryKey: ['document-version-diff', documentId, fromId, toId],
+    queryFn: () => documentsApi.diffVersions(documentId, fromId, toId),
+    enabled: canDiff,
+  });
+
+  if (isLoading) {
+    return <p className="text-xs text-neutral-500">Loading versions...</p>;
+  }
+
+  if (versions.length === 0) {
+    return <p className="text-xs text-neutral-500">No versions recorded yet. A version is kept each time the source is processed with new content.</p>;
+  }
+
+  const groundedVersion = groundedVersionId ? versions.find((v) => v.id === groundedVersionId) : null;
+  const groundedIsLatest = groundedVersion && groundedVersion.id === versions[0].id;
+
+  return (
+    <div className="space-y-2">
+      {groundedVersionId && (
+        <p className="text-[11px] text-neutral-400">
+          {!groundedVersion
+            ? 'The version this answer used is no longer kept.'
+            : groundedIsLatest
+              ? `This answer used v${groundedVersion.version_number}, the current version.`
+              : `This answer used v${groundedVersion.version_number}; the source has changed since.`}
+        </p>
+      )}
+
+      {versions.length === 1 ? (
+        <p className="text-xs text-neutral-500">Only one version so far: {versionLabel(versions[0])}</p>
+      ) : (
+        <div className="flex items-center gap-2">
+          <GitCompare className="w-3.5 h-3.5 text-neutral-500 flex-shrink-0" />
+          {[['From', fromId, setFromId], ['To', toId, setToId]].map(([label, value, setValue]) => (
+            <select
+              key={label}
+              value={value || ''}
+              onChange={(e) => setValue(e.target.value)}
+              aria-label={`${label} version`}
+              className="flex-1 min-w-0 bg-neutral-950 border border-neutral-700 rounded-md px-2 py-1 text-[11px] text-neutral-200 focus:outline-none focus:border-blue-300/50"
+            >
+              {versions.map((version) => (
+                <option key={version.id} value={version.id}>
+                  {versionLabel(version)}{version.id === groundedVersionId ? ' (this answer)' : ''}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+      )}
+
+      {canDiff && (
+        isDiffLoading ? (
+          <div className="flex items-center gap-2 text-xs text-neutral-500">
+            <Loader2 className="w-3.5 h-3.5 animate-spin" />
+            Comparing versions...
+          </div>
+        ) : diffError ? (
+          <p className="text-xs text-red-500">{diffError.response?.data?.error || diffError.message}</p>
+        ) : diff && (
+          <div className="rounded-lg border border-neutral-800 bg-neutral-950/50">
+            <div className="flex items-center gap-2 px-2 py-1.5 border-b border-neutral-800 text-[11px]">
+              <span className="text-success-500">+{diff.added}</span>
+              <span className="text-red-400">−{diff.removed}</span>
+              {diff.from.title !== diff.to.title && (
+                <span className="text-neutral-500 truncate">Title: {diff.from.title} → {diff.to.title}</span>
+              )}
+            </div>
+            {diff.added === 0 && diff.removed === 0 ? (
+              <p className="px-2 py-2 text-[11px] text-neutral-500">No text changes between these versions.</p>
+            ) : (
+              <div className="max-h-80 overflow-auto py-1 font-mono text-[11px] leading-relaxed">
+                {diffRows(diff.changes).map((row, idx) => row.type === 'fold' ? (
+                  <div key={idx} className="px-2 py-0.5 text-neutral-600 bg-neutral-900/60">
+                    ⋯ {row.count} unchanged line{row.count === 1 ? '' : 's'}
+                  </div>
+                ) : (
+                  <div
+                    key={idx}
+                    className={clsx(
+                      'px-2 whitespace-pre-wrap break-words',
+                      row.type === 'added' && 'bg-success-500/10 text-success-500',
+                      row.type === 'removed' && 'bg-red-500/10 text-red-400',
+                      row.type === 'equal' && 'text-neutral-500'
+                    )}
+                  >
+                    {row.type === 'added' ? '+ ' : row.type === 'removed' ? '− ' : '  '}{row.line || ' '}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )
+      )}
+    </div>
+  );
+}
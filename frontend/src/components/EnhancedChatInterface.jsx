@@ -2,9 +2,12 @@ import { useState, useEffect, useRef } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import {
   Send, Bot, User, Loader2, FileText, Trash2, Image as ImageIcon,
-  Copy, Check, Download, Code, FileSpreadsheet, X, BookOpen, ChevronDown, ChevronUp, Sparkles, AlertCircle, Table2, ExternalLink, Pencil, MessageSquare, Megaphone, Layout
+  Copy, Check, Download, Code, FileSpreadsheet, X, BookOpen, ChevronDown, ChevronUp, Sparkles, AlertCircle, Table2, ExternalLink, Pencil, MessageSquare, Megaphone, Layout, Square, ShieldCheck, ShieldAlert, Brain, Split
 } from 'lucide-react';
 import { chatApi } from '../api/chat';
+import { clientsApi } from '../api/clients';
+import ChatScopePicker, { activeScopeFilters, describeScope } from './ChatScopePicker';
+import DocumentVersions from './DocumentVersions';
 import ReactMarkdown from 'react-markdown';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
 import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
@@ -222,10 +225,44 @@ const citationColorStyles = {
 
 const citationColors = ['mint', 'sky', 'lavender', 'peach'];
 
-// Source Citation Component - Circle icons at bottom
+// Excerpt text with the quoted span (what the answer drew on) highlighted
+function CitationPassage({ excerpt, styles }) {
+  const text = excerpt.text || '';
+  const { start, end } = excerpt.quote || {};
+  if (start == null || end == null || end <= start || end > text.length) {
+    return <>{text}</>;
+  }
+  return (
+    <>
+      {text.slice(0, start)}
+      <mark className={clsx('rounded px-0.5 text-neutral-100', styles.bgMedium)}>{text.slice(start, end)}</mark>
+      {text.slice(end)}
+    </>
+  );
+}
+
+// Label for a citation deep link
+function citationLinkLabel(excerpt) {
+  if (excerpt.page != null) return `Open at p. ${excerpt.page}`;
+  if (excerpt.headingId) return 'Open at section';
+  return 'Open source';
+}
+
+// Source Citation Component - Circle icons at bottom, click one for its citations
 function SourceCitations({ sources, onNavigateToSource }) {
+  const [openIdx, setOpenIdx] = useState(null);
+  const [showVersions, setShowVersions] = useState(false);
+
+  const toggleSource = (idx) => {
+    setOpenIdx(openIdx === idx ? null : idx);
+    setShowVersions(false);
+  };
+
   if (!sources || sources.length === 0) return null;
 
+  const openSource = openIdx != null ? sources[openIdx] : null;
+  const openStyles = openSource ? citationColorStyles[citationColors[openIdx % citationColors.length]] : null;
+
   const isGoogleSource = (source) => {
     return source.sourceType === 'google' ||
       (source.fileUrl && (source.fileUrl.includes('docs.google.com') || source.fileUrl.includes('sheets.google.com')));
@@ -253,24 +290,30 @@ function SourceCitations({ sources, onNavigateToSource }) {
                     styles.bgLight,
                     styles.border
                   )}
-                  title={`${source.title || 'Untitled'} — Click to view in Sources`}
-                  onClick={() => onNavigateToSource && onNavigateToSource(source.id)}
+                  title={`${source.title || 'Untitled'} — Click for citations`}
+                  onClick={() => toggleSource(idx)}
                 >
-                  {isGoogle
-                    ? <ExternalLink className={clsx('w-3 h-3', styles.text)} />
-                    : <FileText className={clsx('w-3 h-3', styles.text)} />
+                  {source.number
+                    ? <span className={clsx('text-[10px] font-semibold', styles.text)}>{source.number}</span>
+                    : isGoogle
+                      ? <ExternalLink className={clsx('w-3 h-3', styles.text)} />
+                      : <FileText className={clsx('w-3 h-3', styles.text)} />
                   }
                 </div>
                 {/* Tooltip on hover — shows source title, usage, and exact pulled excerpts */}
                 <div className="absolute bottom-full left-1/2 -translate-x-1/2 mb-2 bg-neutral-800 rounded-lg text-xs text-neutral-200 opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-20 border border-neutral-700 w-80 max-h-[400px] flex flex-col">
                   <div className="px-3 pt-2 pb-1.5 border-b border-neutral-700/50 shrink-0">
-                    <div className="font-medium truncate">{source.title || 'Untitled'}</div>
+                    <div className="font-medium truncate">
+                      {source.number && <span className={clsx('mr-1', styles.text)}>[{source.number}]</span>}
+                      {source.title || 'Untitled'}
+                    </div>
                     {(source.usage || source.similarity) && (
                       <div className={clsx('text-[10px] mt-0.5', styles.text)}>
                         {source.usage
                           ? `${Math.round(source.usage * 100)}% used`
                           : `${Math.round(source.similarity * 100)}% match`
                         }
+                        {source.citationCount > 0 && ` · cited ${source.citationCount}×`}
                         {source.chunkCount > 0 && ` · ${source.chunkCount} excerpt${source.chunkCount > 1 ? 's' : ''} pulled`}
                       </div>
                     )}
@@ -290,19 +333,22 @@ function SourceCitations({ sources, onNavigateToSource }) {
                             <span className={clsx('text-[9px] font-mono px-1 py-0.5 rounded shrink-0', styles.bgLight, styles.text)}>
                               Chunk #{excerpt.chunkIndex + 1}
                             </span>
-                            <span className="text-[9px] text-neutral-500">
+                            {excerpt.location && (
+                              <span className="text-[9px] text-neutral-400 truncate">{excerpt.location}</span>
+                            )}
+                            <span className="text-[9px] text-neutral-500 shrink-0">
                               {Math.round((excerpt.similarity || 0) * 100)}% match
                             </span>
                           </div>
                           <div className="text-[11px] text-neutral-400 leading-relaxed bg-neutral-900/50 rounded px-2 py-1.5 border border-neutral-700/30">
-                            {excerpt.text}
+                            <CitationPassage excerpt={excerpt} styles={styles} />
                           </div>
                         </div>
                       ))}
                     </div>
                   )}
                   <div className="px-3 py-1.5 border-t border-neutral-700/50 shrink-0">
-                    <div className="text-[10px] text-neutral-500">Click to view in Sources</div>
+                    <div className="text-[10px] text-neutral-500">Click for citations</div>
                   </div>
                   <div className="absolute top-full left-1/2 -translate-x-1/2 -mt-1 border-4 border-transparent border-t-neutral-800" />
                 </div>
@@ -316,13 +362,169 @@ function SourceCitations({ sources, onNavigateToSource }) {
           )}
         </div>
       </div>
+
+      {/* Citations for the selected source — passage with the quote highlighted and a deep link */}
+      {openSource && (
+        <div className={clsx('mt-3 rounded-lg border bg-neutral-900/50 text-xs', openStyles.border)}>
+          <div className="flex items-center gap-2 px-3 py-2 border-b border-neutral-700/50">
+            <span className="font-medium text-neutral-200 truncate flex-1">
+              {openSource.number && <span className={clsx('mr-1', openStyles.text)}>[{openSource.number}]</span>}
+              {openSource.title || 'Untitled'}
+            </span>
+            {openSource.version && (
+              <button
+                onClick={() => setShowVersions(!showVersions)}
+                className={clsx(
+                  'text-[10px] font-mono px-1.5 py-0.5 rounded transition-colors shrink-0',
+                  showVersions ? clsx(openStyles.bgLight, openStyles.text) : 'text-neutral-400 hover:text-neutral-200 bg-neutral-800'
+                )}
+                title={`Answer grounded in version ${openSource.version.number} (indexed ${new Date(openSource.version.createdAt).toLocaleString()}). Click to compare with the current version`}
+              >
+                v{openSource.version.number}
+              </button>
+            )}
+            {onNavigateToSource && (
+              <button
+                onClick={() => onNavigateToSource(openSource.id)}
+                className="text-[10px] text-neutral-400 hover:text-neutral-200 transition-colors shrink-0"
+              >
+                View in Sources
+              </button>
+            )}
+            <button
+              onClick={() => setOpenIdx(null)}
+              className="text-neutral-500 hover:text-neutral-300 transition-colors shrink-0"
+              title="Close"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          {showVersions && openSource.version && (
+            <div className="px-3 py-2 border-b border-neutral-700/50">
+              <DocumentVersions documentId={openSource.id} groundedVersionId={openSource.version.id} />
+            </div>
+          )}
+          <div className="px-3 py-2 space-y-3 max-h-80 overflow-y-auto">
+            {(openSource.excerpts || []).length === 0 && (
+              <div className="text-[11px] text-neutral-500">No excerpts recorded for this source.</div>
+            )}
+            {(openSource.excerpts || []).map((excerpt, eidx) => (
+              <div key={excerpt.chunkId || eidx}>
+                <div className="flex items-center gap-2 mb-1">
+                  <span className={clsx('text-[10px] font-mono px-1 py-0.5 rounded shrink-0', openStyles.bgLight, openStyles.text)}>
+                    {excerpt.location || `Chunk #${excerpt.chunkIndex + 1}`}
+                  </span>
+                  {excerpt.citedCount > 0 && (
+                    <span className="text-[10px] text-neutral-500 shrink-0">cited {excerpt.citedCount}×</span>
+                  )}
+                  {(excerpt.url || openSource.fileUrl) && (
+                    <a
+                      href={excerpt.url || openSource.fileUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={clsx('ml-auto flex items-center gap-1 text-[10px] hover:underline shrink-0', openStyles.text)}
+                    >
+                      {citationLinkLabel(excerpt)}
+                      <ExternalLink className="w-2.5 h-2.5" />
+                    </a>
+                  )}
+                </div>
+                <div className="text-[11px] text-neutral-400 leading-relaxed whitespace-pre-wrap">
+                  <CitationPassage excerpt={excerpt} styles={openStyles} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Link target the markdown renderer turns into a marked sentence
+const GROUNDING_HREF_PREFIX = '#grounding-';
+
+// Wrap the sentences the grounding check could not (fully) support in links to
+// GROUNDING_HREF_PREFIX + claim id. Sentences whose markdown would break when
+// wrapped (links, code, unbalanced emphasis) are left unmarked.
+function markUngroundedClaims(content, grounding) {
+  if (!content || !grounding?.claims?.length) return content;
+  const flagged = grounding.claims
+    .filter((claim) => claim.status === 'unsupported' || claim.status === 'partial')
+    .sort((a, b) => b.start - a.start);
+
+  let marked = content;
+  for (const claim of flagged) {
+    const span = marked.slice(claim.start, claim.end);
+    const count = (pattern) => (span.match(pattern) || []).length;
+    if (
+      span !== claim.text ||
+      span.includes('](') ||
+      span.includes('`') ||
+      count(/\*\*/g) % 2 === 1 ||
+      count(/\[/g) !== count(/\]/g)
+    ) continue;
+    marked = `${marked.slice(0, claim.start)}[${span}](${GROUNDING_HREF_PREFIX}${claim.id})${marked.slice(claim.end)}`;
+  }
+  return marked;
+}
+
+// One-line result of the grounding check under an answer
+function GroundingSummary({ grounding }) {
+  if (!grounding || grounding.score == null) return null;
+  const unsupported = grounding.counts?.unsupported || 0;
+  const partial = grounding.counts?.partial || 0;
+  const checked = (grounding.counts?.supported || 0) + partial + unsupported;
+  const flagged = unsupported + partial;
+
+  return (
+    <div
+      className={clsx(
+        'mt-3 flex items-center gap-1.5 text-[11px]',
+        flagged === 0 ? 'text-success-500' : 'text-warning-500'
+      )}
+      title={`Groundedness ${Math.round(grounding.score * 100)}%`}
+    >
+      {flagged === 0 ? <ShieldCheck className="w-3.5 h-3.5" /> : <ShieldAlert className="w-3.5 h-3.5" />}
+      <span>
+        {flagged === 0
+          ? `All ${checked} claim${checked === 1 ? '' : 's'} supported by sources`
+          : `${flagged} of ${checked} claim${checked === 1 ? '' : 's'} not fully supported by sources`}
+      </span>
+    </div>
+  );
+}
+
+// How a compound question was split into searches (only on answers from this session;
+// the plan isn't stored with the message)
+function QueryPlanSummary({ plan }) {
+  if (!plan?.decomposed) return null;
+  return (
+    <div className="mt-3 flex items-start gap-1.5 text-[11px] text-neutral-500">
+      <Split className="w-3.5 h-3.5 mt-px flex-shrink-0" />
+      <span>
+        Searched in {plan.subQueries.length} parts:{' '}
+        {plan.subQueries.map((sq, i) => (
+          <span key={sq.id} title={sq.query}>
+            {i > 0 && ' · '}
+            {sq.purpose || sq.query}
+            {sq.filtersRelaxed && ' (filters relaxed)'}
+            {sq.noSources && ' (no sources)'}
+          </span>
+        ))}
+      </span>
     </div>
   );
 }
 
 // Message component with animation
-function ChatMessage({ msg, idx, isNew, onCopyCode, copiedCode, onExportCSV, onExportText, onNavigateToSource, onOpenAds, isAdSelected, onOpenLandingPage, isLPSelected }) {
+function ChatMessage({ msg, idx, isNew, onCopyCode, copiedCode, onExportCSV, onExportText, onNavigateToSource, onOpenAds, isAdSelected, onOpenLandingPage, isLPSelected, onRemember, isStreaming = false }) {
   const isUser = msg.role === 'user';
+  const [remembered, setRemembered] = useState(false);
+
+  const handleRemember = async () => {
+    if (await onRemember(msg)) setRemembered(true);
+  };
 
   // Custom markdown components
   const MarkdownComponents = {
@@ -454,6 +656,21 @@ function ChatMessage({ msg, idx, isNew, onCopyCode, copiedCode, onExportCSV, onE
       );
     },
     a({ href, children }) {
+      if (href?.startsWith(GROUNDING_HREF_PREFIX)) {
+        const claim = msg.grounding?.claims?.find((c) => String(c.id) === href.slice(GROUNDING_HREF_PREFIX.length));
+        const isPartial = claim?.status === 'partial';
+        return (
+          <span
+            className={clsx(
+              'underline decoration-wavy underline-offset-4 cursor-help',
+              isPartial ? 'decoration-warning-500/60' : 'decoration-error-500/70 bg-error-500/10 rounded-sm'
+            )}
+            title={`${isPartial ? 'Partly supported' : 'Not supported'} by the sources${claim?.reason ? `: ${claim.reason}` : ''}`}
+          >
+            {children}
+          </span>
+        );
+      }
       return (
         <a
           href={href}
@@ -510,25 +727,46 @@ function ChatMessage({ msg, idx, isNew, onCopyCode, copiedCode, onExportCSV, onE
         {/* Message bubble */}
         <div
           className={clsx(
-            'rounded-xl px-4 py-3 transition-all',
+            'group/message rounded-xl px-4 py-3 transition-all',
             isUser
               ? 'bg-blue-300/10 text-neutral-100 border border-blue-300/20'
               : 'bg-neutral-900/70 text-neutral-200 border border-neutral-800'
           )}
         >
           {isUser ? (
-            <p className="text-sm whitespace-pre-wrap leading-relaxed">{msg.content}</p>
+            <>
+              <p className="text-sm whitespace-pre-wrap leading-relaxed">{msg.content}</p>
+              {onRemember && (
+                <button
+                  onClick={handleRemember}
+                  disabled={remembered}
+                  className={clsx(
+                    'mt-1.5 flex items-center gap-1 text-[10px] transition-all',
+                    remembered
+                      ? 'text-success-500'
+                      : 'text-neutral-500 hover:text-blue-300 opacity-0 group-hover/message:opacity-100'
+                  )}
+                  title="Remember a fact from this message for all future work on this client"
+                >
+                  {remembered ? <Check className="w-3 h-3" /> : <Brain className="w-3 h-3" />}
+                  {remembered ? 'Remembered' : 'Remember this'}
+                </button>
+              )}
+            </>
           ) : (
             <div className="text-sm">
               <ReactMarkdown
                 remarkPlugins={[remarkGfm]}
                 components={MarkdownComponents}
               >
-                {msg.content}
+                {markUngroundedClaims(msg.content, msg.grounding)}
               </ReactMarkdown>
             </div>
           )}
 
+          {!isUser && <QueryPlanSummary plan={msg.plan} />}
+          {!isUser && <GroundingSummary grounding={msg.grounding} />}
+
           {/* Sources - Always visible at bottom for assistant messages */}
           {!isUser && msg.sources && msg.sources.length > 0 && (
             <SourceCitations sources={msg.sources} onNavigateToSource={onNavigateToSource} />
@@ -545,7 +783,7 @@ function ChatMessage({ msg, idx, isNew, onCopyCode, copiedCode, onExportCSV, onE
           )}
 
           {/* Message actions for assistant messages */}
-          {!isUser && (
+          {!isUser && !isStreaming && (
             <div className="mt-2 pt-2 border-t border-neutral-700/30 flex items-center gap-1">
               <button
                 onClick={() => onOpenAds && onOpenAds(msg)}
@@ -587,7 +825,11 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
   const [imagePreview, setImagePreview] = useState(null);
   const [copiedCode, setCopiedCode] = useState(null);
   const [pendingMessage, setPendingMessage] = useState(null); // For optimistic UI
+  const [streamingText, setStreamingText] = useState(null); // Answer text as it streams in
+  const [streamStatus, setStreamStatus] = useState(null); // e.g. a sheet tool that is running
+  const streamAbortRef = useRef(null);
   const [activeConversationId, setActiveConversationId] = useState(conversationId);
+  const [scope, setScope] = useState({}); // Retrieval filters from the scope picker
   const [quickPrompts, setQuickPrompts] = useState(() => getQuickPrompts(clientId));
   const [showEditPrompts, setShowEditPrompts] = useState(false);
   const [isDragging, setIsDragging] = useState(false);
@@ -598,6 +840,11 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
   const dragCounterRef = useRef(0);
   const queryClient = useQueryClient();
 
+  // Filters refer to one client's sources
+  useEffect(() => {
+    setScope({});
+  }, [clientId]);
+
   // Sync conversationId prop with state
   useEffect(() => {
     setActiveConversationId(conversationId);
@@ -630,13 +877,39 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
         if (!result.success) throw new Error(result.error);
         return result.data;
       } else {
-        // Regular chat with conversation tracking
-        return chatApi.sendMessage(clientId, data.message, {
-          images: data.image ? [data.image] : [],
-          conversationId: activeConversationId,
-        });
+        // Regular chat with conversation tracking, streamed token by token
+        const controller = new AbortController();
+        streamAbortRef.current = controller;
+        setStreamingText('');
+        try {
+          return await chatApi.streamMessage(clientId, data.message, {
+            images: data.image ? [data.image] : [],
+            conversationId: activeConversationId,
+            filters: activeScopeFilters(scope),
+            signal: controller.signal,
+          }, {
+            onDelta: (text) => {
+              setStreamStatus(null);
+              setStreamingText((prev) => (prev || '') + text);
+            },
+            onTool: (operation) => {
+              // Text before a tool call is the model's preamble; the answer follows
+              setStreamingText('');
+              setStreamStatus(operation.tool === 'list_sheet_tabs' ? 'Listing sheet tabs...' : 'Reading sheet data...');
+            },
+            onVerifying: () => {
+              setStreamStatus('Checking answer against sources...');
+            },
+          });
+        } finally {
+          streamAbortRef.current = null;
+        }
       }
     },
+    onSettled: () => {
+      setStreamingText(null);
+      setStreamStatus(null);
+    },
     onSuccess: (data) => {
       // Update conversation ID if we got a new one
       const newConversationId = data?.conversationId;
@@ -664,7 +937,7 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
         }
         // Add assistant message from response
         if (data?.message) {
-          newMessages.push(data.message);
+          newMessages.push(data.plan ? { ...data.message, plan: data.plan } : data.message);
         }
         return newMessages;
       });
@@ -672,11 +945,42 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
       setPendingMessage(null);
     },
     onError: (error) => {
+      if (error.name === 'AbortError') {
+        return;
+      }
       console.error('Chat error:', error);
       // Keep pending message visible so user can see what failed
     },
   });
 
+  // Stop a streaming answer; nothing is saved, so the question goes back into the input
+  const handleCancelStream = () => {
+    if (!streamAbortRef.current) return;
+    streamAbortRef.current.abort();
+    if (pendingMessage) setMessage(pendingMessage.content);
+    setPendingMessage(null);
+    sendMutation.reset();
+  };
+
+  // "Remember this": save a fact from a message to client memory (approved, since a
+  // person wrote it), linked to the conversation and message it came from
+  const handleRememberMessage = async (msg) => {
+    const fact = window.prompt('Remember for all future work on this client:', msg.content);
+    if (!fact || !fact.trim()) return false;
+    try {
+      await clientsApi.addMemory(clientId, {
+        fact: fact.trim(),
+        conversationId: activeConversationId,
+        messageId: msg.id || null,
+      });
+      queryClient.invalidateQueries({ queryKey: ['client-memory', clientId] });
+      return true;
+    } catch (error) {
+      console.error('Error saving to client memory:', error);
+      return false;
+    }
+  };
+
   // Clear history mutation
   const clearMutation = useMutation({
     mutationFn: () => chatApi.clearHistory(clientId),
@@ -698,7 +1002,7 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
   // Auto-scroll when messages change or pending message appears
   useEffect(() => {
     scrollToBottom();
-  }, [messages, pendingMessage, sendMutation.isPending]);
+  }, [messages, pendingMessage, sendMutation.isPending, streamingText]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -986,6 +1290,7 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
                 isAdSelected={adPreviewMessage && (adPreviewMessage.id === msg.id || adPreviewMessage.content === msg.content)}
                 onOpenLandingPage={(m) => onOpenLandingPagePreview && onOpenLandingPagePreview(m)}
                 isLPSelected={landingPageMessage && (landingPageMessage.id === msg.id || landingPageMessage.content === msg.content)}
+                onRemember={handleRememberMessage}
               />
             ))}
 
@@ -1009,8 +1314,28 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
               </div>
             )}
 
+            {/* Streaming answer */}
+            {sendMutation.isPending && streamingText && (
+              <ChatMessage
+                msg={{ role: 'assistant', content: streamingText }}
+                idx={messages.length}
+                isNew={false}
+                onCopyCode={copyToClipboard}
+                copiedCode={copiedCode}
+                onExportCSV={exportToCSV}
+                onExportText={exportAsText}
+                isStreaming
+              />
+            )}
+            {sendMutation.isPending && streamingText && streamStatus && (
+              <div className="flex items-center gap-2 pl-11 text-xs text-neutral-500">
+                <Loader2 className="w-3 h-3 animate-spin" />
+                {streamStatus}
+              </div>
+            )}
+
             {/* Loading indicator */}
-            {sendMutation.isPending && (
+            {sendMutation.isPending && !streamingText && (
               <div className="flex justify-start animate-fade-in-up">
                 <div className="flex items-start gap-3 max-w-3xl">
                   <div className="flex-shrink-0 w-8 h-8 hex bg-purple-300/15 flex items-center justify-center">
@@ -1023,7 +1348,7 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
                         <span className="w-2 h-2 bg-purple-300 rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
                         <span className="w-2 h-2 bg-purple-300 rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
                       </div>
-                      <span className="text-sm text-neutral-400 ml-1">Thinking...</span>
+                      <span className="text-sm text-neutral-400 ml-1">{streamStatus || 'Thinking...'}</span>
                     </div>
                   </div>
                 </div>
@@ -1080,6 +1405,31 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
           </div>
         )}
 
+        {/* Active retrieval scope */}
+        {activeScopeFilters(scope) && (
+          <div className="mb-3 flex flex-wrap items-center gap-1.5 animate-fade-in-up">
+            <span className="text-[11px] text-neutral-500">Answering only from:</span>
+            {describeScope(scope, queryClient.getQueryData(['documents', clientId]) || []).map((part) => (
+              <span
+                key={part.key}
+                className="flex items-center gap-1 pl-2 pr-1 py-0.5 rounded-md text-[11px] bg-blue-300/10 text-blue-300 border border-blue-300/20"
+              >
+                {part.label}
+                <button
+                  type="button"
+                  onClick={() => setScope(part.key === 'date'
+                    ? { ...scope, dateFrom: undefined, dateTo: undefined }
+                    : { ...scope, [part.key]: undefined })}
+                  className="p-0.5 hover:text-blue-100 transition-colors"
+                  title="Remove filter"
+                >
+                  <X className="w-2.5 h-2.5" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="flex items-end gap-3">
           <div className="flex-1 relative">
             <textarea
@@ -1111,6 +1461,14 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
             />
           </div>
 
+          {/* Retrieval scope */}
+          <ChatScopePicker
+            clientId={clientId}
+            scope={scope}
+            onChange={setScope}
+            disabled={sendMutation.isPending}
+          />
+
           {/* Image upload button */}
           <input
             ref={fileInputRef}
@@ -1129,18 +1487,29 @@ export default function EnhancedChatInterface({ clientId, client, selectedSheetI
             <ImageIcon className="w-5 h-5" />
           </button>
 
-          {/* Send button */}
-          <button
-            type="submit"
-            disabled={(!message.trim() && !selectedImage) || sendMutation.isPending}
-            className="flex-shrink-0 p-3 bg-success-500/15 text-success-500 rounded-xl hover:bg-success-500/25 transition-all disabled:opacity-50 disabled:cursor-not-allowed border border-success-500/25"
-          >
-            {sendMutation.isPending ? (
-              <Loader2 className="w-5 h-5 animate-spin" />
-            ) : (
-              <Send className="w-5 h-5" />
-            )}
-          </button>
+          {/* Send button (stop while an answer is streaming) */}
+          {sendMutation.isPending && streamingText !== null ? (
+            <button
+              type="button"
+              onClick={handleCancelStream}
+              className="flex-shrink-0 p-3 bg-red-300/10 text-red-300 rounded-xl hover:bg-red-300/20 transition-all border border-red-300/20"
+              title="Stop generating"
+            >
+              <Square className="w-5 h-5" />
+            </button>
+          ) : (
+            <button
+              type="submit"
+              disabled={(!message.trim() && !selectedImage) || sendMutation.isPending}
+              className="flex-shrink-0 p-3 bg-success-500/15 text-success-500 rounded-xl hover:bg-success-500/25 transition-all disabled:opacity-50 disabled:cursor-not-allowed border border-success-500/25"
+            >
+              {sendMutation.isPending ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <Send className="w-5 h-5" />
+              )}
+            </button>
+          )}
         </form>
         <p className="mt-2 text-xs text-neutral-600 text-center">
           <span className="text-blue-300">Enter</span> to send · <span className="text-purple-300">Shift+Enter</span> for new line · <span className="text-neutral-500">Drop or paste images</span>
@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
-import { X, Copy, RefreshCw, Check, Code, Settings, Upload, User, Pipette, Bot, FileText, Quote, Plus, Trash2, ThumbsUp, ThumbsDown } from 'lucide-react';
+import { X, Copy, RefreshCw, Check, Code, Settings, Upload, User, Pipette, Bot, FileText, Quote, Plus, Trash2, ThumbsUp, ThumbsDown, Brain } from 'lucide-react';
 import { clientsApi } from '../api/clients';
+import ClientMemoryPanel from './ClientMemoryPanel';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import clsx from 'clsx';
 
@@ -235,6 +236,18 @@ export default function SettingsModal({ isOpen, onClose, client, showApiTab = fa
             <Quote className="w-4 h-4" />
             Copy Guide
           </button>
+          <button
+            onClick={() => setActiveTab('memory')}
+            className={clsx(
+              'flex-1 px-4 py-3 text-sm font-medium transition-all flex items-center justify-center gap-2',
+              activeTab === 'memory'
+                ? `${currentPodColor.text} border-b-2 ${currentPodColor.border}`
+                : 'text-neutral-400 hover:text-neutral-200'
+            )}
+          >
+            <Brain className="w-4 h-4" />
+            Memory
+          </button>
           {showApiTab && (
             <button
               onClick={() => setActiveTab('api')}
@@ -383,6 +396,8 @@ export default function SettingsModal({ isOpen, onClose, client, showApiTab = fa
                 </p>
               )}
             </div>
+          ) : activeTab === 'memory' ? (
+            <ClientMemoryPanel clientId={client?.id} podColor={currentPodColor} />
           ) : activeTab === 'client' ? (
             <div className="space-y-6">
               {/* Thumbnail */}
@@ -1,5 +1,5 @@
 import { useState, useMemo, useEffect, useCallback } from 'react';
-import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useDropzone } from 'react-dropzone';
 import {
   FileText, Trash2, Loader2, Search,
@@ -7,9 +7,12 @@ import {
   Calendar, Tag, FileType, Sparkles, RefreshCw, File,
   Upload, Link, CheckCircle, AlertCircle, FileSpreadsheet,
   ChevronDown, ChevronRight, Square, CheckSquare, Layers, FolderPlus, Folder,
-  Pencil, GripVertical, Globe
+  Pencil, GripVertical, Globe, FolderSync, History
 } from 'lucide-react';
 import { documentsApi } from '../api/documents';
+import { useIngestionProgress, describeProgress } from '../hooks/useIngestionProgress';
+import SyncHistoryPanel from './SyncHistoryPanel';
+import DocumentVersions from './DocumentVersions';
 import clsx from 'clsx';
 
 // Color style mappings
@@ -71,11 +74,13 @@ const FILE_COLORS = {
   md: 'lavender',
   google_doc: 'sky',
   google_sheet: 'mint',
+  google_slides: 'peach',
 };
 
 const getFileColor = (fileName, fileType) => {
   if (fileType === 'google_sheet') return 'mint';
   if (fileType === 'google_doc') return 'sky';
+  if (fileType === 'google_slides') return 'peach';
   const ext = fileName?.split('.').pop()?.toLowerCase();
   return FILE_COLORS[ext] || 'lavender';
 };
@@ -83,12 +88,14 @@ const getFileColor = (fileName, fileType) => {
 const getFileExtension = (fileName, fileType) => {
   if (fileType === 'google_sheet') return 'SHEET';
   if (fileType === 'google_doc') return 'DOC';
+  if (fileType === 'google_slides') return 'SLIDES';
   return fileName?.split('.').pop()?.toUpperCase() || 'FILE';
 };
 
 const getTypeCategory = (doc) => {
   if (doc.file_type === 'google_sheet') return 'Google Sheets';
   if (doc.file_type === 'google_doc') return 'Google Docs';
+  if (doc.file_type === 'google_slides') return 'Google Slides';
   const ext = doc.file_name?.split('.').pop()?.toLowerCase();
   if (['pdf'].includes(ext)) return 'PDFs';
   if (['doc', 'docx'].includes(ext)) return 'Documents';
@@ -98,8 +105,103 @@ const getTypeCategory = (doc) => {
   return 'Other';
 };
 
+const isDriveFolderUrl = (url) => /drive\.google\.com\/drive\/(u\/\d+\/)?folders\//.test(url);
+
+// Open, sync and remove buttons for a group that mirrors a Drive folder source
+function DriveFolderActions({ folder, clientId }) {
+  const queryClient = useQueryClient();
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['documents', clientId]);
+    queryClient.invalidateQueries(['drive-folders', clientId]);
+    queryClient.invalidateQueries(['sync-history', clientId]);
+  };
+
+  const syncMutation = useMutation({
+    mutationFn: () => documentsApi.syncDriveFolder(folder.id, clientId),
+    onSuccess: refresh,
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: () => documentsApi.deleteDriveFolder(folder.id),
+    onSuccess: refresh,
+  });
+
+  const handleRemove = (e) => {
+    e.stopPropagation();
+    if (window.confirm(`Stop watching the Drive folder "${folder.name}"? Its ${folder.file_count} file${folder.file_count === 1 ? '' : 's'} will be removed from sources.`)) {
+      removeMutation.mutate();
+    }
+  };
+
+  const isBusy = syncMutation.isPending || removeMutation.isPending;
+
+  return (
+    <div className={clsx(
+      'flex items-center gap-0.5 flex-shrink-0',
+      !isBusy && 'opacity-0 group-hover/header:opacity-100 transition-opacity'
+    )}>
+      <a
+        href={folder.url}
+        target="_blank"
+        rel="noopener noreferrer"
+        onClick={(e) => e.stopPropagation()}
+        className="p-1 text-neutral-500 hover:text-blue-500 hover:bg-blue-500/10 rounded transition-all"
+        title="Open in Google Drive"
+      >
+        <ExternalLink className="w-3.5 h-3.5" />
+      </a>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          syncMutation.mutate();
+        }}
+        disabled={isBusy}
+        className="p-1 text-neutral-500 hover:text-success-500 hover:bg-success-500/10 rounded transition-all"
+        title={folder.last_sync_check ? `Sync folder (last checked ${new Date(folder.last_sync_check).toLocaleString()})` : 'Sync folder'}
+      >
+        <RefreshCw className={clsx('w-3.5 h-3.5', syncMutation.isPending && 'animate-spin')} />
+      </button>
+      <button
+        onClick={handleRemove}
+        disabled={isBusy}
+        className="p-1 text-neutral-500 hover:text-red-500 hover:bg-red-500/10 rounded transition-all"
+        title="Remove folder source"
+      >
+        {removeMutation.isPending ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Trash2 className="w-3.5 h-3.5" />}
+      </button>
+    </div>
+  );
+}
+
+// Per-document processing bar driven by the live progress stream
+function ProcessingProgress({ event, className }) {
+  const info = describeProgress(event);
+  if (!info) return null;
+
+  return (
+    <div className={className}>
+      <div className="bg-neutral-700 rounded-full h-1 overflow-hidden">
+        <div
+          className={clsx('h-full transition-all duration-300', info.failed ? 'bg-red-500' : 'bg-blue-500')}
+          style={{ width: `${info.percent}%` }}
+        />
+      </div>
+      <p className={clsx('text-xs mt-1 truncate', info.failed ? 'text-red-500' : 'text-neutral-500')} title={info.label}>
+        {info.label}
+      </p>
+    </div>
+  );
+}
+
 export default function SourcesManager({ documents, clientId, isLoading, highlightDocumentId, onHighlightHandled }) {
   const [selectedDoc, setSelectedDoc] = useState(null);
+  const [showVersions, setShowVersions] = useState(false);
+
+  // Start each opened source with its version history folded
+  useEffect(() => {
+    setShowVersions(false);
+  }, [selectedDoc?.id]);
 
   // Auto-select a document when navigating from chat source citation
   useEffect(() => {
@@ -151,6 +253,19 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
   const [isGlobalUpload, setIsGlobalUpload] = useState(false);
 
   const queryClient = useQueryClient();
+  const ingestionProgress = useIngestionProgress(clientId);
+
+  // Drive folder sources; their documents share the folder's custom group
+  const { data: driveFolders = [] } = useQuery({
+    queryKey: ['drive-folders', clientId],
+    queryFn: () => documentsApi.getDriveFolders(clientId),
+    enabled: !!clientId,
+  });
+
+  const driveFolderByGroup = useMemo(
+    () => new Map(driveFolders.map((folder) => [folder.custom_group, folder])),
+    [driveFolders]
+  );
 
   // Fetch custom groups
   useEffect(() => {
@@ -170,7 +285,7 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
     const hasUnprocessed = documents?.some(doc => !doc.processed);
     if (!hasUnprocessed) return;
 
-    // Poll every 30 seconds - processing takes time, no need for frequent checks
+    // Fallback for when the progress stream is unavailable - it refreshes on done/failed itself
     const interval = setInterval(() => {
       queryClient.invalidateQueries({ queryKey: ['documents', clientId], exact: true });
     }, 30000);
@@ -198,6 +313,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
     mutationFn: () => documentsApi.syncAllGoogleDocs(clientId),
     onSuccess: (data) => {
       queryClient.invalidateQueries(['documents', clientId]);
+      queryClient.invalidateQueries(['sync-history', clientId]);
+      queryClient.invalidateQueries(['drive-folders', clientId]);
       setSyncAllResult(data);
       setTimeout(() => setSyncAllResult(null), 5000);
     },
@@ -229,13 +346,11 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
       }, isGlobal);
     },
     onSuccess: (data, { file }) => {
+      // Uploaded - the row now follows processing progress for this document
       setUploadingFiles((prev) =>
-        prev.map((f) => f.name === file.name ? { ...f, status: 'success' } : f)
+        prev.map((f) => f.name === file.name ? { ...f, status: 'processing', documentId: data.id } : f)
       );
       queryClient.invalidateQueries(['documents', clientId]);
-      setTimeout(() => {
-        setUploadingFiles((prev) => prev.filter((f) => f.name !== file.name));
-      }, 2000);
     },
     onError: (error, { file }) => {
       setUploadingFiles((prev) =>
@@ -245,12 +360,18 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
   });
 
   const googleMutation = useMutation({
-    mutationFn: ({ url, isGlobal }) => documentsApi.addGoogleDoc(clientId, url, isGlobal),
+    mutationFn: ({ url, isGlobal }) => isDriveFolderUrl(url)
+      ? documentsApi.addDriveFolder(clientId, url, isGlobal).then((result) => ({
+          file_name: `${result.data.name} (${result.added} file${result.added === 1 ? '' : 's'})`,
+          file_type: 'drive_folder',
+        }))
+      : documentsApi.addGoogleDoc(clientId, url, isGlobal),
     onSuccess: (data) => {
       setGoogleUrl('');
       setGoogleError('');
       setAddedDoc({ name: data.file_name, type: data.file_type });
       queryClient.invalidateQueries(['documents', clientId]);
+      if (data.file_type === 'drive_folder') queryClient.invalidateQueries(['drive-folders', clientId]);
       setTimeout(() => setAddedDoc(null), 5000);
     },
     onError: (error) => {
@@ -258,6 +379,29 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
     },
   });
 
+  // Settle uploaded files once processing finishes or fails
+  useEffect(() => {
+    const settled = uploadingFiles.filter((f) =>
+      f.status === 'processing' && ['done', 'failed'].includes(ingestionProgress[f.documentId]?.stage)
+    );
+    if (settled.length === 0) return;
+
+    const settledIds = settled.map((f) => f.documentId);
+    setUploadingFiles((prev) => prev.map((f) => {
+      if (f.status !== 'processing' || !settledIds.includes(f.documentId)) return f;
+      const event = ingestionProgress[f.documentId];
+      return event.stage === 'done'
+        ? { ...f, status: 'success' }
+        : { ...f, status: 'error', error: event.error || 'Processing failed' };
+    }));
+
+    settled
+      .filter((f) => ingestionProgress[f.documentId].stage === 'done')
+      .forEach((f) => setTimeout(() => {
+        setUploadingFiles((prev) => prev.filter((p) => p.documentId !== f.documentId));
+      }, 2000));
+  }, [ingestionProgress, uploadingFiles]);
+
   const onDrop = useCallback((acceptedFiles) => {
     acceptedFiles.forEach((file) => {
       setUploadingFiles((prev) => [...prev, {
@@ -286,8 +430,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
   const handleGoogleSubmit = (e) => {
     e.preventDefault();
     if (!googleUrl.trim()) return;
-    if (!googleUrl.includes('docs.google.com')) {
-      setGoogleError('Please enter a valid Google Docs or Google Sheets URL');
+    if (!googleUrl.includes('docs.google.com') && !isDriveFolderUrl(googleUrl)) {
+      setGoogleError('Please enter a valid Google Docs, Sheets, Slides or Drive folder URL');
       return;
     }
     setGoogleError('');
@@ -296,6 +440,7 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
   };
 
   const getUrlType = (url) => {
+    if (isDriveFolderUrl(url)) return 'folder';
     if (url.includes('/spreadsheets/')) return 'sheet';
     if (url.includes('/document/')) return 'doc';
     return null;
@@ -304,12 +449,16 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
   const urlType = getUrlType(googleUrl);
 
   const googleSourceCount = useMemo(() => {
-    return documents?.filter(d => d.source_type === 'google').length || 0;
-  }, [documents]);
+    return (documents?.filter(d => d.source_type === 'google' && !d.drive_folder_id).length || 0) + driveFolders.length;
+  }, [documents, driveFolders]);
 
   const handleDelete = async (docId, e) => {
     e?.stopPropagation();
     const doc = documents?.find(d => d.id === docId);
+    if (doc?.drive_folder_id) {
+      window.alert('This file comes from a Drive folder source. Remove it from the folder in Drive, or remove the folder source.');
+      return;
+    }
     const confirmMsg = doc?.is_global
       ? 'This is a global source. Deleting it will remove it for ALL clients. Are you sure?'
       : 'Are you sure you want to delete this source?';
@@ -520,7 +669,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
       });
     } else if (groupBy === 'custom') {
       filtered.forEach(doc => {
-        if (doc.is_global) {
+        // Documents from a global Drive folder stay in the folder's group
+        if (doc.is_global && !doc.drive_folder_id) {
           const globalGroup = 'Global';
           if (!groups[globalGroup]) groups[globalGroup] = [];
           groups[globalGroup].push(doc);
@@ -708,6 +858,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                   </button>
                 )}
 
+                {googleSourceCount > 0 && <SyncHistoryPanel clientId={clientId} />}
+
                 <div className="flex items-center bg-neutral-800/50 rounded-lg p-1 border border-neutral-700">
                   <button
                     onClick={() => setViewMode('list')}
@@ -745,7 +897,12 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
               syncAllResult.synced > 0 ? 'bg-success-500/15 text-success-500' : 'bg-blue-500/15 text-blue-500'
             )}>
               <RefreshCw className="w-4 h-4" />
-              <span>{syncAllResult.synced > 0 ? `${syncAllResult.synced} source${syncAllResult.synced > 1 ? 's' : ''} updated` : 'All sources up to date'}</span>
+              <span>
+                {syncAllResult.synced > 0 ? `${syncAllResult.synced} source${syncAllResult.synced > 1 ? 's' : ''} updated` : 'All sources up to date'}
+                {syncAllResult.added > 0 && ` · ${syncAllResult.added} new from Drive folders`}
+                {syncAllResult.removed > 0 && ` · ${syncAllResult.removed} removed`}
+                {syncAllResult.failed > 0 && ` · ${syncAllResult.failed} could not be checked`}
+              </span>
               <button onClick={() => setSyncAllResult(null)} className="ml-auto p-1 hover:bg-neutral-800 rounded">
                 <X className="w-3 h-3" />
               </button>
@@ -827,8 +984,17 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                                 <div className="bg-blue-500 h-full transition-all" style={{ width: `${file.progress}%` }} />
                               </div>
                             )}
+                            {file.status === 'processing' && (
+                              <ProcessingProgress
+                                event={ingestionProgress[file.documentId] || { stage: 'queued' }}
+                                className="mt-1"
+                              />
+                            )}
+                            {file.status === 'error' && (
+                              <p className="text-xs text-red-500 mt-1 truncate" title={file.error}>{file.error}</p>
+                            )}
                           </div>
-                          {file.status === 'uploading' && <Loader2 className="w-4 h-4 animate-spin text-blue-500" />}
+                          {['uploading', 'processing'].includes(file.status) && <Loader2 className="w-4 h-4 animate-spin text-blue-500" />}
                           {file.status === 'success' && <CheckCircle className="w-4 h-4 text-success-500" />}
                           {file.status === 'error' && <AlertCircle className="w-4 h-4 text-red-500" />}
                         </div>
@@ -844,7 +1010,7 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                         type="url"
                         value={googleUrl}
                         onChange={(e) => setGoogleUrl(e.target.value)}
-                        placeholder="https://docs.google.com/..."
+                        placeholder="https://docs.google.com/... or a Drive folder link"
                         className="w-full px-3 py-2 bg-neutral-900/50 border border-neutral-700 rounded-lg text-sm text-neutral-100 placeholder-neutral-500 focus:border-blue-500 focus:outline-none"
                       />
                     </div>
@@ -857,7 +1023,7 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                       Add
                     </button>
                   </form>
-                  {urlType && <p className="mt-2 text-xs text-blue-500">Detected: Google {urlType === 'sheet' ? 'Sheets' : 'Docs'}</p>}
+                  {urlType && <p className="mt-2 text-xs text-blue-500">Detected: {urlType === 'folder' ? 'Google Drive folder' : `Google ${urlType === 'sheet' ? 'Sheets' : 'Docs'}`}</p>}
                   {googleError && <p className="mt-2 text-xs text-red-500">{googleError}</p>}
                   {addedDoc && (
                     <div className="mt-2 flex items-center gap-2 text-success-500 text-sm">
@@ -865,7 +1031,11 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                       Added: {addedDoc.name}
                     </div>
                   )}
-                  <p className="mt-2 text-xs text-neutral-500">Document must be set to "Anyone with the link can view"</p>
+                  <p className="mt-2 text-xs text-neutral-500">
+                    {urlType === 'folder'
+                      ? 'Folder must be shared with the Google service account. Docs, Sheets, Slides, PDFs and DOCX files inside are added and kept in sync'
+                      : 'Document must be set to "Anyone with the link can view"'}
+                  </p>
                 </div>
               )}
             </div>
@@ -979,6 +1149,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                             )}
                             {category === 'Global' ? (
                               <Globe className="w-4 h-4 flex-shrink-0 text-blue-500" />
+                            ) : groupBy === 'custom' && driveFolderByGroup.has(category) ? (
+                              <FolderSync className="w-4 h-4 flex-shrink-0 text-purple-300" />
                             ) : (
                               <Folder className={clsx('w-4 h-4 flex-shrink-0', category === 'Ungrouped' ? 'text-neutral-600' : 'text-purple-300')} />
                             )}
@@ -1012,8 +1184,13 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                             <div className="flex-1 h-px bg-neutral-800/50 ml-2" />
                           </button>
 
+                          {/* Drive folder groups follow the folder, so they get folder actions instead */}
+                          {groupBy === 'custom' && driveFolderByGroup.has(category) && (
+                            <DriveFolderActions folder={driveFolderByGroup.get(category)} clientId={clientId} />
+                          )}
+
                           {/* Rename/delete actions for custom groups (not Global or Ungrouped) */}
-                          {groupBy === 'custom' && category !== 'Ungrouped' && category !== 'Global' && !isRenaming && (
+                          {groupBy === 'custom' && category !== 'Ungrouped' && category !== 'Global' && !driveFolderByGroup.has(category) && !isRenaming && (
                             <div className="flex items-center gap-0.5 opacity-0 group-hover/header:opacity-100 transition-opacity flex-shrink-0">
                               <button
                                 onClick={(e) => {
@@ -1102,8 +1279,13 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                                       <h3 className="text-sm font-medium text-neutral-100 truncate">
                                         {doc.file_name}
                                       </h3>
-                                      {!doc.processed && <Loader2 className="w-4 h-4 animate-spin text-blue-500 flex-shrink-0" />}
+                                      {!doc.processed && ingestionProgress[doc.id]?.stage !== 'failed' && (
+                                        <Loader2 className="w-4 h-4 animate-spin text-blue-500 flex-shrink-0" />
+                                      )}
                                     </div>
+                                    {ingestionProgress[doc.id] && (
+                                      <ProcessingProgress event={ingestionProgress[doc.id]} className="mt-1 max-w-xs" />
+                                    )}
                                     <div className="flex items-center gap-2 mt-1">
                                       <span className={clsx('text-xs px-1.5 py-0.5 rounded', styles.bgLight, styles.text)}>
                                         {getFileExtension(doc.file_name, doc.file_type)}
@@ -1114,6 +1296,15 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                                           Global
                                         </span>
                                       )}
+                                      {doc.ocr_low_confidence && (
+                                        <span
+                                          className="text-xs px-1.5 py-0.5 rounded bg-warning-500/10 text-warning-500 border border-warning-500/20 flex items-center gap-1"
+                                          title={`OCR confidence ${Math.round(doc.ocr_confidence)}% - text may be inaccurate`}
+                                        >
+                                          <AlertCircle className="w-3 h-3" />
+                                          Low OCR
+                                        </span>
+                                      )}
                                       <span className="text-xs text-neutral-500">{new Date(doc.created_at).toLocaleDateString()}</span>
                                       {/* Show group badge when not in custom grouping mode */}
                                       {groupBy !== 'custom' && doc.custom_group && (
@@ -1231,6 +1422,8 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                             )}
                             {category === 'Global' ? (
                               <Globe className="w-4 h-4 flex-shrink-0 text-blue-500" />
+                            ) : groupBy === 'custom' && driveFolderByGroup.has(category) ? (
+                              <FolderSync className="w-4 h-4 flex-shrink-0 text-purple-300" />
                             ) : (
                               <Folder className={clsx('w-4 h-4 flex-shrink-0', category === 'Ungrouped' ? 'text-neutral-600' : 'text-purple-300')} />
                             )}
@@ -1246,7 +1439,10 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                             </span>
                             <div className="flex-1 h-px bg-neutral-800/50 ml-2" />
                           </button>
-                          {groupBy === 'custom' && category !== 'Ungrouped' && category !== 'Global' && (
+                          {groupBy === 'custom' && driveFolderByGroup.has(category) && (
+                            <DriveFolderActions folder={driveFolderByGroup.get(category)} clientId={clientId} />
+                          )}
+                          {groupBy === 'custom' && category !== 'Ungrouped' && category !== 'Global' && !driveFolderByGroup.has(category) && (
                             <div className="flex items-center gap-0.5 opacity-0 group-hover/header:opacity-100 transition-opacity flex-shrink-0">
                               <button
                                 onClick={(e) => {
@@ -1327,6 +1523,9 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                                       </span>
                                       {!doc.processed && <Loader2 className="w-3 h-3 animate-spin text-blue-500" />}
                                     </div>
+                                    {ingestionProgress[doc.id] && (
+                                      <ProcessingProgress event={ingestionProgress[doc.id]} className="mt-1.5" />
+                                    )}
                                   </div>
                                 </div>
                               );
@@ -1372,11 +1571,27 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                       {selectedDoc.title && selectedDoc.title !== selectedDoc.file_name && (
                         <p className="text-sm text-neutral-500 mt-1">AI Title: {selectedDoc.title}</p>
                       )}
-                      {!selectedDoc.processed && (
+                      {!selectedDoc.processed && (ingestionProgress[selectedDoc.id] ? (
+                        <ProcessingProgress event={ingestionProgress[selectedDoc.id]} className="mt-2 max-w-sm" />
+                      ) : (
                         <div className="flex items-center gap-2 mt-2 text-blue-500">
                           <Loader2 className="w-4 h-4 animate-spin" />
                           <span className="text-sm">Processing...</span>
                         </div>
+                      ))}
+                      {selectedDoc.ocr_confidence != null && (
+                        <div className={clsx(
+                          'flex items-center gap-1.5 mt-2 px-2 py-1 rounded-lg w-fit border',
+                          selectedDoc.ocr_low_confidence
+                            ? 'bg-warning-500/10 border-warning-500/20 text-warning-500'
+                            : 'bg-neutral-800/50 border-neutral-700 text-neutral-400'
+                        )}>
+                          <AlertCircle className="w-3.5 h-3.5" />
+                          <span className="text-xs font-medium">
+                            Text from OCR ({Math.round(selectedDoc.ocr_confidence)}% confidence)
+                            {selectedDoc.ocr_low_confidence && ' - review recommended'}
+                          </span>
+                        </div>
                       )}
                       {selectedDoc.is_global && (
                         <div className="flex items-center gap-1.5 mt-2 px-2 py-1 bg-blue-500/10 border border-blue-500/20 rounded-lg w-fit">
@@ -1536,6 +1751,24 @@ export default function SourcesManager({ documents, clientId, isLoading, highlig
                     </div>
                   )}
 
+                  <div className="bg-neutral-800/30 rounded-lg p-3 border border-neutral-800">
+                    <button
+                      onClick={() => setShowVersions(!showVersions)}
+                      className="flex items-center gap-2 w-full text-left"
+                    >
+                      <History className="w-4 h-4 text-neutral-500" />
+                      <span className="text-xs text-neutral-500 flex-1">Version history</span>
+                      {showVersions
+                        ? <ChevronDown className="w-4 h-4 text-neutral-500" />
+                        : <ChevronRight className="w-4 h-4 text-neutral-500" />}
+                    </button>
+                    {showVersions && (
+                      <div className="mt-3">
+                        <DocumentVersions documentId={selectedDoc.id} />
+                      </div>
+                    )}
+                  </div>
+
                   <div className="pt-4 border-t border-neutral-700 space-y-2">
                     {selectedDoc.file_url && (
                       <a
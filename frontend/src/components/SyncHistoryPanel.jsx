@@ -0,0 +1,157 @@
+import { useState, useRef, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { History, X, Clock, AlertCircle } from 'lucide-react';
+import { documentsApi } from '../api/documents';
+import clsx from 'clsx';
+
+// Choices for how often sources are checked; '' means the server default
+const INTERVAL_OPTIONS = [
+  { value: '', label: 'Default' },
+  { value: '60', label: 'Every hour' },
+  { value: '360', label: 'Every 6 hours' },
+  { value: '1440', label: 'Daily' },
+  { value: '10080', label: 'Weekly' },
+  { value: '0', label: 'Off' },
+];
+
+function describeInterval(minutes) {
+  if (!minutes) return 'off';
+  if (minutes % 1440 === 0) return minutes === 1440 ? 'daily' : `every ${minutes / 1440} days`;
+  if (minutes % 60 === 0) return minutes === 60 ? 'hourly' : `every ${minutes / 60} hours`;
+  return `every ${minutes} min`;
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function SyncRun({ run }) {
+  const [showErrors, setShowErrors] = useState(false);
+
+  return (
+    <div className="py-2 border-b border-neutral-800 last:border-0">
+      <div className="flex items-center justify-between gap-2 text-[11px]">
+        <span className="text-neutral-300">{new Date(run.started_at).toLocaleString()}</span>
+        <span className={clsx(
+          'px-1.5 py-0.5 rounded text-[10px]',
+          run.trigger === 'scheduled' ? 'bg-blue-300/10 text-blue-300' : 'bg-neutral-800 text-neutral-400'
+        )}>
+          {run.trigger === 'scheduled' ? 'Auto' : 'Manual'}
+        </span>
+      </div>
+      <div className="mt-0.5 flex items-center gap-2 text-[11px] text-neutral-500">
+        <span>{run.checked} checked</span>
+        <span className={run.changed > 0 ? 'text-success-500' : ''}>{run.changed} changed</span>
+        {run.added > 0 && <span className="text-success-500">{run.added} added</span>}
+        {run.removed > 0 && <span>{run.removed} removed</span>}
+        {run.failed > 0 ? (
+          <button onClick={() => setShowErrors(!showErrors)} className="text-red-400 hover:underline">
+            {run.failed} failed
+          </button>
+        ) : (
+          <span>0 failed</span>
+        )}
+        <span className="ml-auto">{formatDuration(run.duration_ms)}</span>
+      </div>
+      {showErrors && run.errors?.map((err) => (
+        <p key={err.docId} className="mt-1 flex items-start gap-1 text-[10px] text-red-400/80">
+          <AlertCircle className="w-3 h-3 flex-shrink-0 mt-px" />
+          <span className="truncate" title={err.error}>{err.fileName || 'Source'}: {err.error}</span>
+        </p>
+      ))}
+    </div>
+  );
+}
+
+// Button and popover showing a client's recent Google sync runs (manual and
+// automatic) and how often its sources are checked automatically.
+export default function SyncHistoryPanel({ clientId }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sync-history', clientId],
+    queryFn: () => documentsApi.getSyncHistory(clientId),
+    enabled: !!clientId && isOpen,
+  });
+
+  const scheduleMutation = useMutation({
+    mutationFn: (intervalMinutes) => documentsApi.updateSyncSchedule(clientId, intervalMinutes),
+    onSuccess: () => queryClient.invalidateQueries(['sync-history', clientId]),
+  });
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const runs = data?.runs || [];
+  const effectiveInterval = data?.intervalMinutes ?? data?.defaultIntervalMinutes;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={clsx(
+          'p-2 rounded-lg transition-all',
+          isOpen ? 'bg-neutral-700 text-neutral-200' : 'text-neutral-500 hover:text-neutral-300 hover:bg-neutral-800'
+        )}
+        title="Sync history"
+      >
+        <History className="w-4 h-4" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute top-full right-0 mt-2 w-80 bg-neutral-900 border border-neutral-700 rounded-xl shadow-2xl p-4 z-20 animate-fade-in-up">
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-sm font-medium text-neutral-200">Google sync</span>
+            <button onClick={() => setIsOpen(false)} className="p-1 text-neutral-500 hover:text-neutral-200 transition-colors">
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+
+          <div className="flex items-center gap-2 mb-3">
+            <Clock className="w-3.5 h-3.5 text-neutral-500" />
+            <span className="text-[11px] text-neutral-400 flex-1">Check automatically</span>
+            <select
+              value={data?.intervalMinutes == null ? '' : String(data.intervalMinutes)}
+              onChange={(e) => scheduleMutation.mutate(e.target.value === '' ? null : parseInt(e.target.value))}
+              disabled={!data || scheduleMutation.isPending}
+              className="bg-neutral-950 border border-neutral-700 rounded-md px-2 py-1 text-[11px] text-neutral-200 focus:outline-none focus:border-blue-300/50"
+            >
+              {data?.intervalMinutes != null && !INTERVAL_OPTIONS.some((o) => o.value === String(data.intervalMinutes)) && (
+                <option value={String(data.intervalMinutes)}>{describeInterval(data.intervalMinutes)}</option>
+              )}
+              {INTERVAL_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.value === '' && data ? `Default (${describeInterval(data.defaultIntervalMinutes)})` : option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {data && !effectiveInterval && (
+            <p className="mb-3 text-[10px] text-neutral-600">Sources only update when you press Sync.</p>
+          )}
+
+          <p className="text-[10px] font-medium text-neutral-500 uppercase tracking-wider mb-1">Recent runs</p>
+          <div className="max-h-64 overflow-y-auto">
+            {isLoading ? (
+              <p className="py-2 text-[11px] text-neutral-500">Loading...</p>
+            ) : runs.length === 0 ? (
+              <p className="py-2 text-[11px] text-neutral-600">No syncs yet</p>
+            ) : (
+              runs.map((run) => <SyncRun key={run.id} run={run} />)
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useEffect, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { documentsApi } from '../api/documents';
+
+// How long a finished document keeps its (full) progress bar
+const DONE_DISPLAY_MS = 3000;
+
+/**
+ * Live ingestion progress for a client's documents, from the progress SSE stream.
+ * Returns a map of documentId -> latest event ({ stage, chunkCount, done, total, error, fileName }).
+ * Refreshes the documents query when a document finishes or fails.
+ */
+export function useIngestionProgress(clientId) {
+  const [progress, setProgress] = useState({});
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    if (!clientId) return;
+    const timers = [];
+
+    const close = documentsApi.streamProgress(clientId, (eventName, data) => {
+      if (eventName === 'snapshot') {
+        setProgress(Object.fromEntries(data.jobs.map((job) => [job.documentId, job])));
+        return;
+      }
+      if (!data.documentId) return;
+
+      setProgress((prev) => ({ ...prev, [data.documentId]: data }));
+
+      if (data.stage === 'done' || data.stage === 'failed') {
+        queryClient.invalidateQueries({ queryKey: ['documents', clientId], exact: true });
+      }
+      if (data.stage === 'done') {
+        timers.push(setTimeout(() => {
+          setProgress((prev) => {
+            if (prev[data.documentId]?.stage !== 'done') return prev;
+            const { [data.documentId]: _finished, ...rest } = prev;
+            return rest;
+          });
+        }, DONE_DISPLAY_MS));
+      }
+    });
+
+    return () => {
+      close();
+      timers.forEach(clearTimeout);
+      setProgress({});
+    };
+  }, [clientId, queryClient]);
+
+  return progress;
+}
+
+/**
+ * Label and percent complete for a progress event.
+ */
+export function describeProgress(event) {
+  if (!event) return null;
+
+  switch (event.stage) {
+    case 'queued':
+      return {
+        label: event.error ? `Retrying after error: ${event.error}` : 'Queued for processing',
+        percent: 0,
+      };
+    case 'extracting':
+      return event.pageCount
+        ? { label: `Reading page ${event.page}/${event.pageCount} (OCR)`, percent: Math.round(2 + (event.page / event.pageCount) * 12) }
+        : { label: 'Extracting text...', percent: 5 };
+    case 'analyzing':
+      return { label: 'Analyzing with AI...', percent: 15 };
+    case 'chunking':
+      return { label: `Split into ${event.chunkCount} chunks`, percent: 30 };
+    case 'embedding': {
+      const fraction = event.total ? event.done / event.total : 0;
+      return {
+        label: `Embedding ${event.done}/${event.total} chunks`,
+        percent: Math.round(30 + fraction * 65),
+      };
+    }
+    case 'done':
+      return { label: `Ready (${event.chunkCount} chunks)`, percent: 100 };
+    case 'failed':
+      return { label: event.error || 'Processing failed', percent: 100, failed: true };
+    default:
+      return { label: 'Processing...', percent: 0 };
+  }
+}
@@ -1,11 +1,12 @@
 import { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useNavigate, Link } from 'react-router-dom';
-import { Plus, FolderOpen, Search, Loader2, Sparkles, Sun, Moon } from 'lucide-react';
+import { Plus, FolderOpen, Search, Loader2, Sparkles, Sun, Moon, MessagesSquare } from 'lucide-react';
 import { clientsApi } from '../api/clients';
 import CreateClientModal from '../components/CreateClientModal';
 import ClientCard from '../components/ClientCardDark';
 import SettingsModal from '../components/SettingsModal';
+import AgencyAskModal from '../components/AgencyAskModal';
 import { useTheme } from '../contexts/ThemeContext';
 
 // Pod filter options
@@ -23,6 +24,7 @@ export default function ClientsView() {
   const [searchOpen, setSearchOpen] = useState(false);
   const [podFilter, setPodFilter] = useState('all');
   const [editingClient, setEditingClient] = useState(null);
+  const [isAgencyOpen, setIsAgencyOpen] = useState(false);
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const { theme, toggleTheme } = useTheme();
@@ -130,7 +132,7 @@ export default function ClientsView() {
             {/* Spacer */}
             <div className="flex-1" />
 
-            {/* Right: search, theme, new client */}
+            {/* Right: search, agency ask, theme, new client */}
             <div className="flex items-center gap-1.5">
               {searchOpen ? (
                 <div className="relative">
@@ -154,6 +156,13 @@ export default function ClientsView() {
                   <Search className="w-4 h-4" />
                 </button>
               )}
+              <button
+                onClick={() => setIsAgencyOpen(true)}
+                className="p-2 text-neutral-500 hover:text-neutral-300 hover:bg-neutral-800 rounded-lg transition-all"
+                title="Ask across clients"
+              >
+                <MessagesSquare className="w-4 h-4" />
+              </button>
               <button
                 onClick={toggleTheme}
                 className="p-2 text-neutral-500 hover:text-neutral-300 hover:bg-neutral-800 rounded-lg transition-all"
@@ -244,6 +253,12 @@ export default function ClientsView() {
         onClose={() => setEditingClient(null)}
         client={editingClient}
       />
+
+      {/* Agency-wide questions */}
+      <AgencyAskModal
+        isOpen={isAgencyOpen}
+        onClose={() => setIsAgencyOpen(false)}
+      />
     </div>
   );
 }